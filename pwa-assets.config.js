@@ -0,0 +1,19 @@
+import { defineConfig, minimal2023Preset } from '@vite-pwa/assets-generator/config'
+
+// App icons for the manifest and home screens, drawn from the logo during the
+// build (see pwaAssets in vite.config.js)
+export default defineConfig({
+  preset: {
+    ...minimal2023Preset,
+    // Maskable and Apple icons get a solid background in the app's colour
+    maskable: {
+      ...minimal2023Preset.maskable,
+      resizeOptions: { background: '#0A1929' }
+    },
+    apple: {
+      ...minimal2023Preset.apple,
+      resizeOptions: { background: '#0A1929' }
+    }
+  },
+  images: ['public/logo.svg']
+})
@@ -1,17 +1,28 @@
-import { useState, lazy, Suspense } from 'react'
+import { lazy, Suspense, useEffect } from 'react'
+import { BrowserRouter, Routes, Route, Navigate, Outlet, useLocation } from 'react-router-dom'
 import Navbar from './components/Navbar'
+import RequireAuth, { redirectAfterSignIn } from './components/RequireAuth'
+import SyncStatus from './components/SyncStatus'
 import { useSmoothScroll } from './hooks/useSmoothScroll'
 import { AuthProvider, useAuth } from './context/AuthContext'
+import { PATHS } from './lib/routes'
+import { startSync } from './lib/sync'
+import { startRealtime } from './lib/realtime'
 
 // Lazy load pages for code splitting - improves initial load time
 const HomePage = lazy(() => import('./pages/HomePage'))
 const AddItemPage = lazy(() => import('./pages/AddItemPage'))
 const FindItemPage = lazy(() => import('./pages/FindItemPage'))
 const StoredItemsPage = lazy(() => import('./pages/StoredItemsPage'))
+const ItemDetailPage = lazy(() => import('./pages/ItemDetailPage'))
 const ImportantDocumentsPage = lazy(() => import('./pages/ImportantDocumentsPage'))
+const TrashPage = lazy(() => import('./pages/TrashPage'))
+const BackupPage = lazy(() => import('./pages/BackupPage'))
 const AboutPage = lazy(() => import('./pages/AboutPage'))
 const SignInPage = lazy(() => import('./pages/SignInPage'))
 const SignUpPage = lazy(() => import('./pages/SignUpPage'))
+const SharedDocumentPage = lazy(() => import('./pages/SharedDocumentPage'))
+const NotFoundPage = lazy(() => import('./pages/NotFoundPage'))
 
 // Loading spinner component
 const PageLoader = () => (
@@ -23,55 +34,80 @@ const PageLoader = () => (
   </div>
 )
 
-function AppContent() {
-  const [currentPage, setCurrentPage] = useState('home')
-  const { user, loading } = useAuth()
-  useSmoothScroll()
-
-  // Loading state
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 flex items-center justify-center">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-indigo-600 mx-auto"></div>
-          <p className="mt-4 text-gray-600">Loading...</p>
-        </div>
-      </div>
-    )
-  }
+// Shown while the session is being restored
+const AuthLoader = () => (
+  <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 flex items-center justify-center">
+    <div className="text-center">
+      <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-indigo-600 mx-auto"></div>
+      <p className="mt-4 text-gray-600">Loading...</p>
+    </div>
+  </div>
+)
 
-  // Not authenticated - show auth pages
-  if (!user) {
-    return (
-      <Suspense fallback={<PageLoader />}>
-        {currentPage === 'signup' && <SignUpPage onNavigate={setCurrentPage} />}
-        {currentPage !== 'signup' && <SignInPage onNavigate={setCurrentPage} />}
-      </Suspense>
-    )
-  }
+// Signed-in pages share the navbar, send changes made offline once connected
+// and keep lists live with changes made elsewhere
+const AppLayout = () => {
+  useEffect(() => startSync(), [])
+  useEffect(() => startRealtime(), [])
 
-  // Authenticated - show main app
   return (
     <div className="app">
-      <Navbar currentPage={currentPage} setCurrentPage={setCurrentPage} />
-      
+      <Navbar />
       <Suspense fallback={<PageLoader />}>
-        {currentPage === 'home' && <HomePage />}
-        {currentPage === 'add' && <AddItemPage />}
-        {currentPage === 'find' && <FindItemPage />}
-        {currentPage === 'stored' && <StoredItemsPage />}
-        {currentPage === 'documents' && <ImportantDocumentsPage />}
-        {currentPage === 'about' && <AboutPage />}
+        <Outlet />
       </Suspense>
+      <SyncStatus />
     </div>
   )
 }
 
+// Sign-in and sign-up are for signed-out users; once signed in, carry on where they were headed
+const PublicOnly = ({ children }) => {
+  const { user, loading } = useAuth()
+  const location = useLocation()
+  if (loading) return <AuthLoader />
+  if (user) {
+    return <Navigate to={redirectAfterSignIn(location)} replace />
+  }
+  return children
+}
+
+function AppContent() {
+  useSmoothScroll()
+
+  return (
+    <Suspense fallback={<PageLoader />}>
+      <Routes>
+        {/* Shared document links are public: no sign-in, no navbar */}
+        <Route path={`${PATHS.share}/:token`} element={<SharedDocumentPage />} />
+
+        <Route path={PATHS.signIn} element={<PublicOnly><SignInPage /></PublicOnly>} />
+        <Route path={PATHS.signUp} element={<PublicOnly><SignUpPage /></PublicOnly>} />
+
+        <Route element={<RequireAuth fallback={<AuthLoader />}><AppLayout /></RequireAuth>}>
+          <Route path={PATHS.home} element={<HomePage />} />
+          <Route path={PATHS.add} element={<AddItemPage />} />
+          <Route path={PATHS.find} element={<FindItemPage />} />
+          <Route path={PATHS.items} element={<StoredItemsPage />} />
+          <Route path={`${PATHS.items}/:itemId`} element={<ItemDetailPage />} />
+          <Route path={`${PATHS.documents}/:documentId?`} element={<ImportantDocumentsPage />} />
+          <Route path={PATHS.trash} element={<TrashPage />} />
+          <Route path={PATHS.backup} element={<BackupPage />} />
+          <Route path={PATHS.about} element={<AboutPage />} />
+          <Route path="*" element={<NotFoundPage />} />
+        </Route>
+      </Routes>
+    </Suspense>
+  )
+}
+
 function App() {
   return (
-    <AuthProvider>
-      <AppContent />
-    </AuthProvider>
+    <BrowserRouter>
+      <AuthProvider>
+        <AppContent />
+      </AuthProvider>
+    </BrowserRouter>
   )
 }
 
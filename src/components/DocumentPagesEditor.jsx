@@ -0,0 +1,156 @@
+import { useState, useEffect, useRef } from 'react'
+import { getDocumentFiles, addDocumentFiles, reorderDocumentFiles, removeDocumentFile, isPdfPage, ACCEPTED_PAGE_TYPES } from '../lib/documentFiles'
+
+/**
+ * PageThumb - small preview of a page, or a PDF tile
+ * @param {string} src - Image URL (ignored for PDFs)
+ * @param {boolean} pdf - Whether the page is a PDF
+ */
+export const PageThumb = ({ src, pdf }) => (
+  pdf || !src ? (
+    <div className="w-12 h-12 rounded-lg bg-red-500/10 border border-red-500/20 flex items-center justify-center text-[10px] font-bold text-red-300 flex-shrink-0">
+      {pdf ? 'PDF' : '📄'}
+    </div>
+  ) : (
+    <img src={src} alt="" className="w-12 h-12 rounded-lg object-cover flex-shrink-0 bg-white/5" />
+  )
+)
+
+/**
+ * DocumentPagesEditor - add, reorder and remove the pages of a saved document
+ * Every change is saved straight away.
+ * @param {Object} doc - The document row
+ * @param {Function} onChange - Called after pages were added, moved or removed
+ */
+const DocumentPagesEditor = ({ doc, onChange }) => {
+  const [pages, setPages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    getDocumentFiles(doc.id).then(result => {
+      if (cancelled) return
+      if (result.success) {
+        setPages(result.data)
+      } else {
+        setError(result.error)
+      }
+      setLoading(false)
+    })
+    return () => { cancelled = true }
+  }, [doc.id])
+
+  const run = async (action) => {
+    setBusy(true)
+    setError('')
+    const result = await action()
+    if (result.success) {
+      onChange?.()
+    } else {
+      setError(result.error)
+    }
+    setBusy(false)
+    return result
+  }
+
+  const handleAdd = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+    const result = await run(() => addDocumentFiles(doc.id, files))
+    if (result.success) setPages(result.data)
+  }
+
+  const handleMove = async (from, to) => {
+    const reordered = [...pages]
+    const [moved] = reordered.splice(from, 1)
+    reordered.splice(to, 0, moved)
+    const previous = pages
+    setPages(reordered)
+    const result = await run(() => reorderDocumentFiles(doc.id, reordered.map(page => page.id)))
+    if (!result.success) setPages(previous)
+  }
+
+  const handleRemove = async (page) => {
+    const result = await run(() => removeDocumentFile(page.id))
+    if (result.success) setPages(current => current.filter(p => p.id !== page.id))
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-300 mb-2">
+        Pages <span className="text-gray-500 text-xs">(changes are saved right away)</span>
+      </label>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading pages...</p>
+      ) : (
+        <div className="space-y-2">
+          {pages.length === 0 && (
+            <p className="text-sm text-gray-500">No pages yet.</p>
+          )}
+          {pages.map((page, index) => (
+            <div key={page.id} className="flex items-center gap-3 p-2 rounded-xl bg-dark-100/50 border border-white/5">
+              <PageThumb src={page.thumbnail_url || page.url} pdf={isPdfPage(page)} />
+              <span className="flex-1 text-sm text-gray-300">Page {index + 1}</span>
+              <button
+                type="button"
+                onClick={() => handleMove(index, index - 1)}
+                disabled={busy || index === 0}
+                className="w-8 h-8 rounded-lg text-gray-400 hover:text-white hover:bg-white/5 disabled:opacity-30"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => handleMove(index, index + 1)}
+                disabled={busy || index === pages.length - 1}
+                className="w-8 h-8 rounded-lg text-gray-400 hover:text-white hover:bg-white/5 disabled:opacity-30"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRemove(page)}
+                disabled={busy}
+                className="w-8 h-8 rounded-lg text-red-400 hover:bg-red-500/10 disabled:opacity-30"
+                title="Remove page"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_PAGE_TYPES}
+        multiple
+        onChange={handleAdd}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={busy || loading}
+        className="mt-3 px-4 py-2 text-sm font-semibold text-amber-400 border border-amber-500/30 rounded-lg hover:bg-amber-500/10 disabled:opacity-50"
+      >
+        {busy ? 'Saving...' : '+ Add pages'}
+      </button>
+
+      {error && (
+        <p className="mt-2 text-sm text-red-300">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default DocumentPagesEditor
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { getDocumentFiles, isPdfPage } from '../lib/documentFiles'
+
+/**
+ * DocumentPage - one page of a document: an image, or an embedded PDF
+ * @param {{url: string, mime_type: string}} page
+ * @param {string} title - Used for alt text
+ * @param {string} className - Size classes for the page
+ */
+export const DocumentPage = ({ page, title, className = '' }) => (
+  isPdfPage(page) ? (
+    <iframe
+      src={page.url}
+      title={title}
+      className={`w-full bg-white rounded-lg ${className}`}
+    />
+  ) : (
+    <img
+      src={page.url}
+      alt={title}
+      className={`max-w-full object-contain rounded-lg ${className}`}
+    />
+  )
+)
+
+/**
+ * DocumentViewer - full-screen, page-by-page view of a document
+ * Pages are loaded when it opens; arrow keys turn pages, Escape closes.
+ * @param {Object} doc - The document row
+ * @param {Function} onClose - Called to close the viewer
+ * @param {Function} onDownload - Called with doc to download it as one PDF
+ */
+const DocumentViewer = ({ doc, onClose, onDownload }) => {
+  const [pages, setPages] = useState([])
+  const [index, setIndex] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    getDocumentFiles(doc.id).then(result => {
+      if (cancelled) return
+      if (result.success) {
+        setPages(result.data)
+      } else {
+        setError(result.error)
+      }
+      setLoading(false)
+    })
+    return () => { cancelled = true }
+  }, [doc.id])
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+      if (e.key === 'ArrowLeft') setIndex(current => Math.max(0, current - 1))
+      if (e.key === 'ArrowRight') setIndex(current => Math.min(pages.length - 1, current + 1))
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [pages.length, onClose])
+
+  const page = pages[index]
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/95 flex flex-col z-50 px-4 py-6"
+      onClick={onClose}
+    >
+      <div className="flex items-center justify-between gap-4 max-w-5xl w-full mx-auto mb-4" onClick={(e) => e.stopPropagation()}>
+        <div className="min-w-0">
+          <h2 className="text-lg font-semibold text-white truncate">{doc.document_name}</h2>
+          {pages.length > 0 && (
+            <p className="text-xs text-gray-400">Page {index + 1} of {pages.length}</p>
+          )}
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          {onDownload && pages.length > 0 && (
+            <button
+              onClick={() => onDownload(doc)}
+              className="px-3 py-2 text-xs font-semibold text-amber-400 bg-amber-500/10 border border-amber-500/20 rounded-lg hover:bg-amber-500/20"
+            >
+              Download PDF
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="w-10 h-10 bg-white/10 backdrop-blur rounded-full flex items-center justify-center text-white hover:bg-white/20"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        className="flex-1 min-h-0 max-w-5xl w-full mx-auto flex items-center justify-center"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {loading ? (
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500"></div>
+        ) : error ? (
+          <p className="text-red-300 text-sm">{error}</p>
+        ) : !page ? (
+          <p className="text-gray-400 text-sm">This document has no pages.</p>
+        ) : (
+          <DocumentPage
+            key={page.id}
+            page={page}
+            title={`${doc.document_name}, page ${index + 1}`}
+            className={isPdfPage(page) ? 'h-full' : 'max-h-full'}
+          />
+        )}
+      </motion.div>
+
+      {pages.length > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-4" onClick={(e) => e.stopPropagation()}>
+          <button
+            onClick={() => setIndex(current => current - 1)}
+            disabled={index === 0}
+            className="px-4 py-2 text-sm font-semibold text-white bg-white/10 rounded-lg hover:bg-white/20 disabled:opacity-30"
+          >
+            ← Previous
+          </button>
+          <span className="text-sm text-gray-400">{index + 1} / {pages.length}</span>
+          <button
+            onClick={() => setIndex(current => current + 1)}
+            disabled={index === pages.length - 1}
+            className="px-4 py-2 text-sm font-semibold text-white bg-white/10 rounded-lg hover:bg-white/20 disabled:opacity-30"
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default DocumentViewer
@@ -0,0 +1,35 @@
+import { getExpiryStatus, describeExpiry } from '../lib/documents'
+
+const STATE_STYLES = {
+  expired: 'bg-red-500/15 text-red-300 border-red-500/30',
+  renew: 'bg-amber-500/15 text-amber-300 border-amber-500/30',
+  valid: 'bg-white/5 text-gray-400 border-white/10'
+}
+
+const STATE_ICONS = {
+  expired: '⛔',
+  renew: '⏳',
+  valid: '📅'
+}
+
+/**
+ * ExpiryBadge - "Expires in 12 days" chip, coloured by whether the document
+ * has expired, is due for renewal or is still valid. Renders nothing for
+ * documents without an expiry date.
+ */
+const ExpiryBadge = ({ doc, className = '' }) => {
+  const status = getExpiryStatus(doc)
+  if (!status) return null
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded border text-[10px] font-medium ${STATE_STYLES[status.state]} ${className}`}
+      title={`Expires ${status.expiresOn.toLocaleDateString()}`}
+    >
+      <span>{STATE_ICONS[status.state]}</span>
+      {describeExpiry(status)}
+    </span>
+  )
+}
+
+export default ExpiryBadge
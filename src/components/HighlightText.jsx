@@ -0,0 +1,35 @@
+/**
+ * HighlightText - Renders text with matched ranges highlighted
+ * @param {string} text - The full text
+ * @param {Array<{start: number, end: number}>} ranges - Character ranges to highlight
+ */
+const HighlightText = ({ text, ranges = [], className = '', highlightClassName = 'bg-primary-cyan/25 text-primary-cyan rounded px-0.5' }) => {
+  if (!text) return null
+  if (ranges.length === 0) return <span className={className}>{text}</span>
+
+  // Merge overlapping ranges so nested matches don't double-wrap
+  const merged = []
+  ;[...ranges]
+    .sort((a, b) => a.start - b.start)
+    .forEach(range => {
+      const last = merged[merged.length - 1]
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end)
+      } else {
+        merged.push({ start: range.start, end: range.end })
+      }
+    })
+
+  const parts = []
+  let cursor = 0
+  merged.forEach(({ start, end }) => {
+    if (start > cursor) parts.push(<span key={`t-${cursor}`}>{text.slice(cursor, start)}</span>)
+    parts.push(<mark key={`m-${start}`} className={highlightClassName}>{text.slice(start, end)}</mark>)
+    cursor = end
+  })
+  if (cursor < text.length) parts.push(<span key={`t-${cursor}`}>{text.slice(cursor)}</span>)
+
+  return <span className={className}>{parts}</span>
+}
+
+export default HighlightText
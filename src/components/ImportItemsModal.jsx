@@ -0,0 +1,281 @@
+import { useState, useMemo, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { importItems } from '../lib/items'
+import { readImportFile, readImageArchive, buildImportPreview, IMPORT_TEMPLATE_CSV } from '../lib/itemImport'
+
+/**
+ * ImportItemsModal - Bulk import from a CSV / JSON file
+ * Shows a per-row preview with validation errors, then saves the good rows.
+ * An optional ZIP supplies photos, matched to rows by file name.
+ */
+const ImportItemsModal = ({ onClose, onImported }) => {
+  const [rows, setRows] = useState(null)
+  const [images, setImages] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [zipName, setZipName] = useState('')
+  const [error, setError] = useState('')
+  const [reading, setReading] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [summary, setSummary] = useState(null)
+  const dataInputRef = useRef(null)
+  const zipInputRef = useRef(null)
+
+  const preview = useMemo(() => (rows ? buildImportPreview(rows, images) : []), [rows, images])
+  const validRows = preview.filter(row => row.errors.length === 0)
+  const invalidCount = preview.length - validRows.length
+
+  const handleDataFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setReading(true)
+    setError('')
+    const result = await readImportFile(file)
+    if (result.success) {
+      setRows(result.data)
+      setFileName(file.name)
+    } else {
+      setError(result.error)
+    }
+    setReading(false)
+  }
+
+  const handleZipFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setReading(true)
+    setError('')
+    const result = await readImageArchive(file)
+    if (result.success) {
+      setImages(result.data)
+      setZipName(file.name)
+    } else {
+      setError(result.error)
+    }
+    setReading(false)
+  }
+
+  const handleDownloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([IMPORT_TEMPLATE_CSV], { type: 'text/csv' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'findit-import-template.csv'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async () => {
+    setImporting(true)
+    setError('')
+    setProgress({ done: 0, total: validRows.length })
+
+    const result = await importItems(validRows, { onProgress: setProgress })
+
+    if (result.success) {
+      setSummary(result.data)
+      if (result.data.imported.length > 0) {
+        onImported?.(result.data.imported)
+      }
+    } else {
+      setError(result.error || 'Import failed')
+    }
+
+    setImporting(false)
+  }
+
+  const handleClose = () => {
+    if (!importing) onClose()
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 px-4"
+      onClick={handleClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.8, opacity: 0, y: 20 }}
+        transition={{ type: "spring", stiffness: 300, damping: 25 }}
+        onClick={(e) => e.stopPropagation()}
+        className="glass rounded-2xl p-8 max-w-4xl w-full border border-primary-cyan/30 max-h-[90vh] overflow-y-auto"
+      >
+        <div className="text-5xl mb-4 text-center">📥</div>
+        <h3 className="text-2xl font-bold mb-2 text-center">
+          Import <span className="gradient-text">Items</span>
+        </h3>
+        <p className="text-gray-400 text-center text-sm mb-6">
+          Add a whole house at once from a spreadsheet (CSV) or JSON file with
+          item_name, location, category and an optional image file name.
+        </p>
+
+        {summary ? (
+          /* Finished */
+          <div className="space-y-4">
+            <div className="bg-green-500/10 border border-green-500/30 rounded-xl p-5 text-center">
+              <div className="text-3xl mb-2">✅</div>
+              <p className="text-green-300 font-semibold">
+                Imported {summary.imported.length} {summary.imported.length === 1 ? 'item' : 'items'}
+              </p>
+            </div>
+            {summary.failed.length > 0 && (
+              <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4">
+                <p className="text-red-300 font-semibold mb-2">
+                  {summary.failed.length} {summary.failed.length === 1 ? 'row was' : 'rows were'} not saved
+                </p>
+                <ul className="text-sm text-red-300/90 space-y-1 max-h-40 overflow-y-auto">
+                  {summary.failed.map(({ rowNumber, error: rowError }) => (
+                    <li key={rowNumber}>Row {rowNumber}: {rowError}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <motion.button
+              onClick={onClose}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="w-full px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold"
+            >
+              Done
+            </motion.button>
+          </div>
+        ) : (
+          <div className="space-y-5">
+            {/* File pickers */}
+            <div className="grid sm:grid-cols-2 gap-3">
+              <input ref={dataInputRef} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleDataFile} className="hidden" />
+              <input ref={zipInputRef} type="file" accept=".zip,application/zip" onChange={handleZipFile} className="hidden" />
+              <button
+                type="button"
+                onClick={() => dataInputRef.current?.click()}
+                disabled={reading || importing}
+                className="rounded-xl border-2 border-dashed border-primary-cyan/30 hover:border-primary-cyan/60 p-4 text-left transition-colors disabled:opacity-50"
+              >
+                <div className="font-semibold text-white">📄 {fileName || 'Choose CSV or JSON'}</div>
+                <div className="text-xs text-gray-400 mt-1">{rows ? `${rows.length} rows read` : 'Required'}</div>
+              </button>
+              <button
+                type="button"
+                onClick={() => zipInputRef.current?.click()}
+                disabled={reading || importing}
+                className="rounded-xl border-2 border-dashed border-gray-700 hover:border-primary-cyan/60 p-4 text-left transition-colors disabled:opacity-50"
+              >
+                <div className="font-semibold text-white">🗜️ {zipName || 'Choose a ZIP of photos'}</div>
+                <div className="text-xs text-gray-400 mt-1">{images ? `${images.size} photos found` : 'Optional - matched by file name'}</div>
+              </button>
+            </div>
+            <button
+              type="button"
+              onClick={handleDownloadTemplate}
+              className="text-sm text-gray-400 hover:text-primary-cyan"
+            >
+              ⬇️ Download an example CSV
+            </button>
+
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3 text-sm text-red-300">
+                {error}
+              </div>
+            )}
+
+            {reading && <p className="text-sm text-gray-400">Reading file...</p>}
+
+            {/* Preview */}
+            {preview.length > 0 && (
+              <>
+                <div className="flex items-center gap-4 text-sm flex-wrap">
+                  <span className="text-green-400">✅ {validRows.length} ready</span>
+                  {invalidCount > 0 && <span className="text-red-400">❌ {invalidCount} with errors (skipped)</span>}
+                </div>
+                <div className="overflow-x-auto max-h-80 overflow-y-auto rounded-xl border border-white/10">
+                  <table className="w-full text-sm">
+                    <thead className="bg-dark-200 text-gray-400 sticky top-0">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium">Row</th>
+                        <th className="px-3 py-2 text-left font-medium">Name</th>
+                        <th className="px-3 py-2 text-left font-medium">Location</th>
+                        <th className="px-3 py-2 text-left font-medium">Category</th>
+                        <th className="px-3 py-2 text-left font-medium">Photo</th>
+                        <th className="px-3 py-2 text-left font-medium">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.map(row => (
+                        <tr
+                          key={row.rowNumber}
+                          className={`border-t border-white/5 ${row.errors.length > 0 ? 'bg-red-500/5' : ''}`}
+                        >
+                          <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                          <td className="px-3 py-2 text-white">{row.item_name || <span className="text-gray-600">-</span>}</td>
+                          <td className="px-3 py-2 text-gray-300">{row.location || <span className="text-gray-600">-</span>}</td>
+                          <td className="px-3 py-2 text-gray-300">{row.category || <span className="text-gray-600">-</span>}</td>
+                          <td className="px-3 py-2 text-gray-300">
+                            {row.image ? '📷' : row.image_filename ? <span className="text-amber-400">{row.image_filename}</span> : ''}
+                          </td>
+                          <td className="px-3 py-2">
+                            {row.errors.length > 0 ? (
+                              <span className="text-red-400">{row.errors.join(' ')}</span>
+                            ) : row.warnings.length > 0 ? (
+                              <span className="text-amber-400">{row.warnings.join(' ')}</span>
+                            ) : (
+                              <span className="text-green-400">OK</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            {/* Progress */}
+            <AnimatePresence>
+              {importing && progress && (
+                <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                  <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                    <div
+                      className="h-full bg-gradient-to-r from-primary-cyan to-blue-500 transition-all"
+                      style={{ width: `${(progress.done / Math.max(progress.total, 1)) * 100}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">Saved {progress.done} of {progress.total}...</p>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleClose}
+                disabled={importing}
+                className="flex-1 px-6 py-3 border-2 border-gray-600 text-gray-300 rounded-xl font-semibold hover:bg-white/5 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <motion.button
+                type="button"
+                onClick={handleImport}
+                disabled={importing || reading || validRows.length === 0}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="flex-1 px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold disabled:opacity-50"
+              >
+                {importing ? 'Importing...' : `Import ${validRows.length} ${validRows.length === 1 ? 'item' : 'items'}`}
+              </motion.button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default ImportItemsModal
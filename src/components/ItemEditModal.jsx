@@ -0,0 +1,191 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { updateItem } from '../lib/items'
+import ItemPhotosEditor from './ItemPhotosEditor'
+import LocationSelect from './LocationSelect'
+
+/**
+ * ItemEditModal - edit an item's name, place, location and category
+ * Photos are saved as they're changed; the rest when the form is submitted.
+ * Render inside AnimatePresence.
+ * @param {Object} item - The item row
+ * @param {Array} locations - The user's places, for the place picker
+ * @param {Function} onSaved - Called with the updated item row
+ * @param {Function} onPhotosChanged - Called after photos were added, moved or removed
+ * @param {Function} onClose - Called to close the modal
+ */
+const ItemEditModal = ({ item, locations = [], onSaved, onPhotosChanged, onClose }) => {
+  const [editForm, setEditForm] = useState({
+    item_name: item.item_name,
+    location: item.location,
+    location_id: item.location_id || null,
+    category: item.category || ''
+  })
+  const [editError, setEditError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const closeEdit = () => {
+    if (saving) return
+    onClose()
+  }
+
+  const handleUpdate = async (e) => {
+    e.preventDefault()
+
+    if (!editForm.item_name.trim() || (!editForm.location.trim() && !editForm.location_id)) {
+      setEditError('Please fill in all required fields')
+      return
+    }
+
+    setSaving(true)
+    setEditError('')
+
+    const result = await updateItem(item.id, {
+      item_name: editForm.item_name,
+      location: editForm.location,
+      location_id: editForm.location_id,
+      category: editForm.category
+    })
+
+    setSaving(false)
+    if (result.success) {
+      onSaved(result.data)
+    } else {
+      setEditError(result.error || 'Failed to update item')
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 px-4"
+      onClick={closeEdit}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.8, opacity: 0, y: 20 }}
+        transition={{ type: "spring", stiffness: 300, damping: 25 }}
+        onClick={(e) => e.stopPropagation()}
+        className="glass rounded-2xl p-8 max-w-lg w-full border border-primary-cyan/30 max-h-[90vh] overflow-y-auto"
+      >
+        <div className="text-5xl mb-4 text-center">✏️</div>
+        <h3 className="text-2xl font-bold mb-6 text-center">
+          Edit <span className="gradient-text">Item</span>
+        </h3>
+
+        <form onSubmit={handleUpdate} className="space-y-4">
+          {/* Photos */}
+          <ItemPhotosEditor item={item} onChange={onPhotosChanged} />
+
+          {/* Item Name */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-300 mb-2">
+              Item Name <span className="text-red-400">*</span>
+            </label>
+            <input
+              type="text"
+              value={editForm.item_name}
+              onChange={(e) => setEditForm({ ...editForm, item_name: e.target.value })}
+              className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-cyan/50 focus:border-primary-cyan transition-all"
+              required
+            />
+          </div>
+
+          {/* Place */}
+          {locations.length > 0 && (
+            <div>
+              <label className="block text-sm font-semibold text-gray-300 mb-2">
+                Place <span className="text-gray-500 text-xs">(optional)</span>
+              </label>
+              <LocationSelect
+                locations={locations}
+                value={editForm.location_id}
+                onChange={(locationId) => setEditForm({ ...editForm, location_id: locationId })}
+                className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-cyan/50 focus:border-primary-cyan transition-all"
+              />
+            </div>
+          )}
+
+          {/* Location */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-300 mb-2">
+              Location Description {editForm.location_id ? (
+                <span className="text-gray-500 text-xs">(optional note)</span>
+              ) : (
+                <span className="text-red-400">*</span>
+              )}
+            </label>
+            <textarea
+              value={editForm.location}
+              onChange={(e) => setEditForm({ ...editForm, location: e.target.value })}
+              rows={3}
+              className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-cyan/50 focus:border-primary-cyan transition-all resize-none"
+              required={!editForm.location_id}
+            />
+          </div>
+
+          {/* Category */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-300 mb-2">
+              Category <span className="text-gray-500 text-xs">(optional)</span>
+            </label>
+            <input
+              type="text"
+              value={editForm.category}
+              onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+              className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-cyan/50 focus:border-primary-cyan transition-all"
+            />
+          </div>
+
+          {editError && (
+            <div className="bg-red-500/10 border border-red-500/40 rounded-lg p-3 text-sm text-red-300">
+              {editError}
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <motion.button
+              type="button"
+              onClick={closeEdit}
+              disabled={saving}
+              whileHover={{ scale: saving ? 1 : 1.02 }}
+              whileTap={{ scale: saving ? 1 : 0.98 }}
+              className="flex-1 px-6 py-3 border-2 border-gray-600 text-gray-300 rounded-xl hover:bg-white/5 transition-all font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </motion.button>
+            <motion.button
+              type="submit"
+              disabled={saving}
+              whileHover={{ scale: saving ? 1 : 1.02 }}
+              whileTap={{ scale: saving ? 1 : 0.98 }}
+              className="flex-1 px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              {saving ? (
+                <>
+                  <motion.span
+                    animate={{ rotate: 360 }}
+                    transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                  >
+                    ⏳
+                  </motion.span>
+                  <span>Saving...</span>
+                </>
+              ) : (
+                <>
+                  <span>💾</span>
+                  <span>Save Changes</span>
+                </>
+              )}
+            </motion.button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default ItemEditModal
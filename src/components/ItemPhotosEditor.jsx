@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef } from 'react'
+import { getItemPhotos, addItemPhotos, reorderItemPhotos, setItemCover, removeItemPhoto, coverPhotoOf, MAX_PHOTOS_PER_ITEM } from '../lib/itemPhotos'
+import { getThumbnailUrl } from '../lib/storage'
+import PhotoPrivacyNote from './PhotoPrivacyNote'
+
+/**
+ * ItemPhotosEditor - add, reorder and remove an item's photos and pick its cover
+ * Every change is saved straight away.
+ * @param {Object} item - The item row
+ * @param {Function} onChange - Called after photos were added, moved, removed or a new cover was picked
+ */
+const ItemPhotosEditor = ({ item, onChange }) => {
+  const [photos, setPhotos] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [lastAdded, setLastAdded] = useState(null)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    getItemPhotos(item.id).then(result => {
+      if (cancelled) return
+      if (result.success) {
+        setPhotos(result.data)
+      } else {
+        setError(result.error)
+      }
+      setLoading(false)
+    })
+    return () => { cancelled = true }
+  }, [item.id])
+
+  const run = async (action) => {
+    setBusy(true)
+    setError('')
+    const result = await action()
+    if (result.success) {
+      onChange?.()
+    } else {
+      setError(result.error)
+    }
+    setBusy(false)
+    return result
+  }
+
+  const handleAdd = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+    setLastAdded(files[0])
+    const result = await run(() => addItemPhotos(item.id, files))
+    if (result.success) setPhotos(result.data)
+  }
+
+  const handleMove = async (from, to) => {
+    const reordered = [...photos]
+    const [moved] = reordered.splice(from, 1)
+    reordered.splice(to, 0, moved)
+    const previous = photos
+    setPhotos(reordered)
+    const result = await run(() => reorderItemPhotos(item.id, reordered.map(photo => photo.id)))
+    if (!result.success) setPhotos(previous)
+  }
+
+  const handleSetCover = async (photo) => {
+    const result = await run(() => setItemCover(item.id, photo.id))
+    if (result.success) {
+      setPhotos(current => current.map(p => ({ ...p, is_cover: p.id === photo.id })))
+    }
+  }
+
+  const handleRemove = async (photo) => {
+    const result = await run(() => removeItemPhoto(photo.id))
+    if (result.success) setPhotos(current => current.filter(p => p.id !== photo.id))
+  }
+
+  const cover = coverPhotoOf(photos)
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-300 mb-2">
+        Photos <span className="text-gray-500 text-xs">(changes are saved right away)</span>
+      </label>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading photos...</p>
+      ) : (
+        <div className="grid grid-cols-3 gap-2">
+          {photos.length === 0 && (
+            <p className="col-span-3 text-sm text-gray-500">No photos yet.</p>
+          )}
+          {photos.map((photo, index) => (
+            <div
+              key={photo.id}
+              className={`relative group rounded-xl overflow-hidden border-2 ${
+                photo === cover ? 'border-primary-cyan' : 'border-transparent'
+              }`}
+            >
+              <img src={getThumbnailUrl(photo.image_url)} alt={`Photo ${index + 1}`} className="w-full h-24 object-cover bg-white/5" />
+              {photo === cover ? (
+                <span className="absolute top-1 left-1 px-2 py-0.5 bg-primary-cyan text-white text-[10px] font-semibold rounded-full">
+                  Cover
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => handleSetCover(photo)}
+                  disabled={busy}
+                  className="absolute top-1 left-1 px-2 py-0.5 bg-black/60 text-white text-[10px] rounded-full opacity-0 group-hover:opacity-100 transition-opacity disabled:opacity-30"
+                >
+                  Set as cover
+                </button>
+              )}
+              <div className="absolute bottom-0 inset-x-0 flex justify-between bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, index - 1)}
+                  disabled={busy || index === 0}
+                  className="w-7 h-7 text-white disabled:opacity-30"
+                  title="Move left"
+                >
+                  ←
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(photo)}
+                  disabled={busy}
+                  className="w-7 h-7 text-red-300 disabled:opacity-30"
+                  title="Remove photo"
+                >
+                  ×
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, index + 1)}
+                  disabled={busy || index === photos.length - 1}
+                  className="w-7 h-7 text-white disabled:opacity-30"
+                  title="Move right"
+                >
+                  →
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        multiple
+        onChange={handleAdd}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={busy || loading || photos.length >= MAX_PHOTOS_PER_ITEM}
+        className="mt-3 px-4 py-2 text-sm font-semibold text-primary-cyan border border-primary-cyan/30 rounded-lg hover:bg-primary-cyan/10 disabled:opacity-50"
+      >
+        {busy ? 'Saving...' : '+ Add photos'}
+      </button>
+
+      {error && (
+        <p className="mt-2 text-sm text-red-300">{error}</p>
+      )}
+      <PhotoPrivacyNote file={lastAdded} />
+    </div>
+  )
+}
+
+export default ItemPhotosEditor
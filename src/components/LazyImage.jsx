@@ -1,21 +1,38 @@
 import { useState, useEffect, useRef } from 'react'
+import { getThumbnailUrl } from '../lib/storage'
 
 /**
  * LazyImage - Optimized image component with lazy loading
- * Only loads images when they're about to enter the viewport
+ * Only loads images when they're about to enter the viewport.
+ * With `thumbnail`, the small uploaded preview is shown instead of the full
+ * image, falling back to the full image for photos that have no thumbnail.
+ * Pass the thumbnail's URL when it can't be derived from src (signed URLs).
  */
 const LazyImage = ({ 
   src, 
   alt, 
   className = '', 
+  imgClassName = '',
   placeholderClassName = '',
-  fallback = null 
+  fallback = null,
+  thumbnail = false
 }) => {
   const [isLoaded, setIsLoaded] = useState(false)
   const [isInView, setIsInView] = useState(false)
   const [hasError, setHasError] = useState(false)
+  const pickSrc = () => {
+    if (typeof thumbnail === 'string') return thumbnail
+    return thumbnail ? getThumbnailUrl(src) : src
+  }
+  const [currentSrc, setCurrentSrc] = useState(pickSrc)
   const imgRef = useRef(null)
 
+  useEffect(() => {
+    setCurrentSrc(pickSrc())
+    setIsLoaded(false)
+    setHasError(false)
+  }, [src, thumbnail])
+
   useEffect(() => {
     if (!src) return
 
@@ -44,6 +61,10 @@ const LazyImage = ({
   }
 
   const handleError = () => {
+    if (currentSrc !== src) {
+      setCurrentSrc(src)
+      return
+    }
     setHasError(true)
   }
 
@@ -67,9 +88,9 @@ const LazyImage = ({
       {/* Actual image - only load src when in view */}
       {isInView && (
         <img
-          src={src}
+          src={currentSrc}
           alt={alt}
-          className={`w-full h-full object-cover transition-opacity duration-300 ${
+          className={`w-full h-full object-cover transition-opacity duration-300 ${imgClassName} ${
             isLoaded ? 'opacity-100' : 'opacity-0'
           }`}
           onLoad={handleLoad}
@@ -0,0 +1,265 @@
+import { useState, useMemo, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Link } from 'react-router-dom'
+import { addLocation, getLocationPath, getSubtreeIds, LOCATION_KINDS } from '../lib/locations'
+import { useQueryState } from '../hooks/useQueryState'
+import { itemPath } from '../lib/routes'
+
+/**
+ * LocationBrowser - "Browse by place" view
+ * Drills down the location tree (house → room → furniture → container)
+ * and lists the items stored at each level. The open place is kept in ?place=
+ */
+const LocationBrowser = ({ locations = [], items = [], onLocationAdded, onEditItem }) => {
+  const [place, setPlace] = useQueryState('place')
+  const currentId = place || null
+  const setCurrentId = (id) => setPlace(id || '')
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [newName, setNewName] = useState('')
+  const [newKind, setNewKind] = useState('')
+  const [newImage, setNewImage] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const fileInputRef = useRef(null)
+
+  const path = useMemo(() => (currentId ? getLocationPath(locations, currentId) : []), [locations, currentId])
+
+  const children = useMemo(() => {
+    return locations
+      .filter(node => (node.parent_id || null) === currentId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }, [locations, currentId])
+
+  // Items directly at this level (at the root: items not assigned to a place)
+  const itemsHere = useMemo(() => {
+    return items.filter(item => (item.location_id || null) === currentId)
+  }, [items, currentId])
+
+  const countItemsUnder = (locationId) => {
+    const ids = new Set(getSubtreeIds(locations, locationId))
+    return items.filter(item => ids.has(item.location_id)).length
+  }
+
+  const getKindIcon = (kind) => LOCATION_KINDS.find(k => k.value === kind)?.icon || '📍'
+
+  const resetForm = () => {
+    setShowAddForm(false)
+    setNewName('')
+    setNewKind('')
+    setNewImage(null)
+    setError('')
+  }
+
+  const handleAddLocation = async (e) => {
+    e.preventDefault()
+    if (!newName.trim()) {
+      setError('Please give this place a name')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+
+    const result = await addLocation({
+      name: newName,
+      kind: newKind || null,
+      parent_id: currentId,
+      image: newImage
+    })
+
+    if (result.success) {
+      onLocationAdded?.(result.data)
+      resetForm()
+    } else {
+      setError(result.error || 'Failed to add place')
+    }
+
+    setSaving(false)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Breadcrumb */}
+      <div className="flex items-center gap-2 flex-wrap text-sm">
+        <button
+          onClick={() => setCurrentId(null)}
+          className={`px-3 py-1.5 rounded-lg transition-colors ${
+            currentId ? 'text-gray-400 hover:text-white hover:bg-white/5' : 'bg-primary-cyan/15 text-primary-cyan'
+          }`}
+        >
+          🏘️ All places
+        </button>
+        {path.map((node, index) => (
+          <span key={node.id} className="flex items-center gap-2">
+            <span className="text-gray-600">›</span>
+            <button
+              onClick={() => setCurrentId(node.id)}
+              className={`px-3 py-1.5 rounded-lg transition-colors ${
+                index === path.length - 1 ? 'bg-primary-cyan/15 text-primary-cyan' : 'text-gray-400 hover:text-white hover:bg-white/5'
+              }`}
+            >
+              {getKindIcon(node.kind)} {node.name}
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {/* Current place photo */}
+      {path.length > 0 && path[path.length - 1].image_url && (
+        <img
+          src={path[path.length - 1].image_url}
+          alt={path[path.length - 1].name}
+          className="w-full h-48 object-cover rounded-2xl border border-white/10"
+        />
+      )}
+
+      {/* Child places */}
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {children.map(node => (
+          <motion.button
+            key={node.id}
+            onClick={() => setCurrentId(node.id)}
+            whileHover={{ y: -4 }}
+            className="glass rounded-2xl overflow-hidden border border-primary-cyan/10 hover:border-primary-cyan/30 text-left transition-colors"
+          >
+            {node.image_url ? (
+              <img src={node.image_url} alt={node.name} className="w-full h-24 object-cover" />
+            ) : (
+              <div className="w-full h-24 bg-gradient-to-br from-primary-cyan/10 to-purple-500/10 flex items-center justify-center text-4xl">
+                {getKindIcon(node.kind)}
+              </div>
+            )}
+            <div className="p-3">
+              <div className="font-semibold text-white truncate">{node.name}</div>
+              <div className="text-xs text-gray-400">
+                {countItemsUnder(node.id)} {countItemsUnder(node.id) === 1 ? 'item' : 'items'}
+              </div>
+            </div>
+          </motion.button>
+        ))}
+
+        {/* Add place tile */}
+        {!showAddForm && (
+          <button
+            onClick={() => setShowAddForm(true)}
+            className="rounded-2xl border-2 border-dashed border-gray-700 hover:border-primary-cyan/50 text-gray-400 hover:text-primary-cyan flex flex-col items-center justify-center gap-1 min-h-[9rem] transition-colors"
+          >
+            <span className="text-3xl">➕</span>
+            <span className="text-sm">{currentId ? 'Add a place inside' : 'Add a place'}</span>
+          </button>
+        )}
+      </div>
+
+      {/* Add place form */}
+      <AnimatePresence>
+        {showAddForm && (
+          <motion.form
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            onSubmit={handleAddLocation}
+            className="glass rounded-2xl p-5 border border-primary-cyan/20 space-y-3"
+          >
+            <div className="grid sm:grid-cols-2 gap-3">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="e.g., Garage, Kitchen, Top drawer"
+                className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-cyan/50"
+                autoFocus
+              />
+              <select
+                value={newKind}
+                onChange={(e) => setNewKind(e.target.value)}
+                className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-cyan/50"
+              >
+                <option value="" className="bg-dark-100">Kind of place (optional)</option>
+                {LOCATION_KINDS.map(kind => (
+                  <option key={kind.value} value={kind.value} className="bg-dark-100">
+                    {kind.icon} {kind.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              onChange={(e) => setNewImage(e.target.files[0] || null)}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="text-sm text-gray-400 hover:text-primary-cyan"
+            >
+              📷 {newImage ? newImage.name : 'Add a photo (optional)'}
+            </button>
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={resetForm}
+                disabled={saving}
+                className="flex-1 px-4 py-2 border border-gray-600 text-gray-300 rounded-xl hover:bg-white/5 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Place'}
+              </button>
+            </div>
+          </motion.form>
+        )}
+      </AnimatePresence>
+
+      {/* Items at this level */}
+      <section>
+        <h3 className="text-lg font-semibold text-white mb-3">
+          {currentId ? `Stored here (${itemsHere.length})` : `Not assigned to a place (${itemsHere.length})`}
+        </h3>
+        {itemsHere.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {currentId ? 'Nothing stored directly in this place.' : 'Every item has a place.'}
+          </p>
+        ) : (
+          <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {itemsHere.map(item => (
+              <div
+                key={item.id}
+                className="flex items-center gap-3 bg-dark-200/50 rounded-xl border border-white/5 p-3 hover:border-primary-cyan/30 transition-colors"
+              >
+                {item.image_url ? (
+                  <img src={item.image_url} alt={item.item_name} className="w-12 h-12 rounded-lg object-cover flex-shrink-0" />
+                ) : (
+                  <div className="w-12 h-12 rounded-lg bg-primary-cyan/10 flex items-center justify-center flex-shrink-0 text-xl">
+                    📦
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <Link to={itemPath(item.id)} className="block font-medium text-white truncate hover:text-primary-cyan transition-colors">{item.item_name}</Link>
+                  <div className="text-xs text-gray-400 truncate">📝 {item.location}</div>
+                </div>
+                {onEditItem && (
+                  <button
+                    onClick={() => onEditItem(item)}
+                    className="px-2 py-1 text-xs text-primary-cyan hover:bg-primary-cyan/10 rounded-lg"
+                  >
+                    Edit
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default LocationBrowser
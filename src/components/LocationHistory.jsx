@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react'
+import { getItemLocationHistory } from '../lib/items'
+
+// Format a move date, e.g. "Oct 3" (adds the year when it isn't this year)
+const formatMoveDate = (dateString) => {
+  const date = new Date(dateString)
+  const sameYear = date.getFullYear() === new Date().getFullYear()
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(sameYear ? {} : { year: 'numeric' })
+  })
+}
+
+/**
+ * LocationHistory - Dated trail of where an item has been
+ * e.g. "Moved from garage shelf → hallway closet on Oct 3"
+ */
+const LocationHistory = ({ itemId, className = '' }) => {
+  const [history, setHistory] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!itemId) return
+
+    let cancelled = false
+    setLoading(true)
+    setError('')
+
+    getItemLocationHistory(itemId).then(result => {
+      if (cancelled) return
+      if (result.success) {
+        setHistory(result.data)
+      } else {
+        setError(result.error || 'Failed to load location history')
+      }
+      setLoading(false)
+    })
+
+    return () => { cancelled = true }
+  }, [itemId])
+
+  if (loading) {
+    return (
+      <div className={`flex items-center gap-2 text-sm text-gray-500 ${className}`}>
+        <div className="w-4 h-4 border-2 border-primary-cyan/30 border-t-primary-cyan rounded-full animate-spin" />
+        <span>Loading history...</span>
+      </div>
+    )
+  }
+
+  if (error) {
+    return <p className={`text-sm text-red-400 ${className}`}>{error}</p>
+  }
+
+  if (history.length === 0) {
+    return <p className={`text-sm text-gray-500 ${className}`}>No location changes recorded yet.</p>
+  }
+
+  return (
+    <ol className={`relative ml-2 pl-5 border-l-2 border-white/10 space-y-3 ${className}`}>
+      {history.map((entry, index) => (
+        <li key={entry.id} className="relative">
+          <div className={`absolute -left-[27px] top-1 w-3 h-3 rounded-full border-2 ${
+            index === 0 ? 'bg-primary-cyan border-primary-cyan' : 'bg-dark-200 border-gray-500'
+          }`} />
+          <div className="text-sm text-gray-300">
+            {entry.from_location ? (
+              <>
+                Moved from <span className="text-gray-400">{entry.from_location}</span>
+                {' → '}
+                <span className="text-primary-cyan">{entry.to_location}</span>
+              </>
+            ) : (
+              <>
+                Added to <span className="text-primary-cyan">{entry.to_location}</span>
+              </>
+            )}
+          </div>
+          <div className="text-xs text-gray-500">on {formatMoveDate(entry.moved_at)}</div>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default LocationHistory
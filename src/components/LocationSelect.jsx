@@ -0,0 +1,38 @@
+import { useMemo } from 'react'
+import { buildLocationTree, LOCATION_KINDS } from '../lib/locations'
+
+/**
+ * LocationSelect - Dropdown of the user's places, indented by depth
+ */
+const LocationSelect = ({ locations = [], value, onChange, className = '', emptyLabel = 'No specific place' }) => {
+  const options = useMemo(() => {
+    const flat = []
+    const walk = (nodes, depth) => {
+      nodes.forEach(node => {
+        flat.push({ node, depth })
+        walk(node.children, depth + 1)
+      })
+    }
+    walk(buildLocationTree(locations), 0)
+    return flat
+  }, [locations])
+
+  const getIcon = (kind) => LOCATION_KINDS.find(k => k.value === kind)?.icon || '📍'
+
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={className}
+    >
+      <option value="" className="bg-dark-100">{emptyLabel}</option>
+      {options.map(({ node, depth }) => (
+        <option key={node.id} value={node.id} className="bg-dark-100">
+          {'\u00A0'.repeat(depth * 4)}{getIcon(node.kind)} {node.name}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+export default LocationSelect
@@ -1,11 +1,17 @@
 import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
+import { getDocumentsDueForRenewal } from '../lib/documents'
+import { PATHS } from '../lib/routes'
 
-const Navbar = ({ currentPage, setCurrentPage }) => {
+const Navbar = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
   const [scrolled, setScrolled] = useState(false)
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
   const { user, signOut } = useAuth()
+  const [renewalCount, setRenewalCount] = useState(0)
 
   useEffect(() => {
     const handleScroll = () => {
@@ -15,14 +21,24 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
     return () => window.removeEventListener('scroll', handleScroll)
   }, [])
 
+  // Documents that expired or are due for renewal, re-checked on every page change
+  useEffect(() => {
+    if (!user) return
+    let cancelled = false
+    getDocumentsDueForRenewal().then(result => {
+      if (!cancelled && result.success) setRenewalCount(result.data.length)
+    })
+    return () => { cancelled = true }
+  }, [user, location.pathname])
+
   const handleLogout = async () => {
     await signOut()
-    setCurrentPage('home')
+    navigate(PATHS.signIn)
     setMobileMenuOpen(false)
   }
 
-  const handleNavClick = (itemId) => {
-    setCurrentPage(itemId)
+  const handleNavClick = (path) => {
+    navigate(path)
     setMobileMenuOpen(false)
     
     // Smooth scroll to top for all pages
@@ -34,22 +50,36 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
 
   // Public nav items (shown when logged out)
   const publicNavItems = [
-    { id: 'home', label: 'Home', icon: '🏠' },
-    { id: 'about', label: 'About', icon: 'ℹ️' }
+    { id: 'home', path: PATHS.home, label: 'Home', icon: '🏠' },
+    { id: 'about', path: PATHS.about, label: 'About', icon: 'ℹ️' }
   ]
 
   // Protected nav items (shown when logged in) - in required order
   const protectedNavItems = [
-    { id: 'add', label: 'Add Item', icon: '➕' },
-    { id: 'stored', label: 'Stored Items', icon: '📦' },
-    { id: 'documents', label: 'Documents', icon: '📋' },
-    { id: 'find', label: 'Find Item', icon: '🔍' },
-    { id: 'about', label: 'About', icon: 'ℹ️' }
+    { id: 'add', path: PATHS.add, label: 'Add Item', icon: '➕' },
+    { id: 'stored', path: PATHS.items, label: 'Stored Items', icon: '📦' },
+    {
+      id: 'documents',
+      path: PATHS.documents,
+      label: 'Documents',
+      icon: '📋',
+      badge: renewalCount,
+      badgeTitle: `${renewalCount} ${renewalCount === 1 ? 'document has' : 'documents have'} expired or need renewing`
+    },
+    { id: 'find', path: PATHS.find, label: 'Find Item', icon: '🔍' },
+    { id: 'trash', path: PATHS.trash, label: 'Trash', icon: '🗑️' },
+    { id: 'backup', path: PATHS.backup, label: 'Backup', icon: '💾' },
+    { id: 'about', path: PATHS.about, label: 'About', icon: 'ℹ️' }
   ]
 
   // Select appropriate nav items based on auth state
   const navItems = user ? protectedNavItems : publicNavItems
 
+  // A section stays highlighted on its detail pages (/items/123)
+  const currentPage = navItems.find(item => item.path === PATHS.home
+    ? location.pathname === PATHS.home
+    : location.pathname === item.path || location.pathname.startsWith(`${item.path}/`))?.id
+
   return (
     <motion.nav 
       className={`fixed top-0 left-0 right-0 z-50 transition-all duration-300 ${
@@ -66,7 +96,7 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
           {/* Logo */}
           <motion.div 
             className="flex items-center space-x-2 sm:space-x-3 cursor-pointer group"
-            onClick={() => handleNavClick('home')}
+            onClick={() => handleNavClick(PATHS.home)}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.98 }}
           >
@@ -85,7 +115,7 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
             {navItems.map((item) => (
               <motion.button
                 key={item.id}
-                onClick={() => handleNavClick(item.id)}
+                onClick={() => handleNavClick(item.path)}
                 className={`px-4 py-2 rounded-lg font-medium transition-all relative group ${
                   currentPage === item.id
                     ? 'text-primary-cyan'
@@ -97,6 +127,14 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
                 <span className="relative z-10 flex items-center gap-2">
                   <span className="text-base">{item.icon}</span>
                   <span>{item.label}</span>
+                  {item.badge > 0 && (
+                    <span
+                      className="min-w-[1.25rem] h-5 px-1 rounded-full bg-amber-500 text-primary-dark text-[11px] font-bold flex items-center justify-center"
+                      title={item.badgeTitle}
+                    >
+                      {item.badge}
+                    </span>
+                  )}
                 </span>
                 {currentPage === item.id && (
                   <motion.div
@@ -170,7 +208,7 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
                 {navItems.map((item, index) => (
                   <motion.button
                     key={item.id}
-                    onClick={() => handleNavClick(item.id)}
+                    onClick={() => handleNavClick(item.path)}
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
                     transition={{ delay: index * 0.05 }}
@@ -182,6 +220,14 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
                   >
                     <span className="text-xl">{item.icon}</span>
                     <span>{item.label}</span>
+                    {item.badge > 0 && (
+                      <span
+                        className="min-w-[1.25rem] h-5 px-1 rounded-full bg-amber-500 text-primary-dark text-[11px] font-bold flex items-center justify-center"
+                        title={item.badgeTitle}
+                      >
+                        {item.badge}
+                      </span>
+                    )}
                     {currentPage === item.id && (
                       <motion.span
                         initial={{ scale: 0 }}
@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { getItemPhotos } from '../lib/itemPhotos'
+
+// How far (px) a swipe has to travel to change photo
+const SWIPE_DISTANCE = 60
+
+/**
+ * PhotoGallery - swipeable view of an item's photos, starting at the cover
+ * The gallery is only fetched for items with more than one photo; otherwise
+ * the cover (item.image_url) is all there is. Swipe, the arrows or the dots
+ * change photo; with `keyboard`, so do the arrow keys.
+ * @param {Object} item - The item row (image_url, photo_count)
+ * @param {string} className - Classes for the wrapper
+ * @param {string} imgClassName - Size and fit classes for the photo
+ * @param {boolean} keyboard - Listen for arrow keys (for full-screen viewers)
+ */
+const PhotoGallery = ({ item, className = '', imgClassName = '', keyboard = false }) => {
+  const [photos, setPhotos] = useState(item.image_url ? [{ id: 'cover', image_url: item.image_url }] : [])
+  const [index, setIndex] = useState(0)
+  const [direction, setDirection] = useState(0)
+
+  useEffect(() => {
+    setPhotos(item.image_url ? [{ id: 'cover', image_url: item.image_url }] : [])
+    setIndex(0)
+    if (!(item.photo_count > 1)) return
+
+    let cancelled = false
+    getItemPhotos(item.id).then(result => {
+      if (cancelled || !result.success || result.data.length === 0) return
+      setPhotos(result.data)
+      setIndex(Math.max(0, result.data.findIndex(photo => photo.image_url === item.image_url)))
+    })
+    return () => { cancelled = true }
+  }, [item.id, item.image_url, item.photo_count])
+
+  const go = (step) => {
+    setDirection(step)
+    setIndex(current => (current + step + photos.length) % photos.length)
+  }
+
+  useEffect(() => {
+    if (!keyboard || photos.length < 2) return
+    const handleKey = (e) => {
+      if (e.key === 'ArrowLeft') go(-1)
+      if (e.key === 'ArrowRight') go(1)
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [keyboard, photos.length])
+
+  const photo = photos[index]
+  if (!photo) return null
+
+  return (
+    <div className={`relative overflow-hidden select-none ${className}`}>
+      <AnimatePresence initial={false} custom={direction} mode="popLayout">
+        <motion.img
+          key={photo.id}
+          src={photo.image_url}
+          alt={`${item.item_name}${photos.length > 1 ? `, photo ${index + 1} of ${photos.length}` : ''}`}
+          custom={direction}
+          initial={(step) => ({ x: step > 0 ? '100%' : step < 0 ? '-100%' : 0, opacity: 0 })}
+          animate={{ x: 0, opacity: 1 }}
+          exit={(step) => ({ x: step > 0 ? '-100%' : step < 0 ? '100%' : 0, opacity: 0 })}
+          transition={{ type: 'tween', duration: 0.25 }}
+          drag={photos.length > 1 ? 'x' : false}
+          dragConstraints={{ left: 0, right: 0 }}
+          dragElastic={0.5}
+          onDragEnd={(e, { offset }) => {
+            if (offset.x < -SWIPE_DISTANCE) go(1)
+            if (offset.x > SWIPE_DISTANCE) go(-1)
+          }}
+          draggable={false}
+          className={imgClassName}
+        />
+      </AnimatePresence>
+
+      {photos.length > 1 && (
+        <>
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); go(-1) }}
+            className="absolute left-2 top-1/2 -translate-y-1/2 w-9 h-9 bg-black/50 backdrop-blur rounded-full flex items-center justify-center text-white hover:bg-black/70"
+            title="Previous photo"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); go(1) }}
+            className="absolute right-2 top-1/2 -translate-y-1/2 w-9 h-9 bg-black/50 backdrop-blur rounded-full flex items-center justify-center text-white hover:bg-black/70"
+            title="Next photo"
+          >
+            ›
+          </button>
+          <div className="absolute bottom-3 inset-x-0 flex justify-center gap-1.5">
+            {photos.map((p, i) => (
+              <button
+                key={p.id}
+                type="button"
+                onClick={(e) => { e.stopPropagation(); setDirection(i - index); setIndex(i) }}
+                className={`w-2 h-2 rounded-full transition-colors ${i === index ? 'bg-white' : 'bg-white/40 hover:bg-white/70'}`}
+                title={`Photo ${i + 1}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PhotoGallery
@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import { readImageMetadata, describeRemovedMetadata } from '../lib/imageMetadata'
+import { settingsFromUser, updateSettings } from '../lib/settings'
+
+/**
+ * PhotoPrivacyNote - tells the user what metadata will be stripped from the
+ * photo they picked, and (for items) offers to date the item by the photo
+ */
+const PhotoPrivacyNote = ({ file, captureDateOption = false }) => {
+  const { user } = useAuth()
+  const [metadata, setMetadata] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const useCaptureDate = settingsFromUser(user).useCaptureDate
+
+  useEffect(() => {
+    let cancelled = false
+    setMetadata(null)
+    if (file) {
+      readImageMetadata(file).then(result => {
+        if (!cancelled) setMetadata(result)
+      })
+    }
+    return () => { cancelled = true }
+  }, [file])
+
+  if (!metadata) return null
+
+  const removed = describeRemovedMetadata(metadata)
+  const showCaptureDate = captureDateOption && metadata.capturedAt
+
+  if (removed.length === 0 && !showCaptureDate) return null
+
+  const toggleCaptureDate = async () => {
+    setSaving(true)
+    await updateSettings({ useCaptureDate: !useCaptureDate })
+    setSaving(false)
+  }
+
+  return (
+    <div className="mt-3 text-xs text-left space-y-2">
+      {removed.length > 0 && (
+        <p className="text-green-300/90">
+          🔒 Removed before upload: {removed.join(', ')}
+        </p>
+      )}
+      {showCaptureDate && (
+        <label className="flex items-center gap-2 text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={useCaptureDate}
+            onChange={toggleCaptureDate}
+            disabled={saving}
+            className="accent-cyan-400"
+          />
+          Date items by when their photo was taken ({new Date(metadata.capturedAt).toLocaleDateString()})
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default PhotoPrivacyNote
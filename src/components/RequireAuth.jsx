@@ -0,0 +1,33 @@
+import { Navigate, useLocation } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import { PATHS } from '../lib/routes'
+
+/**
+ * RequireAuth - only renders its children for signed-in users
+ * Anyone else is sent to sign in, with the URL they asked for kept in the
+ * navigation state so they land back on it afterwards.
+ * @param {ReactNode} fallback - Shown while the session is being restored
+ */
+const RequireAuth = ({ children, fallback = null }) => {
+  const { user, loading } = useAuth()
+  const location = useLocation()
+
+  if (loading) return fallback
+  if (!user) {
+    return <Navigate to={PATHS.signIn} replace state={{ from: location }} />
+  }
+
+  return children
+}
+
+/**
+ * Where to go after signing in: the page that sent the user to sign in, else home
+ * @param {Object} location - The sign-in page's location
+ * @returns {string}
+ */
+export const redirectAfterSignIn = (location) => {
+  const from = location.state?.from
+  return from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : PATHS.home
+}
+
+export default RequireAuth
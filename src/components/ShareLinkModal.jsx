@@ -0,0 +1,171 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { createDocumentShare, SHARE_LINK_EXPIRIES, SHARE_VIEW_LIMITS, MIN_PASSCODE_LENGTH } from '../lib/documentShares'
+
+/**
+ * Copy text to the clipboard, with a fallback for browsers without the API
+ * @param {string} text
+ */
+export const copyToClipboard = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text)
+  } catch {
+    const textArea = document.createElement('textarea')
+    textArea.value = text
+    textArea.style.position = 'fixed'
+    textArea.style.left = '-999999px'
+    document.body.appendChild(textArea)
+    textArea.select()
+    document.execCommand('copy')
+    document.body.removeChild(textArea)
+  }
+}
+
+/**
+ * ShareLinkModal - create a revocable link to a document's image (how long
+ * it works, how many views, optional passcode), then copy it or hand it to
+ * the system share sheet
+ * Render inside AnimatePresence.
+ */
+const ShareLinkModal = ({ doc, mode = 'copy', onClose, onShared }) => {
+  const [expiresIn, setExpiresIn] = useState(SHARE_LINK_EXPIRIES[0].seconds)
+  const [maxViews, setMaxViews] = useState(SHARE_VIEW_LIMITS[0].views)
+  const [passcode, setPasscode] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleCreate = async () => {
+    setCreating(true)
+    setError('')
+
+    const result = await createDocumentShare(doc, { expiresIn, maxViews, passcode })
+    if (!result.success) {
+      setError(result.error)
+      setCreating(false)
+      return
+    }
+
+    const label = SHARE_LINK_EXPIRIES.find(option => option.seconds === expiresIn).label
+    const details = [`works for ${label}`]
+    if (passcode.trim()) details.push('passcode required')
+    try {
+      if (mode === 'share' && navigator.share) {
+        await navigator.share({ title: doc.document_name, url: result.data.url })
+        onShared?.(`Link shared · ${details.join(' · ')}`, result.data)
+      } else {
+        await copyToClipboard(result.data.url)
+        onShared?.(`Link copied · ${details.join(' · ')}`, result.data)
+      }
+      onClose()
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setCreating(false)
+        return
+      }
+      // The share exists even if handing it over failed; it's in Shared links
+      console.error('Share link error:', err)
+      onShared?.(null, result.data)
+      setError('Failed to share the link. Copy it from Shared links instead.')
+      setCreating(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 px-4"
+      onClick={() => !creating && onClose()}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.8, opacity: 0, y: 20 }}
+        transition={{ type: "spring", stiffness: 300, damping: 25 }}
+        onClick={(e) => e.stopPropagation()}
+        className="glass rounded-2xl p-8 max-w-md w-full border border-amber-500/30 shadow-2xl"
+      >
+        <div className="text-5xl mb-4 text-center">🔗</div>
+        <h3 className="text-2xl font-bold mb-2 text-center">
+          Share <span className="text-amber-400">{doc.document_name}</span>
+        </h3>
+        <p className="text-gray-400 text-sm text-center mb-6">
+          Anyone with the link can open this document's image until it expires or you revoke it.
+        </p>
+
+        <p className="text-xs text-gray-500 uppercase tracking-wide mb-2">Works for</p>
+        <div className="grid grid-cols-3 gap-2 mb-5">
+          {SHARE_LINK_EXPIRIES.map(option => (
+            <button
+              key={option.seconds}
+              onClick={() => setExpiresIn(option.seconds)}
+              className={`px-3 py-3 rounded-xl text-sm font-semibold border transition-colors ${
+                expiresIn === option.seconds
+                  ? 'bg-amber-500/20 text-amber-300 border-amber-500/50'
+                  : 'text-gray-400 border-white/10 hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-500 uppercase tracking-wide mb-2">Can be opened</p>
+        <div className="grid grid-cols-4 gap-2 mb-5">
+          {SHARE_VIEW_LIMITS.map(option => (
+            <button
+              key={option.label}
+              onClick={() => setMaxViews(option.views)}
+              className={`px-2 py-2 rounded-xl text-xs font-semibold border transition-colors ${
+                maxViews === option.views
+                  ? 'bg-amber-500/20 text-amber-300 border-amber-500/50'
+                  : 'text-gray-400 border-white/10 hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <label className="block text-xs text-gray-500 uppercase tracking-wide mb-2" htmlFor="share-passcode">
+          Passcode (optional)
+        </label>
+        <input
+          id="share-passcode"
+          type="text"
+          value={passcode}
+          onChange={(e) => setPasscode(e.target.value)}
+          placeholder={`At least ${MIN_PASSCODE_LENGTH} characters`}
+          autoComplete="off"
+          className="w-full px-4 py-3 mb-6 rounded-xl bg-dark-100 border border-white/10 text-gray-100 placeholder-gray-500 focus:border-amber-500/50 focus:outline-none caret-amber-400"
+        />
+
+        {error && (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3 mb-4 text-red-300 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={creating}
+            className="flex-1 px-6 py-3 border-2 border-gray-600 text-gray-300 rounded-xl hover:bg-white/5 font-bold disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={creating}
+            className="flex-1 px-6 py-3 bg-gradient-to-r from-amber-500 to-orange-500 text-white rounded-xl font-bold disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : mode === 'share' ? 'Share link' : 'Copy link'}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default ShareLinkModal
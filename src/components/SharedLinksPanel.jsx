@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { useCachedData } from '../hooks/useDataCache'
+import { copyToClipboard } from './ShareLinkModal'
+import { getDocumentShares, getShareAccessLog, revokeDocumentShare, isShareUsedUp } from '../lib/documentShares'
+
+const OUTCOME_LABELS = {
+  opened: { label: 'Opened', className: 'text-green-300' },
+  wrong_passcode: { label: 'Wrong passcode', className: 'text-red-300' },
+  locked: { label: 'Blocked (too many wrong passcodes)', className: 'text-red-300' },
+  expired: { label: 'Tried after expiry', className: 'text-gray-400' },
+  revoked: { label: 'Tried after revoking', className: 'text-gray-400' },
+  view_limit: { label: 'Tried after view limit', className: 'text-gray-400' }
+}
+
+/**
+ * "5 min ago" / "in 3 hours" style time, relative to now
+ * @param {string} dateString - ISO date
+ * @returns {string}
+ */
+const formatRelative = (dateString) => {
+  const seconds = Math.round((new Date(dateString).getTime() - Date.now()) / 1000)
+  const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' })
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60]]
+  for (const [unit, size] of units) {
+    if (Math.abs(seconds) >= size) return format.format(Math.round(seconds / size), unit)
+  }
+  return format.format(seconds, 'second')
+}
+
+/**
+ * SharedLinksPanel - the user's live document share links with their view
+ * counts, last access and access log, and a button to revoke each one.
+ * Renders nothing while there are no live links.
+ * @param {number} refreshKey - Change to reload the list (e.g. after sharing)
+ */
+const SharedLinksPanel = ({ refreshKey = 0 }) => {
+  const { data: shares, error: loadError, refresh, mutate } = useCachedData(getDocumentShares, 30000)
+  const [confirmRevokeId, setConfirmRevokeId] = useState(null)
+  const [revokingId, setRevokingId] = useState(null)
+  const [copiedId, setCopiedId] = useState(null)
+  const [openLogId, setOpenLogId] = useState(null)
+  const [accessLog, setAccessLog] = useState([])
+  const [loadingLog, setLoadingLog] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (refreshKey > 0) refresh()
+  }, [refreshKey, refresh])
+
+  if (!shares || shares.length === 0) {
+    return loadError ? (
+      <p className="text-sm text-gray-500 mt-12">Shared links could not be loaded: {loadError}</p>
+    ) : null
+  }
+
+  const handleRevoke = async (share) => {
+    setRevokingId(share.id)
+    setError('')
+    const result = await revokeDocumentShare(share.id)
+    if (result.success) {
+      mutate(current => (current || []).filter(s => s.id !== share.id))
+      if (openLogId === share.id) setOpenLogId(null)
+    } else {
+      setError(result.error)
+    }
+    setRevokingId(null)
+    setConfirmRevokeId(null)
+  }
+
+  const handleCopy = async (share) => {
+    await copyToClipboard(share.url)
+    setCopiedId(share.id)
+    setTimeout(() => setCopiedId(current => current === share.id ? null : current), 2000)
+  }
+
+  const toggleLog = async (share) => {
+    if (openLogId === share.id) {
+      setOpenLogId(null)
+      return
+    }
+    setOpenLogId(share.id)
+    setAccessLog([])
+    setLoadingLog(true)
+    const result = await getShareAccessLog(share.id)
+    if (result.success) {
+      setAccessLog(result.data)
+    } else {
+      setError(result.error)
+    }
+    setLoadingLog(false)
+  }
+
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mt-16"
+    >
+      <div className="flex items-center gap-4 mb-6">
+        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-amber-500 to-orange-600 flex items-center justify-center shadow-lg shadow-amber-500/20">
+          <span className="text-2xl">🔗</span>
+        </div>
+        <div>
+          <h2 className="text-2xl font-bold text-white">Shared links</h2>
+          <p className="text-gray-500 text-sm">
+            {shares.length} active {shares.length === 1 ? 'link' : 'links'} · revoke any of them at any time
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3 mb-4 text-red-300 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {shares.map(share => {
+          const usedUp = isShareUsedUp(share)
+          return (
+            <div key={share.id} className="bg-dark-200/50 rounded-xl border border-white/5 p-4">
+              <div className="flex flex-col md:flex-row md:items-center gap-3 md:gap-6">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-gray-100 truncate">
+                      {share.documents?.document_name || 'Document'}
+                    </span>
+                    {share.has_passcode && (
+                      <span className="text-xs text-amber-400" title="Passcode required">🔒</span>
+                    )}
+                    {usedUp && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-gray-500/20 text-gray-400">Used up</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Expires {formatRelative(share.expires_at)} · Created {new Date(share.created_at).toLocaleDateString()}
+                  </p>
+                </div>
+
+                <div className="text-sm text-gray-400 md:text-right">
+                  <div>
+                    <span className="text-gray-200 font-semibold">{share.view_count}</span>
+                    {share.max_views ? ` / ${share.max_views}` : ''} {share.view_count === 1 && !share.max_views ? 'view' : 'views'}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {share.last_accessed_at ? `Last opened ${formatRelative(share.last_accessed_at)}` : 'Not opened yet'}
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleCopy(share)}
+                    disabled={usedUp}
+                    className="px-3 py-2 text-xs font-semibold text-gray-300 border border-white/10 rounded-lg hover:text-white hover:border-amber-500/30 disabled:opacity-40"
+                  >
+                    {copiedId === share.id ? '✓ Copied' : 'Copy'}
+                  </button>
+                  <button
+                    onClick={() => toggleLog(share)}
+                    className="px-3 py-2 text-xs font-semibold text-gray-300 border border-white/10 rounded-lg hover:text-white hover:border-amber-500/30"
+                  >
+                    {openLogId === share.id ? 'Hide log' : 'Access log'}
+                  </button>
+                  {confirmRevokeId === share.id ? (
+                    <>
+                      <button
+                        onClick={() => handleRevoke(share)}
+                        disabled={revokingId === share.id}
+                        className="px-3 py-2 text-xs font-semibold text-white bg-red-500/80 rounded-lg hover:bg-red-500 disabled:opacity-50"
+                      >
+                        {revokingId === share.id ? 'Revoking...' : 'Confirm'}
+                      </button>
+                      <button
+                        onClick={() => setConfirmRevokeId(null)}
+                        disabled={revokingId === share.id}
+                        className="px-2 py-2 text-xs text-gray-500 hover:text-white"
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => setConfirmRevokeId(share.id)}
+                      className="px-3 py-2 text-xs font-semibold text-red-300 border border-red-500/30 rounded-lg hover:bg-red-500/10"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <AnimatePresence>
+                {openLogId === share.id && (
+                  <motion.div
+                    initial={{ height: 0, opacity: 0 }}
+                    animate={{ height: 'auto', opacity: 1 }}
+                    exit={{ height: 0, opacity: 0 }}
+                    className="overflow-hidden"
+                  >
+                    <div className="mt-4 pt-3 border-t border-white/5 text-xs">
+                      {loadingLog ? (
+                        <p className="text-gray-500">Loading...</p>
+                      ) : accessLog.length === 0 ? (
+                        <p className="text-gray-500">Nobody has opened this link yet.</p>
+                      ) : (
+                        <ul className="space-y-1 max-h-48 overflow-y-auto">
+                          {accessLog.map(entry => {
+                            const outcome = OUTCOME_LABELS[entry.outcome] || { label: entry.outcome, className: 'text-gray-400' }
+                            return (
+                              <li key={entry.id} className="flex justify-between gap-4">
+                                <span className={outcome.className}>{outcome.label}</span>
+                                <span className="text-gray-500">{new Date(entry.accessed_at).toLocaleString()}</span>
+                              </li>
+                            )
+                          })}
+                        </ul>
+                      )}
+                    </div>
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
+          )
+        })}
+      </div>
+    </motion.section>
+  )
+}
+
+export default SharedLinksPanel
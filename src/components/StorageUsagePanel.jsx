@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { scanStorage, removeOrphans, ORPHAN_GRACE_MINUTES } from '../lib/storageSweeper'
+
+const BUCKET_LABELS = {
+  'item-images': '📦 Item & place photos',
+  'document-images': '📋 Document images'
+}
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * StorageUsagePanel - storage used per bucket, plus cleanup of files no
+ * item, document or place points at any more
+ */
+const StorageUsagePanel = () => {
+  const [report, setReport] = useState(null)
+  const [scanning, setScanning] = useState(false)
+  const [cleaning, setCleaning] = useState(false)
+  const [error, setError] = useState('')
+  const [cleanResult, setCleanResult] = useState(null)
+  const [showOrphans, setShowOrphans] = useState(false)
+
+  const handleScan = async () => {
+    setScanning(true)
+    setError('')
+    setCleanResult(null)
+    const result = await scanStorage()
+    if (result.success) {
+      setReport(result.data)
+    } else {
+      setError(result.error)
+    }
+    setScanning(false)
+  }
+
+  const handleClean = async () => {
+    setCleaning(true)
+    setError('')
+    const result = await removeOrphans(report.orphans)
+    if (result.success) {
+      setCleanResult(result.data)
+      const rescan = await scanStorage()
+      if (rescan.success) setReport(rescan.data)
+    } else {
+      setError(result.error)
+    }
+    setCleaning(false)
+  }
+
+  return (
+    <div className="glass rounded-2xl p-8 border border-primary-cyan/20 mt-8">
+      <h2 className="text-2xl font-bold mb-2">Storage</h2>
+      <p className="text-gray-400 mb-6">
+        See how much space your photos use and clear out files left behind by failed uploads or deletes.
+      </p>
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-6 text-red-300">
+          {error}
+        </div>
+      )}
+
+      {cleanResult && (
+        <div className="bg-green-500/10 border border-green-500/30 rounded-xl p-4 mb-6 text-green-300">
+          ✅ Removed {cleanResult.removed} {cleanResult.removed === 1 ? 'file' : 'files'} ({formatBytes(cleanResult.freedBytes)} freed)
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-3 mb-6">
+          <div className="flex items-baseline justify-between">
+            <span className="text-gray-300 font-semibold">Total used</span>
+            <span className="text-xl font-bold text-primary-cyan">{formatBytes(report.totalBytes)}</span>
+          </div>
+          {Object.entries(report.buckets).map(([bucket, usage]) => (
+            <div key={bucket} className="flex items-center justify-between text-sm">
+              <span className="text-gray-400">{BUCKET_LABELS[bucket] || bucket}</span>
+              <span className="text-gray-300">
+                {usage.fileCount} {usage.fileCount === 1 ? 'file' : 'files'} · {formatBytes(usage.totalBytes)}
+              </span>
+            </div>
+          ))}
+
+          {report.orphans.length === 0 ? (
+            <p className="text-sm text-green-300 pt-2">✨ No orphaned files</p>
+          ) : (
+            <div className="bg-amber-500/10 border border-amber-500/30 rounded-xl p-4 mt-2">
+              <div className="flex items-center justify-between gap-4 flex-wrap">
+                <p className="text-amber-300 text-sm">
+                  {report.orphans.length} orphaned {report.orphans.length === 1 ? 'file' : 'files'} using {formatBytes(report.orphanBytes)}
+                </p>
+                <button
+                  onClick={() => setShowOrphans(!showOrphans)}
+                  className="text-xs text-gray-400 hover:text-white"
+                >
+                  {showOrphans ? 'Hide list' : 'Show list'}
+                </button>
+              </div>
+              {showOrphans && (
+                <ul className="mt-3 max-h-48 overflow-y-auto space-y-1 text-xs font-mono text-gray-400">
+                  {report.orphans.map(file => (
+                    <li key={`${file.bucket}/${file.path}`} className="flex justify-between gap-4">
+                      <span className="truncate">{file.bucket}/{file.path.split('/').pop()}</span>
+                      <span className="flex-shrink-0">{formatBytes(file.size)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button
+                onClick={handleClean}
+                disabled={cleaning}
+                className="mt-4 w-full px-4 py-2 text-sm font-semibold text-amber-300 border border-amber-500/40 rounded-lg hover:bg-amber-500/10 disabled:opacity-50"
+              >
+                {cleaning ? 'Removing...' : '🧹 Remove orphaned files'}
+              </button>
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Files uploaded in the last {ORPHAN_GRACE_MINUTES} minutes are never counted as orphans.
+          </p>
+        </div>
+      )}
+
+      <motion.button
+        onClick={handleScan}
+        disabled={scanning || cleaning}
+        whileHover={{ scale: 1.02 }}
+        whileTap={{ scale: 0.98 }}
+        className="w-full px-6 py-4 border-2 border-primary-cyan/30 hover:border-primary-cyan/60 text-gray-300 rounded-xl font-semibold disabled:opacity-50"
+      >
+        {scanning ? 'Checking storage...' : report ? '🔄 Check again' : '🔍 Check storage'}
+      </motion.button>
+    </div>
+  )
+}
+
+export default StorageUsagePanel
@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { subscribeToSync, syncNow, resolveConflict, retryChange, discardChange } from '../lib/sync'
+
+const ACTION_LABELS = {
+  add: 'Added',
+  update: 'Edited',
+  delete: 'Moved to Trash',
+  restore: 'Restored'
+}
+
+/**
+ * SyncStatus - corner badge for offline mode and changes waiting to sync
+ * Hidden while online with nothing queued. Opens a panel listing changes
+ * that need a decision: edits that conflict with a newer version on the
+ * server, and changes the server refused.
+ */
+const SyncStatus = () => {
+  const [status, setStatus] = useState(null)
+  const [open, setOpen] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  useEffect(() => subscribeToSync(setStatus), [])
+
+  if (!status) return null
+
+  const { offline, syncing, pending, conflicts, failed } = status
+  const attention = conflicts.length + failed.length
+  if (!offline && pending.length === 0 && attention === 0) return null
+
+  const run = async (entry, action) => {
+    setBusyId(entry.id)
+    await action()
+    setBusyId(null)
+  }
+
+  const count = (n) => `${n} ${n === 1 ? 'change' : 'changes'}`
+  const label = offline
+    ? `Offline${pending.length > 0 ? ` · ${count(pending.length)} saved on this device` : ''}`
+    : syncing
+      ? `Syncing ${count(pending.length)}...`
+      : pending.length > 0
+        ? `${count(pending.length)} waiting to sync`
+        : `${count(attention)} need${attention === 1 ? 's' : ''} attention`
+
+  return (
+    <div className="fixed bottom-6 left-6 z-40 max-w-sm">
+      <AnimatePresence>
+        {open && attention > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className="glass rounded-2xl border border-white/10 shadow-2xl p-4 mb-3 space-y-3 max-h-[60vh] overflow-y-auto"
+          >
+            {conflicts.map(entry => (
+              <div key={entry.id} className="bg-dark-200/50 rounded-xl border border-amber-500/30 p-3 space-y-2">
+                <div className="text-sm text-white font-medium truncate">{entry.label}</div>
+                <p className="text-xs text-gray-400">
+                  {ACTION_LABELS[entry.action]} offline, but it was also changed somewhere else since.
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => run(entry, () => resolveConflict(entry, 'mine'))}
+                    disabled={busyId === entry.id || offline}
+                    className="flex-1 px-3 py-1.5 text-xs rounded-lg bg-primary-cyan/15 text-primary-cyan hover:bg-primary-cyan/25 disabled:opacity-50"
+                  >
+                    Keep my edit
+                  </button>
+                  <button
+                    onClick={() => run(entry, () => resolveConflict(entry, 'theirs'))}
+                    disabled={busyId === entry.id}
+                    className="flex-1 px-3 py-1.5 text-xs rounded-lg border border-gray-600 text-gray-300 hover:bg-white/5 disabled:opacity-50"
+                  >
+                    Use the other version
+                  </button>
+                </div>
+              </div>
+            ))}
+            {failed.map(entry => (
+              <div key={entry.id} className="bg-dark-200/50 rounded-xl border border-red-500/30 p-3 space-y-2">
+                <div className="text-sm text-white font-medium truncate">{entry.label}</div>
+                <p className="text-xs text-red-400">
+                  {ACTION_LABELS[entry.action]} offline, but couldn't be saved: {entry.error}
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => run(entry, () => retryChange(entry))}
+                    disabled={busyId === entry.id || offline}
+                    className="flex-1 px-3 py-1.5 text-xs rounded-lg bg-primary-cyan/15 text-primary-cyan hover:bg-primary-cyan/25 disabled:opacity-50"
+                  >
+                    Try again
+                  </button>
+                  <button
+                    onClick={() => run(entry, () => discardChange(entry))}
+                    disabled={busyId === entry.id}
+                    className="flex-1 px-3 py-1.5 text-xs rounded-lg border border-gray-600 text-gray-300 hover:bg-white/5 disabled:opacity-50"
+                  >
+                    Discard
+                  </button>
+                </div>
+              </div>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass rounded-full border border-white/10 shadow-2xl px-4 py-2 flex items-center gap-3 text-sm"
+      >
+        <span className="text-gray-200">
+          {offline ? '📴' : syncing ? '🔄' : '⏳'} {label}
+        </span>
+        {!offline && !syncing && pending.length > 0 && (
+          <button
+            onClick={() => syncNow()}
+            className="text-primary-cyan font-bold hover:text-white transition-colors"
+          >
+            Sync now
+          </button>
+        )}
+        {attention > 0 && (
+          <button
+            onClick={() => setOpen(!open)}
+            className="px-2 py-0.5 rounded-full bg-amber-500 text-primary-dark text-xs font-bold"
+            title={`${count(attention)} need${attention === 1 ? 's' : ''} attention`}
+          >
+            {open ? 'Hide' : `⚠️ ${attention}`}
+          </button>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default SyncStatus
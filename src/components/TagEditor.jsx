@@ -0,0 +1,89 @@
+import { useState, useMemo } from 'react'
+import { normalizeTags } from '../lib/documents'
+
+/**
+ * TagEditor - chips plus a text box for editing document tags
+ * Enter or comma adds a tag, Backspace on an empty box removes the last one.
+ * `suggestions` (existing tags) drive the autocomplete list.
+ */
+const TagEditor = ({ value = [], onChange, suggestions = [], placeholder = 'Add a tag...' }) => {
+  const [input, setInput] = useState('')
+  const [focused, setFocused] = useState(false)
+
+  const matches = useMemo(() => {
+    const term = normalizeTags([input])[0] || ''
+    return suggestions
+      .filter(tag => !value.includes(tag) && (!term || tag.startsWith(term)))
+      .slice(0, 6)
+  }, [input, suggestions, value])
+
+  const addTags = (raw) => {
+    const next = normalizeTags([...value, ...normalizeTags(raw)])
+    if (next.length !== value.length) onChange(next)
+    setInput('')
+  }
+
+  const removeTag = (tag) => onChange(value.filter(t => t !== tag))
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && input.trim()) {
+      e.preventDefault()
+      addTags(input)
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1])
+    }
+  }
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 w-full px-3 py-2 rounded-xl bg-dark-100 border border-white/10 focus-within:border-amber-500/50 focus-within:ring-2 focus-within:ring-amber-500/20 transition-all">
+        {value.map(tag => (
+          <span key={tag} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-amber-500/15 text-amber-300 text-xs font-medium">
+            #{tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              className="text-amber-400/70 hover:text-white"
+              aria-label={`Remove ${tag}`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          // Let a click on a suggestion land before the list closes
+          onBlur={() => setTimeout(() => {
+            setFocused(false)
+            if (input.trim()) addTags(input)
+          }, 150)}
+          placeholder={value.length === 0 ? placeholder : ''}
+          className="flex-1 min-w-[8rem] bg-transparent py-1 text-gray-100 text-sm placeholder-gray-500 focus:outline-none caret-amber-400"
+          autoComplete="off"
+        />
+      </div>
+
+      {focused && matches.length > 0 && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-dark-200/95 backdrop-blur-xl rounded-xl border border-amber-500/30 shadow-2xl overflow-hidden z-40">
+          {matches.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addTags([tag])}
+              className="w-full px-4 py-2 text-left text-sm text-gray-300 hover:bg-amber-500/10 hover:text-amber-300"
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TagEditor
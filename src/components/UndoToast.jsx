@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+
+/**
+ * UndoToast - "Moved to Trash · Undo" bar shown after a delete
+ * Dismisses itself after `duration` ms; render it inside AnimatePresence
+ */
+const UndoToast = ({ message, onUndo, onDismiss, duration = 6000 }) => {
+  const [undoing, setUndoing] = useState(false)
+
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timer)
+  }, [onDismiss, duration])
+
+  const handleUndo = async () => {
+    setUndoing(true)
+    await onUndo()
+    setUndoing(false)
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 40 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 40 }}
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 glass rounded-xl border border-white/10 shadow-2xl px-5 py-3 flex items-center gap-4"
+    >
+      <span className="text-gray-200 text-sm">🗑️ {message}</span>
+      <button
+        onClick={handleUndo}
+        disabled={undoing}
+        className="text-primary-cyan font-bold text-sm hover:text-white transition-colors disabled:opacity-50"
+      >
+        {undoing ? 'Restoring...' : 'Undo'}
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-gray-500 hover:text-white text-sm"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </motion.div>
+  )
+}
+
+export default UndoToast
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { supabase } from '../lib/supabase'
+import { clearMirror } from '../lib/offlineStore'
 
 const AuthContext = createContext(null)
 
@@ -122,6 +123,8 @@ export const AuthProvider = ({ children }) => {
     try {
       const { error } = await supabase.auth.signOut()
       if (error) throw error
+      // Don't leave this account's items and documents on a shared device
+      await clearMirror()
       setUser(null)
       return { success: true }
     } catch (error) {
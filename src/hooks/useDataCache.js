@@ -1,12 +1,28 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
+import { onSynced } from '../lib/offlineStore'
+import { subscribeToChanges } from '../lib/realtime'
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at)
+
+// Apply a live change to a cached list (kept newest first)
+const mergeChange = (list, change, row) => {
+  const id = row?.id ?? change.id
+  const rest = list.filter(entry => entry.id !== id)
+  return change.type === 'upsert' ? [...rest, row].sort(newestFirst) : rest
+}
 
 /**
  * Custom hook for caching data fetches
  * Prevents unnecessary API calls if data is fresh
  * @param {Function} fetchFunction - The async function to fetch data
  * @param {number} cacheTime - How long to cache data in milliseconds (default: 30 seconds)
+ * @param {Object} options
+ * @param {string} options.liveTable - Merge live changes to this table ('items' or
+ *   'documents') into the cached list as they happen (see realtime.js)
+ * @param {Function} options.prepareRow - Async; turns a changed row into what the
+ *   list holds, given the cached version of it (if any). Must be a stable function.
  */
-export const useCachedData = (fetchFunction, cacheTime = 30000) => {
+export const useCachedData = (fetchFunction, cacheTime = 30000, { liveTable, prepareRow } = {}) => {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -50,6 +66,10 @@ export const useCachedData = (fetchFunction, cacheTime = 30000) => {
     fetchData()
   }, [fetchData])
 
+  // Reload once the server may have changes this list missed (offline changes
+  // synced, or live updates reconnected)
+  useEffect(() => onSynced(() => fetchData(true)), [fetchData])
+
   // Force refresh function
   const refresh = useCallback(() => {
     return fetchData(true)
@@ -61,7 +81,29 @@ export const useCachedData = (fetchFunction, cacheTime = 30000) => {
     lastFetchTime.current = 0
   }, [])
 
-  return { data, loading, error, refresh, invalidateCache }
+  // Update cached data in place (e.g. after an edit) without refetching
+  const mutate = useCallback((updater) => {
+    const next = typeof updater === 'function' ? updater(cachedData.current) : updater
+    cachedData.current = next
+    lastFetchTime.current = Date.now()
+    setData(next)
+    return next
+  }, [])
+
+  // Keep the list current with changes made on other devices and in other tabs
+  useEffect(() => {
+    if (!liveTable) return
+    return subscribeToChanges(liveTable, async (change) => {
+      let row = change.row
+      if (row && prepareRow) {
+        row = await prepareRow(row, cachedData.current?.find(entry => entry.id === row.id))
+      }
+      // Nothing to merge into until the first load finishes
+      if (cachedData.current) mutate(current => mergeChange(current, change, row))
+    })
+  }, [liveTable, prepareRow, mutate])
+
+  return { data, loading, error, refresh, invalidateCache, mutate }
 }
 
 /**
@@ -0,0 +1,52 @@
+import { useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+
+/**
+ * useQueryState - useState kept in the URL's query string
+ * Filters and view modes live in the URL so a refresh, a bookmark or a
+ * shared link brings the same view back. The default value is left out of
+ * the URL, and changes replace the history entry instead of adding one, so
+ * typing in a search box doesn't fill the back button.
+ * @param {string} key - Query parameter name
+ * @param {string} defaultValue - Value when the parameter is missing
+ * @returns {[string, Function]} The value and a setter (value or updater function)
+ */
+export const useQueryState = (key, defaultValue = '') => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const value = searchParams.get(key) ?? defaultValue
+
+  const setValue = useCallback((next) => {
+    // Start from the address bar rather than this render's params, so several
+    // setters called together (type and search at once) don't undo each other
+    const params = new URLSearchParams(window.location.search)
+    const resolved = typeof next === 'function' ? next(params.get(key) ?? defaultValue) : next
+    if (resolved === defaultValue || resolved === null || resolved === undefined || resolved === '') {
+      params.delete(key)
+    } else {
+      params.set(key, resolved)
+    }
+    setSearchParams(params, { replace: true })
+  }, [key, defaultValue, setSearchParams])
+
+  return [value, setValue]
+}
+
+/**
+ * useQueryListState - like useQueryState for a list, stored comma-separated
+ * @param {string} key - Query parameter name
+ * @returns {[string[], Function]} The list and a setter (list or updater function)
+ */
+export const useQueryListState = (key) => {
+  const [raw, setRaw] = useQueryState(key)
+  const list = raw ? raw.split(',').filter(Boolean) : []
+
+  const setList = useCallback((next) => {
+    setRaw(current => {
+      const currentList = current ? current.split(',').filter(Boolean) : []
+      const resolved = typeof next === 'function' ? next(currentList) : next
+      return resolved.join(',')
+    })
+  }, [setRaw])
+
+  return [list, setList]
+}
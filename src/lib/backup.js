@@ -0,0 +1,835 @@
+import { zip, unzip, strFromU8 } from 'fflate'
+import { supabase } from './supabase'
+import { uploadImage, deleteImage, downloadImage, parseImageUrl, getImageUrl, ITEM_IMAGES_BUCKET, DOCUMENT_IMAGES_BUCKET } from './storage'
+import { toCsv } from './csv'
+import { normalizeTags } from './documents'
+import { savePageRows } from './documentFiles'
+import { savePhotoRows } from './itemPhotos'
+
+/**
+ * Account backup and restore
+ * Builds a portable ZIP of everything a user has stored: items, documents,
+ * places, move history and every photo, browsable offline via index.html -
+ * and recreates that data under the signed-in account from such a ZIP.
+ */
+
+// Written to manifest.json so a restore can recognise the archive
+export const BACKUP_FORMAT = 'findit-export'
+export const BACKUP_VERSION = 1
+
+// Images are already compressed; storing them as-is keeps the export fast
+const STORE_ONLY = { level: 0 }
+
+const encoder = new TextEncoder()
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Rows keep everything except the owner, which means nothing outside this account
+const stripOwner = (rows) => rows.map(({ user_id, ...row }) => row)
+
+// Every column that appears in any row, for the CSV header
+const columnsOf = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))]
+
+// Group child rows (document pages, item photos) by their parent's ID
+const groupByParent = (rows, parentColumn) => {
+  const groups = new Map()
+  rows.forEach(row => {
+    if (!groups.has(row[parentColumn])) groups.set(row[parentColumn], [])
+    groups.get(row[parentColumn]).push(row)
+  })
+  return groups
+}
+
+// An archived row's files besides image_url: document pages and item photos
+const attachmentsOf = (row) => [...(row.pages || []), ...(row.photos || [])]
+
+// Rows read per request; PostgREST caps a response at max_rows (1000 by default)
+const FETCH_PAGE_SIZE = 1000
+
+/**
+ * Fetch all of the user's rows from a table
+ * Read in pages, so large accounts aren't cut off at the server's row limit.
+ * @param {string} table - Table name
+ * @param {string} userId - The user's ID
+ * @param {string} orderBy - Column to sort by (oldest first)
+ * @param {string[]} keyColumns - Columns that tell rows apart, so pages don't overlap
+ * @returns {Promise<Array>}
+ */
+const fetchAllRows = async (table, userId, orderBy = 'created_at', keyColumns = ['id']) => {
+  const rows = []
+  for (let offset = 0; ; offset += FETCH_PAGE_SIZE) {
+    let query = supabase
+      .from(table)
+      .select('*')
+      .eq('user_id', userId)
+      .order(orderBy, { ascending: true })
+    keyColumns.forEach(column => { query = query.order(column, { ascending: true }) })
+
+    const { data, error } = await query.range(offset, offset + FETCH_PAGE_SIZE - 1)
+
+    if (error) {
+      // Optional tables (places, history) may not be set up yet
+      if (error.code === '42P01') return []
+      throw new Error(`Failed to load ${table}: ${error.message}`)
+    }
+
+    rows.push(...(data || []))
+    if (!data || data.length < FETCH_PAGE_SIZE) return rows
+  }
+}
+
+/**
+ * A small offline page listing everything in the archive
+ */
+const buildIndexHtml = ({ items, documents, exportedAt }) => {
+  const card = (title, subtitle, imagePath) => `
+    <div class="card">
+      ${imagePath ? `<a href="${escapeHtml(imagePath)}"><img src="${escapeHtml(imagePath)}" alt=""></a>` : '<div class="placeholder"></div>'}
+      <h3>${escapeHtml(title)}</h3>
+      <p>${escapeHtml(subtitle)}</p>
+    </div>`
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>FindIt AI export</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #0f172a; color: #e2e8f0; margin: 2rem; }
+  h1, h2 { color: #22d3ee; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 1rem; }
+  .card { background: #1e293b; border-radius: 12px; padding: 0.75rem; }
+  .card img, .placeholder { width: 100%; height: 140px; object-fit: cover; border-radius: 8px; background: #334155; }
+  .card h3 { margin: 0.5rem 0 0.25rem; font-size: 1rem; }
+  .card p { margin: 0; color: #94a3b8; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>FindIt AI export</h1>
+<p>Exported ${escapeHtml(new Date(exportedAt).toLocaleString())}. Full data is in items.json and documents.json.</p>
+<h2>Items (${items.length})</h2>
+<div class="grid">${items.map(item => card(item.item_name, `📍 ${item.location}`, item.image_url)).join('')}</div>
+<h2>Documents (${documents.length})</h2>
+<div class="grid">${documents.map(doc => card(doc.document_name, doc.document_type, doc.image_url)).join('')}</div>
+</body>
+</html>
+`
+}
+
+/**
+ * Export the whole account as a ZIP
+ * Archive layout:
+ *   manifest.json, index.html
+ *   items.json / items.csv, documents.json / documents.csv
+ *   locations.json, item_location_history.json, item_documents.json
+ *   images/items/*, images/documents/*, images/locations/*
+ * image_url fields, each item's photos[].file and each document's
+ * pages[].file point at the copies under images/ so the archive works offline.
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { done, total } as photos download
+ * @returns {Promise<{success: boolean, data?: Blob, missingImages?: string[], error?: string}>}
+ *   missingImages lists photos that couldn't be downloaded (their original URL is kept)
+ */
+export const exportAccount = async ({ onProgress } = {}) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to export your data.')
+
+    const [items, documents, locations, history, documentFiles, itemPhotos, itemDocuments] = await Promise.all([
+      fetchAllRows('items', user.id),
+      fetchAllRows('documents', user.id),
+      fetchAllRows('locations', user.id),
+      fetchAllRows('item_location_history', user.id, 'moved_at'),
+      fetchAllRows('document_files', user.id, 'page_index'),
+      fetchAllRows('item_photos', user.id, 'position'),
+      fetchAllRows('item_documents', user.id, 'created_at', ['item_id', 'document_id'])
+    ])
+
+    const files = {}
+    const missingImages = []
+    const pagesByDocument = groupByParent(documentFiles, 'document_id')
+    const photosByItem = groupByParent(itemPhotos, 'item_id')
+    // image_url is the cover; the whole gallery is under `photos`
+    const itemRows = stripOwner(items).map(({ photo_count, ...item }) => ({
+      ...item,
+      photos: (photosByItem.get(item.id) || []).map(photo => ({
+        file: photo.image_url,
+        is_cover: photo.is_cover
+      }))
+    }))
+    // Documents store a path in the private bucket; the archive uses image_url
+    // (the cover) like every other section, plus every page under `pages`
+    const documentRows = stripOwner(documents).map(({ image_path, page_count, ...doc }) => ({
+      ...doc,
+      image_url: image_path ? getImageUrl(image_path, DOCUMENT_IMAGES_BUCKET) : null,
+      pages: (pagesByDocument.get(doc.id) || []).map(file => ({
+        file: getImageUrl(file.file_path, DOCUMENT_IMAGES_BUCKET),
+        mime_type: file.mime_type
+      }))
+    }))
+    const locationRows = stripOwner(locations)
+    const sections = [
+      { name: 'items', rows: itemRows },
+      { name: 'documents', rows: documentRows },
+      { name: 'locations', rows: locationRows }
+    ]
+    const total = new Set(sections.flatMap(({ rows }) => rows.flatMap(row => [
+      row.image_url,
+      ...attachmentsOf(row).map(attachment => attachment.file)
+    ]).filter(Boolean))).size
+    let done = 0
+    onProgress?.({ done, total })
+
+    // Download a file once (a cover is also one of the pages or photos) and
+    // return its path in the archive, or null if it couldn't be downloaded
+    const archived = new Map()
+    const archiveFile = async (sectionName, url) => {
+      if (archived.has(url)) return archived.get(url)
+
+      const location = parseImageUrl(url)
+      const result = location ? await downloadImage(url) : { success: false }
+      let relativePath = null
+      if (result.success) {
+        relativePath = `images/${sectionName}/${location.path.split('/').pop()}`
+        files[relativePath] = [new Uint8Array(await result.data.arrayBuffer()), STORE_ONLY]
+      } else {
+        missingImages.push(url)
+      }
+      archived.set(url, relativePath)
+
+      done++
+      onProgress?.({ done, total })
+      return relativePath
+    }
+
+    // Download photos one at a time and point each row at its local copy
+    for (const section of sections) {
+      for (const row of section.rows) {
+        if (row.image_url) {
+          row.image_url = await archiveFile(section.name, row.image_url) || row.image_url
+        }
+        for (const attachment of attachmentsOf(row)) {
+          attachment.file = await archiveFile(section.name, attachment.file) || attachment.file
+        }
+      }
+    }
+
+    const exportedAt = new Date().toISOString()
+    const json = (value) => encoder.encode(JSON.stringify(value, null, 2))
+
+    files['manifest.json'] = json({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exported_at: exportedAt,
+      counts: {
+        items: itemRows.length,
+        documents: documentRows.length,
+        locations: locationRows.length,
+        images: total - missingImages.length
+      },
+      missing_images: missingImages
+    })
+    files['items.json'] = json(itemRows)
+    files['documents.json'] = json(documentRows)
+    files['locations.json'] = json(locationRows)
+    files['item_location_history.json'] = json(stripOwner(history))
+    files['item_documents.json'] = json(stripOwner(itemDocuments))
+    const itemCsvRows = itemRows.map(item => ({ ...item, photos: item.photos.map(photo => photo.file).join(' ') }))
+    files['items.csv'] = encoder.encode(toCsv(itemCsvRows, columnsOf(itemCsvRows)))
+    const documentCsvRows = documentRows.map(doc => ({ ...doc, pages: doc.pages.map(page => page.file).join(' ') }))
+    files['documents.csv'] = encoder.encode(toCsv(documentCsvRows, columnsOf(documentCsvRows)))
+    files['index.html'] = encoder.encode(buildIndexHtml({ items: itemRows, documents: documentRows, exportedAt }))
+
+    const archive = await new Promise((resolve, reject) => {
+      zip(files, (error, result) => (error ? reject(new Error('Failed to build the export archive.')) : resolve(result)))
+    })
+
+    return {
+      success: true,
+      data: new Blob([archive], { type: 'application/zip' }),
+      missingImages
+    }
+
+  } catch (error) {
+    console.error('Export account error:', error)
+    return {
+      success: false,
+      error: error.message || 'Export failed. Please try again.'
+    }
+  }
+}
+
+// Ways to settle a record that already exists in the account
+export const CONFLICT_RESOLUTIONS = [
+  { value: 'skip', label: 'Skip' },
+  { value: 'overwrite', label: 'Overwrite' },
+  { value: 'keep', label: 'Keep both' }
+]
+
+// Files restore knows how to upload, by extension (PDFs are document pages)
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+}
+
+// Where restored photos are uploaded, by archive section
+const SECTION_BUCKETS = {
+  items: ITEM_IMAGES_BUCKET,
+  documents: DOCUMENT_IMAGES_BUCKET,
+  locations: ITEM_IMAGES_BUCKET
+}
+
+// Child table holding a section's files in order (item photos, document
+// pages) and the archive key they're under. The parent's cover image and
+// counter follow the child rows through database triggers.
+const FILE_TABLES = {
+  items: { table: 'item_photos', parent: 'item_id', column: 'image_url', archived: 'photos', cover: 'image_url', counter: 'photo_count' },
+  documents: { table: 'document_files', parent: 'document_id', column: 'file_path', archived: 'pages', cover: 'image_path', counter: 'page_count' }
+}
+
+// Columns the database fills in for a restored row
+const GENERATED_COLUMNS = ['id', 'user_id', 'updated_at']
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase()
+
+// What makes two records "the same thing" when their ids differ
+const MATCH_KEYS = {
+  items: (row) => `${normalize(row.item_name)}|${normalize(row.location)}`,
+  documents: (row) => `${normalize(row.document_name)}|${normalize(row.document_type)}`
+}
+
+const SECTION_NAMES = {
+  items: (row) => row.item_name,
+  documents: (row) => row.document_name
+}
+
+/**
+ * Key a record is tracked under in resolutions and saved progress
+ * @param {'items'|'documents'|'locations'} section
+ * @param {Object} record - Row from the archive
+ * @returns {string}
+ */
+export const restoreKey = (section, record) => `${section}:${record.id}`
+
+/**
+ * Open a FindIt export archive
+ * @param {File} file - The .zip produced by exportAccount
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ *   data holds manifest, items, documents, locations, history and images (Map of path -> File)
+ */
+export const readBackupArchive = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided.')
+    }
+
+    const buffer = new Uint8Array(await file.arrayBuffer())
+    const entries = await new Promise((resolve, reject) => {
+      unzip(buffer, (error, result) => (error ? reject(new Error('This ZIP file could not be opened.')) : resolve(result)))
+    })
+
+    const readJson = (path, fallback) => {
+      if (!entries[path]) return fallback
+      try {
+        return JSON.parse(strFromU8(entries[path]))
+      } catch {
+        throw new Error(`${path} in this archive is damaged.`)
+      }
+    }
+
+    const manifest = readJson('manifest.json', null)
+    if (manifest?.format !== BACKUP_FORMAT) {
+      throw new Error('This isn\'t a FindIt export. Please choose a ZIP made with "Export my data".')
+    }
+    if (manifest.version > BACKUP_VERSION) {
+      throw new Error('This export was made by a newer version of FindIt. Please update and try again.')
+    }
+
+    const images = new Map()
+    Object.entries(entries).forEach(([path, bytes]) => {
+      if (!path.startsWith('images/') || path.endsWith('/')) return
+      const name = path.split('/').pop()
+      const type = IMAGE_TYPES[name.split('.').pop()?.toLowerCase()]
+      if (type) images.set(path, new File([bytes], name, { type }))
+    })
+
+    return {
+      success: true,
+      data: {
+        manifest,
+        items: readJson('items.json', []),
+        documents: readJson('documents.json', []),
+        locations: readJson('locations.json', []),
+        history: readJson('item_location_history.json', []),
+        itemDocuments: readJson('item_documents.json', []),
+        images
+      }
+    }
+
+  } catch (error) {
+    console.error('Read backup archive error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to read the archive.'
+    }
+  }
+}
+
+/**
+ * Find archive records that already exist in the account
+ * A record conflicts when a row with the same id exists, or failing that one
+ * with the same name and location (items) or name and type (documents).
+ * @param {Object} archive - Output of readBackupArchive
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ *   data holds { key, section, name, reason: 'id'|'match', record, existing }
+ */
+export const findRestoreConflicts = async (archive) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to restore data.')
+
+    const conflicts = []
+
+    for (const section of ['items', 'documents']) {
+      const existing = await fetchAllRows(section, user.id)
+      const byId = new Map(existing.map(row => [row.id, row]))
+      const byMatch = new Map(existing.map(row => [MATCH_KEYS[section](row), row]))
+
+      archive[section].forEach(record => {
+        const sameId = byId.get(record.id)
+        const sameThing = sameId ? null : byMatch.get(MATCH_KEYS[section](record))
+        if (!sameId && !sameThing) return
+
+        conflicts.push({
+          key: restoreKey(section, record),
+          section,
+          name: SECTION_NAMES[section](record),
+          reason: sameId ? 'id' : 'match',
+          record,
+          existing: sameId || sameThing
+        })
+      })
+    }
+
+    return {
+      success: true,
+      data: conflicts
+    }
+
+  } catch (error) {
+    console.error('Find restore conflicts error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to check for duplicates.'
+    }
+  }
+}
+
+/**
+ * Saved progress lives in localStorage so a closed tab can pick up where it stopped
+ */
+const progressKey = (userId, manifest) => `findit-restore:${userId}:${manifest.exported_at}`
+
+const loadProgress = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || null
+  } catch {
+    return null
+  }
+}
+
+const saveProgress = (key, progress) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(progress))
+  } catch (error) {
+    console.warn('Failed to save restore progress:', error.message)
+  }
+}
+
+/**
+ * Check for an unfinished restore of this archive
+ * @param {Object} manifest - archive.manifest
+ * @returns {Promise<{done: number, resolutions: object}|null>} null when there's nothing to resume
+ */
+export const getSavedRestore = async (manifest) => {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user || !manifest) return null
+
+  const saved = loadProgress(progressKey(user.id, manifest))
+  if (!saved) return null
+
+  return {
+    done: Object.keys(saved.completed || {}).length,
+    resolutions: saved.resolutions || {}
+  }
+}
+
+/**
+ * Forget saved progress for an archive (start over)
+ * @param {Object} manifest - archive.manifest
+ */
+export const discardSavedRestore = async (manifest) => {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (user && manifest) {
+    localStorage.removeItem(progressKey(user.id, manifest))
+  }
+}
+
+// Parents before children, so every parent_id can be mapped to its new id
+const sortParentsFirst = (locations) => {
+  const ids = new Set(locations.map(node => node.id))
+  const placed = new Set()
+  const sorted = []
+  let remaining = locations
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(node => !node.parent_id || !ids.has(node.parent_id) || placed.has(node.parent_id))
+    // A cycle can't be resolved; attach what's left at the top level
+    const batch = ready.length > 0 ? ready : remaining.map(node => ({ ...node, parent_id: null }))
+    batch.forEach(node => {
+      placed.add(node.id)
+      sorted.push(node)
+    })
+    remaining = remaining.filter(node => !placed.has(node.id))
+  }
+
+  return sorted
+}
+
+/**
+ * Restore an export archive into the signed-in account
+ * Places are merged by name, then items and documents are recreated with their
+ * photos re-uploaded. Conflicting records follow `resolutions` (default: skip).
+ * Progress is saved after every record; running it again with the same archive
+ * continues where it stopped.
+ * @param {Object} archive - Output of readBackupArchive
+ * @param {Object} options
+ * @param {Object<string, string>} options.resolutions - restoreKey -> 'skip' | 'overwrite' | 'keep'
+ * @param {Array} options.conflicts - Output of findRestoreConflicts
+ * @param {Function} options.onProgress - Called with { done, total }
+ * @returns {Promise<{success: boolean, data?: {created: number, updated: number, skipped: number, failed: array}, error?: string}>}
+ *   failed holds { section, name, error } for records that couldn't be restored
+ */
+export const restoreBackup = async (archive, { resolutions = {}, conflicts = [], onProgress } = {}) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to restore data.')
+
+    const storageKey = progressKey(user.id, archive.manifest)
+    const progress = loadProgress(storageKey) || {
+      completed: {},
+      locationIds: {},
+      recordIds: { items: {}, documents: {} },
+      resolutions,
+      summary: { created: 0, updated: 0, skipped: 0, failed: [] }
+    }
+    progress.resolutions = { ...progress.resolutions, ...resolutions }
+    progress.recordIds = progress.recordIds || { items: {}, documents: {} }
+
+    const conflictsByKey = new Map(conflicts.map(conflict => [conflict.key, conflict]))
+    // Totals carry over from an earlier, interrupted run
+    const { summary } = progress
+    const total = archive.locations.length + archive.items.length + archive.documents.length
+    let done = 0
+
+    const step = (key, outcome) => {
+      progress.completed[key] = outcome
+      saveProgress(storageKey, progress)
+      done++
+      onProgress?.({ done, total })
+    }
+
+    // Upload the archived copy of a photo and return what the row should store
+    // (see FILE_TABLES). Absolute URLs are kept as they are; a document
+    // URL from an older export becomes its path.
+    const restoreImage = async (section, imageUrl) => {
+      if (!imageUrl) return null
+      if (!imageUrl.startsWith('images/')) {
+        if (section !== 'documents') return imageUrl
+        const location = parseImageUrl(imageUrl)
+        return location?.bucket === DOCUMENT_IMAGES_BUCKET ? location.path : null
+      }
+      const file = archive.images.get(imageUrl)
+      if (!file) return null
+
+      const uploadResult = await uploadImage(file, user.id, SECTION_BUCKETS[section])
+      if (!uploadResult.success) {
+        throw new Error(`Image upload failed: ${uploadResult.error || 'Unknown error'}`)
+      }
+      return section === 'documents' ? uploadResult.path : uploadResult.url
+    }
+
+    // Remove a photo this restore uploaded, or one it replaced
+    const removeImage = (section, value) =>
+      deleteImage(value, section === 'documents' ? DOCUMENT_IMAGES_BUCKET : null)
+
+    // Upload a record's photos or pages and return what their rows store, in
+    // order, plus which one is the cover. Exports from before galleries and
+    // multi-page documents only have the cover in image_url.
+    const restoreFiles = async (section, record, uploaded) => {
+      const archived = record[FILE_TABLES[section].archived]
+      const sources = archived?.length
+        ? archived
+        : [{ file: record.image_url, is_cover: true }].filter(entry => entry.file)
+      const values = []
+      let coverIndex = 0
+      for (const source of sources) {
+        const value = await restoreImage(section, source.file)
+        if (!value) continue
+        if (source.is_cover) coverIndex = values.length
+        values.push(value)
+        if (source.file.startsWith('images/')) uploaded.push(value)
+      }
+      return { values, coverIndex }
+    }
+
+    // Save restored files as a record's photos or pages
+    const saveFiles = (section, parentId, values, coverIndex) => section === 'items'
+      ? savePhotoRows(parentId, user.id, values, { coverIndex })
+      : savePageRows(parentId, user.id, values)
+
+    // Swap an existing record's photos or pages for restored ones
+    const replaceFiles = async (section, parentId, { values, coverIndex }) => {
+      const { table, parent, column } = FILE_TABLES[section]
+      const { data: oldRows, error } = await supabase
+        .from(table)
+        .select(`id, ${column}`)
+        .eq(parent, parentId)
+        .eq('user_id', user.id)
+      if (error) throw new Error(error.message)
+
+      // An item can only have one cover, so the new one is marked once the old rows are gone
+      const saved = values.length > 0 ? await saveFiles(section, parentId, values, -1) : []
+      if (oldRows.length > 0) {
+        const { error: deleteError } = await supabase
+          .from(table)
+          .delete()
+          .in('id', oldRows.map(row => row.id))
+        if (deleteError) throw new Error(deleteError.message)
+      }
+      if (section === 'items' && saved[coverIndex]) {
+        const { error: coverError } = await supabase
+          .from(table)
+          .update({ is_cover: true })
+          .eq('id', saved[coverIndex].id)
+        if (coverError) throw new Error(coverError.message)
+      }
+
+      for (const row of oldRows) {
+        if (!values.includes(row[column])) await removeImage(section, row[column])
+      }
+    }
+
+    const fieldsOf = (record) => {
+      const fields = { ...record }
+      GENERATED_COLUMNS.forEach(column => delete fields[column])
+      return fields
+    }
+
+    // Places: reuse an existing node with the same name under the same parent
+    const existingLocations = await fetchAllRows('locations', user.id)
+    for (const node of sortParentsFirst(archive.locations)) {
+      const key = restoreKey('locations', node)
+      if (progress.completed[key]) {
+        done++
+        continue
+      }
+
+      const parentId = node.parent_id ? progress.locationIds[node.parent_id] || null : null
+      const match = existingLocations.find(existing =>
+        normalize(existing.name) === normalize(node.name) && (existing.parent_id || null) === parentId
+      )
+
+      if (match) {
+        progress.locationIds[node.id] = match.id
+        step(key, 'merged')
+        continue
+      }
+
+      try {
+        const { data, error } = await supabase
+          .from('locations')
+          .insert([{
+            ...fieldsOf(node),
+            user_id: user.id,
+            parent_id: parentId,
+            image_url: await restoreImage('locations', node.image_url)
+          }])
+          .select()
+          .single()
+
+        if (error) throw new Error(error.message)
+
+        existingLocations.push(data)
+        progress.locationIds[node.id] = data.id
+        step(key, 'created')
+      } catch (error) {
+        summary.failed.push({ section: 'locations', name: node.name, error: error.message })
+        step(key, 'failed')
+      }
+    }
+
+    const historyByItem = new Map()
+    archive.history.forEach(entry => {
+      if (!historyByItem.has(entry.item_id)) historyByItem.set(entry.item_id, [])
+      historyByItem.get(entry.item_id).push(entry)
+    })
+
+    // Items, then documents
+    for (const section of ['items', 'documents']) {
+      for (const record of archive[section]) {
+        const key = restoreKey(section, record)
+        if (progress.completed[key]) {
+          done++
+          continue
+        }
+
+        const conflict = conflictsByKey.get(key)
+        const resolution = conflict ? progress.resolutions[key] || 'skip' : 'keep'
+
+        if (resolution === 'skip') {
+          progress.recordIds[section][record.id] = conflict.existing.id
+          summary.skipped++
+          step(key, 'skipped')
+          continue
+        }
+
+        try {
+          const fields = fieldsOf(record)
+          if (section === 'items') {
+            fields.location_id = record.location_id ? progress.locationIds[record.location_id] || null : null
+          }
+          if (section === 'documents') {
+            // Older exports may carry `description` and comma-separated tags
+            if ('description' in fields) {
+              fields.notes = fields.notes ?? fields.description
+              delete fields.description
+            }
+            fields.tags = normalizeTags(fields.tags)
+          }
+          // The cover and counter follow the photos or pages (database triggers)
+          const { archived, cover, counter } = FILE_TABLES[section]
+          ;['image_url', cover, archived, counter].forEach(column => delete fields[column])
+
+          // Files this record uploaded, removed again if saving it fails
+          const uploaded = []
+          const removeUploaded = () => Promise.all(uploaded.map(value => removeImage(section, value)))
+          let restored
+          try {
+            restored = await restoreFiles(section, record, uploaded)
+          } catch (filesError) {
+            await removeUploaded()
+            throw filesError
+          }
+
+          if (resolution === 'overwrite') {
+            const { created_at, ...changes } = fields
+            const { error } = await supabase
+              .from(section)
+              .update({ ...changes, updated_at: new Date().toISOString() })
+              .eq('id', conflict.existing.id)
+              .eq('user_id', user.id)
+
+            if (error) {
+              await removeUploaded()
+              throw new Error(error.message)
+            }
+            await replaceFiles(section, conflict.existing.id, restored)
+            progress.recordIds[section][record.id] = conflict.existing.id
+            summary.updated++
+          } else {
+            const { data, error } = await supabase
+              .from(section)
+              .insert([{ ...fields, user_id: user.id }])
+              .select()
+              .single()
+
+            if (error) {
+              await removeUploaded()
+              throw new Error(error.message)
+            }
+
+            if (restored.values.length > 0) {
+              try {
+                await saveFiles(section, data.id, restored.values, restored.coverIndex)
+              } catch (filesError) {
+                await supabase.from(section).delete().eq('id', data.id).eq('user_id', user.id)
+                await removeUploaded()
+                throw filesError
+              }
+            }
+
+            // Bring the move trail along with the item
+            if (section === 'items') {
+              const trail = historyByItem.get(record.id) || [{ from_location: null, to_location: data.location }]
+              const { error: historyError } = await supabase
+                .from('item_location_history')
+                .insert(trail.map(entry => ({
+                  item_id: data.id,
+                  user_id: user.id,
+                  from_location: entry.from_location,
+                  to_location: entry.to_location,
+                  ...(entry.moved_at && { moved_at: entry.moved_at })
+                })))
+              if (historyError) {
+                console.warn('Failed to restore location history:', historyError.message)
+              }
+            }
+            progress.recordIds[section][record.id] = data.id
+            summary.created++
+          }
+          step(key, resolution)
+        } catch (error) {
+          summary.failed.push({ section, name: SECTION_NAMES[section](record), error: error.message })
+          step(key, 'failed')
+        }
+      }
+    }
+
+    // Links between items and documents, where both sides made it across
+    const links = (archive.itemDocuments || [])
+      .map(link => ({
+        item_id: progress.recordIds.items[link.item_id],
+        document_id: progress.recordIds.documents[link.document_id],
+        user_id: user.id
+      }))
+      .filter(link => link.item_id && link.document_id)
+    if (links.length > 0) {
+      const { error: linksError } = await supabase
+        .from('item_documents')
+        .upsert(links, { onConflict: 'item_id,document_id', ignoreDuplicates: true })
+      if (linksError) {
+        console.warn('Failed to restore linked documents:', linksError.message)
+      }
+    }
+
+    // Finished - nothing left to resume
+    localStorage.removeItem(storageKey)
+
+    return {
+      success: true,
+      data: summary
+    }
+
+  } catch (error) {
+    console.error('Restore backup error:', error)
+    return {
+      success: false,
+      error: error.message || 'Restore failed. Progress so far has been saved; try again to continue.'
+    }
+  }
+}
@@ -0,0 +1,106 @@
+import { parseDateOnly, DEFAULT_RENEWAL_LEAD_DAYS, DOCUMENT_TYPES } from './documents'
+
+/**
+ * iCalendar (.ics) export of document expiry dates
+ * Each document with an expiry date becomes an all-day event on that date,
+ * with an alarm at the start of its renewal lead time. Importing the file
+ * again updates the same events (UIDs are stable per document). Notes are
+ * left out: calendars get synced to places the document vault doesn't go.
+ */
+
+const PRODUCT_ID = '-//FindIt AI//Document expiries//EN'
+
+// Lines longer than this must be folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75
+
+const encoder = new TextEncoder()
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+// Split a content line into 75-octet chunks without breaking UTF-8 characters
+const foldLine = (line) => {
+  const chunks = []
+  let current = ''
+  let octets = 0
+  for (const char of line) {
+    const size = encoder.encode(char).length
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (octets + size > limit) {
+      chunks.push(current)
+      current = ''
+      octets = 0
+    }
+    current += char
+    octets += size
+  }
+  chunks.push(current)
+  return chunks.join('\r\n ')
+}
+
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('')
+
+const formatTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+/**
+ * Build an iCalendar file with one event per expiring document
+ * @param {Array} documents - Document rows; those without an expiry date are skipped
+ * @param {Date} now - Timestamp for DTSTAMP (defaults to now)
+ * @returns {string} The calendar, with CRLF line endings
+ */
+export const buildExpiryCalendar = (documents, now = new Date()) => {
+  const stamp = formatTimestamp(now)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Document expiries'
+  ]
+
+  documents.forEach(doc => {
+    const expiresOn = parseDateOnly(doc.expiry_date)
+    if (!expiresOn) return
+
+    const dayAfter = new Date(expiresOn.getFullYear(), expiresOn.getMonth(), expiresOn.getDate() + 1)
+    const leadDays = doc.renewal_lead_days ?? DEFAULT_RENEWAL_LEAD_DAYS
+    const type = DOCUMENT_TYPES.find(t => t.value === doc.document_type)?.label || doc.document_type
+    const description = [
+      `${type} expires on this day.`,
+      doc.issue_date ? `Issued ${doc.issue_date}.` : ''
+    ].filter(Boolean).join('\n')
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:document-${doc.id}-expiry@findit`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(expiresOn)}`,
+      `DTEND;VALUE=DATE:${formatDate(dayAfter)}`,
+      `SUMMARY:${escapeText(`${doc.document_name} expires`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      'TRANSP:TRANSPARENT'
+    )
+    if (leadDays > 0) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`Renew ${doc.document_name}: it expires in ${leadDays} days`)}`,
+        `TRIGGER:-P${leadDays}D`,
+        'END:VALARM'
+      )
+    }
+    lines.push('END:VEVENT')
+  })
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
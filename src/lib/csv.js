@@ -0,0 +1,85 @@
+/**
+ * CSV reading and writing shared by import and export
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/
+
+/**
+ * Parse CSV text into an array of row objects keyed by header
+ * Handles quoted fields, escaped quotes, CRLF and ";" separated exports.
+ * The apostrophe toCsv puts in front of formula-like values is taken off again.
+ * @param {string} text - Raw CSV
+ * @returns {Array<Object>}
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '')
+  const firstLine = source.split(/\r?\n/, 1)[0] || ''
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const [header, ...body] = records.filter(row => row.some(value => value.trim()))
+  if (!header) return []
+
+  const plainValue = (value) => value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value
+  return body.map(row => Object.fromEntries(header.map((key, index) => [key, plainValue(row[index] ?? '')])))
+}
+
+// Quote a value when it contains a separator, quote or line break. Text that
+// a spreadsheet would run as a formula (e.g. an item named "=HYPERLINK(...)")
+// gets a leading apostrophe so it's shown as text instead.
+const escapeCsvValue = (value) => {
+  if (value == null) return ''
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Turn rows into CSV text with a header line
+ * @param {Array<Object>} rows - Records to write
+ * @param {string[]} columns - Keys to include, in order
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')]
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','))
+  })
+  return lines.join('\r\n')
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { parseCsv, toCsv } from './csv'
+
+describe('toCsv', () => {
+  it('quotes values with separators, quotes and line breaks', () => {
+    const csv = toCsv([{ name: 'Keys, spare', notes: 'Say "hi"\nthen leave' }], ['name', 'notes'])
+    expect(csv).toBe('name,notes\r\n"Keys, spare","Say ""hi""\nthen leave"')
+  })
+
+  it('writes missing values as empty cells', () => {
+    expect(toCsv([{ name: 'Drill', category: null }], ['name', 'category', 'location'])).toBe('name,category,location\r\nDrill,,')
+  })
+
+  it('stops text from running as a formula in a spreadsheet', () => {
+    const rows = [
+      { value: '=HYPERLINK("http://example.com","Open")' },
+      { value: '+1+1' },
+      { value: '-2+3' },
+      { value: '@SUM(A1)' },
+      { value: '\tTabbed' }
+    ]
+    expect(toCsv(rows, ['value']).split('\r\n').slice(1)).toEqual([
+      '"\'=HYPERLINK(""http://example.com"",""Open"")"',
+      "'+1+1",
+      "'-2+3",
+      "'@SUM(A1)",
+      "'\tTabbed"
+    ])
+  })
+
+  it('leaves numbers and ordinary text alone', () => {
+    expect(toCsv([{ count: -3, name: 'Top drawer - left' }], ['count', 'name'])).toBe('count,name\r\n-3,Top drawer - left')
+  })
+})
+
+describe('parseCsv', () => {
+  it('reads rows keyed by header', () => {
+    expect(parseCsv('name,location\r\nKeys,"Hall, hook"\n')).toEqual([{ name: 'Keys', location: 'Hall, hook' }])
+  })
+
+  it('reads ";" separated files and skips a byte order mark', () => {
+    expect(parseCsv('\uFEFFname;location\nKeys;Hall')).toEqual([{ name: 'Keys', location: 'Hall' }])
+  })
+
+  it('gives back what toCsv wrote, formula-like text included', () => {
+    const rows = [
+      { name: '=cmd', notes: '-check "this"' },
+      { name: "'quoted", notes: '@home' }
+    ]
+    expect(parseCsv(toCsv(rows, ['name', 'notes']))).toEqual(rows)
+  })
+})
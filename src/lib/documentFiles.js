@@ -0,0 +1,343 @@
+import { supabase } from './supabase'
+import { uploadImage, deleteImage, createSignedImageUrls, thumbnailPathFor, PDF_MIME_TYPE, DOCUMENT_IMAGES_BUCKET } from './storage'
+import { MAX_SOURCE_IMAGE_SIZE, convertToJpeg } from './imageProcessing'
+import { isNetworkError } from './offlineStore'
+
+/**
+ * Document pages
+ * A document is an ordered list of files in document_files: images, PDFs or
+ * a mix. documents.image_path (the cover) and documents.page_count follow
+ * the pages through a database trigger, so only this table is written here.
+ */
+
+// More pages than this is better split into several documents
+export const MAX_PAGES_PER_DOCUMENT = 50
+
+// For <input type="file" accept>
+export const ACCEPTED_PAGE_TYPES = 'image/*,application/pdf'
+
+// Signed URLs for the page viewer
+const PAGE_URL_TTL = 60 * 60
+
+// A4 width in PDF points; image pages are scaled to it in the combined PDF
+const PDF_PAGE_WIDTH = 595
+
+/**
+ * Whether a file or page row is a PDF
+ * @param {File|{mime_type: string}} fileOrPage
+ * @returns {boolean}
+ */
+export const isPdfPage = (fileOrPage) => (fileOrPage.type || fileOrPage.mime_type) === PDF_MIME_TYPE
+
+/**
+ * Check that a file can become a document page
+ * @param {File} file
+ * @returns {string|null} An error message, or null when the file is fine
+ */
+export const validatePageFile = (file) => {
+  if (!file.type.startsWith('image/') && file.type !== PDF_MIME_TYPE) {
+    return `${file.name}: only images (PNG, JPG, GIF, WebP) and PDFs can be added.`
+  }
+  if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+    return `${file.name} is too large. Maximum size is ${MAX_SOURCE_IMAGE_SIZE / (1024 * 1024)}MB.`
+  }
+  return null
+}
+
+// Content type of a stored page, from its extension
+const mimeTypeForPath = (path) => {
+  const extension = path.split('.').pop().toLowerCase()
+  if (extension === 'pdf') return PDF_MIME_TYPE
+  if (extension === 'jpg' || extension === 'jpeg') return 'image/jpeg'
+  return `image/${extension}`
+}
+
+/**
+ * Add already-stored files as pages of a document
+ * @param {string} documentId - The document's ID
+ * @param {string} userId - The owner's ID
+ * @param {string[]} paths - Paths in the document bucket, in page order
+ * @param {number} firstIndex - page_index of the first new page
+ * @returns {Promise<Array>} The inserted document_files rows
+ */
+export const savePageRows = async (documentId, userId, paths, firstIndex = 0) => {
+  const { data, error } = await supabase
+    .from('document_files')
+    .insert(paths.map((path, index) => ({
+      document_id: documentId,
+      user_id: userId,
+      file_path: path,
+      // Images may be re-encoded on upload, so the type follows the stored file
+      mime_type: mimeTypeForPath(path),
+      page_index: firstIndex + index
+    })))
+    .select()
+
+  if (error) {
+    throw new Error(`Failed to save pages: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Upload files and add them as pages after a document's existing ones
+ * Used by addDocument too. If anything fails, the files uploaded so far are
+ * removed again and nothing is inserted, unless the connection failed (see below).
+ * @param {string} documentId - The document's ID
+ * @param {string} userId - The owner's ID
+ * @param {File[]} files - Images and/or PDFs, in page order
+ * @param {number} firstIndex - page_index of the first new page
+ * @returns {Promise<Array>} The inserted document_files rows
+ */
+export const insertDocumentPages = async (documentId, userId, files, firstIndex = 0) => {
+  const uploaded = []
+  try {
+    for (const file of files) {
+      const problem = validatePageFile(file)
+      if (problem) throw new Error(problem)
+
+      const result = await uploadImage(file, userId, DOCUMENT_IMAGES_BUCKET)
+      if (!result.success) {
+        throw new Error(`Upload of ${file.name} failed: ${result.error || 'Unknown error'}`)
+      }
+      uploaded.push(result.path)
+    }
+
+    return await savePageRows(documentId, userId, uploaded, firstIndex)
+  } catch (error) {
+    // The rows may have been saved even though the reply didn't arrive; if
+    // they weren't, the storage sweeper removes the files later
+    if (isNetworkError(error)) throw error
+    for (const path of uploaded) {
+      await deleteImage(path, DOCUMENT_IMAGES_BUCKET)
+    }
+    throw error
+  }
+}
+
+/**
+ * Give page rows short-lived URLs
+ * @param {Array} pages - document_files rows
+ * @returns {Promise<Array>} The rows with url and thumbnail_url (null for PDFs)
+ */
+const withPageUrls = async (pages) => {
+  const paths = pages.flatMap(page => isPdfPage(page) ? [page.file_path] : [page.file_path, thumbnailPathFor(page.file_path)])
+  const urls = await createSignedImageUrls(DOCUMENT_IMAGES_BUCKET, paths, PAGE_URL_TTL)
+  return pages.map(page => ({
+    ...page,
+    url: urls.get(page.file_path) || null,
+    thumbnail_url: isPdfPage(page) ? null : urls.get(thumbnailPathFor(page.file_path)) || null
+  }))
+}
+
+/**
+ * Get a document's pages in order, with signed URLs
+ * @param {string} documentId - The document's ID
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+export const getDocumentFiles = async (documentId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view documents.')
+
+    const { data, error } = await supabase
+      .from('document_files')
+      .select('*')
+      .eq('document_id', documentId)
+      .eq('user_id', user.id)
+      .order('page_index', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to load pages: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: await withPageUrls(data || [])
+    }
+
+  } catch (error) {
+    console.error('Get document files error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load pages. Please try again.'
+    }
+  }
+}
+
+/**
+ * Add pages to the end of a document
+ * @param {string} documentId - The document's ID
+ * @param {File[]} files - Images and/or PDFs, in order
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>} data is every page of the document
+ */
+export const addDocumentFiles = async (documentId, files) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to add pages.')
+
+    if (!files?.length) {
+      throw new Error('No files to add.')
+    }
+
+    const current = await getDocumentFiles(documentId)
+    if (!current.success) throw new Error(current.error)
+    if (current.data.length + files.length > MAX_PAGES_PER_DOCUMENT) {
+      throw new Error(`A document can have at most ${MAX_PAGES_PER_DOCUMENT} pages.`)
+    }
+
+    const lastIndex = current.data.reduce((max, page) => Math.max(max, page.page_index), -1)
+    await insertDocumentPages(documentId, user.id, files, lastIndex + 1)
+
+    return await getDocumentFiles(documentId)
+
+  } catch (error) {
+    console.error('Add document files error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to add pages. Please try again.'
+    }
+  }
+}
+
+/**
+ * Put a document's pages in a new order
+ * @param {string} documentId - The document's ID
+ * @param {string[]} orderedIds - Every page ID of the document, in the new order
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const reorderDocumentFiles = async (documentId, orderedIds) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to reorder pages.')
+
+    for (const [index, id] of orderedIds.entries()) {
+      const { error } = await supabase
+        .from('document_files')
+        .update({ page_index: index })
+        .eq('id', id)
+        .eq('document_id', documentId)
+        .eq('user_id', user.id)
+
+      if (error) {
+        throw new Error(`Failed to reorder pages: ${error.message}`)
+      }
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Reorder document files error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to reorder pages. Please try again.'
+    }
+  }
+}
+
+/**
+ * Remove one page from a document and delete its file
+ * @param {string} fileId - The page's ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const removeDocumentFile = async (fileId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to remove pages.')
+
+    const { data, error } = await supabase
+      .from('document_files')
+      .delete()
+      .eq('id', fileId)
+      .eq('user_id', user.id)
+      .select('file_path')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to remove page: ${error.message}`)
+    }
+
+    // The row is gone; a file left behind is picked up by the storage sweeper
+    const deleteResult = await deleteImage(data.file_path, DOCUMENT_IMAGES_BUCKET)
+    if (!deleteResult.success) {
+      console.warn('Failed to delete page file from storage:', deleteResult.error)
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Remove document file error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to remove the page. Please try again.'
+    }
+  }
+}
+
+/**
+ * Build one PDF from all of a document's pages
+ * PDF pages are copied as they are; image pages become A4-wide pages.
+ * pdf-lib is only loaded when this runs.
+ * @param {string} documentId - The document's ID
+ * @returns {Promise<{success: boolean, data?: Blob, error?: string}>}
+ */
+export const buildCombinedPdf = async (documentId) => {
+  try {
+    const pages = await getDocumentFiles(documentId)
+    if (!pages.success) throw new Error(pages.error)
+    if (pages.data.length === 0) {
+      throw new Error('This document has no pages to download.')
+    }
+
+    const { PDFDocument } = await import('pdf-lib')
+    const combined = await PDFDocument.create()
+
+    for (const page of pages.data) {
+      const { data: blob, error } = await supabase.storage
+        .from(DOCUMENT_IMAGES_BUCKET)
+        .download(page.file_path)
+
+      if (error) {
+        throw new Error(`Failed to download page ${page.page_index + 1}: ${error.message}`)
+      }
+
+      if (isPdfPage(page)) {
+        const source = await PDFDocument.load(await blob.arrayBuffer(), { ignoreEncryption: true })
+        const copied = await combined.copyPages(source, source.getPageIndices())
+        copied.forEach(copiedPage => combined.addPage(copiedPage))
+        continue
+      }
+
+      // pdf-lib embeds JPEG and PNG only
+      const image = page.mime_type === 'image/png'
+        ? await combined.embedPng(await blob.arrayBuffer())
+        : await combined.embedJpg(await (page.mime_type === 'image/jpeg' ? blob : await convertToJpeg(blob)).arrayBuffer())
+      const height = PDF_PAGE_WIDTH * image.height / image.width
+      combined
+        .addPage([PDF_PAGE_WIDTH, height])
+        .drawImage(image, { x: 0, y: 0, width: PDF_PAGE_WIDTH, height })
+    }
+
+    const bytes = await combined.save()
+    return {
+      success: true,
+      data: new Blob([bytes], { type: PDF_MIME_TYPE })
+    }
+
+  } catch (error) {
+    console.error('Build combined PDF error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to build the PDF. Please try again.'
+    }
+  }
+}
@@ -0,0 +1,287 @@
+import { supabase, supabaseUrl } from './supabase'
+import { PATHS } from './routes'
+
+/**
+ * Revocable share links for documents
+ * A share is a row in document_shares with a random token; the link is
+ * /share/<token>. Opening it goes through the open_document_share RPC, which
+ * enforces expiry, view limit and passcode and logs every attempt, so the
+ * owner can see who opened what and revoke a link at any time.
+ */
+
+// How long a share link can stay valid
+export const SHARE_LINK_EXPIRIES = [
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '1 day', seconds: 24 * 60 * 60 },
+  { label: '7 days', seconds: 7 * 24 * 60 * 60 }
+]
+
+// How many times a share link can be opened (null = no limit)
+export const SHARE_VIEW_LIMITS = [
+  { label: 'No limit', views: null },
+  { label: '1 view', views: 1 },
+  { label: '5 views', views: 5 },
+  { label: '20 views', views: 20 }
+]
+
+export const MIN_PASSCODE_LENGTH = 4
+
+// Columns the app reads; passcode_hash stays in the database
+const SHARE_COLUMNS = 'id, document_id, token, expires_at, max_views, view_count, has_passcode, last_accessed_at, revoked_at, created_at'
+
+// What a viewer sees when a share can't be opened, by open_document_share status
+export const SHARE_STATUS_MESSAGES = {
+  not_found: 'This link doesn\'t exist. Check that it was copied completely.',
+  wrong_passcode: 'That passcode is not correct.',
+  locked: 'Too many wrong passcodes. Try again in 15 minutes.',
+  expired: 'This link has expired.',
+  revoked: 'This link is no longer shared.',
+  view_limit: 'This link has reached its view limit.'
+}
+
+/**
+ * Public URL of a share link
+ * @param {string} token - The share's token
+ * @returns {string}
+ */
+export const shareUrl = (token) => `${window.location.origin}${PATHS.share}/${token}`
+
+/**
+ * Whether a share has used up its views
+ * @param {Object} share - Share row
+ * @returns {boolean}
+ */
+export const isShareUsedUp = (share) => share.max_views !== null && share.view_count >= share.max_views
+
+/**
+ * Create a share link for a document
+ * @param {Object} doc - The document row
+ * @param {Object} options
+ * @param {number} options.expiresIn - Seconds the link stays valid (one of SHARE_LINK_EXPIRIES)
+ * @param {number|null} options.maxViews - Views allowed (one of SHARE_VIEW_LIMITS)
+ * @param {string} options.passcode - Optional passcode viewers must enter
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} data is the share row plus its url
+ */
+export const createDocumentShare = async (doc, { expiresIn, maxViews = null, passcode = '' }) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to share documents.')
+
+    if (!doc?.page_count) {
+      throw new Error('No document file available to share.')
+    }
+    if (!SHARE_LINK_EXPIRIES.some(option => option.seconds === expiresIn)) {
+      throw new Error('Please choose how long the link should work.')
+    }
+    if (!SHARE_VIEW_LIMITS.some(option => option.views === maxViews)) {
+      throw new Error('Please choose how many times the link can be opened.')
+    }
+    const trimmedPasscode = passcode.trim()
+    if (trimmedPasscode && trimmedPasscode.length < MIN_PASSCODE_LENGTH) {
+      throw new Error(`Passcodes need at least ${MIN_PASSCODE_LENGTH} characters.`)
+    }
+
+    const { data, error } = await supabase.rpc('create_document_share', {
+      p_document_id: doc.id,
+      p_expires_in: expiresIn,
+      p_max_views: maxViews,
+      p_passcode: trimmedPasscode || null
+    })
+
+    if (error) {
+      throw new Error(`Failed to create share link: ${error.message}`)
+    }
+
+    const share = data[0]
+    return {
+      success: true,
+      data: { ...share, revoked_at: null, url: shareUrl(share.token) }
+    }
+
+  } catch (error) {
+    console.error('Create document share error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to create a share link. Please try again.'
+    }
+  }
+}
+
+/**
+ * Get the signed-in user's share links that still work
+ * Revoked and expired shares are left out; shares that used up their views
+ * are kept so the owner can see they were opened.
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ * Each share has the document's name and type under `documents`, and its url
+ */
+export const getDocumentShares = async () => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view shared links.')
+
+    const { data, error } = await supabase
+      .from('document_shares')
+      .select(`${SHARE_COLUMNS}, documents(document_name, document_type)`)
+      .eq('user_id', user.id)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to fetch shared links: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: data.map(share => ({ ...share, url: shareUrl(share.token) }))
+    }
+
+  } catch (error) {
+    console.error('Get document shares error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load shared links. Please try again.'
+    }
+  }
+}
+
+/**
+ * Get the most recent attempts to open a share
+ * @param {string} shareId - The share's ID
+ * @param {number} limit - How many entries to return
+ * @returns {Promise<{success: boolean, data?: Array<{outcome: string, accessed_at: string}>, error?: string}>}
+ */
+export const getShareAccessLog = async (shareId, limit = 20) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view the access log.')
+
+    const { data, error } = await supabase
+      .from('document_share_access')
+      .select('id, outcome, accessed_at')
+      .eq('share_id', shareId)
+      .eq('user_id', user.id)
+      .order('accessed_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      throw new Error(`Failed to fetch access log: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data
+    }
+
+  } catch (error) {
+    console.error('Get share access log error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load the access log. Please try again.'
+    }
+  }
+}
+
+/**
+ * Revoke a share link; it stops working immediately
+ * @param {string} shareId - The share's ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const revokeDocumentShare = async (shareId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to revoke links.')
+
+    const { error } = await supabase
+      .from('document_shares')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', shareId)
+      .eq('user_id', user.id)
+
+    if (error) {
+      throw new Error(`Failed to revoke link: ${error.message}`)
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Revoke document share error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to revoke the link. Please try again.'
+    }
+  }
+}
+
+/**
+ * Open a share link as a viewer (no sign-in needed)
+ * Each successful call counts as a view. Every page is downloaded and handed
+ * back as an object URL; revoke them with URL.revokeObjectURL when done.
+ * @param {string} token - The share's token
+ * @param {string} passcode - Passcode, if the share asked for one
+ * @returns {Promise<{success: boolean, status?: string, data?: object, error?: string}>}
+ * status is the open_document_share status; data has document_name,
+ * document_type, expires_at and pages ({ url, mime_type } in order)
+ */
+export const openDocumentShare = async (token, passcode = '') => {
+  try {
+    const { data, error } = await supabase.rpc('open_document_share', {
+      p_token: token,
+      p_passcode: passcode.trim() || null
+    })
+
+    if (error) {
+      throw new Error(`Failed to open link: ${error.message}`)
+    }
+
+    if (data.status !== 'opened') {
+      return {
+        success: false,
+        status: data.status,
+        error: SHARE_STATUS_MESSAGES[data.status]
+      }
+    }
+
+    // Each page comes with a signed URL that only lasts a few minutes
+    const pages = []
+    try {
+      for (const page of data.pages) {
+        const response = await fetch(new URL(page.url, supabaseUrl))
+        if (!response.ok) {
+          throw new Error(`Failed to load the document: ${response.statusText || response.status}`)
+        }
+        pages.push({ url: URL.createObjectURL(await response.blob()), mime_type: page.mime_type })
+      }
+    } catch (downloadError) {
+      pages.forEach(page => URL.revokeObjectURL(page.url))
+      throw downloadError
+    }
+
+    return {
+      success: true,
+      status: data.status,
+      data: {
+        document_name: data.document_name,
+        document_type: data.document_type,
+        expires_at: data.expires_at,
+        pages
+      }
+    }
+
+  } catch (error) {
+    console.error('Open document share error:', error)
+    return {
+      success: false,
+      status: 'error',
+      error: error.message || 'Failed to open the link. Please try again.'
+    }
+  }
+}
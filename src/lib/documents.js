@@ -1,5 +1,12 @@
 import { supabase } from './supabase'
-import { uploadImage, deleteImage } from './storage'
+import { deleteImage, createSignedImageUrls, thumbnailPathFor, DOCUMENT_IMAGES_BUCKET } from './storage'
+import { insertDocumentPages, validatePageFile, MAX_PAGES_PER_DOCUMENT } from './documentFiles'
+import { parseQuery, isWithinRange } from './queryParser'
+import {
+  isOffline, isNetworkError, isRepeatedAdd, getOfflineUser, newRecordId, presentRow,
+  answerFromMirror, mirrorRows, readMirrorRecord, queueChange, queueAfterNetworkError
+} from './offlineStore'
+import { publishChange, publishRemoval } from './realtime'
 
 /**
  * Document types for Important Documents
@@ -16,73 +23,392 @@ export const DOCUMENT_TYPES = [
   { value: 'other', label: 'Other', icon: '📄' }
 ]
 
+// Keep tags short and few enough to show as chips
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 30
+
+/**
+ * Clean up tags typed by the user
+ * Accepts an array or a comma-separated string; returns lowercase, trimmed,
+ * de-duplicated tags without a leading "#"
+ * @param {string[]|string} tags
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',')
+  const cleaned = list
+    .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean)
+  return [...new Set(cleaned)].slice(0, MAX_TAGS)
+}
+
+/**
+ * Count how often each tag is used, for autocomplete and filter chips
+ * @param {Array} documents - Document rows
+ * @returns {Array<{tag: string, count: number}>} Most used first
+ */
+export const collectTags = (documents) => {
+  const counts = new Map()
+  documents.forEach(doc => {
+    (doc.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+  })
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
+
+// How many days before expiry a document starts asking to be renewed
+export const DEFAULT_RENEWAL_LEAD_DAYS = 30
+
+// Lead times offered in the document form
+export const RENEWAL_LEAD_OPTIONS = [7, 14, 30, 60, 90, 180]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+
+/**
+ * Parse a DATE column ("2027-06-30") as local midnight
+ * new Date("2027-06-30") would be UTC midnight, a day off west of Greenwich.
+ * @param {string|null} value
+ * @returns {Date|null}
+ */
+export const parseDateOnly = (value) => {
+  const match = typeof value === 'string' && value.match(DATE_ONLY_PATTERN)
+  if (!match) return null
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+}
+
+/**
+ * Where a document stands with its expiry date
+ * @param {Object} doc - Document row
+ * @param {Date} now - Defaults to the current time
+ * @returns {{state: 'expired'|'renew'|'valid', daysLeft: number, expiresOn: Date}|null}
+ *   'renew' means it expires within its renewal lead time; null when it has no expiry date
+ */
+export const getExpiryStatus = (doc, now = new Date()) => {
+  const expiresOn = parseDateOnly(doc.expiry_date)
+  if (!expiresOn) return null
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  const daysLeft = Math.round((expiresOn.getTime() - today.getTime()) / DAY_MS)
+  const leadDays = doc.renewal_lead_days ?? DEFAULT_RENEWAL_LEAD_DAYS
+
+  const state = daysLeft < 0 ? 'expired' : daysLeft <= leadDays ? 'renew' : 'valid'
+  return { state, daysLeft, expiresOn }
+}
+
+/**
+ * Short label for an expiry status, e.g. "Expires in 12 days"
+ * @param {ReturnType<typeof getExpiryStatus>} status
+ * @returns {string}
+ */
+export const describeExpiry = (status) => {
+  if (!status) return ''
+  const { daysLeft, expiresOn } = status
+  if (daysLeft < -1) return `Expired ${-daysLeft} days ago`
+  if (daysLeft === -1) return 'Expired yesterday'
+  if (daysLeft === 0) return 'Expires today'
+  if (daysLeft === 1) return 'Expires tomorrow'
+  if (daysLeft <= 60) return `Expires in ${daysLeft} days`
+  return `Expires ${expiresOn.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`
+}
+
+/**
+ * Documents that have expired or are inside their renewal lead time
+ * @param {Array} documents - Document rows
+ * @param {Date} now - Defaults to the current time
+ * @returns {Array} The documents, soonest expiry first
+ */
+export const getRenewalReminders = (documents, now = new Date()) => {
+  return documents
+    .filter(doc => ['expired', 'renew'].includes(getExpiryStatus(doc, now)?.state))
+    .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date))
+}
+
+/**
+ * Check and normalize the date fields of a document
+ * @param {Object} fields - issue_date, expiry_date ("YYYY-MM-DD" or empty) and renewal_lead_days
+ * @returns {Object} Only the fields that were given, ready to save
+ */
+const normalizeDateFields = ({ issue_date, expiry_date, renewal_lead_days }) => {
+  const normalized = {}
+
+  if (issue_date !== undefined) {
+    if (issue_date && !parseDateOnly(issue_date)) throw new Error('Issue date is not a valid date.')
+    normalized.issue_date = issue_date || null
+  }
+  if (expiry_date !== undefined) {
+    if (expiry_date && !parseDateOnly(expiry_date)) throw new Error('Expiry date is not a valid date.')
+    normalized.expiry_date = expiry_date || null
+  }
+  if (normalized.issue_date && normalized.expiry_date && normalized.expiry_date < normalized.issue_date) {
+    throw new Error('Expiry date can\'t be before the issue date.')
+  }
+  if (renewal_lead_days !== undefined && renewal_lead_days !== null) {
+    const days = Number(renewal_lead_days)
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      throw new Error('Reminder lead time must be a whole number of days.')
+    }
+    normalized.renewal_lead_days = days
+  }
+
+  return normalized
+}
+
+// Signed URLs used to show document images in the app; rows are re-signed on every fetch
+const DISPLAY_URL_TTL = 60 * 60
+
+/**
+ * Give document rows short-lived URLs for their image and thumbnail
+ * document-images is a private bucket: rows store image_path and the URLs
+ * are signed here, in one request for the whole list.
+ * @param {Array} documents - Document rows
+ * @returns {Promise<Array>} The rows with image_url and thumbnail_url (null when there's no image)
+ */
+export const withSignedUrls = async (documents) => {
+  const paths = documents.flatMap(doc => doc.image_path ? [doc.image_path, thumbnailPathFor(doc.image_path)] : [])
+
+  let urls = new Map()
+  try {
+    urls = await createSignedImageUrls(DOCUMENT_IMAGES_BUCKET, paths, DISPLAY_URL_TTL)
+  } catch (error) {
+    console.warn('Failed to sign document image URLs:', error.message)
+  }
+
+  return documents.map(doc => ({
+    ...doc,
+    image_url: doc.image_path ? urls.get(doc.image_path) || null : null,
+    thumbnail_url: doc.image_path ? urls.get(thumbnailPathFor(doc.image_path)) || null : null
+  }))
+}
+
+/**
+ * Get a document row from a live change (see realtime.js) ready to show
+ * Rows from the server come without image URLs: the ones already shown are
+ * reused while the image is the same, otherwise they're signed.
+ * @param {Object} doc - The changed row
+ * @param {Object} current - The version already in the list, if any
+ * @returns {Promise<Object>}
+ */
+export const prepareDocumentRow = async (doc, current) => {
+  if ('image_url' in doc) return doc
+  if (current && current.image_path === doc.image_path) {
+    return { ...doc, image_url: current.image_url, thumbnail_url: current.thumbnail_url }
+  }
+  const [signed] = await withSignedUrls([doc])
+  return signed
+}
+
+/**
+ * Check a new document's fields and pages
+ * @param {Object} docData - Same shape as addDocument's docData
+ * @returns {{dateFields: Object, files: File[]}} The normalised date fields and the pages
+ * @throws {Error} Describing the first problem found
+ */
+const checkNewDocument = (docData) => {
+  // Validate required inputs
+  if (!docData.document_name?.trim()) {
+    throw new Error('Document name is required.')
+  }
+  if (!docData.document_type?.trim()) {
+    throw new Error('Document type is required.')
+  }
+  const dateFields = normalizeDateFields({
+    issue_date: docData.issue_date || null,
+    expiry_date: docData.expiry_date || null,
+    renewal_lead_days: docData.renewal_lead_days ?? DEFAULT_RENEWAL_LEAD_DAYS
+  })
+
+  // Pages: images and/or PDFs, in order (for reference only, no OCR)
+  const files = docData.files || (docData.image ? [docData.image] : [])
+  if (files.length > MAX_PAGES_PER_DOCUMENT) {
+    throw new Error(`A document can have at most ${MAX_PAGES_PER_DOCUMENT} pages.`)
+  }
+  for (const file of files) {
+    const problem = validatePageFile(file)
+    if (problem) throw new Error(problem)
+  }
+
+  return { dateFields, files }
+}
+
+/**
+ * Save a new document on this device and queue it for the server
+ * Its pages wait in the queue and are uploaded when the add is replayed.
+ * @param {Object} docData - Same shape as addDocument's docData
+ * @returns {Promise<{success: boolean, data: object, queued: true}>}
+ */
+const addDocumentOffline = async (docData) => {
+  const user = await getOfflineUser()
+  if (!user) throw new Error('You must be signed in to add documents.')
+
+  const { dateFields, files } = checkNewDocument(docData)
+  const now = new Date().toISOString()
+  const doc = {
+    id: docData.id || newRecordId(),
+    user_id: user.id,
+    document_name: docData.document_name.trim(),
+    document_type: docData.document_type.trim(),
+    notes: docData.notes?.trim() || null,
+    tags: normalizeTags(docData.tags),
+    ...dateFields,
+    image_path: null,
+    image_url: null,
+    thumbnail_url: null,
+    page_count: files.length,
+    created_at: now,
+    updated_at: now,
+    deleted_at: null
+  }
+
+  const { image, ...rest } = docData
+  await queueChange({
+    user_id: user.id,
+    table: 'documents',
+    action: 'add',
+    record_id: doc.id,
+    label: doc.document_name,
+    data: { ...rest, files, created_at: now }
+  })
+  const row = { ...doc, _pending: true, _files: files }
+  await publishChange('documents', row)
+
+  return { success: true, data: presentRow(row), queued: true }
+}
+
+/**
+ * Finish an add that had already reached the server
+ * The earlier attempt may have stopped before saving the pages (see
+ * isRepeatedAdd); they're uploaded now if the document has none.
+ * @param {string} documentId - The document's ID
+ * @param {string} userId - The owner's ID
+ * @param {File[]} files - The pages it was added with
+ * @returns {Promise<Object>} The document as stored
+ */
+const completeRepeatedAdd = async (documentId, userId, files) => {
+  const loadDocument = async () => {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('user_id', userId)
+      .single()
+    if (error) throw new Error(`Failed to load the saved document: ${error.message}`)
+    return data
+  }
+
+  const doc = await loadDocument()
+  if (files.length === 0) return doc
+
+  const { count, error: pagesError } = await supabase
+    .from('document_files')
+    .select('id', { count: 'exact', head: true })
+    .eq('document_id', documentId)
+
+  if (pagesError) throw new Error(`Failed to load pages: ${pagesError.message}`)
+  if (count > 0) return doc
+
+  await insertDocumentPages(documentId, userId, files)
+  // image_path and page_count were set by the pages trigger
+  return loadDocument()
+}
+
 /**
  * Add a new important document
  * @param {Object} docData - The document data
  * @param {string} docData.document_name - Name of the document
  * @param {string} docData.document_type - Type of document
  * @param {string} docData.notes - Optional notes
- * @param {File} docData.image - Optional image file
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * @param {string[]} docData.tags - Optional tags
+ * @param {string} docData.issue_date - Optional issue date ("YYYY-MM-DD")
+ * @param {string} docData.expiry_date - Optional expiry date ("YYYY-MM-DD")
+ * @param {number} docData.renewal_lead_days - Days before expiry to start reminding
+ * @param {File[]} docData.files - Optional pages: images and/or PDFs, in order
+ * @param {File} docData.image - Optional single image (same as files: [image])
+ * @param {string} docData.id - Optional ID for the new row (documents added offline bring their own)
+ * @param {string} docData.created_at - Optional time the document was added (default: now)
+ * @param {Object} options
+ * @param {boolean} options.queueOffline - Save on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean}>}
+ *   queued is set when there was no connection and the document was saved on this device to sync later
  */
-export const addDocument = async (docData) => {
+export const addDocument = async (docData, { queueOffline = true } = {}) => {
+  // Chosen up front, so an add whose reply is lost and then queued isn't saved twice
+  const newDoc = { ...docData, id: docData.id || newRecordId() }
+
   try {
+    if (queueOffline && isOffline()) {
+      return await addDocumentOffline(newDoc)
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
-    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
     if (!user) throw new Error('You must be signed in to add documents.')
 
-    // Validate required inputs
-    if (!docData.document_name?.trim()) {
-      throw new Error('Document name is required.')
-    }
-    if (!docData.document_type?.trim()) {
-      throw new Error('Document type is required.')
-    }
-
-    let imageUrl = null
-
-    // Upload image if provided (for reference only, no OCR)
-    if (docData.image) {
-      // Validate image file
-      if (!docData.image.type.startsWith('image/')) {
-        throw new Error('Invalid file type. Please upload an image file (PNG, JPG, GIF).')
-      }
-      if (docData.image.size > 10 * 1024 * 1024) {
-        throw new Error('Image file is too large. Maximum size is 10MB.')
-      }
-
-      const uploadResult = await uploadImage(docData.image, user.id, 'document-images')
-      if (!uploadResult.success) {
-        throw new Error(`Image upload failed: ${uploadResult.error || 'Unknown error'}`)
-      }
-      imageUrl = uploadResult.url
-    }
+    const { dateFields, files } = checkNewDocument(docData)
 
     // Insert document into database (separate table from items)
-    const { data, error } = await supabase
+    const { data: inserted, error } = await supabase
       .from('documents')
       .insert([
         {
+          id: newDoc.id,
+          ...(docData.created_at && { created_at: docData.created_at }),
           user_id: user.id,
           document_name: docData.document_name.trim(),
           document_type: docData.document_type.trim(),
           notes: docData.notes?.trim() || null,
-          image_url: imageUrl
+          tags: normalizeTags(docData.tags),
+          ...dateFields
         }
       ])
       .select()
       .single()
 
+    if (isRepeatedAdd(error)) {
+      const [signed] = await withSignedUrls([await completeRepeatedAdd(newDoc.id, user.id, files)])
+      await publishChange('documents', signed)
+      return {
+        success: true,
+        data: signed
+      }
+    }
     if (error) throw new Error(error.message || 'Failed to save document to database.')
 
+    let data = inserted
+    if (files.length > 0) {
+      try {
+        await insertDocumentPages(inserted.id, user.id, files)
+      } catch (pagesError) {
+        // Don't leave a document without the pages it was added with
+        await supabase.from('documents').delete().eq('id', inserted.id).eq('user_id', user.id)
+        throw pagesError
+      }
+
+      // image_path and page_count were set by the pages trigger
+      const { data: refreshed, error: refreshError } = await supabase
+        .from('documents')
+        .select('*')
+        .eq('id', inserted.id)
+        .single()
+      if (refreshError) throw new Error(`Failed to load the saved document: ${refreshError.message}`)
+      data = refreshed
+    }
+
+    const [signed] = await withSignedUrls([data])
+    await publishChange('documents', signed)
     return {
       success: true,
-      data: data
+      data: signed
     }
 
   } catch (error) {
     console.error('Add document error:', error)
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => addDocumentOffline(newDoc))
+    }
     return {
       success: false,
       error: error.message || 'An unexpected error occurred while adding the document.'
@@ -90,21 +416,30 @@ export const addDocument = async (docData) => {
   }
 }
 
+// Every document on this device, for when there's no connection
+const getAllDocumentsOffline = () => answerFromMirror('documents', documents => ({ success: true, data: documents }))
+
 /**
  * Get all documents for the current user
- * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ * Offline, or when the server can't be reached, the copy on this device is used.
+ * @returns {Promise<{success: boolean, data?: array, error?: string, offline?: boolean}>}
  */
 export const getAllDocuments = async () => {
   try {
+    if (isOffline()) {
+      return await getAllDocumentsOffline()
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
-    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
     if (!user) throw new Error('You must be signed in to view documents.')
 
     const { data, error } = await supabase
       .from('documents')
       .select('*')
       .eq('user_id', user.id)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
 
     if (error) {
@@ -116,11 +451,14 @@ export const getAllDocuments = async () => {
 
     return {
       success: true,
-      data: data || []
+      data: await mirrorRows('documents', user.id, await withSignedUrls(data || []))
     }
 
   } catch (error) {
     console.error('Get all documents error:', error)
+    if (isNetworkError(error)) {
+      return getAllDocumentsOffline()
+    }
     return {
       success: false,
       error: error.message || 'Failed to load documents. Please try again.'
@@ -129,30 +467,102 @@ export const getAllDocuments = async () => {
 }
 
 /**
- * Search for documents by text (name, type, description, tags)
- * NO OCR - purely text-based search
- * @param {string} query - Search query
- * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ * Get documents that have expired or are due for renewal, for reminders
+ * Only the expiry fields are loaded and no image URLs are signed, so this is
+ * cheap enough to call on every page change.
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>} Soonest expiry first
  */
-export const findDocument = async (query) => {
+export const getDocumentsDueForRenewal = async () => {
   try {
+    if (isOffline()) {
+      return await answerFromMirror('documents', documents => ({ success: true, data: getRenewalReminders(documents) }))
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
     if (authError) throw new Error('Authentication failed. Please sign in again.')
-    if (!user) throw new Error('You must be signed in to search for documents.')
+    if (!user) throw new Error('You must be signed in to view reminders.')
+
+    const { data, error } = await supabase
+      .from('documents')
+      .select('id, document_name, document_type, expiry_date, renewal_lead_days')
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .not('expiry_date', 'is', null)
+
+    if (error) {
+      throw new Error(`Failed to load reminders: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: getRenewalReminders(data || [])
+    }
+
+  } catch (error) {
+    console.error('Get renewal reminders error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load reminders.'
+    }
+  }
+}
 
+/**
+ * Check a document against a parsed query
+ * Used by both findDocument and getDocumentSuggestions, so they always search
+ * the same fields. Every search word has to appear in the name, type, notes or
+ * tags; a recognised type ("receipts"), #tags, date range ("from 2024") and
+ * expiry window ("expiring this year") must also fit.
+ * @param {Object} doc - The document row
+ * @param {import('./queryParser').ParsedQuery} parsed - From parseQuery(..., { target: 'documents' })
+ * @returns {boolean}
+ */
+export const matchesDocumentQuery = (doc, parsed) => {
+  if (parsed.documentType && doc.document_type !== parsed.documentType) return false
+  if (parsed.tags?.some(tag => !(doc.tags || []).includes(tag))) return false
+  if (!isWithinRange(doc.created_at, parsed.dateRange)) return false
+  if (parsed.expiring && !isWithinRange(parseDateOnly(doc.expiry_date), parsed.expiring)) return false
+
+  // Documents have no places, so "what's in the tax folder" searches for the words
+  const words = (parsed.text || parsed.place || '').split(/\s+/).filter(Boolean)
+  if (words.length === 0) return true
+
+  const searchableText = `${doc.document_name} ${doc.document_type} ${doc.notes || ''} ${(doc.tags || []).join(' ')}`.toLowerCase()
+  return words.every(word => searchableText.includes(word))
+}
+
+/**
+ * Search for documents by text (name, type, notes, tags)
+ * NO OCR - purely text-based search
+ * @param {string|import('./queryParser').ParsedQuery} query - Search text, or a query
+ *   already parsed by parseQuery
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+export const findDocument = async (query) => {
+  const parsed = typeof query === 'string' ? parseQuery(query, { target: 'documents' }) : query
+
+  try {
     // Validate input
-    if (!query?.trim()) {
+    if (!parsed?.raw?.trim()) {
       throw new Error('Please enter what you\'re looking for.')
     }
 
-    const searchTerm = query.toLowerCase().trim()
+    if (isOffline()) {
+      return await findDocumentOffline(parsed)
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to search for documents.')
 
     // Get all user's documents
     const { data, error } = await supabase
       .from('documents')
       .select('*')
       .eq('user_id', user.id)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
 
     if (error) {
@@ -167,19 +577,16 @@ export const findDocument = async (query) => {
       }
     }
 
-    // Text-based search across all fields
-    const results = data.filter(doc => {
-      const searchableText = `${doc.document_name} ${doc.document_type} ${doc.description || ''} ${doc.tags || ''}`.toLowerCase()
-      return searchableText.includes(searchTerm)
-    })
-
     return {
       success: true,
-      data: results
+      data: await withSignedUrls(filterDocuments(data, parsed))
     }
 
   } catch (error) {
     console.error('Find document error:', error)
+    if (isNetworkError(error) && parsed?.raw?.trim()) {
+      return findDocumentOffline(parsed)
+    }
     return {
       success: false,
       error: error.message || 'Search failed. Please try again.'
@@ -187,22 +594,171 @@ export const findDocument = async (query) => {
   }
 }
 
+// Text-based search across all fields, plus any type/date/expiry filters
+const filterDocuments = (documents, parsed) => {
+  const results = documents.filter(doc => matchesDocumentQuery(doc, parsed))
+  if (parsed.expiring) {
+    results.sort((a, b) => a.expiry_date.localeCompare(b.expiry_date))
+  }
+  return results
+}
+
+// findDocument over this device's copy
+const findDocumentOffline = (parsed) => answerFromMirror('documents', documents => (
+  documents.length === 0
+    ? { success: true, data: [], message: 'No documents stored yet.' }
+    : { success: true, data: filterDocuments(documents, parsed) }
+))
+
+/**
+ * Move a document to the Trash
+ * The row and its image are kept until the document is restored, permanently
+ * deleted, or purged after TRASH_RETENTION_DAYS (see trash.js)
+ * @param {string} docId - The document ID
+ * @param {Object} options
+ * @param {boolean} options.queueOffline - Trash it on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean}>}
+ */
+export const deleteDocument = async (docId, { queueOffline = true } = {}) => {
+  try {
+    if (queueOffline && isOffline()) {
+      return await trashDocumentOffline(docId, 'delete')
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to delete documents.')
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', docId)
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .select()
+      .single()
+
+    if (error && isNetworkError(error)) throw new Error(error.message)
+    if (error || !data) {
+      throw new Error('Document not found or access denied.')
+    }
+
+    await publishRemoval('documents', docId)
+
+    const [signed] = await withSignedUrls([data])
+    return {
+      success: true,
+      data: signed
+    }
+
+  } catch (error) {
+    console.error('Delete document error:', error)
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => trashDocumentOffline(docId, 'delete'))
+    }
+    return {
+      success: false,
+      error: error.message || 'Failed to delete document. Please try again.'
+    }
+  }
+}
+
+/**
+ * Bring a document back from the Trash
+ * @param {string} docId - The document ID
+ * @param {Object} options
+ * @param {boolean} options.queueOffline - Restore it on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean}>}
+ */
+export const restoreDocument = async (docId, { queueOffline = true } = {}) => {
+  try {
+    if (queueOffline && isOffline()) {
+      return await trashDocumentOffline(docId, 'restore')
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to restore documents.')
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({ deleted_at: null })
+      .eq('id', docId)
+      .eq('user_id', user.id)
+      .not('deleted_at', 'is', null)
+      .select()
+      .single()
+
+    if (error && isNetworkError(error)) throw new Error(error.message)
+    if (error || !data) {
+      throw new Error('Document not found in the Trash. It may have been purged.')
+    }
+
+    const [signed] = await withSignedUrls([data])
+    await publishChange('documents', signed)
+    return {
+      success: true,
+      data: signed
+    }
+
+  } catch (error) {
+    console.error('Restore document error:', error)
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => trashDocumentOffline(docId, 'restore'))
+    }
+    return {
+      success: false,
+      error: error.message || 'Failed to restore document. Please try again.'
+    }
+  }
+}
+
 /**
- * Delete a document by ID
+ * Move a document to the Trash, or back out of it, on this device and queue the change
+ * Only documents kept on this device can be restored offline (e.g. an undo).
+ * @param {string} docId - The document ID
+ * @param {'delete'|'restore'} action
+ * @returns {Promise<{success: boolean, data: object, queued: true}>}
+ */
+const trashDocumentOffline = async (docId, action) => {
+  const user = await getOfflineUser()
+  if (!user) throw new Error('You must be signed in to change documents.')
+
+  const doc = await readMirrorRecord('documents', docId)
+  if (!doc || Boolean(doc.deleted_at) !== (action === 'restore')) {
+    throw new Error(action === 'delete'
+      ? 'This document isn\'t saved on this device, so it can\'t be deleted offline.'
+      : 'This document can\'t be restored offline. Try again once you\'re connected.')
+  }
+
+  await queueChange({ user_id: user.id, table: 'documents', action, record_id: docId, label: doc.document_name })
+  const row = { ...doc, deleted_at: action === 'delete' ? new Date().toISOString() : null, _pending: true }
+  await publishChange('documents', row)
+
+  return { success: true, data: presentRow(row), queued: true }
+}
+
+/**
+ * Permanently delete a document and all its pages
+ * Used from the Trash; there is no way back from this
  * @param {string} docId - The document ID
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export const deleteDocument = async (docId) => {
+export const permanentlyDeleteDocument = async (docId) => {
   try {
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
     if (authError) throw new Error('Authentication failed. Please sign in again.')
     if (!user) throw new Error('You must be signed in to delete documents.')
 
-    // Get document first to check ownership and get image URL
+    // Get document first to check ownership and get its page files
     const { data: doc, error: fetchError } = await supabase
       .from('documents')
-      .select('*')
+      .select('id, image_path, document_files(file_path)')
       .eq('id', docId)
       .eq('user_id', user.id)
       .single()
@@ -211,9 +767,14 @@ export const deleteDocument = async (docId) => {
       throw new Error('Document not found or access denied.')
     }
 
-    // Delete image from storage if exists
-    if (doc.image_url) {
-      await deleteImage(doc.image_url)
+    // Delete the page files from storage (image_path is one of them, unless
+    // the document predates pages)
+    const paths = new Set([doc.image_path, ...doc.document_files.map(file => file.file_path)].filter(Boolean))
+    for (const path of paths) {
+      const deleteImageResult = await deleteImage(path, DOCUMENT_IMAGES_BUCKET)
+      if (!deleteImageResult.success) {
+        console.warn('Failed to delete page file from storage:', deleteImageResult.error)
+      }
     }
 
     // Delete document from database
@@ -227,6 +788,8 @@ export const deleteDocument = async (docId) => {
       throw new Error(`Failed to delete document: ${deleteError.message}`)
     }
 
+    await publishRemoval('documents', docId)
+
     return {
       success: true
     }
@@ -243,39 +806,62 @@ export const deleteDocument = async (docId) => {
 /**
  * Update a document
  * @param {string} docId - The document ID
- * @param {Object} updates - Fields to update
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * @param {Object} updates - Fields to update (document_name, document_type, notes, tags,
+ *   issue_date, expiry_date, renewal_lead_days)
+ * @param {Object} options
+ * @param {string} options.expectedUpdatedAt - Only apply the change to this version of the document
+ *   (set when replaying an edit made offline)
+ * @param {boolean} options.queueOffline - Save the edit on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean, conflict?: boolean}>}
+ *   conflict is set when the document changed since expectedUpdatedAt; data is then the current document
  */
-export const updateDocument = async (docId, updates) => {
+export const updateDocument = async (docId, updates, { expectedUpdatedAt, queueOffline = true } = {}) => {
   try {
+    if (queueOffline && isOffline()) {
+      return await updateDocumentOffline(docId, updates)
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
-    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
     if (!user) throw new Error('You must be signed in to update documents.')
 
-    const { data, error } = await supabase
+    const changes = documentChanges(updates)
+
+    let query = supabase
       .from('documents')
-      .update({
-        document_name: updates.document_name?.trim(),
-        document_type: updates.document_type?.trim(),
-        notes: updates.notes?.trim() || null
-      })
+      .update(changes)
       .eq('id', docId)
       .eq('user_id', user.id)
-      .select()
-      .single()
+      // Documents in the Trash can't be edited until they're restored
+      .is('deleted_at', null)
+    // Checked in the same statement, so a write landing in between can't be overwritten
+    if (expectedUpdatedAt) {
+      query = query.eq('updated_at', expectedUpdatedAt)
+    }
+    const { data, error } = await query.select().maybeSingle()
 
     if (error) {
       throw new Error(`Failed to update document: ${error.message}`)
     }
+    if (!data) {
+      if (!expectedUpdatedAt) throw new Error('Document not found. It may have been moved to Trash.')
+      return await documentConflict(user.id, docId)
+    }
 
+    const [signed] = await withSignedUrls([data])
+    await publishChange('documents', signed)
     return {
       success: true,
-      data: data
+      data: signed
     }
 
   } catch (error) {
     console.error('Update document error:', error)
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => updateDocumentOffline(docId, updates))
+    }
     return {
       success: false,
       error: error.message || 'Failed to update document. Please try again.'
@@ -283,6 +869,78 @@ export const updateDocument = async (docId, updates) => {
   }
 }
 
+// The answer to an edit that was made on an older version of the document
+const documentConflict = async (userId, docId) => {
+  const { data: current, error } = await supabase
+    .from('documents')
+    .select('*')
+    .eq('id', docId)
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load the document: ${error.message}`)
+  if (!current) throw new Error('Document not found or access denied.')
+  if (current.deleted_at) throw new Error('Document not found. It may have been moved to Trash.')
+  const [signed] = await withSignedUrls([current])
+  return {
+    success: false,
+    conflict: true,
+    data: signed,
+    error: 'This document was changed somewhere else since it was edited.'
+  }
+}
+
+// The columns an update writes, checked and normalised
+const documentChanges = (updates) => {
+  const changes = {
+    document_name: updates.document_name?.trim(),
+    document_type: updates.document_type?.trim()
+  }
+  if (updates.notes !== undefined) {
+    changes.notes = updates.notes?.trim() || null
+  }
+  if (updates.tags !== undefined) {
+    changes.tags = normalizeTags(updates.tags)
+  }
+  Object.assign(changes, normalizeDateFields(updates))
+  changes.updated_at = new Date().toISOString()
+  // Fields that weren't given are left alone
+  return Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Apply an edit to this device's copy of a document and queue it for the server
+ * The edit remembers which version it was made on, so replaying it can tell
+ * whether the document was changed elsewhere in the meantime.
+ * @param {string} docId - The document ID
+ * @param {Object} updates - Same shape as updateDocument's updates
+ * @returns {Promise<{success: boolean, data: object, queued: true}>}
+ */
+const updateDocumentOffline = async (docId, updates) => {
+  const user = await getOfflineUser()
+  if (!user) throw new Error('You must be signed in to update documents.')
+
+  const doc = await readMirrorRecord('documents', docId)
+  if (!doc || doc.deleted_at) {
+    throw new Error('This document isn\'t saved on this device, so it can\'t be edited offline.')
+  }
+
+  const changes = documentChanges(updates)
+  await queueChange({
+    user_id: user.id,
+    table: 'documents',
+    action: 'update',
+    record_id: docId,
+    label: changes.document_name || doc.document_name,
+    data: updates,
+    base_updated_at: doc.updated_at
+  })
+  const row = { ...doc, ...changes, _pending: true }
+  await publishChange('documents', row)
+
+  return { success: true, data: presentRow(row), queued: true }
+}
+
 /**
  * Get real-time document suggestions as user types
  * Triggers after 2-3 characters, case-insensitive partial match
@@ -291,23 +949,33 @@ export const updateDocument = async (docId, updates) => {
  */
 export const getDocumentSuggestions = async (query) => {
   try {
+    // Require minimum 2 characters of search words ("receipts from 2024" has none)
+    const parsed = parseQuery(query || '', { target: 'documents' })
+    if (parsed.text.length < 2) {
+      return { success: true, data: [] }
+    }
+
+    // Offline, match against this device's copy instead
+    if (isOffline()) {
+      const result = await answerFromMirror('documents', documents => ({
+        success: true,
+        data: documents.filter(doc => matchesDocumentQuery(doc, parsed)).slice(0, 8)
+      }))
+      return result.success ? result : { success: false, data: [] }
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
     if (authError || !user) {
       return { success: false, data: [] }
     }
 
-    // Require minimum 2 characters
-    const searchTerm = query?.trim().toLowerCase()
-    if (!searchTerm || searchTerm.length < 2) {
-      return { success: true, data: [] }
-    }
-
     // Get all user's documents
     const { data, error } = await supabase
       .from('documents')
-      .select('id, document_name, document_type, notes, image_url')
+      .select('id, document_name, document_type, notes, tags, image_path, created_at')
       .eq('user_id', user.id)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
 
     if (error) {
@@ -318,20 +986,14 @@ export const getDocumentSuggestions = async (query) => {
       return { success: true, data: [] }
     }
 
-    // Case-insensitive partial match across document_name, document_type, notes
-    const suggestions = data.filter(doc => {
-      const docName = (doc.document_name || '').toLowerCase()
-      const docType = (doc.document_type || '').toLowerCase()
-      const notes = (doc.notes || '').toLowerCase()
-      
-      return docName.includes(searchTerm) || 
-             docType.includes(searchTerm) ||
-             notes.includes(searchTerm)
-    }).slice(0, 8) // Limit to 8 suggestions
+    // Same matching as findDocument (name, type, notes, tags)
+    const suggestions = data
+      .filter(doc => matchesDocumentQuery(doc, parsed))
+      .slice(0, 8) // Limit to 8 suggestions
 
     return {
       success: true,
-      data: suggestions
+      data: await withSignedUrls(suggestions)
     }
 
   } catch (error) {
@@ -339,3 +1001,12 @@ export const getDocumentSuggestions = async (query) => {
     return { success: false, data: [] }
   }
 }
+
+/**
+ * File name to download a document as
+ * @param {Object} doc - The document row
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export const documentFileName = (doc, extension) =>
+  `${doc.document_name.replace(/[^a-z0-9]/gi, '_').substring(0, 50)}.${extension}`
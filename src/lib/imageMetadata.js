@@ -0,0 +1,236 @@
+/**
+ * Photo metadata (EXIF / XMP) inspection
+ * Phone photos carry GPS coordinates, camera details and timestamps. Uploads
+ * are re-encoded on a canvas (see imageProcessing.js), which drops all of it;
+ * this module reads what was there so the app can say what it removed and,
+ * if the user opts in, keep the capture date.
+ */
+
+// EXIF tags we look at
+const TAG_MAKE = 0x010F
+const TAG_MODEL = 0x0110
+const TAG_ORIENTATION = 0x0112
+const TAG_DATETIME = 0x0132
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+const TAG_DATETIME_ORIGINAL = 0x9003
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011
+
+// Only the start of a file is read; metadata lives in the first segments
+const HEADER_BYTES = 256 * 1024
+
+const XMP_MARKER = 'http://ns.adobe.com/xap/1.0/'
+
+/**
+ * Metadata found in a photo
+ * @typedef {Object} ImageMetadata
+ * @property {boolean} hasExif - EXIF block present
+ * @property {boolean} hasXmp - XMP packet present
+ * @property {boolean} hasGps - GPS coordinates present
+ * @property {number} orientation - EXIF orientation (1 = upright)
+ * @property {string|null} capturedAt - When the photo was taken (ISO string)
+ * @property {string|null} camera - Camera make and model
+ */
+
+const EMPTY_METADATA = {
+  hasExif: false,
+  hasXmp: false,
+  hasGps: false,
+  orientation: 1,
+  capturedAt: null,
+  camera: null
+}
+
+const readAscii = (view, offset, length) => {
+  let text = ''
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    const code = view.getUint8(offset + i)
+    if (code === 0) break
+    text += String.fromCharCode(code)
+  }
+  return text.trim()
+}
+
+/**
+ * Read one IFD into a Map of tag -> value
+ * Only ASCII strings, SHORTs and LONGs are decoded; that's all we need.
+ */
+const readIfd = (view, tiffStart, ifdOffset, littleEndian) => {
+  const tags = new Map()
+  const start = tiffStart + ifdOffset
+  if (start + 2 > view.byteLength) return tags
+
+  const count = view.getUint16(start, littleEndian)
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+
+    const tag = view.getUint16(entry, littleEndian)
+    const type = view.getUint16(entry + 2, littleEndian)
+    const components = view.getUint32(entry + 4, littleEndian)
+
+    if (type === 2) {
+      // ASCII: inline when it fits in 4 bytes, otherwise at an offset
+      const valueOffset = components <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, littleEndian)
+      tags.set(tag, readAscii(view, valueOffset, components))
+    } else if (type === 3) {
+      tags.set(tag, view.getUint16(entry + 8, littleEndian))
+    } else if (type === 4) {
+      tags.set(tag, view.getUint32(entry + 8, littleEndian))
+    } else {
+      tags.set(tag, true)
+    }
+  }
+  return tags
+}
+
+/**
+ * "2024:05:17 14:03:22" (+ optional "+02:00") -> ISO string
+ */
+const parseExifDate = (value, offset) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/)
+  if (!match) return null
+
+  const [, year, month, day, hour, minute, second] = match
+  const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`
+  // Without an offset the time is the camera's local time; treat it as ours
+  const date = new Date(/^[+-]\d{2}:\d{2}$/.test(offset || '') ? `${local}${offset}` : local)
+  return isNaN(date.getTime()) || date.getFullYear() < 1990 ? null : date.toISOString()
+}
+
+/**
+ * Parse a TIFF-structured EXIF block
+ * @param {DataView} view - Bytes containing the block
+ * @param {number} tiffStart - Offset of the "II"/"MM" byte order mark
+ * @returns {Partial<ImageMetadata>}
+ */
+const parseTiff = (view, tiffStart) => {
+  if (tiffStart + 8 > view.byteLength) return {}
+  const byteOrder = view.getUint16(tiffStart)
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return {}
+  const littleEndian = byteOrder === 0x4949
+
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian)
+  const exif = ifd0.has(TAG_EXIF_IFD)
+    ? readIfd(view, tiffStart, ifd0.get(TAG_EXIF_IFD), littleEndian)
+    : new Map()
+
+  const camera = [ifd0.get(TAG_MAKE), ifd0.get(TAG_MODEL)]
+    .filter(part => typeof part === 'string' && part)
+    .join(' ')
+
+  return {
+    hasExif: true,
+    hasGps: ifd0.has(TAG_GPS_IFD),
+    orientation: ifd0.get(TAG_ORIENTATION) || 1,
+    capturedAt: parseExifDate(exif.get(TAG_DATETIME_ORIGINAL), exif.get(TAG_OFFSET_TIME_ORIGINAL)) ||
+      parseExifDate(ifd0.get(TAG_DATETIME)),
+    camera: camera || null
+  }
+}
+
+const readJpeg = (view) => {
+  const found = {}
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) break
+    const marker = view.getUint8(offset + 1)
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xDA) break
+    const length = view.getUint16(offset + 2)
+
+    if (marker === 0xE1) {
+      if (readAscii(view, offset + 4, 4) === 'Exif') {
+        Object.assign(found, parseTiff(view, offset + 10))
+      } else if (readAscii(view, offset + 4, XMP_MARKER.length) === XMP_MARKER) {
+        found.hasXmp = true
+      }
+    }
+    offset += 2 + length
+  }
+  return found
+}
+
+const readPng = (view) => {
+  const found = {}
+  let offset = 8
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset)
+    const type = readAscii(view, offset + 4, 4)
+    if (type === 'eXIf') {
+      Object.assign(found, parseTiff(view, offset + 8))
+    } else if (type === 'iTXt' && readAscii(view, offset + 8, 17) === 'XML:com.adobe.xmp') {
+      found.hasXmp = true
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break
+    }
+    offset += 12 + length
+  }
+  return found
+}
+
+const readWebp = (view) => {
+  const found = {}
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    const type = readAscii(view, offset, 4)
+    const length = view.getUint32(offset + 4, true)
+    if (type === 'EXIF') {
+      // Some writers keep the JPEG "Exif\0\0" prefix
+      const start = readAscii(view, offset + 8, 4) === 'Exif' ? offset + 14 : offset + 8
+      Object.assign(found, parseTiff(view, start))
+    } else if (type === 'XMP ') {
+      found.hasXmp = true
+    }
+    offset += 8 + length + (length % 2)
+  }
+  return found
+}
+
+/**
+ * Read the privacy-relevant metadata of a photo
+ * Never throws: unreadable files simply report nothing.
+ * @param {File|Blob} file - JPEG, PNG or WebP image
+ * @returns {Promise<ImageMetadata>}
+ */
+export const readImageMetadata = async (file) => {
+  try {
+    const view = new DataView(await file.slice(0, HEADER_BYTES).arrayBuffer())
+    if (view.byteLength < 12) return { ...EMPTY_METADATA }
+
+    let found = {}
+    if (view.getUint16(0) === 0xFFD8) {
+      found = readJpeg(view)
+    } else if (view.getUint32(0) === 0x89504E47) {
+      found = readPng(view)
+    } else if (readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+      found = readWebp(view)
+    }
+    return { ...EMPTY_METADATA, ...found }
+  } catch (error) {
+    console.warn('Could not read photo metadata:', error)
+    return { ...EMPTY_METADATA }
+  }
+}
+
+/**
+ * Whether a photo carries anything that re-encoding will remove
+ * @param {ImageMetadata} metadata
+ * @returns {boolean}
+ */
+export const hasPrivateMetadata = (metadata) => metadata.hasExif || metadata.hasXmp
+
+/**
+ * Human-readable list of what gets removed from a photo
+ * @param {ImageMetadata} metadata
+ * @returns {string[]} e.g. ['GPS location', 'camera (Apple iPhone 13)', 'capture date']
+ */
+export const describeRemovedMetadata = (metadata) => {
+  const removed = []
+  if (metadata.hasGps) removed.push('GPS location')
+  if (metadata.camera) removed.push(`camera (${metadata.camera})`)
+  if (metadata.capturedAt) removed.push('capture date')
+  if (metadata.hasXmp) removed.push('XMP data')
+  if (removed.length === 0 && metadata.hasExif) removed.push('EXIF data')
+  return removed
+}
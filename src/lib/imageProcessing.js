@@ -0,0 +1,183 @@
+/**
+ * In-browser image resizing and re-encoding
+ * Phone photos are routinely 5-15MB; they are downscaled and re-encoded
+ * before upload so they fit the bucket limits, and a small thumbnail is
+ * made for grids. Canvas output carries no EXIF/XMP, so re-encoding also
+ * strips GPS and camera metadata; the EXIF orientation is applied to the
+ * pixels first so photos don't come out sideways.
+ */
+
+// Largest photo we'll try to process at all
+export const MAX_SOURCE_IMAGE_SIZE = 40 * 1024 * 1024
+
+// Used when compressImage isn't given a profile
+const DEFAULT_PROFILE = { maxDimension: 1600, targetBytes: 1024 * 1024 }
+
+// Longest edge of a thumbnail. Thumbnails are always JPEG so their file
+// name can be worked out from the full image's.
+export const THUMBNAIL_DIMENSION = 320
+const THUMBNAIL_TYPE = 'image/jpeg'
+
+const START_QUALITY = 0.85
+const MIN_QUALITY = 0.5
+const QUALITY_STEP = 0.1
+
+// Animated GIFs would lose their frames on a canvas
+const PASSTHROUGH_TYPES = ['image/gif']
+
+let webpSupport = null
+
+/**
+ * Whether the browser can encode WebP (Safari before 17 can't)
+ * @returns {Promise<boolean>}
+ */
+const canEncodeWebp = async () => {
+  if (webpSupport === null) {
+    const canvas = document.createElement('canvas')
+    canvas.width = 1
+    canvas.height = 1
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp'))
+    webpSupport = blob?.type === 'image/webp'
+  }
+  return webpSupport
+}
+
+/**
+ * Draw a bitmap onto a canvas scaled to fit maxDimension
+ * Uses OffscreenCanvas where available. JPEG has no alpha channel, so
+ * transparent areas are painted white rather than coming out black.
+ */
+const drawScaled = (bitmap, maxDimension, type) => {
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height))
+  const width = Math.max(1, Math.round(bitmap.width * scale))
+  const height = Math.max(1, Math.round(bitmap.height * scale))
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height })
+
+  const context = canvas.getContext('2d')
+  context.imageSmoothingQuality = 'high'
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, width, height)
+  }
+  context.drawImage(bitmap, 0, 0, width, height)
+  return canvas
+}
+
+/**
+ * Encode a canvas to a Blob
+ */
+const encodeCanvas = (canvas, type, quality) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality })
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image.')), type, quality)
+  })
+}
+
+/**
+ * Swap a file name's extension for the output type's
+ */
+const renameFor = (name, type) => {
+  const base = (name || 'image').replace(/\.[^./]+$/, '')
+  return `${base}.${type === 'image/webp' ? 'webp' : 'jpg'}`
+}
+
+/**
+ * Decode an image file into something drawable
+ * @param {File|Blob} file - The image
+ * @returns {Promise<ImageBitmap>}
+ */
+const decodeImage = async (file) => {
+  try {
+    return await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch {
+    throw new Error('This image format can\'t be read by your browser. Try a JPG or PNG.')
+  }
+}
+
+/**
+ * Encode a bitmap at decreasing quality until it fits targetBytes
+ * If even MIN_QUALITY is too big, the dimensions are reduced and it tries again.
+ * @returns {Promise<Blob>}
+ */
+const encodeToTarget = async (bitmap, type, maxDimension, targetBytes) => {
+  let dimension = maxDimension
+  let blob = null
+
+  while (dimension >= THUMBNAIL_DIMENSION) {
+    const canvas = drawScaled(bitmap, dimension, type)
+    for (let quality = START_QUALITY; quality >= MIN_QUALITY - 0.001; quality -= QUALITY_STEP) {
+      blob = await encodeCanvas(canvas, type, quality)
+      if (blob.size <= targetBytes) return blob
+    }
+    dimension = Math.round(dimension * 0.75)
+  }
+
+  return blob
+}
+
+/**
+ * Resize and re-encode a photo for upload
+ * Everything except GIFs comes out as WebP (JPEG where WebP can't be
+ * encoded), unless that would only make an already small file bigger and
+ * allowOriginal is set.
+ * @param {File} file - The original image
+ * @param {Object} profile - Output limits
+ * @param {number} profile.maxDimension - Longest edge in pixels
+ * @param {number} profile.targetBytes - Size to get under
+ * @param {Object} options
+ * @param {boolean} options.allowOriginal - May return the untouched file; pass false when it has metadata to strip
+ * @returns {Promise<File>} The processed image (the original for GIFs)
+ */
+export const compressImage = async (file, { maxDimension, targetBytes } = DEFAULT_PROFILE, { allowOriginal = true } = {}) => {
+  if (PASSTHROUGH_TYPES.includes(file.type)) return file
+
+  const bitmap = await decodeImage(file)
+  try {
+    const type = await canEncodeWebp() ? 'image/webp' : 'image/jpeg'
+    const blob = await encodeToTarget(bitmap, type, maxDimension, targetBytes)
+
+    // Re-encoding a tiny, already-compressed file can make it bigger
+    if (allowOriginal && blob.size >= file.size && Math.max(bitmap.width, bitmap.height) <= maxDimension) {
+      return file
+    }
+    return new File([blob], renameFor(file.name, type), { type, lastModified: file.lastModified })
+  } finally {
+    bitmap.close?.()
+  }
+}
+
+/**
+ * Make a small preview of an image for grids and lists
+ * @param {File|Blob} file - The (already processed) image
+ * @returns {Promise<File>} A THUMBNAIL_DIMENSION px JPEG
+ */
+export const createThumbnail = async (file) => {
+  const bitmap = await decodeImage(file)
+  try {
+    const blob = await encodeCanvas(drawScaled(bitmap, THUMBNAIL_DIMENSION, THUMBNAIL_TYPE), THUMBNAIL_TYPE, 0.75)
+    return new File([blob], renameFor(file.name, THUMBNAIL_TYPE), { type: THUMBNAIL_TYPE })
+  } finally {
+    bitmap.close?.()
+  }
+}
+
+/**
+ * Re-encode an image as JPEG at its full size
+ * For consumers that only take JPEG or PNG, e.g. PDF export of WebP pages.
+ * @param {File|Blob} file - The image
+ * @returns {Promise<Blob>} A JPEG
+ */
+export const convertToJpeg = async (file) => {
+  const bitmap = await decodeImage(file)
+  try {
+    const canvas = drawScaled(bitmap, Math.max(bitmap.width, bitmap.height), 'image/jpeg')
+    return await encodeCanvas(canvas, 'image/jpeg', 0.9)
+  } finally {
+    bitmap.close?.()
+  }
+}
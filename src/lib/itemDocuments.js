@@ -0,0 +1,127 @@
+import { supabase } from './supabase'
+import { withSignedUrls } from './documents'
+
+/**
+ * Links between items and documents
+ * An item can be linked to any number of documents (its receipt, warranty,
+ * manual) and a document to any number of items. Links live in
+ * item_documents and go away with either side.
+ */
+
+/**
+ * Get the documents linked to an item, with image URLs
+ * Documents in the Trash are left out.
+ * @param {string} itemId - The item's ID
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>} Most recently linked first
+ */
+export const getItemDocuments = async (itemId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view documents.')
+
+    const { data, error } = await supabase
+      .from('item_documents')
+      .select('created_at, documents(*)')
+      .eq('item_id', itemId)
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to load linked documents: ${error.message}`)
+    }
+
+    const documents = (data || [])
+      .map(link => link.documents)
+      .filter(doc => doc && !doc.deleted_at)
+
+    return {
+      success: true,
+      data: await withSignedUrls(documents)
+    }
+
+  } catch (error) {
+    console.error('Get item documents error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load linked documents. Please try again.'
+    }
+  }
+}
+
+/**
+ * Link a document to an item
+ * Linking an already linked document does nothing.
+ * @param {string} itemId - The item's ID
+ * @param {string} documentId - The document's ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const linkDocumentToItem = async (itemId, documentId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to link documents.')
+
+    if (!itemId || !documentId) {
+      throw new Error('Item and document are required.')
+    }
+
+    const { error } = await supabase
+      .from('item_documents')
+      .upsert(
+        [{ item_id: itemId, document_id: documentId, user_id: user.id }],
+        { onConflict: 'item_id,document_id', ignoreDuplicates: true }
+      )
+
+    if (error) {
+      throw new Error(`Failed to link document: ${error.message}`)
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Link document error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to link the document. Please try again.'
+    }
+  }
+}
+
+/**
+ * Remove the link between a document and an item
+ * Neither the item nor the document is changed.
+ * @param {string} itemId - The item's ID
+ * @param {string} documentId - The document's ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const unlinkDocumentFromItem = async (itemId, documentId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to unlink documents.')
+
+    const { error } = await supabase
+      .from('item_documents')
+      .delete()
+      .eq('item_id', itemId)
+      .eq('document_id', documentId)
+      .eq('user_id', user.id)
+
+    if (error) {
+      throw new Error(`Failed to unlink document: ${error.message}`)
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Unlink document error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to unlink the document. Please try again.'
+    }
+  }
+}
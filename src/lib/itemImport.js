@@ -0,0 +1,199 @@
+import { unzip } from 'fflate'
+import { validateItemData } from './items'
+import { parseCsv } from './csv'
+
+/**
+ * Bulk import helpers
+ * Reads CSV / JSON item lists and ZIPs of photos, and turns them into preview
+ * rows that importItems (items.js) can save.
+ */
+
+// Keep a single import to a size the browser can preview comfortably
+export const MAX_IMPORT_ROWS = 1000
+
+// Column names we accept for each field (compared lowercased, spaces → underscores)
+const FIELD_ALIASES = {
+  item_name: ['item_name', 'name', 'item', 'title'],
+  location: ['location', 'where', 'place', 'stored'],
+  category: ['category', 'type', 'group'],
+  image: ['image', 'image_filename', 'image_file', 'photo', 'picture', 'filename', 'file']
+}
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+}
+
+// Example file offered from the import dialog
+export const IMPORT_TEMPLATE_CSV = [
+  'item_name,location,category,image',
+  'Passport,Top drawer of the bedroom desk,Documents,passport.jpg',
+  'Spare car keys,"Kitchen, hook by the back door",Keys,'
+].join('\n')
+
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/[\s-]+/g, '_')
+
+// Last path segment, lowercased: "Photos/Passport.JPG" -> "passport.jpg"
+const baseName = (path) => String(path).split(/[\\/]/).pop().trim().toLowerCase()
+
+/**
+ * Map loosely named columns onto item fields
+ * @param {Object} raw - One row as read from the file
+ * @param {number} rowNumber - Position in the file, as the user would count it
+ * @returns {{rowNumber: number, item_name: string, location: string, category: string, image_filename: string}}
+ */
+const normalizeRow = (raw, rowNumber) => {
+  const byKey = {}
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    byKey[normalizeKey(key)] = value == null ? '' : String(value).trim()
+  })
+
+  const pick = (field) => FIELD_ALIASES[field].map(alias => byKey[alias]).find(value => value) || ''
+
+  return {
+    rowNumber,
+    item_name: pick('item_name'),
+    location: pick('location'),
+    category: pick('category'),
+    image_filename: pick('image')
+  }
+}
+
+/**
+ * Read an item list from a CSV or JSON file
+ * JSON may be an array of items or an object with an `items` array
+ * @param {File} file - The uploaded file
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+export const readImportFile = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided.')
+    }
+
+    const extension = file.name.split('.').pop()?.toLowerCase()
+    const text = await file.text()
+    let rows
+    // Line 1 of a CSV is the header row, so its first item sits on line 2
+    let firstRowNumber = 1
+
+    if (extension === 'json' || file.type === 'application/json') {
+      let parsed
+      try {
+        parsed = JSON.parse(text)
+      } catch {
+        throw new Error('This JSON file could not be read. Please check it is valid JSON.')
+      }
+      rows = Array.isArray(parsed) ? parsed : parsed?.items
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON imports must be a list of items, or an object with an "items" list.')
+      }
+    } else if (extension === 'csv' || file.type === 'text/csv') {
+      rows = parseCsv(text)
+      firstRowNumber = 2
+    } else {
+      throw new Error('Unsupported file type. Please choose a .csv or .json file.')
+    }
+
+    if (rows.length === 0) {
+      throw new Error('No items found in this file.')
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`This file has ${rows.length} items. Please split it into files of up to ${MAX_IMPORT_ROWS}.`)
+    }
+
+    return {
+      success: true,
+      data: rows.map((row, index) => normalizeRow(row, index + firstRowNumber))
+    }
+
+  } catch (error) {
+    console.error('Read import file error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to read the import file.'
+    }
+  }
+}
+
+/**
+ * Unpack a ZIP of photos
+ * Folders are flattened, so rows refer to photos by file name only
+ * @param {File} file - The uploaded .zip
+ * @returns {Promise<{success: boolean, data?: Map<string, File>, error?: string}>}
+ *   data maps lowercased file names to image Files
+ */
+export const readImageArchive = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided.')
+    }
+
+    const buffer = new Uint8Array(await file.arrayBuffer())
+    const entries = await new Promise((resolve, reject) => {
+      unzip(buffer, {
+        // Only unpack photos; skip folders, macOS metadata and anything else
+        filter: (entry) => {
+          const name = baseName(entry.name)
+          return !entry.name.startsWith('__MACOSX/') && !name.startsWith('.') && Boolean(IMAGE_TYPES[name.split('.').pop()])
+        }
+      }, (error, result) => (error ? reject(new Error('This ZIP file could not be opened.')) : resolve(result)))
+    })
+
+    const images = new Map()
+    Object.entries(entries).forEach(([path, bytes]) => {
+      const name = baseName(path)
+      const type = IMAGE_TYPES[name.split('.').pop()]
+      images.set(name, new File([bytes], path.split('/').pop(), { type }))
+    })
+
+    if (images.size === 0) {
+      throw new Error('No photos (JPG, PNG, GIF, WebP) found in this ZIP.')
+    }
+
+    return {
+      success: true,
+      data: images
+    }
+
+  } catch (error) {
+    console.error('Read image archive error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to read the ZIP file.'
+    }
+  }
+}
+
+/**
+ * Match rows to photos and run addItem's validation on each one
+ * @param {Array} rows - Output of readImportFile
+ * @param {Map<string, File>|null} images - Output of readImageArchive, if a ZIP was chosen
+ * @returns {Array<{rowNumber: number, item_name: string, location: string, category: string,
+ *   image_filename: string, image: File|null, errors: string[], warnings: string[]}>}
+ */
+export const buildImportPreview = (rows, images = null) => {
+  return rows.map(row => {
+    const warnings = []
+    let image = null
+
+    if (row.image_filename) {
+      image = images?.get(baseName(row.image_filename)) || null
+      if (!images) {
+        warnings.push('Add a ZIP of photos to include this image.')
+      } else if (!image) {
+        warnings.push(`"${row.image_filename}" isn't in the ZIP; importing without a photo.`)
+      }
+    }
+
+    return {
+      ...row,
+      image,
+      errors: validateItemData({ ...row, image }),
+      warnings
+    }
+  })
+}
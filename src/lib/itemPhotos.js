@@ -0,0 +1,301 @@
+import { supabase } from './supabase'
+import { uploadImage, deleteImage } from './storage'
+import { MAX_SOURCE_IMAGE_SIZE } from './imageProcessing'
+
+/**
+ * Item photo galleries
+ * An item's photos live in item_photos, in order, with at most one marked as
+ * the cover. items.image_url (the cover) and items.photo_count follow the
+ * gallery through a database trigger, so only this table is written here.
+ */
+
+// A close-up, a wide shot and a few more; galleries beyond that get unwieldy
+export const MAX_PHOTOS_PER_ITEM = 10
+
+/**
+ * Check that a file can be added to a gallery
+ * @param {File} file
+ * @returns {string|null} An error message, or null when the file is fine
+ */
+export const validatePhotoFile = (file) => {
+  if (!file.type.startsWith('image/')) {
+    return `${file.name}: only images (PNG, JPG, GIF, WebP) can be added.`
+  }
+  if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+    return `${file.name} is too large. Maximum size is ${MAX_SOURCE_IMAGE_SIZE / (1024 * 1024)}MB.`
+  }
+  return null
+}
+
+/**
+ * The photo shown for an item: the marked cover, else the first one
+ * @param {Array} photos - item_photos rows in gallery order
+ * @returns {Object|null}
+ */
+export const coverPhotoOf = (photos) => photos.find(photo => photo.is_cover) || photos[0] || null
+
+/**
+ * Upload photos for an item that may not be saved yet
+ * If one upload fails, the ones before it are removed again.
+ * @param {File[]} files - Images, in gallery order
+ * @param {string} userId - The owner's ID
+ * @returns {Promise<Array<{url: string, metadata: object}>>}
+ */
+export const uploadItemPhotos = async (files, userId) => {
+  const uploaded = []
+  try {
+    for (const file of files) {
+      const problem = validatePhotoFile(file)
+      if (problem) throw new Error(problem)
+
+      const result = await uploadImage(file, userId)
+      if (!result.success) {
+        throw new Error(`Upload of ${file.name} failed: ${result.error || 'Unknown error'}`)
+      }
+      uploaded.push({ url: result.url, metadata: result.metadata })
+    }
+    return uploaded
+  } catch (error) {
+    await Promise.all(uploaded.map(photo => deleteImage(photo.url)))
+    throw error
+  }
+}
+
+/**
+ * Add already-stored photos to an item's gallery
+ * @param {string} itemId - The item's ID
+ * @param {string} userId - The owner's ID
+ * @param {string[]} urls - Public image URLs, in gallery order
+ * @param {Object} options
+ * @param {number} options.firstPosition - position of the first new photo
+ * @param {number} options.coverIndex - Index in urls of the cover (-1 to leave the cover alone)
+ * @returns {Promise<Array>} The inserted item_photos rows
+ */
+export const savePhotoRows = async (itemId, userId, urls, { firstPosition = 0, coverIndex = -1 } = {}) => {
+  const { data, error } = await supabase
+    .from('item_photos')
+    .insert(urls.map((url, index) => ({
+      item_id: itemId,
+      user_id: userId,
+      image_url: url,
+      position: firstPosition + index,
+      is_cover: index === coverIndex
+    })))
+    .select()
+
+  if (error) {
+    throw new Error(`Failed to save photos: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Get an item's photos in gallery order
+ * @param {string} itemId - The item's ID
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+export const getItemPhotos = async (itemId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view photos.')
+
+    const { data, error } = await supabase
+      .from('item_photos')
+      .select('*')
+      .eq('item_id', itemId)
+      .eq('user_id', user.id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to load photos: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: data || []
+    }
+
+  } catch (error) {
+    console.error('Get item photos error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load photos. Please try again.'
+    }
+  }
+}
+
+/**
+ * Add photos to the end of an item's gallery
+ * @param {string} itemId - The item's ID
+ * @param {File[]} files - Images, in order
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>} data is the whole gallery
+ */
+export const addItemPhotos = async (itemId, files) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to add photos.')
+
+    if (!files?.length) {
+      throw new Error('No photos to add.')
+    }
+
+    const current = await getItemPhotos(itemId)
+    if (!current.success) throw new Error(current.error)
+    if (current.data.length + files.length > MAX_PHOTOS_PER_ITEM) {
+      throw new Error(`An item can have at most ${MAX_PHOTOS_PER_ITEM} photos.`)
+    }
+
+    const uploaded = await uploadItemPhotos(files, user.id)
+    const lastPosition = current.data.reduce((max, photo) => Math.max(max, photo.position), -1)
+    try {
+      await savePhotoRows(itemId, user.id, uploaded.map(photo => photo.url), {
+        firstPosition: lastPosition + 1,
+        // The first photo of an empty gallery becomes its cover
+        coverIndex: current.data.length === 0 ? 0 : -1
+      })
+    } catch (saveError) {
+      await Promise.all(uploaded.map(photo => deleteImage(photo.url)))
+      throw saveError
+    }
+
+    return await getItemPhotos(itemId)
+
+  } catch (error) {
+    console.error('Add item photos error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to add photos. Please try again.'
+    }
+  }
+}
+
+/**
+ * Put an item's photos in a new order
+ * @param {string} itemId - The item's ID
+ * @param {string[]} orderedIds - Every photo ID of the item, in the new order
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const reorderItemPhotos = async (itemId, orderedIds) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to reorder photos.')
+
+    for (const [index, id] of orderedIds.entries()) {
+      const { error } = await supabase
+        .from('item_photos')
+        .update({ position: index })
+        .eq('id', id)
+        .eq('item_id', itemId)
+        .eq('user_id', user.id)
+
+      if (error) {
+        throw new Error(`Failed to reorder photos: ${error.message}`)
+      }
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Reorder item photos error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to reorder photos. Please try again.'
+    }
+  }
+}
+
+/**
+ * Make one photo the item's cover
+ * @param {string} itemId - The item's ID
+ * @param {string} photoId - The photo to show for the item
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const setItemCover = async (itemId, photoId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to change the cover photo.')
+
+    // Only one cover per item, so clear the old one first
+    const { error: clearError } = await supabase
+      .from('item_photos')
+      .update({ is_cover: false })
+      .eq('item_id', itemId)
+      .eq('user_id', user.id)
+      .eq('is_cover', true)
+
+    if (clearError) {
+      throw new Error(`Failed to change the cover photo: ${clearError.message}`)
+    }
+
+    const { error } = await supabase
+      .from('item_photos')
+      .update({ is_cover: true })
+      .eq('id', photoId)
+      .eq('item_id', itemId)
+      .eq('user_id', user.id)
+
+    if (error) {
+      throw new Error(`Failed to change the cover photo: ${error.message}`)
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Set item cover error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to change the cover photo. Please try again.'
+    }
+  }
+}
+
+/**
+ * Remove one photo from an item and delete the file
+ * Removing the cover makes the first remaining photo the cover.
+ * @param {string} photoId - The photo's ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const removeItemPhoto = async (photoId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to remove photos.')
+
+    const { data, error } = await supabase
+      .from('item_photos')
+      .delete()
+      .eq('id', photoId)
+      .eq('user_id', user.id)
+      .select('image_url')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to remove photo: ${error.message}`)
+    }
+
+    // The row is gone; a file left behind is picked up by the storage sweeper
+    const deleteResult = await deleteImage(data.image_url)
+    if (!deleteResult.success) {
+      console.warn('Failed to delete photo from storage:', deleteResult.error)
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Remove item photo error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to remove the photo. Please try again.'
+    }
+  }
+}
@@ -1,102 +1,1066 @@
 import { supabase } from './supabase'
 import { uploadImage, deleteImage } from './storage'
+import { MAX_SOURCE_IMAGE_SIZE } from './imageProcessing'
+import { uploadItemPhotos, savePhotoRows, MAX_PHOTOS_PER_ITEM } from './itemPhotos'
+import { settingsFromUser } from './settings'
+import { formatLocationPath, getSubtreeIds, matchLocationsByName } from './locations'
+import { rankItems, queryTerms, suggestCorrection } from './ranking'
+import { parseQuery, isWithinRange } from './queryParser'
+import {
+  isOffline, isNetworkError, isRepeatedAdd, getOfflineUser, newRecordId, presentRow,
+  answerFromMirror, mirrorRows, readMirrorRecord, queueChange, queueAfterNetworkError
+} from './offlineStore'
+import { publishChange, publishRemoval } from './realtime'
+
+/**
+ * Validate an item image before upload
+ * @param {File} image - The image file to check
+ * @throws {Error} If the file is not an image or is too large
+ */
+const validateItemImage = (image) => {
+  if (!image.type.startsWith('image/')) {
+    throw new Error('Invalid file type. Please upload an image file (PNG, JPG, GIF).')
+  }
+  if (image.size > MAX_SOURCE_IMAGE_SIZE) {
+    throw new Error(`Image file is too large. Maximum size is ${MAX_SOURCE_IMAGE_SIZE / (1024 * 1024)}MB.`)
+  }
+}
+
+/**
+ * Check new item data against the rules addItem enforces
+ * Runs without touching the database, so it can vet a whole import up front
+ * @param {Object} itemData - Same shape as addItem's itemData
+ * @returns {string[]} Problems found (empty when the item can be saved)
+ */
+export const validateItemData = (itemData) => {
+  const problems = []
+
+  if (!itemData.item_name?.trim()) {
+    problems.push('Item name is required.')
+  }
+  if (!itemData.location?.trim() && !itemData.location_id) {
+    problems.push('Location description is required.')
+  }
+  const images = itemData.images || (itemData.image ? [itemData.image] : [])
+  if (images.length > MAX_PHOTOS_PER_ITEM) {
+    problems.push(`An item can have at most ${MAX_PHOTOS_PER_ITEM} photos.`)
+  }
+  images.forEach(image => {
+    try {
+      validateItemImage(image)
+    } catch (error) {
+      problems.push(error.message)
+    }
+  })
+
+  return problems
+}
+
+/**
+ * Load the user's location nodes (empty list if the table isn't set up yet)
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>}
+ */
+const fetchLocationNodes = async (userId) => {
+  const { data, error } = await supabase
+    .from('locations')
+    .select('id, parent_id, name')
+    .eq('user_id', userId)
+
+  if (error) {
+    console.warn('Failed to load locations:', error.message)
+    return []
+  }
+  return data || []
+}
+
+/**
+ * Work out the text stored in items.location
+ * The free-text note wins; otherwise fall back to the node's full path
+ * @param {string} userId - The user's ID
+ * @param {string|null} locationId - Selected location node
+ * @param {string} note - Free-text location note
+ * @returns {Promise<string>}
+ */
+const resolveLocationText = async (userId, locationId, note) => {
+  if (note?.trim()) return note.trim()
+  if (!locationId) return ''
+
+  const nodes = await fetchLocationNodes(userId)
+  return formatLocationPath(nodes, locationId)
+}
+
+// Maximum rows search_items sends back for a full search / for suggestions
+const SEARCH_RESULT_LIMIT = 50
+const SUGGESTION_LIMIT = 8
+
+// How far back findItem looks when falling back to previous locations
+const RECENT_MOVE_DAYS = 30
+
+/**
+ * Record a location change in item_location_history
+ * Failures are logged but never block the item write itself
+ * @param {string} itemId - The item ID
+ * @param {string} userId - The owner's user ID
+ * @param {string|null} fromLocation - Previous location (null for a new item)
+ * @param {string} toLocation - New location
+ */
+const recordLocationChange = async (itemId, userId, fromLocation, toLocation) => {
+  const { error } = await supabase
+    .from('item_location_history')
+    .insert([
+      {
+        item_id: itemId,
+        user_id: userId,
+        from_location: fromLocation,
+        to_location: toLocation
+      }
+    ])
+
+  if (error) {
+    console.warn('Failed to record location history:', error.message)
+  }
+}
+
+/**
+ * Where an item is, as its location history tells it
+ * The place's path when it has one, so a move between places shows even while
+ * the item's own note stays the same; otherwise the stored location text
+ * @param {Array} nodes - The user's location nodes
+ * @param {string|null} locationId - The item's location node
+ * @param {string} locationText - The item's location text
+ * @returns {string}
+ */
+const historyLocation = (nodes, locationId, locationText) =>
+  (locationId && formatLocationPath(nodes, locationId)) || locationText
 
 /**
  * Add a new item to the database
  * @param {Object} itemData - The item data
  * @param {string} itemData.item_name - Name of the item
- * @param {string} itemData.location - Location where item is stored
+ * @param {string} itemData.location - Location where item is stored (free-text note)
+ * @param {string} itemData.location_id - Optional location node the item lives in
  * @param {string} itemData.category - Optional category
- * @param {File} itemData.image - Optional image file
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * @param {File[]} itemData.images - Optional photos, in gallery order
+ * @param {number} itemData.coverIndex - Which of the photos is the cover (default: the first);
+ *   with the useCaptureDate setting on, its capture date becomes created_at
+ * @param {File} itemData.image - Optional single photo (same as images: [image])
+ * @param {string} itemData.id - Optional ID for the new row (items added offline bring their own)
+ * @param {string} itemData.created_at - Optional time the item was added (default: now)
+ * @param {Object} options
+ * @param {boolean} options.queueOffline - Save on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean}>}
+ *   queued is set when there was no connection and the item was saved on this device to sync later
+ */
+export const addItem = async (itemData, { queueOffline = true } = {}) => {
+  let uploaded = []
+  // Chosen up front, so an add whose reply is lost and then queued isn't saved twice
+  const newItem = { ...itemData, id: itemData.id || newRecordId() }
+
+  try {
+    if (queueOffline && isOffline()) {
+      return await addItemOffline(newItem)
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to add items.')
+
+    // Validate required inputs
+    const [problem] = validateItemData(itemData)
+    if (problem) {
+      throw new Error(problem)
+    }
+    const locationText = await resolveLocationText(user.id, itemData.location_id, itemData.location)
+    if (!locationText) {
+      throw new Error('Location description is required.')
+    }
+
+    let capturedAt = null
+
+    // Upload photos if provided
+    const images = itemData.images || (itemData.image ? [itemData.image] : [])
+    uploaded = await uploadItemPhotos(images, user.id)
+    const coverIndex = uploaded[itemData.coverIndex] ? itemData.coverIndex : 0
+    const cover = uploaded[coverIndex]
+
+    // Opt-in: date the item by when its cover photo was taken
+    const photoDate = cover?.metadata?.capturedAt
+    if (settingsFromUser(user).useCaptureDate && photoDate && new Date(photoDate) <= new Date()) {
+      capturedAt = photoDate
+    }
+
+    // Insert item into database
+    const { data, error } = await supabase
+      .from('items')
+      .insert([
+        {
+          id: newItem.id,
+          user_id: user.id,
+          item_name: itemData.item_name.trim(),
+          location: locationText,
+          location_id: itemData.location_id || null,
+          category: itemData.category?.trim() || null,
+          image_url: cover?.url || null,
+          ...((capturedAt || itemData.created_at) && { created_at: capturedAt || itemData.created_at })
+        }
+      ])
+      .select()
+      .single()
+
+    if (isRepeatedAdd(error)) {
+      const item = await completeRepeatedAdd(newItem.id, user.id, uploaded, coverIndex)
+      uploaded = []
+      await publishChange('items', item)
+      return {
+        success: true,
+        data: item
+      }
+    }
+    if (error) throw new Error(error.message || 'Failed to save item to database.')
+
+    let item = data
+    if (uploaded.length > 0) {
+      try {
+        await savePhotoRows(data.id, user.id, uploaded.map(photo => photo.url), { coverIndex })
+      } catch (photosError) {
+        // Don't leave an item without the photos it was added with
+        await supabase.from('items').delete().eq('id', data.id).eq('user_id', user.id)
+        throw photosError
+      }
+      item = { ...data, photo_count: uploaded.length }
+    }
+
+    await recordLocationChange(item.id, user.id, null, item.location)
+    await publishChange('items', item)
+
+    return {
+      success: true,
+      data: item
+    }
+
+  } catch (error) {
+    console.error('Add item error:', error)
+
+    // The item may have reached the server with its photos even though the
+    // reply didn't, so they stay when the add is queued; if it didn't, the
+    // storage sweeper removes them later
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => addItemOffline(newItem))
+    }
+
+    // Don't leave freshly uploaded photos behind if the item wasn't saved
+    await Promise.all(uploaded.map(photo => deleteImage(photo.url)))
+
+    return {
+      success: false,
+      error: error.message || 'An unexpected error occurred while adding the item.'
+    }
+  }
+}
+
+/**
+ * Finish an add that had already reached the server
+ * The earlier attempt may have stopped before saving the gallery (see
+ * isRepeatedAdd); the photos uploaded this time fill it in, or are removed
+ * again when the gallery is already there.
+ * @param {string} itemId - The item's ID
+ * @param {string} userId - The owner's ID
+ * @param {Array<{url: string}>} uploaded - Photos uploaded for this attempt, in gallery order
+ * @param {number} coverIndex - Which of them is the cover
+ * @returns {Promise<Object>} The item as stored
+ */
+const completeRepeatedAdd = async (itemId, userId, uploaded, coverIndex) => {
+  const { data: item, error } = await supabase
+    .from('items')
+    .select('*')
+    .eq('id', itemId)
+    .eq('user_id', userId)
+    .single()
+
+  if (error) throw new Error(`Failed to load the saved item: ${error.message}`)
+
+  const { count, error: photosError } = await supabase
+    .from('item_photos')
+    .select('id', { count: 'exact', head: true })
+    .eq('item_id', itemId)
+
+  if (photosError) throw new Error(`Failed to load photos: ${photosError.message}`)
+
+  if (count > 0 || uploaded.length === 0) {
+    await Promise.all(uploaded.map(photo => deleteImage(photo.url)))
+    return item
+  }
+
+  await savePhotoRows(itemId, userId, uploaded.map(photo => photo.url), { coverIndex })
+
+  // The gallery trigger has moved image_url to the new cover; a cover left by
+  // the earlier attempt isn't used any more
+  if (item.image_url && !uploaded.some(photo => photo.url === item.image_url)) {
+    await deleteImage(item.image_url)
+  }
+  return { ...item, image_url: uploaded[coverIndex].url, photo_count: uploaded.length }
+}
+
+/**
+ * Save a new item on this device and queue it for the server
+ * Its photos wait in the queue and are uploaded when the add is replayed.
+ * @param {Object} itemData - Same shape as addItem's itemData
+ * @returns {Promise<{success: boolean, data: object, queued: true}>}
+ */
+const addItemOffline = async (itemData) => {
+  const user = await getOfflineUser()
+  if (!user) throw new Error('You must be signed in to add items.')
+
+  const [problem] = validateItemData(itemData)
+  if (problem) {
+    throw new Error(problem)
+  }
+
+  const images = itemData.images || (itemData.image ? [itemData.image] : [])
+  const coverIndex = images[itemData.coverIndex] ? itemData.coverIndex : 0
+  const now = new Date().toISOString()
+  const item = {
+    id: itemData.id || newRecordId(),
+    user_id: user.id,
+    item_name: itemData.item_name.trim(),
+    // A place's full path is filled in when the item reaches the server
+    location: itemData.location?.trim() || '',
+    location_id: itemData.location_id || null,
+    category: itemData.category?.trim() || null,
+    image_url: null,
+    photo_count: images.length,
+    created_at: now,
+    updated_at: now,
+    deleted_at: null
+  }
+
+  await queueChange({
+    user_id: user.id,
+    table: 'items',
+    action: 'add',
+    record_id: item.id,
+    label: item.item_name,
+    data: {
+      item_name: item.item_name,
+      location: itemData.location || '',
+      location_id: item.location_id,
+      category: item.category,
+      images,
+      coverIndex,
+      created_at: now
+    }
+  })
+  const row = { ...item, _pending: true, _files: images, _coverIndex: coverIndex }
+  await publishChange('items', row)
+
+  return { success: true, data: presentRow(row), queued: true }
+}
+
+// Rows sent to Postgres per insert during a bulk import
+const IMPORT_BATCH_SIZE = 25
+
+/**
+ * Add many items at once (bulk import)
+ * Each row goes through the same checks as addItem; valid rows are inserted
+ * in batches and a failed batch doesn't stop the rest.
+ * @param {Array<Object>} rows - addItem-shaped data, plus an optional rowNumber for error reports
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { done, total } after each batch
+ * @returns {Promise<{success: boolean, data?: {imported: array, failed: array}, error?: string}>}
+ *   failed holds { rowNumber, error } for every row that wasn't saved
+ */
+export const importItems = async (rows, { onProgress } = {}) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to import items.')
+
+    if (!rows?.length) {
+      throw new Error('There are no items to import.')
+    }
+
+    const imported = []
+    const failed = []
+    const nodes = rows.some(row => row.location_id) ? await fetchLocationNodes(user.id) : []
+
+    for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+      const batch = rows.slice(start, start + IMPORT_BATCH_SIZE)
+      const records = []
+      const uploadedUrls = []
+
+      for (const [offset, row] of batch.entries()) {
+        const rowNumber = row.rowNumber ?? start + offset + 1
+        const [problem] = validateItemData(row)
+        if (problem) {
+          failed.push({ rowNumber, error: problem })
+          continue
+        }
+
+        const locationText = row.location?.trim() || formatLocationPath(nodes, row.location_id)
+        if (!locationText) {
+          failed.push({ rowNumber, error: 'Location description is required.' })
+          continue
+        }
+
+        let imageUrl = null
+        if (row.image) {
+          const uploadResult = await uploadImage(row.image, user.id)
+          if (!uploadResult.success) {
+            failed.push({ rowNumber, error: `Image upload failed: ${uploadResult.error || 'Unknown error'}` })
+            continue
+          }
+          imageUrl = uploadResult.url
+          uploadedUrls.push(imageUrl)
+        }
+
+        records.push({
+          rowNumber,
+          record: {
+            user_id: user.id,
+            item_name: row.item_name.trim(),
+            location: locationText,
+            location_id: row.location_id || null,
+            category: row.category?.trim() || null,
+            image_url: imageUrl
+          }
+        })
+      }
+
+      if (records.length > 0) {
+        const { data, error } = await supabase
+          .from('items')
+          .insert(records.map(entry => entry.record))
+          .select()
+
+        // An imported photo is the start of the item's gallery. If that can't
+        // be saved, the batch is taken out again so no item shows a photo its
+        // gallery doesn't have.
+        let batchError = error
+        let withPhotos = error ? [] : data.filter(item => item.image_url)
+        if (withPhotos.length > 0) {
+          const { error: photosError } = await supabase
+            .from('item_photos')
+            .insert(withPhotos.map(item => ({
+              item_id: item.id,
+              user_id: user.id,
+              image_url: item.image_url,
+              position: 0,
+              is_cover: true
+            })))
+          if (photosError) {
+            const { error: rollbackError } = await supabase
+              .from('items')
+              .delete()
+              .in('id', data.map(item => item.id))
+              .eq('user_id', user.id)
+
+            if (rollbackError) {
+              // The items stay with their photos; photo_count is left as the database has it
+              console.warn('Failed to record item photos:', photosError.message)
+              withPhotos = []
+            } else {
+              batchError = { message: `Failed to save photos: ${photosError.message}` }
+            }
+          }
+        }
+
+        if (batchError) {
+          // Don't leave this batch's photos orphaned in storage
+          await Promise.all(uploadedUrls.map(url => deleteImage(url)))
+          records.forEach(({ rowNumber }) => failed.push({ rowNumber, error: batchError.message || 'Failed to save item.' }))
+        } else {
+          withPhotos.forEach(item => { item.photo_count = 1 })
+          imported.push(...data)
+
+          // Every imported item starts its location trail
+          const { error: historyError } = await supabase
+            .from('item_location_history')
+            .insert(data.map(item => ({
+              item_id: item.id,
+              user_id: user.id,
+              from_location: null,
+              to_location: item.location
+            })))
+          if (historyError) {
+            console.warn('Failed to record location history:', historyError.message)
+          }
+        }
+      }
+
+      onProgress?.({ done: Math.min(start + batch.length, rows.length), total: rows.length })
+    }
+
+    return {
+      success: true,
+      data: {
+        imported,
+        failed: failed.sort((a, b) => a.rowNumber - b.rowNumber)
+      }
+    }
+
+  } catch (error) {
+    console.error('Import items error:', error)
+    return {
+      success: false,
+      error: error.message || 'Import failed. Please try again.'
+    }
+  }
+}
+
+// Every item on this device, for when there's no connection
+const getAllItemsOffline = () => answerFromMirror('items', items => ({ success: true, data: items }))
+
+/**
+ * Get all items for the current user
+ * Offline, or when the server can't be reached, the copy on this device is used.
+ * @returns {Promise<{success: boolean, data?: array, error?: string, offline?: boolean}>}
+ */
+export const getAllItems = async () => {
+  try {
+    if (isOffline()) {
+      return await getAllItemsOffline()
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view items.')
+
+    const { data, error } = await supabase
+      .from('items')
+      .select('*')
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Items table not found. Please contact support.')
+      }
+      throw new Error(`Failed to load items: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: await mirrorRows('items', user.id, data || [])
+    }
+
+  } catch (error) {
+    console.error('Get all items error:', error)
+    if (isNetworkError(error)) {
+      return getAllItemsOffline()
+    }
+    return {
+      success: false,
+      error: error.message || 'Failed to load items. Please try again.'
+    }
+  }
+}
+
+// One item from this device's copy
+const getItemOffline = (itemId) => answerFromMirror('items', items => {
+  const item = items.find(row => row.id === itemId)
+  return item
+    ? { success: true, data: item }
+    : { success: false, error: 'This item isn\'t saved on this device, so it can\'t be shown offline.' }
+})
+
+/**
+ * Get one item
+ * @param {string} itemId - The item's ID
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} Fails for items in the Trash
+ */
+export const getItem = async (itemId) => {
+  try {
+    if (isOffline()) {
+      return await getItemOffline(itemId)
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view items.')
+
+    const { data, error } = await supabase
+      .from('items')
+      .select('*')
+      .eq('id', itemId)
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to load item: ${error.message}`)
+    }
+    if (!data) {
+      throw new Error('Item not found. It may have been moved to Trash.')
+    }
+
+    return {
+      success: true,
+      data: data
+    }
+
+  } catch (error) {
+    console.error('Get item error:', error)
+    if (isNetworkError(error)) {
+      return getItemOffline(itemId)
+    }
+    return {
+      success: false,
+      error: error.message || 'Failed to load item. Please try again.'
+    }
+  }
+}
+
+/**
+ * Get items kept in the same place as an item, and items in its category
+ * The place is the location node when the item has one, else the exact
+ * location description.
+ * @param {Object} item - The item row
+ * @param {number} limit - Most items to return per list
+ * @returns {Promise<{success: boolean, data?: {sameLocation: array, sameCategory: array}, error?: string}>}
+ */
+export const getRelatedItems = async (item, limit = 6) => {
+  try {
+    if (isOffline()) {
+      return await getRelatedItemsOffline(item, limit)
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view items.')
+
+    const others = () => supabase
+      .from('items')
+      .select('id, item_name, location, category, image_url, photo_count')
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .neq('id', item.id)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    const [byLocation, byCategory] = await Promise.all([
+      item.location_id
+        ? others().eq('location_id', item.location_id)
+        : others().eq('location', item.location),
+      item.category
+        ? others().eq('category', item.category)
+        : Promise.resolve({ data: [], error: null })
+    ])
+
+    const error = byLocation.error || byCategory.error
+    if (error) {
+      throw new Error(`Failed to load related items: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: {
+        sameLocation: byLocation.data || [],
+        sameCategory: byCategory.data || []
+      }
+    }
+
+  } catch (error) {
+    console.error('Get related items error:', error)
+    if (isNetworkError(error)) {
+      return getRelatedItemsOffline(item, limit)
+    }
+    return {
+      success: false,
+      error: error.message || 'Failed to load related items. Please try again.'
+    }
+  }
+}
+
+// getRelatedItems from this device's copy
+const getRelatedItemsOffline = (item, limit) => answerFromMirror('items', items => {
+  const others = items.filter(other => other.id !== item.id)
+  const samePlace = item.location_id
+    ? other => other.location_id === item.location_id
+    : other => other.location === item.location
+  return {
+    success: true,
+    data: {
+      sameLocation: others.filter(samePlace).slice(0, limit),
+      sameCategory: item.category ? others.filter(other => other.category === item.category).slice(0, limit) : []
+    }
+  }
+})
+
+/**
+ * Search for items by name or keywords
+ * Candidates come from search_items, then get re-ranked by the typo-tolerant
+ * scorer in ranking.js. Falls back to places items were recently moved out of.
+ * @param {string|import('./queryParser').ParsedQuery} query - Search text, or a query
+ *   already parsed by parseQuery
+ * @returns {Promise<{success: boolean, data?: array, error?: string, didYouMean?: string}>}
+ *   data is always an array sorted by relevance; each item carries `score` and `matches`
+ */
+export const findItem = async (query) => {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query
+
+  try {
+    // Validate input
+    if (!parsed?.raw?.trim()) {
+      throw new Error('Please enter what you\'re looking for.')
+    }
+
+    if (isOffline()) {
+      return await findItemOffline(parsed)
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to search for items.')
+
+    // "What's in the garage?" - list everything under that place
+    if (parsed.intent === 'place') {
+      const placeResult = await findItemsInPlace(user.id, parsed.place)
+      if (placeResult) return placeResult
+    }
+
+    // "Items added last week" - no search words, just the date filter
+    if (parsed.intent === 'list' && parsed.dateRange) {
+      return await listItemsAddedIn(user.id, parsed.dateRange)
+    }
+
+    // Unknown places are searched for like any other words
+    const searchText = parsed.text || parsed.place || parsed.raw.trim()
+
+    // Ranked full-text search runs in Postgres (see search_items in supabase-schema.sql);
+    // the date range goes with it, so the result limit only counts items in range
+    const { data: candidates, error } = await supabase
+      .rpc('search_items', {
+        search_query: searchText,
+        result_limit: SEARCH_RESULT_LIMIT,
+        created_from: parsed.dateRange?.from.toISOString() ?? null,
+        created_to: parsed.dateRange?.to.toISOString() ?? null
+      })
+
+    if (error) {
+      if (error.code === 'PGRST202') {
+        throw new Error('Search is not set up yet. Please contact support.')
+      }
+      throw new Error(`Search failed: ${error.message}`)
+    }
+
+    const rankedItems = rankItems(candidates || [], searchText)
+
+    if (rankedItems.length === 0) {
+      // Tell first-time users why nothing matched
+      const { count, error: countError } = await supabase
+        .from('items')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .is('deleted_at', null)
+
+      if (!countError && count === 0) {
+        return { 
+          success: false, 
+          error: 'You haven\'t added any items yet. Add items first to search for them.' 
+        }
+      }
+
+      // Fall back to places items were recently moved out of
+      const movedItems = await findRecentlyMovedItems(user.id, queryTerms(searchText))
+      if (movedItems.length > 0) {
+        return {
+          success: true,
+          data: rankItems(movedItems, searchText, { weights: { previous_location: 1 }, minScore: 0 })
+        }
+      }
+
+      return {
+        success: false,
+        error: parsed.dateRange
+          ? `No items added ${parsed.dateRange.label} match your search.`
+          : 'No items found matching your search.',
+        didYouMean: await getDidYouMean(user.id, searchText)
+      }
+    }
+
+    return {
+      success: true,
+      data: rankedItems
+    }
+
+  } catch (error) {
+    console.error('Find item error:', error)
+    if (isNetworkError(error) && parsed?.raw?.trim()) {
+      return findItemOffline(parsed)
+    }
+    return {
+      success: false,
+      error: error.message || 'Failed to search for items. Please try again.'
+    }
+  }
+}
+
+/**
+ * findItem over this device's copy
+ * The same ranking runs locally; places are matched by their text, since the
+ * location tree isn't kept offline.
+ * @param {import('./queryParser').ParsedQuery} parsed - From parseQuery
+ * @returns {Promise<{success: boolean, data?: array, error?: string, didYouMean?: string, offline?: boolean}>}
+ */
+const findItemOffline = (parsed) => answerFromMirror('items', items => {
+  if (items.length === 0) {
+    return { success: false, error: 'You haven\'t added any items yet. Add items first to search for them.' }
+  }
+
+  const inRange = items.filter(item => isWithinRange(item.created_at, parsed.dateRange))
+  if (parsed.intent === 'list' && parsed.dateRange) {
+    return inRange.length > 0
+      ? { success: true, data: inRange.map(item => ({ ...item, score: 1, matches: [] })) }
+      : { success: false, error: `You didn't add any items ${parsed.dateRange.label}.` }
+  }
+
+  const searchText = parsed.text || parsed.place || parsed.raw.trim()
+  const rankedItems = rankItems(inRange, searchText)
+  if (rankedItems.length === 0) {
+    const vocabulary = items.flatMap(item => [item.item_name, item.category]).filter(Boolean)
+    return {
+      success: false,
+      error: parsed.dateRange
+        ? `No items added ${parsed.dateRange.label} match your search.`
+        : 'No items found matching your search.',
+      didYouMean: suggestCorrection(searchText, vocabulary)
+    }
+  }
+
+  return { success: true, data: rankedItems }
+})
+
+/**
+ * List items added within a date range, newest first
+ * @param {string} userId - The user's ID
+ * @param {import('./queryParser').DateRange} dateRange - From parseQuery
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+const listItemsAddedIn = async (userId, dateRange) => {
+  const { data, error } = await supabase
+    .from('items')
+    .select('*')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .gte('created_at', dateRange.from.toISOString())
+    .lt('created_at', dateRange.to.toISOString())
+    .order('created_at', { ascending: false })
+
+  if (error) {
+    throw new Error(`Search failed: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return {
+      success: false,
+      error: `You didn't add any items ${dateRange.label}.`
+    }
+  }
+
+  return {
+    success: true,
+    data: data.map(item => ({ ...item, score: 1, matches: [] }))
+  }
+}
+
+/**
+ * Answer a "what's in <place>" question from the location tree
+ * @param {string} userId - The user's ID
+ * @param {string} place - The place named in the question
+ * @returns {Promise<{success: boolean, data?: object|array, error?: string}|null>}
+ *   null when no location node matches, so the caller can fall back to keywords
+ */
+const findItemsInPlace = async (userId, place) => {
+  const nodes = await fetchLocationNodes(userId)
+  const matches = matchLocationsByName(nodes, place)
+  if (matches.length === 0) return null
+
+  const locationIds = [...new Set(matches.flatMap(node => getSubtreeIds(nodes, node.id)))]
+
+  const { data, error } = await supabase
+    .from('items')
+    .select('*')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .in('location_id', locationIds)
+    .order('created_at', { ascending: false })
+
+  if (error) {
+    throw new Error(`Search failed: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return {
+      success: false,
+      error: `Nothing is stored in "${matches[0].name}" yet.`
+    }
+  }
+
+  // Everything in the place is an equally good answer, newest first
+  return {
+    success: true,
+    data: data.map(item => ({ ...item, score: 1, matches: [] }))
+  }
+}
+
+/**
+ * Get every item stored in a location or anywhere beneath it
+ * @param {string} locationId - Root of the subtree, e.g. the garage
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
  */
-export const addItem = async (itemData) => {
+export const getItemsInLocation = async (locationId) => {
   try {
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
     if (authError) throw new Error('Authentication failed. Please sign in again.')
-    if (!user) throw new Error('You must be signed in to add items.')
+    if (!user) throw new Error('You must be signed in to view items.')
 
-    // Validate required inputs
-    if (!itemData.item_name?.trim()) {
-      throw new Error('Item name is required.')
-    }
-    if (!itemData.location?.trim()) {
-      throw new Error('Location description is required.')
+    // Validate input
+    if (!locationId) {
+      throw new Error('Location ID is required.')
     }
 
-    let imageUrl = null
-
-    // Upload image if provided
-    if (itemData.image) {
-      // Validate image file
-      if (!itemData.image.type.startsWith('image/')) {
-        throw new Error('Invalid file type. Please upload an image file (PNG, JPG, GIF).')
-      }
-      if (itemData.image.size > 5 * 1024 * 1024) {
-        throw new Error('Image file is too large. Maximum size is 5MB.')
-      }
-
-      const uploadResult = await uploadImage(itemData.image, user.id)
-      if (!uploadResult.success) {
-        throw new Error(`Image upload failed: ${uploadResult.error || 'Unknown error'}`)
-      }
-      imageUrl = uploadResult.url
-    }
+    const nodes = await fetchLocationNodes(user.id)
+    const locationIds = getSubtreeIds(nodes, locationId)
 
-    // Insert item into database
     const { data, error } = await supabase
       .from('items')
-      .insert([
-        {
-          user_id: user.id,
-          item_name: itemData.item_name.trim(),
-          location: itemData.location.trim(),
-          category: itemData.category?.trim() || null,
-          image_url: imageUrl
-        }
-      ])
-      .select()
-      .single()
+      .select('*')
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .in('location_id', locationIds)
+      .order('created_at', { ascending: false })
 
-    if (error) throw new Error(error.message || 'Failed to save item to database.')
+    if (error) {
+      throw new Error(`Failed to load items: ${error.message}`)
+    }
 
     return {
       success: true,
-      data: data
+      data: data || []
     }
 
   } catch (error) {
-    console.error('Add item error:', error)
+    console.error('Get items in location error:', error)
     return {
       success: false,
-      error: error.message || 'An unexpected error occurred while adding the item.'
+      error: error.message || 'Failed to load items. Please try again.'
     }
   }
 }
 
 /**
- * Get all items for the current user
+ * Suggest a corrected query from the words in the user's item names and categories
+ * @param {string} userId - The user's ID
+ * @param {string} query - The query that found nothing
+ * @returns {Promise<string|null>}
+ */
+const getDidYouMean = async (userId, query) => {
+  const { data, error } = await supabase
+    .from('items')
+    .select('item_name, category')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+
+  if (error || !data) {
+    return null
+  }
+
+  const vocabulary = data.flatMap(item => [item.item_name, item.category]).filter(Boolean)
+  return suggestCorrection(query, vocabulary)
+}
+
+/**
+ * Find items whose previous location matches the search keywords
+ * Only considers moves within the last RECENT_MOVE_DAYS days
+ * @param {string} userId - The user's ID
+ * @param {string[]} keywords - Lowercased search keywords
+ * @returns {Promise<Array>} Items annotated with previous_location and moved_at
+ */
+const findRecentlyMovedItems = async (userId, keywords) => {
+  const since = new Date(Date.now() - RECENT_MOVE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+  const { data: history, error } = await supabase
+    .from('item_location_history')
+    .select('item_id, from_location, moved_at')
+    .eq('user_id', userId)
+    .not('from_location', 'is', null)
+    .gte('moved_at', since)
+    .order('moved_at', { ascending: false })
+
+  if (error || !history) {
+    return []
+  }
+
+  // Latest matching move per item
+  const moves = new Map()
+  history.forEach(entry => {
+    if (moves.has(entry.item_id)) return
+    const fromLower = entry.from_location.toLowerCase()
+    if (keywords.some(keyword => fromLower.includes(keyword))) {
+      moves.set(entry.item_id, entry)
+    }
+  })
+
+  if (moves.size === 0) {
+    return []
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('items')
+    .select('*')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .in('id', [...moves.keys()])
+
+  if (itemsError || !items) {
+    return []
+  }
+
+  return items
+    .map(item => ({
+      ...item,
+      previous_location: moves.get(item.id).from_location,
+      moved_at: moves.get(item.id).moved_at
+    }))
+    .sort((a, b) => new Date(b.moved_at) - new Date(a.moved_at))
+}
+
+/**
+ * Get the location history of an item, newest first
+ * @param {string} itemId - The item ID
  * @returns {Promise<{success: boolean, data?: array, error?: string}>}
  */
-export const getAllItems = async () => {
+export const getItemLocationHistory = async (itemId) => {
   try {
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
     if (authError) throw new Error('Authentication failed. Please sign in again.')
-    if (!user) throw new Error('You must be signed in to view items.')
+    if (!user) throw new Error('You must be signed in to view item history.')
+
+    // Validate input
+    if (!itemId) {
+      throw new Error('Item ID is required.')
+    }
 
     const { data, error } = await supabase
-      .from('items')
-      .select('*')
+      .from('item_location_history')
+      .select('id, from_location, to_location, moved_at')
+      .eq('item_id', itemId)
       .eq('user_id', user.id)
-      .order('created_at', { ascending: false })
+      .order('moved_at', { ascending: false })
 
     if (error) {
-      if (error.code === 'PGRST116') {
-        throw new Error('Items table not found. Please contact support.')
-      }
-      throw new Error(`Failed to load items: ${error.message}`)
+      throw new Error(`Failed to load location history: ${error.message}`)
     }
 
     return {
@@ -105,92 +1069,160 @@ export const getAllItems = async () => {
     }
 
   } catch (error) {
-    console.error('Get all items error:', error)
+    console.error('Get item location history error:', error)
     return {
       success: false,
-      error: error.message || 'Failed to load items. Please try again.'
+      error: error.message || 'Failed to load location history. Please try again.'
     }
   }
 }
 
 /**
- * Search for items by name or keywords
- * @param {string} query - Search query
- * @returns {Promise<{success: boolean, data?: object|array, error?: string}>}
+ * Move an item to the Trash
+ * The row and its image are kept until the item is restored, permanently
+ * deleted, or purged after TRASH_RETENTION_DAYS (see trash.js)
+ * @param {string} itemId - The item ID to delete
+ * @param {Object} options
+ * @param {boolean} options.queueOffline - Trash it on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean}>}
  */
-export const findItem = async (query) => {
+export const deleteItem = async (itemId, { queueOffline = true } = {}) => {
   try {
+    if (queueOffline && isOffline()) {
+      return await trashItemOffline(itemId, 'delete')
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
-    if (authError) throw new Error('Authentication failed. Please sign in again.')
-    if (!user) throw new Error('You must be signed in to search for items.')
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to delete items.')
 
     // Validate input
-    if (!query?.trim()) {
-      throw new Error('Please enter what you\'re looking for.')
+    if (!itemId) {
+      throw new Error('Item ID is required.')
     }
 
-    // Extract keywords (simple split by spaces)
-    const keywords = query.toLowerCase().trim().split(/\s+/)
-
-    // Search for items matching any keyword
     const { data, error } = await supabase
       .from('items')
-      .select('*')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', itemId)
       .eq('user_id', user.id)
-      .order('created_at', { ascending: false })
+      .is('deleted_at', null)
+      .select()
+      .single()
 
     if (error) {
       if (error.code === 'PGRST116') {
-        throw new Error('Items table not found. Please contact support.')
+        throw new Error('Item not found or already deleted.')
       }
-      throw new Error(`Search failed: ${error.message}`)
+      throw new Error(`Failed to delete item: ${error.message}`)
     }
 
-    if (!data || data.length === 0) {
-      return { 
-        success: false, 
-        error: 'You haven\'t added any items yet. Add items first to search for them.' 
+    await publishRemoval('items', itemId)
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error deleting item:', error)
+
+    if (isNetworkError(error)) {
+      if (queueOffline && !isOffline()) {
+        return queueAfterNetworkError(() => trashItemOffline(itemId, 'delete'))
+      }
+      return {
+        success: false,
+        error: 'Network error. Please check your internet connection and try again.'
       }
     }
 
-    // Filter items that match any keyword
-    const matchedItems = data.filter(item => {
-      const itemNameLower = item.item_name.toLowerCase()
-      const locationLower = item.location.toLowerCase()
-      const categoryLower = (item.category || '').toLowerCase()
-      
-      return keywords.some(keyword => 
-        itemNameLower.includes(keyword) || 
-        locationLower.includes(keyword) ||
-        categoryLower.includes(keyword)
-      )
-    })
+    return { success: false, error: error.message || 'Failed to delete item. Please try again.' }
+  }
+}
 
-    if (matchedItems.length === 0) {
-      throw new Error('No items found matching your search.')
+/**
+ * Bring an item back from the Trash
+ * @param {string} itemId - The item ID to restore
+ * @param {Object} options
+ * @param {boolean} options.queueOffline - Restore it on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean}>}
+ */
+export const restoreItem = async (itemId, { queueOffline = true } = {}) => {
+  try {
+    if (queueOffline && isOffline()) {
+      return await trashItemOffline(itemId, 'restore')
     }
 
-    return {
-      success: true,
-      data: matchedItems.length === 1 ? matchedItems[0] : matchedItems
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to restore items.')
+
+    // Validate input
+    if (!itemId) {
+      throw new Error('Item ID is required.')
+    }
+
+    const { data, error } = await supabase
+      .from('items')
+      .update({ deleted_at: null })
+      .eq('id', itemId)
+      .eq('user_id', user.id)
+      .not('deleted_at', 'is', null)
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Item not found in the Trash. It may have been purged.')
+      }
+      throw new Error(`Failed to restore item: ${error.message}`)
     }
 
+    await publishChange('items', data)
+
+    return { success: true, data }
   } catch (error) {
-    console.error('Find item error:', error)
-    return {
-      success: false,
-      error: error.message || 'Failed to search for items. Please try again.'
+    console.error('Restore item error:', error)
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => trashItemOffline(itemId, 'restore'))
     }
+    return { success: false, error: error.message || 'Failed to restore item. Please try again.' }
+  }
+}
+
+/**
+ * Move an item to the Trash, or back out of it, on this device and queue the change
+ * Only items kept on this device can be restored offline (e.g. an undo).
+ * @param {string} itemId - The item ID
+ * @param {'delete'|'restore'} action
+ * @returns {Promise<{success: boolean, data: object, queued: true}>}
+ */
+const trashItemOffline = async (itemId, action) => {
+  const user = await getOfflineUser()
+  if (!user) throw new Error('You must be signed in to change items.')
+
+  const item = await readMirrorRecord('items', itemId)
+  if (!item || Boolean(item.deleted_at) !== (action === 'restore')) {
+    throw new Error(action === 'delete'
+      ? 'This item isn\'t saved on this device, so it can\'t be deleted offline.'
+      : 'This item can\'t be restored offline. Try again once you\'re connected.')
   }
+
+  await queueChange({ user_id: user.id, table: 'items', action, record_id: itemId, label: item.item_name })
+  const row = { ...item, deleted_at: action === 'delete' ? new Date().toISOString() : null, _pending: true }
+  await publishChange('items', row)
+
+  return { success: true, data: presentRow(row), queued: true }
 }
 
 /**
- * Delete an item by ID
+ * Permanently delete an item and all its photos
+ * Used from the Trash; there is no way back from this
  * @param {string} itemId - The item ID to delete
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export const deleteItem = async (itemId) => {
+export const permanentlyDeleteItem = async (itemId) => {
   try {
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
@@ -202,10 +1234,10 @@ export const deleteItem = async (itemId) => {
       throw new Error('Item ID is required.')
     }
 
-    // Get item to delete image
+    // Get item to delete its photos
     const { data: item, error: fetchError } = await supabase
       .from('items')
-      .select('image_url')
+      .select('image_url, item_photos(image_url)')
       .eq('id', itemId)
       .eq('user_id', user.id)
       .single()
@@ -221,9 +1253,11 @@ export const deleteItem = async (itemId) => {
       throw new Error('Item not found. It may have already been deleted.')
     }
 
-    // Delete image from storage if exists
-    if (item.image_url) {
-      const deleteImageResult = await deleteImage(item.image_url)
+    // Delete photos from storage (image_url is one of them, unless the item
+    // predates galleries)
+    const urls = new Set([item.image_url, ...item.item_photos.map(photo => photo.image_url)].filter(Boolean))
+    for (const url of urls) {
+      const deleteImageResult = await deleteImage(url)
       if (!deleteImageResult.success) {
         console.warn('Failed to delete image from storage:', deleteImageResult.error)
         // Continue with item deletion even if image deletion fails
@@ -241,6 +1275,8 @@ export const deleteItem = async (itemId) => {
       throw new Error(`Failed to delete item: ${error.message}`)
     }
 
+    await publishRemoval('items', itemId)
+
     return { success: true }
   } catch (error) {
     console.error('Error deleting item:', error)
@@ -258,54 +1294,248 @@ export const deleteItem = async (itemId) => {
 }
 
 /**
- * Get real-time item suggestions as user types
- * Triggers after 2-3 characters, case-insensitive partial match
- * @param {string} query - Search query (minimum 2 characters)
- * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ * Update an existing item
+ * @param {string} itemId - The item ID to update
+ * @param {Object} updates - Fields to update
+ * @param {string} updates.item_name - New item name
+ * @param {string} updates.location - New location description
+ * @param {string|null} updates.location_id - New location node (null clears it)
+ * @param {string} updates.category - New category (empty string clears it)
+ * Photos are changed through itemPhotos.js
+ * @param {Object} options
+ * @param {string} options.expectedUpdatedAt - Only apply the change to this version of the item
+ *   (set when replaying an edit made offline)
+ * @param {boolean} options.queueOffline - Save the edit on this device when the server can't be
+ *   reached (default true; off when replaying the queue)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, queued?: boolean, conflict?: boolean}>}
+ *   conflict is set when the item changed since expectedUpdatedAt; data is then the current item
  */
-export const getItemSuggestions = async (query) => {
+export const updateItem = async (itemId, updates, { expectedUpdatedAt, queueOffline = true } = {}) => {
   try {
+    if (queueOffline && isOffline()) {
+      return await updateItemOffline(itemId, updates)
+    }
+
     // Validate authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser()
-    if (authError || !user) {
-      return { success: false, data: [] }
+    if (authError) throw isNetworkError(authError) ? authError : new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to update items.')
+
+    // Validate input
+    if (!itemId) {
+      throw new Error('Item ID is required.')
     }
 
-    // Require minimum 2 characters
-    const searchTerm = query?.trim().toLowerCase()
-    if (!searchTerm || searchTerm.length < 2) {
-      return { success: true, data: [] }
+    // Get item first to check ownership and get its current location
+    // (items in the Trash can't be edited until they're restored)
+    const { data: item, error: fetchError } = await supabase
+      .from('items')
+      .select('*')
+      .eq('id', itemId)
+      .eq('user_id', user.id)
+      .is('deleted_at', null)
+      .single()
+
+    if (fetchError && isNetworkError(fetchError)) throw new Error(fetchError.message)
+    if (fetchError || !item) {
+      throw new Error('Item not found. It may have been moved to Trash.')
     }
 
-    // Get all user's items
-    const { data, error } = await supabase
+    const changes = {}
+
+    if (updates.item_name !== undefined) {
+      if (!updates.item_name?.trim()) {
+        throw new Error('Item name is required.')
+      }
+      changes.item_name = updates.item_name.trim()
+    }
+    if (updates.location_id !== undefined) {
+      changes.location_id = updates.location_id || null
+    }
+    if (updates.location !== undefined || updates.location_id !== undefined) {
+      const locationText = await resolveLocationText(
+        user.id,
+        changes.location_id,
+        updates.location !== undefined ? updates.location : item.location
+      )
+      if (!locationText) {
+        throw new Error('Location description is required.')
+      }
+      changes.location = locationText
+    }
+    if (updates.category !== undefined) {
+      changes.category = updates.category?.trim() || null
+    }
+
+    changes.updated_at = new Date().toISOString()
+
+    let query = supabase
       .from('items')
-      .select('id, item_name, location, category, image_url')
+      .update(changes)
+      .eq('id', itemId)
       .eq('user_id', user.id)
-      .order('created_at', { ascending: false })
+      .is('deleted_at', null)
+    // Checked in the same statement, so a write landing in between can't be overwritten
+    if (expectedUpdatedAt) {
+      query = query.eq('updated_at', expectedUpdatedAt)
+    }
+    const { data, error } = await query.select().maybeSingle()
 
     if (error) {
-      return { success: false, data: [] }
+      throw new Error(`Failed to update item: ${error.message}`)
+    }
+    if (!data) {
+      if (!expectedUpdatedAt) throw new Error('Item not found. It may have been moved to Trash.')
+      return await itemConflict(user.id, itemId)
+    }
+
+    if (changes.location_id !== undefined && changes.location_id !== item.location_id) {
+      // A move to another place counts even when the item keeps its own note
+      const nodes = await fetchLocationNodes(user.id)
+      await recordLocationChange(
+        itemId,
+        user.id,
+        historyLocation(nodes, item.location_id, item.location),
+        historyLocation(nodes, data.location_id, data.location)
+      )
+    } else if (changes.location && changes.location !== item.location) {
+      await recordLocationChange(itemId, user.id, item.location, changes.location)
+    }
+    await publishChange('items', data)
+
+    return {
+      success: true,
+      data: data
+    }
+
+  } catch (error) {
+    console.error('Update item error:', error)
+
+    if (queueOffline && !isOffline() && isNetworkError(error)) {
+      return queueAfterNetworkError(() => updateItemOffline(itemId, updates))
+    }
+
+    return {
+      success: false,
+      error: error.message || 'Failed to update item. Please try again.'
+    }
+  }
+}
+
+// The answer to an edit that was made on an older version of the item
+const itemConflict = async (userId, itemId) => {
+  const { data: current, error } = await supabase
+    .from('items')
+    .select('*')
+    .eq('id', itemId)
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load the item: ${error.message}`)
+  if (!current) throw new Error('Item not found or access denied.')
+  if (current.deleted_at) throw new Error('Item not found. It may have been moved to Trash.')
+  return {
+    success: false,
+    conflict: true,
+    data: current,
+    error: 'This item was changed somewhere else since it was edited.'
+  }
+}
+
+/**
+ * Apply an edit to this device's copy of an item and queue it for the server
+ * The edit remembers which version it was made on, so replaying it can tell
+ * whether the item was changed elsewhere in the meantime.
+ * @param {string} itemId - The item ID
+ * @param {Object} updates - Same shape as updateItem's updates
+ * @returns {Promise<{success: boolean, data: object, queued: true}>}
+ */
+const updateItemOffline = async (itemId, updates) => {
+  const user = await getOfflineUser()
+  if (!user) throw new Error('You must be signed in to update items.')
+
+  const item = await readMirrorRecord('items', itemId)
+  if (!item || item.deleted_at) {
+    throw new Error('This item isn\'t saved on this device, so it can\'t be edited offline.')
+  }
+
+  const changes = {}
+  if (updates.item_name !== undefined) {
+    if (!updates.item_name?.trim()) {
+      throw new Error('Item name is required.')
     }
+    changes.item_name = updates.item_name.trim()
+  }
+  if (updates.location_id !== undefined) {
+    changes.location_id = updates.location_id || null
+  }
+  if (updates.location !== undefined) {
+    changes.location = updates.location?.trim() || ''
+  }
+  const locationId = changes.location_id !== undefined ? changes.location_id : item.location_id
+  if (!(changes.location ?? item.location) && !locationId) {
+    throw new Error('Location description is required.')
+  }
+  if (updates.category !== undefined) {
+    changes.category = updates.category?.trim() || null
+  }
+
+  await queueChange({
+    user_id: user.id,
+    table: 'items',
+    action: 'update',
+    record_id: itemId,
+    label: changes.item_name || item.item_name,
+    data: updates,
+    base_updated_at: item.updated_at
+  })
+  const row = { ...item, ...changes, updated_at: new Date().toISOString(), _pending: true }
+  await publishChange('items', row)
+
+  return { success: true, data: presentRow(row), queued: true }
+}
 
-    if (!data || data.length === 0) {
+/**
+ * Get real-time item suggestions as user types
+ * Triggers after 2-3 characters, ranked server-side by search_items
+ * @param {string} query - Search query (minimum 2 characters)
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+export const getItemSuggestions = async (query) => {
+  try {
+    // Require minimum 2 characters
+    const searchTerm = query?.trim().toLowerCase()
+    if (!searchTerm || searchTerm.length < 2) {
       return { success: true, data: [] }
     }
 
-    // Case-insensitive partial match across item_name, location, category
-    const suggestions = data.filter(item => {
-      const itemName = (item.item_name || '').toLowerCase()
-      const location = (item.location || '').toLowerCase()
-      const category = (item.category || '').toLowerCase()
-      
-      return itemName.includes(searchTerm) || 
-             location.includes(searchTerm) ||
-             category.includes(searchTerm)
-    }).slice(0, 8) // Limit to 8 suggestions
+    // Offline, rank this device's copy instead
+    if (isOffline()) {
+      const result = await answerFromMirror('items', items => ({
+        success: true,
+        data: rankItems(items, searchTerm).slice(0, SUGGESTION_LIMIT)
+      }))
+      return result.success ? result : { success: false, data: [] }
+    }
+
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) {
+      return { success: false, data: [] }
+    }
+
+    // Only the top N ranked rows come over the wire
+    const { data, error } = await supabase
+      .rpc('search_items', { search_query: searchTerm, result_limit: SUGGESTION_LIMIT })
+      .select('id, item_name, location, category, image_url, photo_count')
+
+    if (error) {
+      return { success: false, data: [] }
+    }
 
     return {
       success: true,
-      data: suggestions
+      data: data || []
     }
 
   } catch (error) {
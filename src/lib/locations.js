@@ -0,0 +1,398 @@
+import { supabase } from './supabase'
+import { uploadImage, deleteImage } from './storage'
+
+/**
+ * Suggested kinds of place, from the top of the tree down
+ * Purely descriptive - any node can be nested under any other
+ */
+export const LOCATION_KINDS = [
+  { value: 'house', label: 'House', icon: '🏠' },
+  { value: 'room', label: 'Room', icon: '🚪' },
+  { value: 'furniture', label: 'Furniture', icon: '🗄️' },
+  { value: 'container', label: 'Container', icon: '📦' }
+]
+
+/**
+ * Build a nested tree from the flat list of location nodes
+ * @param {Array} nodes - Flat list of locations (id, parent_id, name, ...)
+ * @returns {Array} Root nodes, each with a sorted `children` array
+ */
+export const buildLocationTree = (nodes) => {
+  const byId = new Map(nodes.map(node => [node.id, { ...node, children: [] }]))
+  const roots = []
+
+  byId.forEach(node => {
+    const parent = node.parent_id ? byId.get(node.parent_id) : null
+    if (parent) {
+      parent.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  })
+
+  const sortByName = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name))
+    list.forEach(node => sortByName(node.children))
+  }
+  sortByName(roots)
+
+  return roots
+}
+
+/**
+ * Get the chain of nodes from the root down to a location
+ * @param {Array} nodes - Flat list of locations
+ * @param {string} locationId - The location to resolve
+ * @returns {Array} Ancestors first, the location itself last
+ */
+export const getLocationPath = (nodes, locationId) => {
+  const byId = new Map(nodes.map(node => [node.id, node]))
+  const path = []
+  const seen = new Set()
+  let current = byId.get(locationId)
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id)
+    path.unshift(current)
+    current = current.parent_id ? byId.get(current.parent_id) : null
+  }
+
+  return path
+}
+
+/**
+ * Format a location path for display, e.g. "House › Kitchen › Top drawer"
+ * @param {Array} nodes - Flat list of locations
+ * @param {string} locationId - The location to format
+ * @returns {string}
+ */
+export const formatLocationPath = (nodes, locationId) => {
+  return getLocationPath(nodes, locationId).map(node => node.name).join(' › ')
+}
+
+/**
+ * Get the IDs of a location and everything nested beneath it
+ * @param {Array} nodes - Flat list of locations
+ * @param {string} locationId - Root of the subtree
+ * @returns {string[]}
+ */
+export const getSubtreeIds = (nodes, locationId) => {
+  const childrenOf = new Map()
+  nodes.forEach(node => {
+    if (!node.parent_id) return
+    if (!childrenOf.has(node.parent_id)) childrenOf.set(node.parent_id, [])
+    childrenOf.get(node.parent_id).push(node.id)
+  })
+
+  const ids = []
+  const stack = [locationId]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    if (ids.includes(id)) continue
+    ids.push(id)
+    stack.push(...(childrenOf.get(id) || []))
+  }
+
+  return ids
+}
+
+/**
+ * Find location nodes whose name matches a place mentioned in a query
+ * @param {Array} nodes - Flat list of locations
+ * @param {string} place - e.g. "garage" or "the kitchen drawer"
+ * @returns {Array} Matching nodes, exact name matches first
+ */
+export const matchLocationsByName = (nodes, place) => {
+  const term = place?.toLowerCase().replace(/^(?:my|the)\s+/, '').trim()
+  if (!term) return []
+
+  const exact = nodes.filter(node => node.name.toLowerCase() === term)
+  if (exact.length > 0) return exact
+
+  return nodes.filter(node => {
+    const name = node.name.toLowerCase()
+    return name.includes(term) || term.includes(name)
+  })
+}
+
+/**
+ * Get all location nodes for the current user
+ * @returns {Promise<{success: boolean, data?: array, error?: string}>}
+ */
+export const getLocations = async () => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view locations.')
+
+    const { data, error } = await supabase
+      .from('locations')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('name', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to load locations: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: data || []
+    }
+
+  } catch (error) {
+    console.error('Get locations error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load locations. Please try again.'
+    }
+  }
+}
+
+/**
+ * Add a new location node
+ * @param {Object} locationData - The location data
+ * @param {string} locationData.name - Name of the place
+ * @param {string} locationData.parent_id - Optional parent location ID
+ * @param {string} locationData.kind - Optional kind (see LOCATION_KINDS)
+ * @param {File} locationData.image - Optional photo of the place
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ */
+export const addLocation = async (locationData) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to add locations.')
+
+    // Validate required inputs
+    if (!locationData.name?.trim()) {
+      throw new Error('Location name is required.')
+    }
+
+    let imageUrl = null
+
+    // Upload photo if provided
+    if (locationData.image) {
+      const uploadResult = await uploadImage(locationData.image, user.id)
+      if (!uploadResult.success) {
+        throw new Error(`Image upload failed: ${uploadResult.error || 'Unknown error'}`)
+      }
+      imageUrl = uploadResult.url
+    }
+
+    const { data, error } = await supabase
+      .from('locations')
+      .insert([
+        {
+          user_id: user.id,
+          parent_id: locationData.parent_id || null,
+          name: locationData.name.trim(),
+          kind: locationData.kind || null,
+          image_url: imageUrl
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) throw new Error(error.message || 'Failed to save location.')
+
+    return {
+      success: true,
+      data: data
+    }
+
+  } catch (error) {
+    console.error('Add location error:', error)
+    return {
+      success: false,
+      error: error.message || 'An unexpected error occurred while adding the location.'
+    }
+  }
+}
+
+/**
+ * Rename or move a location node
+ * Items filed under the node or anything beneath it whose location text is
+ * the place's path (rather than a note of their own) get the new path.
+ * @param {string} locationId - The location ID
+ * @param {Object} updates - Fields to update (name, parent_id, kind)
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ */
+export const updateLocation = async (locationId, updates) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to update locations.')
+
+    const { data: nodes, error: fetchError } = await supabase
+      .from('locations')
+      .select('id, parent_id, name')
+      .eq('user_id', user.id)
+
+    if (fetchError) {
+      throw new Error(`Failed to load locations: ${fetchError.message}`)
+    }
+    if (!nodes.some(node => node.id === locationId)) {
+      throw new Error('Location not found or access denied.')
+    }
+
+    const changes = {}
+    if (updates.name !== undefined) {
+      if (!updates.name?.trim()) {
+        throw new Error('Location name is required.')
+      }
+      changes.name = updates.name.trim()
+    }
+    if (updates.kind !== undefined) {
+      changes.kind = updates.kind || null
+    }
+    if (updates.parent_id !== undefined) {
+      // Includes the node itself; anything below it would make a loop
+      if (updates.parent_id && getSubtreeIds(nodes, locationId).includes(updates.parent_id)) {
+        throw new Error('A location cannot be placed inside itself or one of its own locations.')
+      }
+      changes.parent_id = updates.parent_id || null
+    }
+
+    const { data, error } = await supabase
+      .from('locations')
+      .update(changes)
+      .eq('id', locationId)
+      .eq('user_id', user.id)
+      .select()
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to update location: ${error.message}`)
+    }
+
+    if (changes.name !== undefined || changes.parent_id !== undefined) {
+      const updatedNodes = nodes.map(node => node.id === locationId ? { ...node, ...changes } : node)
+      await refreshItemLocationText(user.id, getSubtreeIds(nodes, locationId), nodes, updatedNodes)
+    }
+
+    return {
+      success: true,
+      data: data
+    }
+
+  } catch (error) {
+    console.error('Update location error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to update location. Please try again.'
+    }
+  }
+}
+
+/**
+ * Give items the new path of their place after it was renamed or moved
+ * Only items whose text is still the old path are changed, but every item
+ * in the place gets a location history entry from the old path to the new
+ * one, so its trail ends where it is now. Failures are logged: the place
+ * itself was saved, and items still show the old text.
+ * @param {string} userId - The owner's user ID
+ * @param {string[]} locationIds - Nodes whose path may have changed
+ * @param {Array} before - Location nodes before the change
+ * @param {Array} after - Location nodes after the change
+ */
+const refreshItemLocationText = async (userId, locationIds, before, after) => {
+  const now = new Date().toISOString()
+
+  await Promise.all(locationIds.map(async (id) => {
+    const oldPath = formatLocationPath(before, id)
+    const newPath = formatLocationPath(after, id)
+    if (oldPath === newPath) return
+
+    const { data: items, error: fetchError } = await supabase
+      .from('items')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('location_id', id)
+
+    if (fetchError) {
+      console.warn('Failed to load items to update:', fetchError.message)
+      return
+    }
+    if (items.length === 0) return
+
+    const { error } = await supabase
+      .from('items')
+      .update({ location: newPath, updated_at: now })
+      .eq('user_id', userId)
+      .eq('location_id', id)
+      .eq('location', oldPath)
+
+    if (error) {
+      console.warn('Failed to update item locations:', error.message)
+    }
+
+    const { error: historyError } = await supabase
+      .from('item_location_history')
+      .insert(items.map(item => ({
+        item_id: item.id,
+        user_id: userId,
+        from_location: oldPath,
+        to_location: newPath
+      })))
+
+    if (historyError) {
+      console.warn('Failed to record location history:', historyError.message)
+    }
+  }))
+}
+
+/**
+ * Delete a location node
+ * Nested locations are removed with it; items inside keep their text note
+ * @param {string} locationId - The location ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const deleteLocation = async (locationId) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to delete locations.')
+
+    const { data: location, error: fetchError } = await supabase
+      .from('locations')
+      .select('image_url')
+      .eq('id', locationId)
+      .eq('user_id', user.id)
+      .single()
+
+    if (fetchError || !location) {
+      throw new Error('Location not found or access denied.')
+    }
+
+    const { error } = await supabase
+      .from('locations')
+      .delete()
+      .eq('id', locationId)
+      .eq('user_id', user.id)
+
+    if (error) {
+      throw new Error(`Failed to delete location: ${error.message}`)
+    }
+
+    if (location.image_url) {
+      const deleteImageResult = await deleteImage(location.image_url)
+      if (!deleteImageResult.success) {
+        console.warn('Failed to delete location image from storage:', deleteImageResult.error)
+      }
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Delete location error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to delete location. Please try again.'
+    }
+  }
+}
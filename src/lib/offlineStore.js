@@ -0,0 +1,453 @@
+import { supabase } from './supabase'
+
+/**
+ * Offline copy of the user's items and documents, kept in IndexedDB
+ * Every successful load from Supabase refreshes the mirror; when there's no
+ * connection, reads and searches are answered from it instead. Changes made
+ * offline are applied to the mirror straight away and queued here, to be
+ * replayed by sync.js once the connection is back.
+ *
+ * Local-only fields on mirrored rows start with an underscore:
+ *   _pending - the row has changes that haven't reached the server yet
+ *   _files   - photos/pages picked offline, uploaded when the add is replayed
+ *
+ * Signed URLs (document images, see withSignedUrls in documents.js) are not
+ * kept: they expire within the hour, long before an offline read needs them.
+ */
+
+const DB_NAME = 'findit-offline'
+const DB_VERSION = 1
+
+// Tables mirrored locally; the queue holds changes waiting to be replayed
+const MIRRORED_TABLES = ['items', 'documents']
+const QUEUE_STORE = 'queue'
+
+// Per table, the fields holding signed URLs
+const SIGNED_URL_FIELDS = {
+  documents: ['image_url', 'thumbnail_url']
+}
+
+// A row as it's kept on the device, without its signed URLs
+const storableRow = (table, row) => {
+  const fields = SIGNED_URL_FIELDS[table]
+  if (!fields) return row
+  const stored = { ...row }
+  fields.forEach(field => { delete stored[field] })
+  return stored
+}
+
+// The signed URLs of a row fresh from the server
+const signedUrlsOf = (table, row) =>
+  Object.fromEntries((SIGNED_URL_FIELDS[table] || []).filter(field => row?.[field]).map(field => [field, row[field]]))
+
+let dbPromise = null
+
+// Wrap an IndexedDB request or transaction in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  if ('onsuccess' in request) {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  } else {
+    request.oncomplete = () => resolve()
+    request.onerror = () => reject(request.error)
+    request.onabort = () => reject(request.error)
+  }
+})
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        MIRRORED_TABLES.forEach(table => {
+          if (!db.objectStoreNames.contains(table)) {
+            db.createObjectStore(table, { keyPath: 'id' }).createIndex('user_id', 'user_id')
+          }
+        })
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again (e.g. after the user frees up storage)
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Run `work` in a transaction over `stores` and wait for it to commit
+const transact = async (stores, mode, work) => {
+  const db = await openDb()
+  const transaction = db.transaction(stores, mode)
+  // Listen for completion before any request can finish
+  const [result] = await Promise.all([work(transaction), promisify(transaction)])
+  return result
+}
+
+/**
+ * Like transact, for the mirror
+ * The mirror is a convenience: when IndexedDB is unavailable (private
+ * browsing, storage full) this logs and returns `fallback` instead of failing.
+ */
+const withStores = async (stores, mode, work, fallback) => {
+  try {
+    return await transact(stores, mode, work)
+  } catch (error) {
+    console.warn('Offline storage error:', error?.message || error)
+    return fallback
+  }
+}
+
+/**
+ * Whether the browser knows it has no connection
+ * @returns {boolean}
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Whether an error means the request never reached the server
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  const message = error?.message || ''
+  return isOffline() ||
+    error?.name === 'AuthRetryableFetchError' ||
+    /Failed to fetch|Network ?error|Load failed|Network request failed/i.test(message)
+}
+
+/**
+ * Whether an insert failed because a row with its id already exists
+ * New rows get their id on the device (see newRecordId), so this is the same
+ * add reaching the server twice: a reply was lost, then the add was queued
+ * and replayed.
+ * @param {Object} error - Supabase error
+ * @returns {boolean}
+ */
+export const isRepeatedAdd = (error) => error?.code === '23505'
+
+/**
+ * Save a change on this device after the server couldn't be reached
+ * For writes that failed with a network error while the browser still
+ * reported a connection (e.g. one bar of signal).
+ * @param {Function} saveOffline - The write's offline version, e.g. addItemOffline
+ * @returns {Promise<Object>} Its result, or a failure if the change couldn't be kept here either
+ */
+export const queueAfterNetworkError = async (saveOffline) => {
+  try {
+    return await saveOffline()
+  } catch (error) {
+    console.error('Queue change error:', error)
+    return {
+      success: false,
+      error: error.message || 'Couldn\'t reach the server or save the change on this device.'
+    }
+  }
+}
+
+/**
+ * The signed-in user, read from the stored session without a network call
+ * @returns {Promise<Object|null>}
+ */
+export const getOfflineUser = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.user ?? null
+}
+
+/**
+ * A new row id, made on the device so an item added offline keeps the same
+ * id (and URL) once it reaches the server
+ * @returns {string}
+ */
+export const newRecordId = () => crypto.randomUUID()
+
+// Object URLs for photos picked offline, made once per file
+const objectUrls = new WeakMap()
+const objectUrlFor = (file) => {
+  if (!objectUrls.has(file)) objectUrls.set(file, URL.createObjectURL(file))
+  return objectUrls.get(file)
+}
+
+/**
+ * Turn a mirrored row into what the rest of the app expects
+ * Photos still waiting to upload are shown from the device. A document whose
+ * image is on the server but has no URL here is marked image_unavailable, so
+ * pages can say it can't be shown offline.
+ * @param {Object} row - The row as stored in the mirror
+ * @returns {Object}
+ */
+export const presentRow = ({ _files, _coverIndex, ...row }) => {
+  if (row.image_url) return row
+  if (!_files?.length) return row.image_path ? { ...row, image_unavailable: true } : row
+  const cover = _files[_coverIndex] || _files[0]
+  return cover.type?.startsWith('image/') ? { ...row, image_url: objectUrlFor(cover) } : row
+}
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at)
+
+/**
+ * Read the user's mirrored rows, newest first (rows trashed offline are left out)
+ * @param {string} table - 'items' or 'documents'
+ * @returns {Promise<Array|null>} null when there's no signed-in user or no mirror
+ */
+export const readMirror = async (table) => {
+  const user = await getOfflineUser()
+  if (!user) return null
+
+  const rows = await withStores([table], 'readonly', transaction =>
+    promisify(transaction.objectStore(table).index('user_id').getAll(user.id)), null)
+  if (!rows) return null
+
+  // storableRow also drops URLs kept by older versions of the app
+  return rows
+    .filter(row => !row.deleted_at)
+    .sort(newestFirst)
+    .map(row => presentRow(storableRow(table, row)))
+}
+
+/**
+ * Answer a read from the mirror, for when there's no connection
+ * @param {string} table - 'items' or 'documents'
+ * @param {Function} answer - Given the mirrored rows, returns the result ({ success, data, ... })
+ * @returns {Promise<Object>} That result marked `offline: true`, or a failure when
+ *   this device has no copy yet
+ */
+export const answerFromMirror = async (table, answer) => {
+  const rows = await readMirror(table)
+  if (!rows) {
+    return {
+      success: false,
+      error: 'You\'re offline, and this device doesn\'t have a copy of your data yet.'
+    }
+  }
+  return { ...answer(rows), offline: true }
+}
+
+/**
+ * Read one mirrored row
+ * @param {string} table - 'items' or 'documents'
+ * @param {string} id - The row's ID
+ * @returns {Promise<Object|null>} The row as stored, local fields included
+ */
+export const readMirrorRecord = async (table, id) => {
+  const user = await getOfflineUser()
+  if (!user) return null
+
+  const row = await withStores([table], 'readonly', transaction =>
+    promisify(transaction.objectStore(table).get(id)), null)
+  return row?.user_id === user.id ? storableRow(table, row) : null
+}
+
+/**
+ * Replace the mirror of a table with a fresh load from the server
+ * Rows with changes still in the queue are kept as they are locally.
+ * @param {string} table - 'items' or 'documents'
+ * @param {string} userId - Whose rows these are
+ * @param {Array} rows - Every row the server returned
+ * @returns {Promise<Array>} The server rows with pending local changes applied, newest first
+ */
+export const mirrorRows = async (table, userId, rows) => {
+  const pending = await withStores([table, QUEUE_STORE], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(table)
+    const [existing, queued] = await Promise.all([
+      promisify(store.index('user_id').getAll(userId)),
+      promisify(transaction.objectStore(QUEUE_STORE).getAll())
+    ])
+    const pendingIds = new Set(queued
+      .filter(entry => entry.table === table && entry.user_id === userId)
+      .map(entry => entry.record_id))
+    const pendingRows = existing.filter(row => pendingIds.has(row.id))
+
+    existing
+      .filter(row => !pendingIds.has(row.id))
+      .forEach(row => store.delete(row.id))
+    rows
+      .filter(row => !pendingIds.has(row.id))
+      .forEach(row => store.put(storableRow(table, row)))
+
+    return pendingRows
+  }, [])
+
+  if (pending.length === 0) return rows
+
+  // Pending rows show the images the server just signed
+  const pendingById = new Map(pending.map(row => [row.id, row]))
+  const serverById = new Map(rows.map(row => [row.id, row]))
+  const merged = rows
+    .filter(row => !pendingById.has(row.id))
+    .concat(pending
+      .filter(row => !row.deleted_at)
+      .map(row => ({ ...row, ...signedUrlsOf(table, serverById.get(row.id)) })))
+  return merged.sort(newestFirst).map(presentRow)
+}
+
+/**
+ * Store one row in the mirror (after a save, or a change made offline)
+ * @param {string} table - 'items' or 'documents'
+ * @param {Object} row - The full row; set _pending for unsynced changes
+ */
+export const mirrorRecord = (table, row) =>
+  withStores([table], 'readwrite', transaction => {
+    transaction.objectStore(table).put(storableRow(table, row))
+  })
+
+/**
+ * Drop one row from the mirror
+ * @param {string} table - 'items' or 'documents'
+ * @param {string} id - The row's ID
+ */
+export const removeMirrorRecord = (table, id) =>
+  withStores([table], 'readwrite', transaction => {
+    transaction.objectStore(table).delete(id)
+  })
+
+/**
+ * Apply a change reported by the server (made on another device) to the mirror
+ * A row with changes still in the queue is kept as it is locally, as in mirrorRows.
+ * @param {string} table - 'items' or 'documents'
+ * @param {Object} change - { type: 'upsert', row } or { type: 'remove', id }
+ * @returns {Promise<boolean>} Whether the change was applied (also true when
+ *   there's no mirror to apply it to)
+ */
+export const mirrorServerChange = (table, change) =>
+  withStores([table, QUEUE_STORE], 'readwrite', async (transaction) => {
+    const id = change.row?.id ?? change.id
+    const queued = await promisify(transaction.objectStore(QUEUE_STORE).getAll())
+    if (queued.some(entry => entry.table === table && entry.record_id === id)) return false
+
+    const store = transaction.objectStore(table)
+    if (change.type === 'upsert') {
+      store.put(storableRow(table, change.row))
+    } else {
+      store.delete(id)
+    }
+    return true
+  }, true)
+
+/**
+ * Forget every mirrored row (on sign-out)
+ * Queued changes are kept: they belong to a user and are replayed the next
+ * time that user signs in on this device.
+ */
+export const clearMirror = () =>
+  withStores(MIRRORED_TABLES, 'readwrite', transaction => {
+    MIRRORED_TABLES.forEach(table => transaction.objectStore(table).clear())
+  })
+
+// Listeners told whenever the queue changes, and whenever the server may have changed
+const queueListeners = new Set()
+const syncedListeners = new Set()
+
+/**
+ * Be told whenever a change is queued, replayed or dropped
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export const onQueueChange = (listener) => {
+  queueListeners.add(listener)
+  return () => queueListeners.delete(listener)
+}
+
+const notifyQueue = () => queueListeners.forEach(listener => listener())
+
+/**
+ * Be told when the server may have changes this tab hasn't seen (queued
+ * changes were replayed, or live updates reconnected), so lists can reload
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export const onSynced = (listener) => {
+  syncedListeners.add(listener)
+  return () => syncedListeners.delete(listener)
+}
+
+/**
+ * Tell onSynced listeners that the server has changed (used by sync.js and realtime.js)
+ */
+export const notifySynced = () => syncedListeners.forEach(listener => listener())
+
+/**
+ * Read the queued changes, oldest first
+ * @param {string} userId - Only this user's changes (default: all)
+ * @returns {Promise<Array>}
+ */
+export const readQueue = async (userId) => {
+  const entries = await withStores([QUEUE_STORE], 'readonly', transaction =>
+    promisify(transaction.objectStore(QUEUE_STORE).getAll()), [])
+  return userId ? entries.filter(entry => entry.user_id === userId) : entries
+}
+
+/**
+ * Queue a change made offline
+ * Changes to the same row are folded together, so the server sees one write
+ * per row: edits to a row added offline become part of the add, later edits
+ * merge into the first (keeping its base updated_at for conflict checks), and
+ * deleting a row added offline cancels the add.
+ * @param {Object} change
+ * @param {string} change.user_id - Whose change this is
+ * @param {string} change.table - 'items' or 'documents'
+ * @param {string} change.action - 'add' | 'update' | 'delete' | 'restore'
+ * @param {string} change.record_id - The row's ID
+ * @param {Object} change.data - add: the add function's input; update: the changed fields
+ * @param {string|null} change.base_updated_at - update: updated_at of the version that was edited
+ * @param {string} change.label - Name shown for the change while it waits, e.g. the item's name
+ * @throws {Error} If the change couldn't be stored on this device
+ */
+export const queueChange = async (change) => {
+  await transact([QUEUE_STORE], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(QUEUE_STORE)
+    const entries = (await promisify(store.getAll()))
+      .filter(entry => entry.table === change.table && entry.record_id === change.record_id)
+    const add = entries.find(entry => entry.action === 'add')
+    const update = entries.find(entry => entry.action === 'update')
+    const trashed = entries.find(entry => entry.action === 'delete' || entry.action === 'restore')
+
+    if (add && change.action === 'update') {
+      store.put({ ...add, data: { ...add.data, ...change.data } })
+    } else if (add && change.action === 'delete') {
+      entries.forEach(entry => store.delete(entry.id))
+    } else if (update && change.action === 'update') {
+      store.put({ ...update, data: { ...update.data, ...change.data }, conflict: null, error: null })
+    } else if (trashed && (change.action === 'delete' || change.action === 'restore')) {
+      // Trashing then restoring (or the reverse) before syncing is no change at all
+      if (trashed.action !== change.action) store.delete(trashed.id)
+    } else {
+      store.add({ ...change, queued_at: new Date().toISOString(), conflict: null, error: null })
+    }
+  }).catch(error => {
+    throw new Error(`Couldn't save the change on this device: ${error?.message || 'storage unavailable'}`)
+  })
+  notifyQueue()
+}
+
+/**
+ * Change a queued entry (mark a conflict or failure, or clear one)
+ * @param {number} id - The queue entry's ID
+ * @param {Object} changes - Fields to set on the entry
+ */
+export const updateQueueEntry = async (id, changes) => {
+  await withStores([QUEUE_STORE], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(QUEUE_STORE)
+    const entry = await promisify(store.get(id))
+    if (entry) store.put({ ...entry, ...changes })
+  })
+  notifyQueue()
+}
+
+/**
+ * Remove a queued entry (replayed, or discarded by the user)
+ * @param {number} id - The queue entry's ID
+ */
+export const removeQueueEntry = async (id) => {
+  await withStores([QUEUE_STORE], 'readwrite', transaction => {
+    transaction.objectStore(QUEUE_STORE).delete(id)
+  })
+  notifyQueue()
+}
@@ -0,0 +1,301 @@
+/**
+ * Natural-language query parser shared by item and document search
+ * Turns text like "where are my keys?", "what's in the kitchen",
+ * "items added last week" or "receipts from 2024" into a structured query.
+ *
+ * @typedef {Object} DateRange
+ * @property {Date} from - Inclusive start
+ * @property {Date} to - Exclusive end
+ * @property {string} label - Human readable, e.g. "last week"
+ * @property {boolean} [past] - Set on the expiry window of "expired" queries
+ *
+ * @typedef {Object} ParsedQuery
+ * @property {string} raw - The original text
+ * @property {'find'|'place'|'list'} intent - Look for something / list a place / list by filters
+ * @property {string} text - Remaining free text to match against names, locations, notes
+ * @property {string|null} place - Place named in "what's in ..." questions
+ * @property {DateRange|null} dateRange - When it was added
+ * @property {string|null} documentType - A DOCUMENT_TYPES value, e.g. 'receipt'
+ * @property {string[]} tags - Tags written as "#tax", all of which must match
+ * @property {DateRange|null} expiring - Expiry window for "expiring soon" style queries
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// How far ahead "expiring soon" looks
+export const EXPIRING_SOON_DAYS = 30
+
+// Words that name a document type (values match DOCUMENT_TYPES in documents.js)
+const DOCUMENT_TYPE_WORDS = [
+  { pattern: /\b(?:receipts?|invoices?|bills?)\b/, type: 'receipt' },
+  { pattern: /\b(?:certificates?|diplomas?)\b/, type: 'certificate' },
+  { pattern: /\b(?:contracts?|agreements?|leases?)\b/, type: 'contract' },
+  { pattern: /\bmedical(?: records?)?\b/, type: 'medical' },
+  { pattern: /\b(?:financial(?: documents?)?|bank statements?|statements?)\b/, type: 'financial' },
+  { pattern: /\b(?:warranty|warranties|guarantees?)\b/, type: 'warranty' },
+  { pattern: /\binsurance\b/, type: 'insurance' },
+  { pattern: /\b(?:ids|government documents?)\b/, type: 'id' }
+]
+
+// "#tax #2024" - explicit tag filters
+const TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu
+
+// "What's in the kitchen", "show me everything in the garage"
+const PLACE_PATTERN = /^(?:show (?:me )?)?(?:what(?:'s| is| do i have)|everything|all (?:the )?(?:items|things|stuff)|items|things|stuff)\s+(?:stored |kept )?(?:in|inside|on|at)\s+(?:my |the )?(.+)$/
+
+// "Where is my ...", "find ...", "I'm looking for ..."
+const FIND_PATTERNS = [
+  /^where (?:is|are|was|were|did i (?:put|leave|keep|store)|do i keep|can i find) (.+)$/,
+  /^(?:can you |please )?(?:find|locate|search for|look for) (.+)$/,
+  /^(?:i'm|i am) looking for (.+)$/
+]
+
+// Filler left over once the structured parts are removed
+const FILLER_WORDS = new Set([
+  'my', 'the', 'a', 'an', 'all', 'any', 'show', 'me', 'list', 'items', 'item',
+  'documents', 'document', 'docs', 'things', 'stuff', 'added', 'stored', 'saved',
+  'uploaded', 'from', 'in', 'during', 'since', 'that', 'were', 'was', 'i', 'of',
+  'for', 'about', 'with', 'what', 'which', 'is', 'are', 'will'
+])
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS)
+
+// Monday-based week start
+const startOfWeek = (date) => {
+  const day = startOfDay(date)
+  const offset = (day.getDay() + 6) % 7
+  return addDays(day, -offset)
+}
+
+/**
+ * Relative and absolute date phrases
+ * Each entry returns a DateRange for the matched text
+ */
+const DATE_PHRASES = [
+  {
+    pattern: /\btoday\b/,
+    range: (now) => ({ from: startOfDay(now), to: addDays(startOfDay(now), 1), label: 'today' })
+  },
+  {
+    pattern: /\byesterday\b/,
+    range: (now) => ({ from: addDays(startOfDay(now), -1), to: startOfDay(now), label: 'yesterday' })
+  },
+  {
+    pattern: /\bthis week\b/,
+    range: (now) => ({ from: startOfWeek(now), to: addDays(startOfWeek(now), 7), label: 'this week' })
+  },
+  {
+    pattern: /\blast week\b/,
+    range: (now) => ({ from: addDays(startOfWeek(now), -7), to: startOfWeek(now), label: 'last week' })
+  },
+  {
+    pattern: /\bthis month\b/,
+    range: (now) => ({
+      from: new Date(now.getFullYear(), now.getMonth(), 1),
+      to: new Date(now.getFullYear(), now.getMonth() + 1, 1),
+      label: 'this month'
+    })
+  },
+  {
+    pattern: /\blast month\b/,
+    range: (now) => ({
+      from: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+      to: new Date(now.getFullYear(), now.getMonth(), 1),
+      label: 'last month'
+    })
+  },
+  {
+    pattern: /\bthis year\b/,
+    range: (now) => ({
+      from: new Date(now.getFullYear(), 0, 1),
+      to: new Date(now.getFullYear() + 1, 0, 1),
+      label: 'this year'
+    })
+  },
+  {
+    pattern: /\blast year\b/,
+    range: (now) => ({
+      from: new Date(now.getFullYear() - 1, 0, 1),
+      to: new Date(now.getFullYear(), 0, 1),
+      label: 'last year'
+    })
+  },
+  {
+    pattern: /\b(?:in the )?(?:last|past) (\d+) days\b/,
+    range: (now, match) => ({
+      from: addDays(startOfDay(now), -Number(match[1])),
+      to: addDays(startOfDay(now), 1),
+      label: `last ${match[1]} days`
+    })
+  },
+  {
+    pattern: /\b(from|in|during|of|since) ((?:19|20)\d{2})\b/,
+    range: (now, match) => {
+      const year = Number(match[2])
+      const since = match[1] === 'since'
+      return {
+        from: new Date(year, 0, 1),
+        to: since ? addDays(startOfDay(now), 1) : new Date(year + 1, 0, 1),
+        label: since ? `since ${year}` : String(year)
+      }
+    }
+  }
+]
+
+/**
+ * Expiry phrases: "expiring soon", "expires this year", "due for renewal in
+ * the next 60 days"; a bare "expired" means already past its expiry date
+ */
+const EXPIRING_PATTERN = /\b(?:expir(?:ing|es|e|ed)|due for renewal|needs? renewing|to renew)\b(?:\s+(soon|this month|this year|next month|(?:in|within) (?:the )?next (\d+) days))?/
+
+const parseExpiring = (match, now) => {
+  const today = startOfDay(now)
+  const window = match[1] || 'soon'
+
+  if (!match[1] && match[0].startsWith('expired')) {
+    return { from: new Date(0), to: today, label: 'already', past: true }
+  }
+
+  if (match[2]) {
+    return { from: today, to: addDays(today, Number(match[2]) + 1), label: `in the next ${match[2]} days` }
+  }
+  if (window === 'this month') {
+    return { from: today, to: new Date(now.getFullYear(), now.getMonth() + 1, 1), label: 'this month' }
+  }
+  if (window === 'next month') {
+    return {
+      from: new Date(now.getFullYear(), now.getMonth() + 1, 1),
+      to: new Date(now.getFullYear(), now.getMonth() + 2, 1),
+      label: 'next month'
+    }
+  }
+  if (window === 'this year') {
+    return { from: today, to: new Date(now.getFullYear() + 1, 0, 1), label: 'this year' }
+  }
+  return { from: today, to: addDays(today, EXPIRING_SOON_DAYS + 1), label: 'soon' }
+}
+
+// Drop filler words and tidy whitespace
+const cleanText = (text) => {
+  return text
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .join(' ')
+    .trim()
+}
+
+/**
+ * Parse a natural-language search into a structured query
+ * @param {string} query - What the user typed or said
+ * @param {Object} options
+ * @param {Date} options.now - Reference time for relative dates (defaults to now)
+ * @param {'items'|'documents'} options.target - What is being searched; document
+ *   types, #tags and expiry phrases are only recognised for documents
+ * @returns {ParsedQuery}
+ */
+export const parseQuery = (query, { now = new Date(), target = 'items' } = {}) => {
+  const parsed = {
+    raw: query || '',
+    intent: 'find',
+    text: '',
+    place: null,
+    dateRange: null,
+    documentType: null,
+    tags: [],
+    expiring: null
+  }
+
+  let text = (query || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[?!.,;:]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  if (target === 'documents') {
+    parsed.tags = [...new Set([...text.matchAll(TAG_PATTERN)].map(match => match[1]))]
+    text = text.replace(TAG_PATTERN, ' ').trim()
+  }
+
+  if (!text && parsed.tags.length === 0) return parsed
+
+  // "What's in the kitchen" - the rest of the sentence is a place
+  const placeMatch = text.match(PLACE_PATTERN)
+  if (placeMatch) {
+    parsed.intent = 'place'
+    parsed.place = placeMatch[1].trim()
+    return parsed
+  }
+
+  // "Where is my passport" - strip the question, keep the thing
+  for (const pattern of FIND_PATTERNS) {
+    const match = text.match(pattern)
+    if (match) {
+      text = match[1]
+      break
+    }
+  }
+
+  const expiringMatch = target === 'documents' && text.match(EXPIRING_PATTERN)
+  if (expiringMatch) {
+    parsed.expiring = parseExpiring(expiringMatch, now)
+    text = text.replace(expiringMatch[0], ' ')
+  }
+
+  for (const phrase of DATE_PHRASES) {
+    const match = text.match(phrase.pattern)
+    if (match) {
+      parsed.dateRange = phrase.range(now, match)
+      text = text.replace(match[0], ' ')
+      break
+    }
+  }
+
+  for (const { pattern, type } of target === 'documents' ? DOCUMENT_TYPE_WORDS : []) {
+    const match = text.match(pattern)
+    if (match) {
+      parsed.documentType = type
+      text = text.replace(match[0], ' ')
+      break
+    }
+  }
+
+  parsed.text = cleanText(text)
+
+  // Only filters and no search words: list everything that fits them
+  if (!parsed.text && (parsed.dateRange || parsed.documentType || parsed.tags.length > 0 || parsed.expiring)) {
+    parsed.intent = 'list'
+  }
+
+  return parsed
+}
+
+/**
+ * Check whether a timestamp falls inside a parsed date range
+ * @param {string|Date} value - e.g. an item's created_at
+ * @param {DateRange|null} range
+ * @returns {boolean} true when there is no range to check
+ */
+export const isWithinRange = (value, range) => {
+  if (!range) return true
+  if (!value) return false
+  const time = new Date(value).getTime()
+  return time >= range.from.getTime() && time < range.to.getTime()
+}
+
+/**
+ * Describe the filters in a parsed query, e.g. "receipts · 2024"
+ * @param {ParsedQuery} parsed
+ * @returns {string[]} One label per active filter
+ */
+export const describeFilters = (parsed) => {
+  const labels = []
+  if (parsed.place) labels.push(`in ${parsed.place}`)
+  if (parsed.documentType) labels.push(parsed.documentType)
+  parsed.tags?.forEach(tag => labels.push(`#${tag}`))
+  if (parsed.dateRange) labels.push(`added ${parsed.dateRange.label}`)
+  if (parsed.expiring) labels.push(parsed.expiring.past ? 'expired' : `expiring ${parsed.expiring.label}`)
+  return labels
+}
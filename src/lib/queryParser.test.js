@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest'
+import { parseQuery, isWithinRange, describeFilters, EXPIRING_SOON_DAYS } from './queryParser'
+
+// Wednesday 14 October 2026, midday local time
+const now = new Date(2026, 9, 14, 12)
+
+describe('parseQuery', () => {
+  it('strips "where is..." down to the thing being looked for', () => {
+    const parsed = parseQuery('Where is my passport?', { now })
+    expect(parsed.intent).toBe('find')
+    expect(parsed.text).toBe('passport')
+    expect(parsed.dateRange).toBeNull()
+  })
+
+  it('understands the other ways of asking to find something', () => {
+    expect(parseQuery('where did I put the car keys', { now }).text).toBe('car keys')
+    expect(parseQuery('Can you find my charger', { now }).text).toBe('charger')
+    expect(parseQuery("I'm looking for the drill", { now }).text).toBe('drill')
+  })
+
+  it('treats "what\'s in the kitchen" as a place to list', () => {
+    const parsed = parseQuery("What's in the kitchen", { now })
+    expect(parsed.intent).toBe('place')
+    expect(parsed.place).toBe('kitchen')
+    expect(parsed.text).toBe('')
+  })
+
+  it('accepts curly apostrophes and other ways of asking about a place', () => {
+    expect(parseQuery('What’s in the garage?', { now }).place).toBe('garage')
+    expect(parseQuery('show me everything in my bedroom closet', { now }).place).toBe('bedroom closet')
+  })
+
+  it('turns "items added last week" into a date filter for the previous Monday-to-Monday', () => {
+    const parsed = parseQuery('items added last week', { now })
+    expect(parsed.intent).toBe('list')
+    expect(parsed.text).toBe('')
+    expect(parsed.dateRange).toEqual({
+      from: new Date(2026, 9, 5),
+      to: new Date(2026, 9, 12),
+      label: 'last week'
+    })
+  })
+
+  it('keeps search words next to a date filter', () => {
+    const parsed = parseQuery('keys added last week', { now })
+    expect(parsed.intent).toBe('find')
+    expect(parsed.text).toBe('keys')
+    expect(parsed.dateRange.label).toBe('last week')
+  })
+
+  it('turns "receipts from 2024" into a document type and a year', () => {
+    const parsed = parseQuery('receipts from 2024', { now, target: 'documents' })
+    expect(parsed.intent).toBe('list')
+    expect(parsed.documentType).toBe('receipt')
+    expect(parsed.dateRange).toEqual({
+      from: new Date(2024, 0, 1),
+      to: new Date(2025, 0, 1),
+      label: '2024'
+    })
+  })
+
+  it('only recognises document types when searching documents', () => {
+    const parsed = parseQuery('receipts from 2024', { now })
+    expect(parsed.documentType).toBeNull()
+    expect(parsed.text).toBe('receipts')
+    expect(parsed.dateRange.label).toBe('2024')
+  })
+
+  it('reads "since 2024" as up to today', () => {
+    const parsed = parseQuery('contracts since 2024', { now, target: 'documents' })
+    expect(parsed.documentType).toBe('contract')
+    expect(parsed.dateRange).toEqual({
+      from: new Date(2024, 0, 1),
+      to: new Date(2026, 9, 15),
+      label: 'since 2024'
+    })
+  })
+
+  it('turns "documents expiring soon" into an expiry window', () => {
+    const parsed = parseQuery('documents expiring soon', { now, target: 'documents' })
+    expect(parsed.intent).toBe('list')
+    expect(parsed.text).toBe('')
+    expect(parsed.expiring).toEqual({
+      from: new Date(2026, 9, 14),
+      to: new Date(2026, 9, 14 + EXPIRING_SOON_DAYS + 1),
+      label: 'soon'
+    })
+  })
+
+  it('reads a bare "expired" as already past', () => {
+    const parsed = parseQuery('expired insurance', { now, target: 'documents' })
+    expect(parsed.documentType).toBe('insurance')
+    expect(parsed.expiring).toEqual({ from: new Date(0), to: new Date(2026, 9, 14), label: 'already', past: true })
+  })
+
+  it('reads an explicit number of days for renewals', () => {
+    const parsed = parseQuery('due for renewal in the next 60 days', { now, target: 'documents' })
+    expect(parsed.expiring.label).toBe('in the next 60 days')
+    expect(parsed.expiring.to).toEqual(new Date(2026, 9, 14 + 61))
+  })
+
+  it('ignores expiry phrases when searching items', () => {
+    const parsed = parseQuery('expiring soon', { now })
+    expect(parsed.expiring).toBeNull()
+  })
+
+  it('collects #tags for documents', () => {
+    const parsed = parseQuery('#tax #2024 receipts', { now, target: 'documents' })
+    expect(parsed.tags).toEqual(['tax', '2024'])
+    expect(parsed.documentType).toBe('receipt')
+    expect(parsed.intent).toBe('list')
+  })
+
+  it('returns an empty find query for empty input', () => {
+    const parsed = parseQuery('', { now })
+    expect(parsed).toMatchObject({ raw: '', intent: 'find', text: '', place: null, dateRange: null })
+    expect(parseQuery(null, { now }).raw).toBe('')
+  })
+})
+
+describe('isWithinRange', () => {
+  const range = { from: new Date(2026, 9, 5), to: new Date(2026, 9, 12), label: 'last week' }
+
+  it('accepts anything when there is no range', () => {
+    expect(isWithinRange('2020-01-01T00:00:00Z', null)).toBe(true)
+    expect(isWithinRange(null, null)).toBe(true)
+  })
+
+  it('rejects a missing value when there is a range', () => {
+    expect(isWithinRange(null, range)).toBe(false)
+  })
+
+  it('includes the start and excludes the end', () => {
+    expect(isWithinRange(new Date(2026, 9, 5), range)).toBe(true)
+    expect(isWithinRange(new Date(2026, 9, 11, 23, 59), range)).toBe(true)
+    expect(isWithinRange(new Date(2026, 9, 12), range)).toBe(false)
+    expect(isWithinRange(new Date(2026, 9, 4, 23, 59), range)).toBe(false)
+  })
+
+  it('accepts timestamps as strings', () => {
+    expect(isWithinRange(new Date(2026, 9, 8).toISOString(), range)).toBe(true)
+  })
+})
+
+describe('describeFilters', () => {
+  it('labels each filter of a parsed query', () => {
+    expect(describeFilters(parseQuery('#tax receipts from 2024', { now, target: 'documents' })))
+      .toEqual(['receipt', '#tax', 'added 2024'])
+    expect(describeFilters(parseQuery("what's in the kitchen", { now }))).toEqual(['in kitchen'])
+    expect(describeFilters(parseQuery('items added last week', { now }))).toEqual(['added last week'])
+  })
+
+  it('labels expiry windows', () => {
+    expect(describeFilters(parseQuery('documents expiring soon', { now, target: 'documents' })))
+      .toEqual(['expiring soon'])
+    expect(describeFilters(parseQuery('expired passport', { now, target: 'documents' })))
+      .toEqual(['expired'])
+  })
+
+  it('has nothing to say about a plain search', () => {
+    expect(describeFilters(parseQuery('where is my passport', { now }))).toEqual([])
+  })
+})
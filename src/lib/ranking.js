@@ -0,0 +1,229 @@
+/**
+ * Relevance ranking for item search
+ * Scores items against a query using whole-word matching, prefix boosts,
+ * edit distance for typos, per-field weights and a small recency boost.
+ */
+
+// Field weights: a hit in the name counts more than one in the location
+export const FIELD_WEIGHTS = {
+  item_name: 3,
+  category: 2,
+  location: 1
+}
+
+// Strength of each kind of token match
+const MATCH_STRENGTH = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6
+}
+
+// Results scoring below this are treated as "not a match"
+export const MIN_SCORE = 0.25
+
+// Items added within this window get a (decaying) recency boost of up to 10%
+const RECENCY_WINDOW_DAYS = 30
+const RECENCY_BOOST = 0.1
+
+// Filler words that shouldn't count towards the score
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'our', 'your', 'is', 'are', 'of', 'in', 'on', 'at',
+  'to', 'for', 'and', 'or', 'where', 'what', 'did', 'i', 'put', 'find', 'locate'
+])
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Typos allowed for a term of a given length (none for very short words)
+const maxTypos = (length) => {
+  if (length < 4) return 0
+  if (length < 8) return 1
+  return 2
+}
+
+/**
+ * Split text into lowercase word tokens with their positions
+ * @param {string} text
+ * @returns {Array<{token: string, start: number, end: number}>}
+ */
+export const tokenize = (text) => {
+  const tokens = []
+  const pattern = /[\p{L}\p{N}]+/gu
+  let match
+  while ((match = pattern.exec(text || '')) !== null) {
+    tokens.push({
+      token: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    })
+  }
+  return tokens
+}
+
+/**
+ * Turn a query into the terms that should be scored
+ * @param {string} query
+ * @returns {string[]}
+ */
+export const queryTerms = (query) => {
+  const terms = tokenize(query).map(t => t.token)
+  const meaningful = terms.filter(term => !STOP_WORDS.has(term))
+  // A query made only of stop words still has to match something
+  return [...new Set(meaningful.length > 0 ? meaningful : terms)]
+}
+
+/**
+ * Best match of a single query term against one token
+ * @returns {{type: string, strength: number}|null}
+ */
+const matchToken = (term, token) => {
+  if (token === term) {
+    return { type: 'exact', strength: MATCH_STRENGTH.exact }
+  }
+  if (term.length >= 2 && token.startsWith(term)) {
+    // Longer prefixes are worth more: "wal" < "walle" for "wallet"
+    const coverage = term.length / token.length
+    return { type: 'prefix', strength: MATCH_STRENGTH.prefix * (0.5 + coverage / 2) }
+  }
+  const allowed = maxTypos(term.length)
+  if (allowed > 0 && Math.abs(token.length - term.length) <= allowed) {
+    const distance = editDistance(term, token)
+    if (distance <= allowed) {
+      return { type: 'fuzzy', strength: MATCH_STRENGTH.fuzzy * (1 - (distance - 1) * 0.25) }
+    }
+  }
+  return null
+}
+
+// 1.0 for brand new items, fading to 0 at the end of the recency window
+const recencyFactor = (createdAt, now) => {
+  if (!createdAt) return 0
+  const ageDays = (now - new Date(createdAt).getTime()) / (24 * 60 * 60 * 1000)
+  if (ageDays < 0 || ageDays > RECENCY_WINDOW_DAYS) return 0
+  return 1 - ageDays / RECENCY_WINDOW_DAYS
+}
+
+/**
+ * Score one item against a list of query terms
+ * @param {Object} item - The item row
+ * @param {string[]} terms - Output of queryTerms()
+ * @param {Object} options
+ * @param {Object} options.weights - Field weights (defaults to FIELD_WEIGHTS)
+ * @param {number} options.now - Timestamp used for recency
+ * @returns {{score: number, matches: Array<{field: string, start: number, end: number, type: string}>}}
+ */
+export const scoreItem = (item, terms, { weights = FIELD_WEIGHTS, now = Date.now() } = {}) => {
+  if (terms.length === 0) return { score: 0, matches: [] }
+
+  const maxWeight = Math.max(...Object.values(weights))
+  const fields = Object.keys(weights).map(field => ({
+    field,
+    weight: weights[field],
+    tokens: tokenize(item[field])
+  }))
+
+  let total = 0
+  const matches = []
+
+  terms.forEach(term => {
+    let best = 0
+    fields.forEach(({ field, weight, tokens }) => {
+      tokens.forEach(({ token, start, end }) => {
+        const hit = matchToken(term, token)
+        if (!hit) return
+        matches.push({ field, start, end, type: hit.type })
+        best = Math.max(best, (hit.strength * weight) / maxWeight)
+      })
+    })
+    total += best
+  })
+
+  const relevance = total / terms.length
+  const score = relevance > 0
+    ? Math.min(1, relevance * (1 + RECENCY_BOOST * recencyFactor(item.created_at, now)))
+    : 0
+
+  return { score: Math.round(score * 1000) / 1000, matches }
+}
+
+/**
+ * Rank items for a query
+ * @param {Array} items - Candidate rows
+ * @param {string} query - Raw search text
+ * @param {Object} options - See scoreItem; plus minScore (defaults to MIN_SCORE)
+ * @returns {Array} Items with `score` and `matches`, best first, weak matches dropped
+ */
+export const rankItems = (items, query, { minScore = MIN_SCORE, ...options } = {}) => {
+  const terms = queryTerms(query)
+  return items
+    .map(item => ({ ...item, ...scoreItem(item, terms, options) }))
+    .filter(item => item.score >= minScore)
+    .sort((a, b) => b.score - a.score || new Date(b.created_at) - new Date(a.created_at))
+}
+
+/**
+ * Names of the fields that matched, e.g. ['item_name', 'location']
+ * @param {Array} matches - The `matches` array of a ranked item
+ * @returns {string[]}
+ */
+export const matchedFields = (matches = []) => [...new Set(matches.map(match => match.field))]
+
+/**
+ * Suggest a spelling correction for a query ("did you mean ...")
+ * @param {string} query - Raw search text
+ * @param {string[]} vocabulary - Known words/phrases, e.g. item names and categories
+ * @returns {string|null} Corrected query, or null when nothing is close enough
+ */
+export const suggestCorrection = (query, vocabulary) => {
+  const words = new Set()
+  vocabulary.forEach(phrase => tokenize(phrase).forEach(({ token }) => words.add(token)))
+  if (words.size === 0) return null
+
+  let changed = false
+  const corrected = queryTerms(query).map(term => {
+    if (words.has(term)) return term
+
+    let bestWord = null
+    let bestDistance = Infinity
+    words.forEach(word => {
+      const distance = editDistance(term, word)
+      if (distance < bestDistance) {
+        bestDistance = distance
+        bestWord = word
+      }
+    })
+
+    // Allow one more edit than search does - that's why search missed it
+    if (bestWord && bestDistance <= maxTypos(term.length) + 1 && bestDistance < term.length) {
+      changed = true
+      return bestWord
+    }
+    return term
+  })
+
+  return changed ? corrected.join(' ') : null
+}
@@ -0,0 +1,116 @@
+import { supabase } from './supabase'
+import { getOfflineUser, presentRow, mirrorRecord, removeMirrorRecord, mirrorServerChange, notifySynced } from './offlineStore'
+
+/**
+ * Live changes to items and documents, so open lists don't go stale
+ * - Changes saved on another device arrive through Supabase Realtime
+ *   (Postgres changes on the signed-in user's rows)
+ * - Changes made in another tab of this browser arrive through a
+ *   BroadcastChannel, including ones made offline that the server hasn't seen
+ *
+ * Listeners get a change as { type: 'upsert', row } or { type: 'remove', id }.
+ * A row that was moved to the Trash counts as removed.
+ */
+
+const LIVE_TABLES = ['items', 'documents']
+const TAB_CHANNEL = 'findit-changes'
+
+const tabChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_CHANNEL) : null
+const listeners = Object.fromEntries(LIVE_TABLES.map(table => [table, new Set()]))
+
+const deliver = (table, change) => listeners[table]?.forEach(listener => listener(change))
+
+const changeFor = (row) => row.deleted_at
+  ? { type: 'remove', id: row.id }
+  : { type: 'upsert', row }
+
+if (tabChannel) {
+  // The other tab has already written the change to the shared mirror
+  tabChannel.onmessage = ({ data: { table, change } }) => {
+    deliver(table, change.row ? { ...change, row: presentRow(change.row) } : change)
+  }
+}
+
+/**
+ * Be told about changes to a table made anywhere but here
+ * @param {string} table - 'items' or 'documents'
+ * @param {Function} listener - Called with each change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToChanges = (table, listener) => {
+  listeners[table].add(listener)
+  return () => listeners[table].delete(listener)
+}
+
+/**
+ * Store a row saved in this tab on the device and tell the other tabs
+ * @param {string} table - 'items' or 'documents'
+ * @param {Object} row - The full row; set _pending for unsynced changes
+ */
+export const publishChange = async (table, row) => {
+  await mirrorRecord(table, row)
+  tabChannel?.postMessage({ table, change: changeFor(row) })
+}
+
+/**
+ * Drop a row removed in this tab from the device and tell the other tabs
+ * @param {string} table - 'items' or 'documents'
+ * @param {string} id - The row's ID
+ */
+export const publishRemoval = async (table, id) => {
+  await removeMirrorRecord(table, id)
+  tabChannel?.postMessage({ table, change: { type: 'remove', id } })
+}
+
+// A change the server reports; this tab's own saves come back this way too,
+// which is harmless since applying a change twice changes nothing
+const handleServerChange = async (table, payload) => {
+  const change = payload.eventType === 'DELETE'
+    ? { type: 'remove', id: payload.old?.id }
+    : changeFor(payload.new)
+  if (!change.id && !change.row) return
+
+  // A row with changes still waiting to sync keeps its local version
+  if (await mirrorServerChange(table, change)) {
+    deliver(table, change)
+  }
+}
+
+/**
+ * Listen for changes to the signed-in user's rows on the server
+ * Call once the user is signed in (App.jsx); returns a cleanup function.
+ * Changes missed while disconnected are caught up by reloading once the
+ * channel reconnects.
+ * @returns {Function}
+ */
+export const startRealtime = () => {
+  let channel = null
+  let stopped = false
+  let connectedBefore = false
+
+  getOfflineUser().then(user => {
+    if (!user || stopped) return
+
+    channel = supabase.channel(`user-changes:${user.id}`)
+    LIVE_TABLES.forEach(table => {
+      channel.on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table, filter: `user_id=eq.${user.id}` },
+        payload => { handleServerChange(table, payload) }
+      )
+    })
+    channel.subscribe((status, error) => {
+      if (status === 'SUBSCRIBED') {
+        if (connectedBefore) notifySynced()
+        connectedBefore = true
+      } else if (error) {
+        console.warn('Realtime error:', error.message)
+      }
+    })
+  })
+
+  return () => {
+    stopped = true
+    if (channel) supabase.removeChannel(channel)
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * App URLs
+ * Every page has a path, so it survives a refresh and can be bookmarked or
+ * linked to. vercel.json rewrites all paths to index.html; the router in
+ * App.jsx takes it from there.
+ */
+
+export const PATHS = {
+  home: '/',
+  add: '/add',
+  find: '/find',
+  items: '/items',
+  documents: '/documents',
+  trash: '/trash',
+  backup: '/backup',
+  about: '/about',
+  signIn: '/signin',
+  signUp: '/signup',
+  share: '/share'
+}
+
+/**
+ * Link to one item
+ * @param {string} itemId
+ * @returns {string}
+ */
+export const itemPath = (itemId) => `${PATHS.items}/${itemId}`
+
+/**
+ * Link to one document (opens it in the viewer)
+ * @param {string} documentId
+ * @returns {string}
+ */
+export const documentPath = (documentId) => `${PATHS.documents}/${documentId}`
+
+/**
+ * Link to a page, keeping only the query parameters that are set
+ * @param {string} path
+ * @param {Object} params - e.g. { type: 'receipt', q: '' }
+ * @returns {string}
+ */
+export const withQuery = (path, params = {}) => {
+  const search = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.set(key, value)
+  })
+  const query = search.toString()
+  return query ? `${path}?${query}` : path
+}
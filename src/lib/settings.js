@@ -0,0 +1,59 @@
+import { supabase } from './supabase'
+
+/**
+ * Per-account settings
+ * Stored in the Supabase user's metadata, so they follow the account across
+ * devices without a table of their own.
+ */
+
+export const DEFAULT_SETTINGS = {
+  // Date a new item with a photo by when the photo was taken, not when it was added
+  useCaptureDate: false
+}
+
+/**
+ * Read settings from a user object
+ * @param {Object|null} user - Supabase auth user
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export const settingsFromUser = (user) => ({
+  ...DEFAULT_SETTINGS,
+  ...(user?.user_metadata?.settings || {})
+})
+
+/**
+ * Change one or more settings for the signed-in user
+ * @param {Partial<typeof DEFAULT_SETTINGS>} changes - Settings to change
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>} data is the full, updated settings
+ */
+export const updateSettings = async (changes) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to change settings.')
+
+    const unknown = Object.keys(changes).filter(key => !(key in DEFAULT_SETTINGS))
+    if (unknown.length > 0) {
+      throw new Error(`Unknown setting: ${unknown.join(', ')}`)
+    }
+
+    const settings = { ...settingsFromUser(user), ...changes }
+    const { error } = await supabase.auth.updateUser({ data: { settings } })
+    if (error) {
+      throw new Error(`Failed to save settings: ${error.message}`)
+    }
+
+    return {
+      success: true,
+      data: settings
+    }
+
+  } catch (error) {
+    console.error('Update settings error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to save settings. Please try again.'
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Web Share Target: "Share → FindIt" from the camera roll
+ * The manifest (vite.config.js) registers the app as a target for shared
+ * photos. The phone posts them to SHARE_TARGET_PATH, where the service worker
+ * (src/sw.js) keeps them with storeSharedPhotos and redirects to the Add Item
+ * page, which picks them up with takeSharedPhotos.
+ */
+
+export const SHARE_TARGET_PATH = '/add/share-target'
+
+// Form field the manifest asks for the photos in
+export const SHARED_FILES_FIELD = 'photos'
+
+// Set on the Add Item URL when there are shared photos waiting
+export const SHARED_PARAM = 'shared'
+
+// Shared photos wait in the Cache API, which both the worker and the page can reach
+const SHARE_CACHE = 'findit-shared-photos'
+const DETAILS_KEY = '/shared/details'
+const fileKey = (index) => `/shared/files/${index}`
+
+/**
+ * Keep photos shared to the app until the Add Item page opens (service worker side)
+ * A new share replaces one that was never picked up.
+ * @param {FormData} formData - The share target POST body
+ * @returns {Promise<number>} How many photos were kept
+ */
+export const storeSharedPhotos = async (formData) => {
+  const cache = await caches.open(SHARE_CACHE)
+  await Promise.all((await cache.keys()).map(request => cache.delete(request)))
+
+  const files = formData.getAll(SHARED_FILES_FIELD).filter(file => file instanceof File)
+  await Promise.all(files.map((file, index) => cache.put(fileKey(index), new Response(file, {
+    headers: {
+      'Content-Type': file.type,
+      'X-File-Name': encodeURIComponent(file.name)
+    }
+  }))))
+  await cache.put(DETAILS_KEY, new Response(JSON.stringify({
+    title: formData.get('title') || '',
+    text: formData.get('text') || ''
+  }), { headers: { 'Content-Type': 'application/json' } }))
+
+  return files.length
+}
+
+// Calls made while a pickup is running share it, so a page that mounts twice
+// doesn't split the photos between its two mounts
+let pickup = null
+
+/**
+ * Collect photos shared to the app, once (page side)
+ * @returns {Promise<{success: boolean, data?: {files: File[], title: string, text: string}, error?: string}>}
+ *   files is empty when nothing was shared
+ */
+export const takeSharedPhotos = () => {
+  if (!pickup) {
+    pickup = collectSharedPhotos().finally(() => { pickup = null })
+  }
+  return pickup
+}
+
+const collectSharedPhotos = async () => {
+  try {
+    if (!('caches' in window) || !(await caches.has(SHARE_CACHE))) {
+      return { success: true, data: { files: [], title: '', text: '' } }
+    }
+
+    const cache = await caches.open(SHARE_CACHE)
+    const details = await cache.match(DETAILS_KEY)
+    const { title = '', text = '' } = details ? await details.json() : {}
+
+    const files = []
+    for (const request of await cache.keys()) {
+      const { pathname } = new URL(request.url)
+      if (!pathname.startsWith(fileKey(''))) continue
+      const index = Number(pathname.slice(fileKey('').length))
+
+      const response = await cache.match(request)
+      const blob = await response.blob()
+      const name = decodeURIComponent(response.headers.get('X-File-Name') || `shared-photo-${index + 1}`)
+      files[index] = new File([blob], name, { type: blob.type })
+    }
+
+    // Each share is only offered once
+    await caches.delete(SHARE_CACHE)
+
+    return {
+      success: true,
+      data: { files: files.filter(Boolean), title, text }
+    }
+
+  } catch (error) {
+    console.error('Take shared photos error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to open the shared photos.'
+    }
+  }
+}
@@ -1,13 +1,108 @@
 import { supabase } from './supabase'
+import { compressImage, createThumbnail, MAX_SOURCE_IMAGE_SIZE } from './imageProcessing'
+import { readImageMetadata, hasPrivateMetadata, describeRemovedMetadata } from './imageMetadata'
+
+// Storage buckets the app writes to; location photos share item-images
+export const ITEM_IMAGES_BUCKET = 'item-images'
+export const DOCUMENT_IMAGES_BUCKET = 'document-images'
+const IMAGE_BUCKETS = [ITEM_IMAGES_BUCKET, DOCUMENT_IMAGES_BUCKET]
+
+// Buckets without public read access: rows store the path and the app signs
+// short-lived URLs when it needs to show or share a file
+const PRIVATE_BUCKETS = [DOCUMENT_IMAGES_BUCKET]
+
+/**
+ * Whether a bucket's files can only be read through signed URLs
+ * @param {string} bucket - Bucket name
+ * @returns {boolean}
+ */
+export const isPrivateBucket = (bucket) => PRIVATE_BUCKETS.includes(bucket)
+
+// /storage/v1/object/{public|sign|authenticated}/<bucket>/<path>[?token=...]
+const STORAGE_OBJECT_PATTERN = /\/storage\/v1\/object\/(?:public|sign|authenticated)\/([^/?#]+)\/([^?#]+)/
+
+// What uploads are resized to, per bucket. Documents keep more pixels so
+// text stays legible; maxBytes is the bucket's own file size limit.
+// maxPdfBytes is set for buckets that also take PDFs.
+const IMAGE_PROFILES = {
+  [ITEM_IMAGES_BUCKET]: { maxDimension: 1600, targetBytes: 1024 * 1024, maxBytes: 5 * 1024 * 1024 },
+  [DOCUMENT_IMAGES_BUCKET]: { maxDimension: 2400, targetBytes: 3 * 1024 * 1024, maxBytes: 20 * 1024 * 1024, maxPdfBytes: 20 * 1024 * 1024 }
+}
+
+export const PDF_MIME_TYPE = 'application/pdf'
+
+/**
+ * Whether a stored file is a PDF rather than an image
+ * @param {string} path - Storage path
+ * @returns {boolean}
+ */
+export const isPdfPath = (path) => /\.pdf$/i.test(path || '')
+
+// Thumbnails sit next to their image: abc.webp -> abc.thumb.jpg
+const THUMBNAIL_SUFFIX = '.thumb.jpg'
+
+/**
+ * Storage path of an image's thumbnail
+ * @param {string} path - Path of the full image
+ * @returns {string}
+ */
+export const thumbnailPathFor = (path) => `${path.replace(/\.[^./]+$/, '')}${THUMBNAIL_SUFFIX}`
+
+/**
+ * Whether a storage path is a thumbnail rather than a full image
+ * @param {string} path - Storage path
+ * @returns {boolean}
+ */
+export const isThumbnailPath = (path) => path.endsWith(THUMBNAIL_SUFFIX)
+
+/**
+ * Upload a PDF as-is (buckets with maxPdfBytes only)
+ * PDFs aren't re-encoded, so they have no thumbnail and keep their own
+ * metadata (author, producer).
+ */
+const uploadPdf = async (file, userId, bucket) => {
+  const { maxPdfBytes } = IMAGE_PROFILES[bucket]
+  if (file.size > maxPdfBytes) {
+    throw new Error(`PDF is too large. Maximum file size is ${maxPdfBytes / (1024 * 1024)}MB.`)
+  }
+
+  const filePath = `${userId}/${Date.now()}-${Math.random().toString(36).slice(2)}.pdf`
+  const { error: uploadError } = await supabase.storage
+    .from(bucket)
+    .upload(filePath, file, {
+      upsert: false,
+      contentType: PDF_MIME_TYPE,
+      cacheControl: '3600'
+    })
+
+  if (uploadError) {
+    throw new Error(uploadError.message || 'Failed to upload PDF to storage.')
+  }
+
+  return {
+    success: true,
+    url: isPrivateBucket(bucket) ? null : getImageUrl(filePath, bucket),
+    path: filePath,
+    thumbnailUrl: null,
+    metadata: null
+  }
+}
 
 /**
  * Upload an image to Supabase Storage
- * @param {File} file - The image file to upload
+ * The photo is resized and re-encoded in the browser first, which also
+ * strips EXIF/XMP metadata (GPS, camera) and bakes in the orientation, and a
+ * small thumbnail is uploaded next to it (see getThumbnailUrl). Buckets that
+ * take PDFs (document-images) store those unchanged.
+ * @param {File} file - The image (or PDF) file to upload
  * @param {string} userId - The user's ID for folder organization
  * @param {string} bucket - The storage bucket to upload to (default: 'item-images')
- * @returns {Promise<{success: boolean, url?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, url?: string, path?: string, thumbnailUrl?: string, metadata?: object, error?: string}>}
+ *   url and thumbnailUrl are public URLs (null for private buckets, which only have a path);
+ *   metadata is what the original photo carried (see readImageMetadata) plus `removed`, a list of labels
+ *   (null for PDFs)
  */
-export const uploadImage = async (file, userId, bucket = 'item-images') => {
+export const uploadImage = async (file, userId, bucket = ITEM_IMAGES_BUCKET) => {
   try {
     // Validate inputs
     if (!file) {
@@ -17,20 +112,48 @@ export const uploadImage = async (file, userId, bucket = 'item-images') => {
       throw new Error('User ID is required.')
     }
 
+    if (!IMAGE_BUCKETS.includes(bucket)) {
+      throw new Error(`Unknown storage bucket: ${bucket}`)
+    }
+
+    if (file.type === PDF_MIME_TYPE && IMAGE_PROFILES[bucket].maxPdfBytes) {
+      return await uploadPdf(file, userId, bucket)
+    }
+
     // Validate file type
     if (!file.type.startsWith('image/')) {
-      throw new Error('Invalid file type. Only image files are allowed (PNG, JPG, GIF, WebP).')
+      throw new Error(IMAGE_PROFILES[bucket].maxPdfBytes
+        ? 'Invalid file type. Only images (PNG, JPG, GIF, WebP) and PDFs are allowed.'
+        : 'Invalid file type. Only image files are allowed (PNG, JPG, GIF, WebP).')
+    }
+
+    if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+      throw new Error(`Image is too large. Maximum file size is ${MAX_SOURCE_IMAGE_SIZE / (1024 * 1024)}MB.`)
     }
 
-    // Validate file size (10MB limit for documents, 5MB for items)
-    const maxSize = bucket === 'document-images' ? 10 * 1024 * 1024 : 5 * 1024 * 1024
-    if (file.size > maxSize) {
-      throw new Error(`Image is too large. Maximum file size is ${bucket === 'document-images' ? '10MB' : '5MB'}.`)
+    // Downscale and re-encode. If the browser can't, the original may only
+    // go up as-is when it has no metadata that should have been stripped.
+    const profile = IMAGE_PROFILES[bucket]
+    const metadata = await readImageMetadata(file)
+    const mustStrip = hasPrivateMetadata(metadata)
+    let image = file
+    try {
+      image = await compressImage(file, profile, { allowOriginal: !mustStrip })
+    } catch (compressError) {
+      if (mustStrip) {
+        throw new Error('This photo contains location or camera data that could not be removed, so it was not uploaded. Try saving it as a JPG or PNG first.')
+      }
+      console.warn('Image compression failed, uploading the original:', compressError)
+    }
+
+    // Validate file size against the bucket limit (20MB for documents, 5MB for items)
+    if (image.size > profile.maxBytes) {
+      throw new Error(`Image is too large. Maximum file size is ${profile.maxBytes / (1024 * 1024)}MB.`)
     }
 
     // Validate file extension
     const validExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp']
-    const fileExt = file.name.split('.').pop()?.toLowerCase()
+    const fileExt = image.name.split('.').pop()?.toLowerCase()
     if (!fileExt || !validExtensions.includes(fileExt)) {
       throw new Error(`Invalid file extension. Allowed types: ${validExtensions.join(', ').toUpperCase()}`)
     }
@@ -39,9 +162,9 @@ export const uploadImage = async (file, userId, bucket = 'item-images') => {
 
     const { error: uploadError } = await supabase.storage
       .from(bucket)
-      .upload(filePath, file, {
+      .upload(filePath, image, {
         upsert: false,
-        contentType: file.type,
+        contentType: image.type,
         cacheControl: '3600'
       })
 
@@ -49,19 +172,31 @@ export const uploadImage = async (file, userId, bucket = 'item-images') => {
       throw new Error(uploadError.message || 'Failed to upload image to storage.')
     }
 
-    const { data: publicUrlData, error: urlError } = supabase.storage
-      .from(bucket)
-      .getPublicUrl(filePath)
+    const publicUrl = isPrivateBucket(bucket) ? null : getImageUrl(filePath, bucket)
 
-    if (urlError) {
-      throw new Error(urlError.message || 'Failed to generate image URL.')
+    // A missing thumbnail only costs bandwidth: grids fall back to the full image
+    let thumbnailUrl = null
+    try {
+      const thumbnail = await createThumbnail(image)
+      const { error: thumbnailError } = await supabase.storage
+        .from(bucket)
+        .upload(thumbnailPathFor(filePath), thumbnail, {
+          upsert: true,
+          contentType: thumbnail.type,
+          cacheControl: '3600'
+        })
+      if (thumbnailError) throw thumbnailError
+      thumbnailUrl = isPrivateBucket(bucket) ? null : getImageUrl(thumbnailPathFor(filePath), bucket)
+    } catch (thumbnailError) {
+      console.warn('Failed to upload thumbnail:', thumbnailError)
     }
 
-    const publicUrl = publicUrlData.publicUrl
-
     return {
       success: true,
-      url: publicUrl
+      url: publicUrl,
+      path: filePath,
+      thumbnailUrl,
+      metadata: { ...metadata, removed: describeRemovedMetadata(metadata) }
     }
 
   } catch (error) {
@@ -73,37 +208,50 @@ export const uploadImage = async (file, userId, bucket = 'item-images') => {
   }
 }
 
+/**
+ * Work out which bucket and path a stored image URL points to
+ * Understands public, signed and authenticated object URLs for any bucket,
+ * e.g. .../storage/v1/object/public/document-images/<user>/<file>.jpg
+ * @param {string} imageUrl - URL returned by uploadImage
+ * @returns {{bucket: string, path: string}|null} null for URLs that aren't storage objects
+ */
+export const parseImageUrl = (imageUrl) => {
+  if (!imageUrl) return null
+
+  const match = String(imageUrl).match(STORAGE_OBJECT_PATTERN)
+  if (!match) return null
+
+  const [, bucket, path] = match
+  return { bucket: decodeURIComponent(bucket), path: decodeURIComponent(path) }
+}
+
 /**
  * Delete an image from Supabase Storage
- * @param {string} imageUrl - The full URL of the image to delete
+ * The bucket is read from the URL, so item, document and location images all work;
+ * images in private buckets are addressed by path and bucket instead.
+ * The image's thumbnail is removed with it.
+ * @param {string} imageUrl - The full URL of the image to delete, or its path when bucket is given
+ * @param {string} bucket - Bucket of a path-addressed image
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export const deleteImage = async (imageUrl) => {
+export const deleteImage = async (imageUrl, bucket = null) => {
   try {
     if (!imageUrl) {
       return { success: true } // Nothing to delete
     }
 
-    // Validate URL format
-    if (!imageUrl.includes('/item-images/')) {
+    const location = bucket ? { bucket, path: imageUrl } : parseImageUrl(imageUrl)
+    if (!location) {
       throw new Error('Invalid image URL format.')
     }
 
-    // Extract file path from URL
-    const urlParts = imageUrl.split('/item-images/')
-    if (urlParts.length < 2) {
-      throw new Error('Could not parse image URL.')
-    }
-    const filePath = urlParts[1]
-
-    if (!filePath) {
-      throw new Error('Invalid file path extracted from URL.')
-    }
-
-    // Delete from storage
+    // Delete from storage, along with the thumbnail if there is one
+    const paths = isThumbnailPath(location.path)
+      ? [location.path]
+      : [location.path, thumbnailPathFor(location.path)]
     const { error } = await supabase.storage
-      .from('item-images')
-      .remove([filePath])
+      .from(location.bucket)
+      .remove(paths)
 
     if (error) {
       // Don't throw error if file doesn't exist
@@ -130,17 +278,165 @@ export const deleteImage = async (imageUrl) => {
   }
 }
 
+/**
+ * Move a stored image (and its thumbnail) to another path and/or bucket
+ * @param {string} imageUrl - Current URL of the image
+ * @param {Object} destination - Where it should go
+ * @param {string} destination.bucket - Target bucket (default: the image's current bucket)
+ * @param {string} destination.path - Target path (default: the image's current path)
+ * @returns {Promise<{success: boolean, url?: string, path?: string, error?: string}>} url is the image's new public URL (null in a private bucket)
+ */
+export const moveImage = async (imageUrl, { bucket, path } = {}) => {
+  try {
+    const source = parseImageUrl(imageUrl)
+    if (!source) {
+      throw new Error('Invalid image URL format.')
+    }
+
+    const targetBucket = bucket || source.bucket
+    const targetPath = path || source.path
+    if (targetBucket === source.bucket && targetPath === source.path) {
+      return { success: true, url: imageUrl }
+    }
+    if (!IMAGE_BUCKETS.includes(targetBucket)) {
+      throw new Error(`Unknown storage bucket: ${targetBucket}`)
+    }
+
+    const { error } = await supabase.storage
+      .from(source.bucket)
+      .move(source.path, targetPath, { destinationBucket: targetBucket })
+
+    if (error) {
+      throw new Error(`Failed to move image: ${error.message}`)
+    }
+
+    // Older images have no thumbnail, so a failed move here is expected
+    const { error: thumbnailError } = await supabase.storage
+      .from(source.bucket)
+      .move(thumbnailPathFor(source.path), thumbnailPathFor(targetPath), { destinationBucket: targetBucket })
+    if (thumbnailError) {
+      console.warn('Thumbnail not moved:', thumbnailError.message)
+    }
+
+    return {
+      success: true,
+      url: isPrivateBucket(targetBucket) ? null : getImageUrl(targetPath, targetBucket),
+      path: targetPath
+    }
+  } catch (error) {
+    console.error('Error moving image:', error)
+    return { success: false, error: error.message || 'Failed to move image.' }
+  }
+}
+
 /**
  * Get public URL for an image
  * @param {string} filePath - The storage path of the image
+ * @param {string} bucket - The bucket it lives in (default: 'item-images')
  * @returns {string} Public URL
  */
-export const getImageUrl = (filePath) => {
+export const getImageUrl = (filePath, bucket = ITEM_IMAGES_BUCKET) => {
   if (!filePath) return null
   
   const { data } = supabase.storage
-    .from('item-images')
+    .from(bucket)
     .getPublicUrl(filePath)
 
   return data.publicUrl
 }
+
+/**
+ * Create short-lived signed URLs for files in a bucket
+ * @param {string} bucket - Bucket name
+ * @param {string[]} paths - Storage paths
+ * @param {number} expiresIn - Seconds the URLs stay valid
+ * @returns {Promise<Map<string, string>>} path -> signed URL; paths that couldn't be signed are left out
+ */
+export const createSignedImageUrls = async (bucket, paths, expiresIn) => {
+  const urls = new Map()
+  const unique = [...new Set(paths.filter(Boolean))]
+  if (unique.length === 0) return urls
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrls(unique, expiresIn)
+
+  if (error) {
+    throw new Error(`Failed to create signed URLs: ${error.message}`)
+  }
+
+  data.forEach(entry => {
+    if (entry.signedUrl && !entry.error) urls.set(entry.path, entry.signedUrl)
+  })
+  return urls
+}
+
+/**
+ * Create one signed URL
+ * @param {string} bucket - Bucket name
+ * @param {string} path - Storage path
+ * @param {number} expiresIn - Seconds the URL stays valid
+ * @param {Object} options
+ * @param {string} options.download - File name to download as (omit to display inline)
+ * @returns {Promise<{success: boolean, url?: string, error?: string}>}
+ */
+export const getSignedImageUrl = async (bucket, path, expiresIn, { download } = {}) => {
+  try {
+    if (!path) {
+      throw new Error('No file to link to.')
+    }
+
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .createSignedUrl(path, expiresIn, download ? { download } : undefined)
+
+    if (error) {
+      throw new Error(`Failed to create link: ${error.message}`)
+    }
+
+    return { success: true, url: data.signedUrl }
+  } catch (error) {
+    console.error('Error signing URL:', error)
+    return { success: false, error: error.message || 'Failed to create link.' }
+  }
+}
+
+/**
+ * Get the URL of an image's thumbnail
+ * Images uploaded before thumbnails existed don't have one; callers should
+ * fall back to the full image when it fails to load (LazyImage does).
+ * @param {string} imageUrl - URL of the full image
+ * @returns {string|null} Thumbnail URL, or imageUrl itself if it isn't a storage object
+ */
+export const getThumbnailUrl = (imageUrl) => {
+  const location = parseImageUrl(imageUrl)
+  if (!location || isThumbnailPath(location.path)) return imageUrl || null
+  return getImageUrl(thumbnailPathFor(location.path), location.bucket)
+}
+
+/**
+ * Download a stored image
+ * @param {string} imageUrl - Public URL returned by uploadImage
+ * @returns {Promise<{success: boolean, data?: Blob, error?: string}>}
+ */
+export const downloadImage = async (imageUrl) => {
+  try {
+    const location = parseImageUrl(imageUrl)
+    if (!location) {
+      throw new Error('Invalid image URL format.')
+    }
+
+    const { data, error } = await supabase.storage
+      .from(location.bucket)
+      .download(location.path)
+
+    if (error) {
+      throw new Error(`Failed to download image: ${error.message}`)
+    }
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error downloading image:', error)
+    return { success: false, error: error.message || 'Failed to download image.' }
+  }
+}
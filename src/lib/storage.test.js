@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { supabase } from './supabase'
+import {
+  parseImageUrl, deleteImage, moveImage, getImageUrl, ITEM_IMAGES_BUCKET, DOCUMENT_IMAGES_BUCKET
+} from './storage'
+
+const BASE_URL = 'https://project.supabase.co'
+
+// Storage client for one bucket; calls are recorded per bucket
+const { buckets, bucketClient } = vi.hoisted(() => {
+  const buckets = {}
+  const bucketClient = (bucket) => {
+    if (!buckets[bucket]) {
+      buckets[bucket] = {
+        remove: vi.fn(async () => ({ data: [], error: null })),
+        move: vi.fn(async () => ({ data: {}, error: null })),
+        getPublicUrl: vi.fn((path) => ({
+          data: { publicUrl: `https://project.supabase.co/storage/v1/object/public/${bucket}/${path}` }
+        }))
+      }
+    }
+    return buckets[bucket]
+  }
+  return { buckets, bucketClient }
+})
+
+vi.mock('./supabase', () => ({
+  supabase: { storage: { from: vi.fn((bucket) => bucketClient(bucket)) } }
+}))
+
+beforeEach(() => {
+  Object.keys(buckets).forEach(bucket => delete buckets[bucket])
+  supabase.storage.from.mockClear()
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+describe('parseImageUrl', () => {
+  const BUCKETS = [ITEM_IMAGES_BUCKET, DOCUMENT_IMAGES_BUCKET]
+  const KINDS = ['public', 'sign', 'authenticated']
+
+  BUCKETS.forEach(bucket => {
+    KINDS.forEach(kind => {
+      it(`reads ${kind} URLs in ${bucket}`, () => {
+        const url = `${BASE_URL}/storage/v1/object/${kind}/${bucket}/user-1/photo.jpg`
+        expect(parseImageUrl(url)).toEqual({ bucket, path: 'user-1/photo.jpg' })
+      })
+    })
+
+    it(`drops the query string of signed URLs in ${bucket}`, () => {
+      const url = `${BASE_URL}/storage/v1/object/sign/${bucket}/user-1/scan.pdf?token=abc.def&download=scan.pdf`
+      expect(parseImageUrl(url)).toEqual({ bucket, path: 'user-1/scan.pdf' })
+    })
+  })
+
+  it('decodes encoded paths', () => {
+    const url = `${BASE_URL}/storage/v1/object/public/item-images/user-1/my%20photo.jpg`
+    expect(parseImageUrl(url)).toEqual({ bucket: ITEM_IMAGES_BUCKET, path: 'user-1/my photo.jpg' })
+  })
+
+  it('returns null for anything that is not a storage object', () => {
+    expect(parseImageUrl(null)).toBeNull()
+    expect(parseImageUrl('')).toBeNull()
+    expect(parseImageUrl('https://example.com/photo.jpg')).toBeNull()
+    expect(parseImageUrl('blob:https://app.example.com/1234')).toBeNull()
+  })
+})
+
+describe('getImageUrl', () => {
+  it('builds public URLs in item-images by default', () => {
+    expect(getImageUrl('user-1/photo.jpg'))
+      .toBe(`${BASE_URL}/storage/v1/object/public/item-images/user-1/photo.jpg`)
+    expect(supabase.storage.from).toHaveBeenCalledWith(ITEM_IMAGES_BUCKET)
+  })
+
+  it('builds URLs in document-images when asked', () => {
+    expect(getImageUrl('user-1/scan.jpg', DOCUMENT_IMAGES_BUCKET))
+      .toBe(`${BASE_URL}/storage/v1/object/public/document-images/user-1/scan.jpg`)
+    expect(supabase.storage.from).toHaveBeenCalledWith(DOCUMENT_IMAGES_BUCKET)
+  })
+
+  it('returns null without a path', () => {
+    expect(getImageUrl(null)).toBeNull()
+    expect(supabase.storage.from).not.toHaveBeenCalled()
+  })
+})
+
+describe('deleteImage', () => {
+  it('removes an item image and its thumbnail from item-images', async () => {
+    const result = await deleteImage(`${BASE_URL}/storage/v1/object/public/item-images/user-1/photo.jpg`)
+
+    expect(result).toEqual({ success: true })
+    expect(supabase.storage.from).toHaveBeenCalledWith(ITEM_IMAGES_BUCKET)
+    expect(buckets[ITEM_IMAGES_BUCKET].remove).toHaveBeenCalledWith(['user-1/photo.jpg', 'user-1/photo.thumb.jpg'])
+  })
+
+  it('removes a signed document image from document-images', async () => {
+    await deleteImage(`${BASE_URL}/storage/v1/object/sign/document-images/user-1/scan.png?token=abc`)
+
+    expect(supabase.storage.from).toHaveBeenCalledWith(DOCUMENT_IMAGES_BUCKET)
+    expect(buckets[DOCUMENT_IMAGES_BUCKET].remove).toHaveBeenCalledWith(['user-1/scan.png', 'user-1/scan.thumb.jpg'])
+    expect(buckets[ITEM_IMAGES_BUCKET]).toBeUndefined()
+  })
+
+  it('addresses a path in the bucket it is given', async () => {
+    await deleteImage('user-1/scan.pdf', DOCUMENT_IMAGES_BUCKET)
+
+    expect(buckets[DOCUMENT_IMAGES_BUCKET].remove).toHaveBeenCalledWith(['user-1/scan.pdf', 'user-1/scan.thumb.jpg'])
+  })
+
+  it('removes a thumbnail on its own', async () => {
+    await deleteImage(`${BASE_URL}/storage/v1/object/public/item-images/user-1/photo.thumb.jpg`)
+
+    expect(buckets[ITEM_IMAGES_BUCKET].remove).toHaveBeenCalledWith(['user-1/photo.thumb.jpg'])
+  })
+
+  it('succeeds with nothing to delete', async () => {
+    expect(await deleteImage(null)).toEqual({ success: true })
+    expect(supabase.storage.from).not.toHaveBeenCalled()
+  })
+
+  it('fails for URLs it cannot read', async () => {
+    const result = await deleteImage('https://example.com/photo.jpg')
+    expect(result).toEqual({ success: false, error: 'Invalid image URL format.' })
+  })
+})
+
+describe('moveImage', () => {
+  const itemUrl = `${BASE_URL}/storage/v1/object/public/item-images/user-1/photo.jpg`
+
+  it('moves within a bucket, thumbnail included', async () => {
+    const result = await moveImage(itemUrl, { path: 'user-1/moved.jpg' })
+
+    expect(result).toEqual({
+      success: true,
+      url: `${BASE_URL}/storage/v1/object/public/item-images/user-1/moved.jpg`,
+      path: 'user-1/moved.jpg'
+    })
+    const { move } = buckets[ITEM_IMAGES_BUCKET]
+    expect(move).toHaveBeenCalledWith('user-1/photo.jpg', 'user-1/moved.jpg', { destinationBucket: ITEM_IMAGES_BUCKET })
+    expect(move).toHaveBeenCalledWith('user-1/photo.thumb.jpg', 'user-1/moved.thumb.jpg', { destinationBucket: ITEM_IMAGES_BUCKET })
+  })
+
+  it('moves from item-images to the private document-images bucket', async () => {
+    const result = await moveImage(itemUrl, { bucket: DOCUMENT_IMAGES_BUCKET })
+
+    // Private buckets have no public URL
+    expect(result).toEqual({ success: true, url: null, path: 'user-1/photo.jpg' })
+    expect(buckets[ITEM_IMAGES_BUCKET].move)
+      .toHaveBeenCalledWith('user-1/photo.jpg', 'user-1/photo.jpg', { destinationBucket: DOCUMENT_IMAGES_BUCKET })
+  })
+
+  it('moves from document-images back to item-images', async () => {
+    const docUrl = `${BASE_URL}/storage/v1/object/sign/document-images/user-1/scan.jpg?token=abc`
+    const result = await moveImage(docUrl, { bucket: ITEM_IMAGES_BUCKET })
+
+    expect(result.url).toBe(`${BASE_URL}/storage/v1/object/public/item-images/user-1/scan.jpg`)
+    expect(buckets[DOCUMENT_IMAGES_BUCKET].move)
+      .toHaveBeenCalledWith('user-1/scan.jpg', 'user-1/scan.jpg', { destinationBucket: ITEM_IMAGES_BUCKET })
+  })
+
+  it('does nothing when the image is already there', async () => {
+    expect(await moveImage(itemUrl, { bucket: ITEM_IMAGES_BUCKET })).toEqual({ success: true, url: itemUrl })
+    expect(supabase.storage.from).not.toHaveBeenCalled()
+  })
+
+  it('refuses unknown buckets', async () => {
+    const result = await moveImage(itemUrl, { bucket: 'avatars' })
+    expect(result).toEqual({ success: false, error: 'Unknown storage bucket: avatars' })
+  })
+
+  it('still succeeds when an older image has no thumbnail to move', async () => {
+    bucketClient(ITEM_IMAGES_BUCKET).move
+      .mockResolvedValueOnce({ data: {}, error: null })
+      .mockResolvedValueOnce({ data: null, error: { message: 'Object not found' } })
+
+    const result = await moveImage(itemUrl, { path: 'user-1/moved.jpg' })
+    expect(result.success).toBe(true)
+  })
+
+  it('reports a failed move', async () => {
+    bucketClient(ITEM_IMAGES_BUCKET).move.mockResolvedValueOnce({ data: null, error: { message: 'Permission denied' } })
+
+    const result = await moveImage(itemUrl, { path: 'user-1/moved.jpg' })
+    expect(result).toEqual({ success: false, error: 'Failed to move image: Permission denied' })
+  })
+})
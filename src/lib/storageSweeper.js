@@ -0,0 +1,218 @@
+import { supabase } from './supabase'
+import { parseImageUrl, thumbnailPathFor, ITEM_IMAGES_BUCKET, DOCUMENT_IMAGES_BUCKET } from './storage'
+
+/**
+ * Orphaned storage file sweeper
+ * Images are uploaded before their row is inserted, and image deletes that
+ * fail are only logged, so files can end up in storage with nothing pointing
+ * at them. This lists the user's folder in every bucket, compares it with the
+ * images still referenced (trashed rows included) and removes the rest.
+ */
+
+// Buckets that hold per-user folders
+const SWEPT_BUCKETS = [ITEM_IMAGES_BUCKET, DOCUMENT_IMAGES_BUCKET]
+
+// Columns that reference stored images: public URLs, or paths within a bucket
+const IMAGE_REFERENCES = [
+  { table: 'items', column: 'image_url' },
+  { table: 'item_photos', column: 'image_url' },
+  { table: 'documents', column: 'image_path', bucket: DOCUMENT_IMAGES_BUCKET },
+  { table: 'document_files', column: 'file_path', bucket: DOCUMENT_IMAGES_BUCKET },
+  { table: 'locations', column: 'image_url' }
+]
+
+// Files younger than this may belong to an upload whose row isn't saved yet
+export const ORPHAN_GRACE_MINUTES = 60
+
+// storage.list() page size
+const LIST_PAGE_SIZE = 1000
+
+// Rows read per request; PostgREST caps a response at max_rows (1000 by default)
+const REFERENCE_PAGE_SIZE = 1000
+
+// storage.remove() accepts a limited number of paths per call
+const REMOVE_BATCH_SIZE = 100
+
+/**
+ * List every file in a user's folder of one bucket
+ * @param {string} bucket - Bucket name
+ * @param {string} userId - The user's ID (their folder name)
+ * @returns {Promise<Array<{bucket: string, path: string, size: number, createdAt: string}>>}
+ */
+const listUserFiles = async (bucket, userId) => {
+  const files = []
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(userId, { limit: LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } })
+
+    if (error) {
+      throw new Error(`Failed to list ${bucket}: ${error.message}`)
+    }
+
+    // Entries without an id are folders, not files
+    data.filter(entry => entry.id).forEach(entry => {
+      files.push({
+        bucket,
+        path: `${userId}/${entry.name}`,
+        size: entry.metadata?.size || 0,
+        createdAt: entry.created_at
+      })
+    })
+
+    if (data.length < LIST_PAGE_SIZE) return files
+  }
+}
+
+/**
+ * Collect every stored image the user's rows still point at, plus its thumbnail
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Set<string>>} `${bucket}/${path}` keys
+ */
+const collectReferencedImages = async (userId) => {
+  const referenced = new Set()
+
+  for (const { table, column, bucket } of IMAGE_REFERENCES) {
+    // A missed page would make images in use look orphaned, so read them all
+    for (let offset = 0; ; offset += REFERENCE_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(column)
+        .eq('user_id', userId)
+        .not(column, 'is', null)
+        .order('id', { ascending: true })
+        .range(offset, offset + REFERENCE_PAGE_SIZE - 1)
+
+      if (error) {
+        // A table that doesn't exist yet can't reference anything
+        if (error.code === '42P01') break
+        throw new Error(`Failed to read ${table}: ${error.message}`)
+      }
+
+      data.forEach(row => {
+        const location = bucket ? { bucket, path: row[column] } : parseImageUrl(row[column])
+        if (location) {
+          referenced.add(`${location.bucket}/${location.path}`)
+          referenced.add(`${location.bucket}/${thumbnailPathFor(location.path)}`)
+        }
+      })
+
+      if (data.length < REFERENCE_PAGE_SIZE) break
+    }
+  }
+
+  return referenced
+}
+
+/**
+ * Find the user's files and the orphans among them
+ * @param {string} userId - The user's ID
+ * @returns {Promise<{files: array, orphans: array}>}
+ */
+const findOrphans = async (userId) => {
+  const files = []
+  for (const bucket of SWEPT_BUCKETS) {
+    files.push(...await listUserFiles(bucket, userId))
+  }
+
+  const referenced = await collectReferencedImages(userId)
+  const cutoff = Date.now() - ORPHAN_GRACE_MINUTES * 60 * 1000
+  const orphans = files.filter(file =>
+    !referenced.has(`${file.bucket}/${file.path}`) &&
+    new Date(file.createdAt).getTime() < cutoff
+  )
+
+  return { files, orphans }
+}
+
+/**
+ * Report storage used by the signed-in user and any orphaned files
+ * @returns {Promise<{success: boolean, data?: {totalBytes: number, fileCount: number, buckets: object, orphans: array, orphanBytes: number}, error?: string}>}
+ * buckets maps bucket name to {fileCount, totalBytes}; orphans are {bucket, path, size, createdAt}
+ */
+export const scanStorage = async () => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to check storage.')
+
+    const { files, orphans } = await findOrphans(user.id)
+
+    const buckets = Object.fromEntries(SWEPT_BUCKETS.map(bucket => [bucket, { fileCount: 0, totalBytes: 0 }]))
+    files.forEach(file => {
+      buckets[file.bucket].fileCount += 1
+      buckets[file.bucket].totalBytes += file.size
+    })
+
+    return {
+      success: true,
+      data: {
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+        fileCount: files.length,
+        buckets,
+        orphans,
+        orphanBytes: orphans.reduce((sum, file) => sum + file.size, 0)
+      }
+    }
+
+  } catch (error) {
+    console.error('Scan storage error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to check storage. Please try again.'
+    }
+  }
+}
+
+/**
+ * Delete orphaned files
+ * The folder is scanned again first, so a file that picked up a reference
+ * since the report was shown is never removed.
+ * @param {Array<{bucket: string, path: string}>} orphans - Files from scanStorage; omit to remove every current orphan
+ * @returns {Promise<{success: boolean, data?: {removed: number, freedBytes: number}, error?: string}>}
+ */
+export const removeOrphans = async (orphans) => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to clean up storage.')
+
+    const { orphans: current } = await findOrphans(user.id)
+    const requested = orphans ? new Set(orphans.map(file => `${file.bucket}/${file.path}`)) : null
+    const toRemove = requested
+      ? current.filter(file => requested.has(`${file.bucket}/${file.path}`))
+      : current
+
+    let removed = 0
+    let freedBytes = 0
+    for (const bucket of SWEPT_BUCKETS) {
+      const files = toRemove.filter(file => file.bucket === bucket)
+      for (let i = 0; i < files.length; i += REMOVE_BATCH_SIZE) {
+        const batch = files.slice(i, i + REMOVE_BATCH_SIZE)
+        const { error } = await supabase.storage
+          .from(bucket)
+          .remove(batch.map(file => file.path))
+
+        if (error) {
+          throw new Error(`Failed to remove files from ${bucket}: ${error.message}`)
+        }
+        removed += batch.length
+        freedBytes += batch.reduce((sum, file) => sum + file.size, 0)
+      }
+    }
+
+    return {
+      success: true,
+      data: { removed, freedBytes }
+    }
+
+  } catch (error) {
+    console.error('Remove orphans error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to clean up storage. Please try again.'
+    }
+  }
+}
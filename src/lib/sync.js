@@ -0,0 +1,206 @@
+import { supabase } from './supabase'
+import { addItem, updateItem, deleteItem, restoreItem } from './items'
+import { addDocument, updateDocument, deleteDocument, restoreDocument } from './documents'
+import {
+  isOffline, isNetworkError, getOfflineUser, readQueue, updateQueueEntry, removeQueueEntry,
+  onQueueChange, notifySynced
+} from './offlineStore'
+import { publishChange, publishRemoval } from './realtime'
+
+/**
+ * Replays changes made offline (see offlineStore.js) once there's a connection
+ * Queued changes go to the server oldest first through the same functions the
+ * app uses online. An edit whose row changed on the server since it was made
+ * is held back as a conflict for the user to settle; a change the server
+ * refuses is held back as failed. Neither blocks the changes after it.
+ */
+
+// The functions each queued change is replayed through
+const REPLAY = {
+  items: { add: addItem, update: updateItem, delete: deleteItem, restore: restoreItem },
+  documents: { add: addDocument, update: updateDocument, delete: deleteDocument, restore: restoreDocument }
+}
+
+// Replayed changes reach the server or fail; they're never queued again
+const replay = (entry) => {
+  const actions = REPLAY[entry.table]
+  switch (entry.action) {
+    case 'add':
+      return actions.add({ ...entry.data, id: entry.record_id }, { queueOffline: false })
+    case 'update':
+      return actions.update(entry.record_id, entry.data, {
+        expectedUpdatedAt: entry.base_updated_at,
+        queueOffline: false
+      })
+    default:
+      return actions[entry.action](entry.record_id, { queueOffline: false })
+  }
+}
+
+let syncing = false
+let status = { offline: isOffline(), syncing: false, pending: [], conflicts: [], failed: [] }
+const listeners = new Set()
+
+const refreshStatus = async () => {
+  const user = await getOfflineUser()
+  const entries = user ? await readQueue(user.id) : []
+  status = {
+    offline: isOffline(),
+    syncing,
+    pending: entries.filter(entry => !entry.conflict && !entry.error),
+    conflicts: entries.filter(entry => entry.conflict),
+    failed: entries.filter(entry => entry.error && !entry.conflict)
+  }
+  listeners.forEach(listener => listener(status))
+}
+
+/**
+ * Follow the queue: how many changes are waiting, and which need the user
+ * @param {Function} listener - Called now and on every change with
+ *   { offline, syncing, pending, conflicts, failed } (the last three are queue entries)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToSync = (listener) => {
+  listeners.add(listener)
+  listener(status)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Send queued changes to the server, oldest first
+ * Stops early if the connection drops; whatever is left goes next time.
+ * @returns {Promise<{success: boolean, data?: {synced: number}, error?: string}>}
+ */
+export const syncNow = async () => {
+  if (syncing || isOffline()) return { success: true, data: { synced: 0 } }
+
+  let synced = 0
+  try {
+    const user = await getOfflineUser()
+    if (!user) return { success: true, data: { synced: 0 } }
+
+    syncing = true
+    await refreshStatus()
+
+    for (const entry of await readQueue(user.id)) {
+      // Conflicts and failures wait for the user (see resolveConflict)
+      if (entry.conflict || entry.error) continue
+
+      // Check the connection and session first, so a dropped connection
+      // isn't mistaken for the server refusing the change
+      const { error: authError } = await supabase.auth.getUser()
+      if (authError) break
+
+      // An add that reached the server before is completed there, not
+      // refused (see isRepeatedAdd)
+      const result = await replay(entry)
+      if (result.success) {
+        await removeQueueEntry(entry.id)
+        synced++
+      } else if (result.conflict) {
+        await updateQueueEntry(entry.id, { conflict: result.data })
+      } else if (isNetworkError({ message: result.error })) {
+        break
+      } else {
+        await updateQueueEntry(entry.id, { error: result.error || 'The server refused this change.' })
+      }
+    }
+
+    return { success: true, data: { synced } }
+
+  } catch (error) {
+    console.error('Sync error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to sync changes. They\'ll be sent again later.'
+    }
+  } finally {
+    syncing = false
+    await refreshStatus()
+    if (synced > 0) notifySynced()
+  }
+}
+
+/**
+ * Settle a conflict between an offline edit and a newer version on the server
+ * @param {Object} entry - A queue entry from status.conflicts
+ * @param {'mine'|'theirs'} choice - Apply the offline edit anyway, or keep the server's version
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const resolveConflict = async (entry, choice) => {
+  try {
+    if (choice === 'mine') {
+      // Re-base the edit on the version it conflicted with
+      await updateQueueEntry(entry.id, { conflict: null, base_updated_at: entry.conflict.updated_at })
+      return await syncNow()
+    }
+
+    await removeQueueEntry(entry.id)
+    await publishChange(entry.table, entry.conflict)
+    notifySynced()
+    return { success: true }
+
+  } catch (error) {
+    console.error('Resolve conflict error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to settle the conflict. Please try again.'
+    }
+  }
+}
+
+/**
+ * Try a failed change again
+ * @param {Object} entry - A queue entry from status.failed
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const retryChange = async (entry) => {
+  await updateQueueEntry(entry.id, { error: null })
+  return syncNow()
+}
+
+/**
+ * Drop a queued change without sending it
+ * The row is reloaded from the server next time its list loads; a row that
+ * was only ever added offline disappears.
+ * @param {Object} entry - A queue entry
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const discardChange = async (entry) => {
+  try {
+    await removeQueueEntry(entry.id)
+    if (entry.action === 'add') {
+      await publishRemoval(entry.table, entry.record_id)
+    }
+    notifySynced()
+    return { success: true }
+
+  } catch (error) {
+    console.error('Discard change error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to discard the change. Please try again.'
+    }
+  }
+}
+
+/**
+ * Start syncing: now, and whenever the connection comes back
+ * @returns {Function} Stop listening
+ */
+export const startSync = () => {
+  const handleOnline = () => { syncNow() }
+  const handleOffline = () => { refreshStatus() }
+  window.addEventListener('online', handleOnline)
+  window.addEventListener('offline', handleOffline)
+  const unsubscribe = onQueueChange(() => { refreshStatus() })
+
+  // Changes left over from an earlier visit
+  syncNow()
+
+  return () => {
+    window.removeEventListener('online', handleOnline)
+    window.removeEventListener('offline', handleOffline)
+    unsubscribe()
+  }
+}
@@ -0,0 +1,170 @@
+import { supabase } from './supabase'
+import { deleteImage, DOCUMENT_IMAGES_BUCKET } from './storage'
+import { withSignedUrls } from './documents'
+
+/**
+ * Trash for soft-deleted items and documents
+ * deleteItem / deleteDocument only set deleted_at; rows stay here until they
+ * are restored, permanently deleted, or older than TRASH_RETENTION_DAYS.
+ */
+
+// How long deleted things can still be restored
+export const TRASH_RETENTION_DAYS = 30
+
+const TRASH_TABLES = ['items', 'documents']
+
+// How each table points at its images: items hold a public URL, documents a
+// path in the private document bucket; `files` is the child table with every
+// photo or page (the image column is one of them)
+const IMAGE_COLUMNS = {
+  items: { column: 'image_url', bucket: null, files: { table: 'item_photos', column: 'image_url' } },
+  documents: { column: 'image_path', bucket: DOCUMENT_IMAGES_BUCKET, files: { table: 'document_files', column: 'file_path' } }
+}
+
+/**
+ * Days left before a trashed row is purged
+ * @param {string} deletedAt - The row's deleted_at
+ * @param {number} now - Reference timestamp
+ * @returns {number} Whole days, never below 0
+ */
+export const daysUntilPurge = (deletedAt, now = Date.now()) => {
+  const purgeAt = new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  return Math.max(0, Math.ceil((purgeAt - now) / (24 * 60 * 60 * 1000)))
+}
+
+/**
+ * Permanently remove trashed rows (and their images) from one table
+ * @param {string} table - 'items' or 'documents'
+ * @param {string} userId - The user's ID
+ * @param {string|null} olderThan - Only rows deleted before this ISO timestamp; null for all
+ * @returns {Promise<number>} How many rows were removed
+ */
+const purgeTable = async (table, userId, olderThan) => {
+  const { column, bucket, files } = IMAGE_COLUMNS[table]
+  let query = supabase
+    .from(table)
+    .select(`id, ${column}, ${files.table}(${files.column})`)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+  if (olderThan) {
+    query = query.lt('deleted_at', olderThan)
+  }
+
+  const { data: rows, error } = await query
+  if (error) {
+    throw new Error(`Failed to load the Trash: ${error.message}`)
+  }
+  if (!rows || rows.length === 0) return 0
+
+  const { error: deleteError } = await supabase
+    .from(table)
+    .delete()
+    .eq('user_id', userId)
+    .in('id', rows.map(row => row.id))
+
+  if (deleteError) {
+    throw new Error(`Failed to empty the Trash: ${deleteError.message}`)
+  }
+
+  // Images go after the rows, so a failed delete never leaves a row without its image
+  for (const row of rows) {
+    const paths = new Set([row[column], ...row[files.table].map(file => file[files.column])])
+    for (const path of paths) {
+      if (!path) continue
+      const deleteImageResult = await deleteImage(path, bucket)
+      if (!deleteImageResult.success) {
+        console.warn('Failed to delete image from storage:', deleteImageResult.error)
+      }
+    }
+  }
+
+  return rows.length
+}
+
+/**
+ * Get everything in the Trash, newest deletions first
+ * Anything past the retention window is purged first
+ * @returns {Promise<{success: boolean, data?: {items: array, documents: array}, error?: string}>}
+ */
+export const getTrash = async () => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to view the Trash.')
+
+    await purgeExpiredTrash(user.id)
+
+    const [items, documents] = await Promise.all(TRASH_TABLES.map(async (table) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('user_id', user.id)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false })
+
+      if (error) {
+        throw new Error(`Failed to load the Trash: ${error.message}`)
+      }
+      return data || []
+    }))
+
+    return {
+      success: true,
+      data: { items, documents: await withSignedUrls(documents) }
+    }
+
+  } catch (error) {
+    console.error('Get trash error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to load the Trash. Please try again.'
+    }
+  }
+}
+
+/**
+ * Purge trashed rows older than TRASH_RETENTION_DAYS
+ * Runs whenever the Trash is opened; purge_expired_trash() in
+ * supabase-schema.sql does the same for rows on a schedule.
+ * @param {string} userId - The user's ID
+ * @returns {Promise<number>} How many rows were removed
+ */
+const purgeExpiredTrash = async (userId) => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  let removed = 0
+  for (const table of TRASH_TABLES) {
+    removed += await purgeTable(table, userId, cutoff)
+  }
+  return removed
+}
+
+/**
+ * Permanently delete everything in the Trash
+ * @returns {Promise<{success: boolean, data?: number, error?: string}>} data is the number of rows removed
+ */
+export const emptyTrash = async () => {
+  try {
+    // Validate authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError) throw new Error('Authentication failed. Please sign in again.')
+    if (!user) throw new Error('You must be signed in to empty the Trash.')
+
+    let removed = 0
+    for (const table of TRASH_TABLES) {
+      removed += await purgeTable(table, user.id, null)
+    }
+
+    return {
+      success: true,
+      data: removed
+    }
+
+  } catch (error) {
+    console.error('Empty trash error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to empty the Trash. Please try again.'
+    }
+  }
+}
@@ -1,53 +1,115 @@
-import { useRef, useState } from 'react'
+import { useRef, useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useSearchParams } from 'react-router-dom'
 import { addItem } from '../lib/items'
+import { validatePhotoFile, MAX_PHOTOS_PER_ITEM } from '../lib/itemPhotos'
+import { getLocations } from '../lib/locations'
+import { takeSharedPhotos, SHARED_PARAM } from '../lib/shareTarget'
+import LocationSelect from '../components/LocationSelect'
+import PhotoPrivacyNote from '../components/PhotoPrivacyNote'
 
 const AddItemPage = () => {
   const [itemName, setItemName] = useState('')
   const [location, setLocation] = useState('')
+  const [locationId, setLocationId] = useState(null)
+  const [locations, setLocations] = useState([])
   const [category, setCategory] = useState('')
-  const [imageFile, setImageFile] = useState(null)
-  const [imagePreview, setImagePreview] = useState(null)
+  const [photoFiles, setPhotoFiles] = useState([]) // [{ file, preview }] in gallery order
+  const [coverFile, setCoverFile] = useState(null)
   const [loading, setLoading] = useState(false)
   const [success, setSuccess] = useState(false)
+  const [savedOffline, setSavedOffline] = useState(false)
   const [error, setError] = useState('')
   const [isDragging, setIsDragging] = useState(false)
   const fileInputRef = useRef(null)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const hasSharedPhotos = searchParams.has(SHARED_PARAM)
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      if (!file.type.startsWith('image/')) {
-        setError('Please upload a valid image file')
-        return
+  // Load the user's places for the location picker
+  useEffect(() => {
+    getLocations().then(result => {
+      if (result.success) {
+        setLocations(result.data)
       }
-      if (file.size > 5 * 1024 * 1024) { // 5MB limit
-        setError('Image size must be less than 5MB')
-        return
+    })
+  }, [])
+
+  // Photos shared from another app (see shareTarget.js) start the form off
+  useEffect(() => {
+    if (!hasSharedPhotos) return
+    let cancelled = false
+    takeSharedPhotos().then(result => {
+      if (cancelled) return
+      if (result.success && result.data.files.length > 0) {
+        addPhotoFiles(result.data.files)
+        if (result.data.title) setItemName(name => name || result.data.title)
+      } else if (!result.success) {
+        setError(result.error)
       }
-      setImageFile(file)
-      setImagePreview(URL.createObjectURL(file))
-      setError('')
+    })
+    setSearchParams(params => {
+      params.delete(SHARED_PARAM)
+      return params
+    }, { replace: true })
+    return () => { cancelled = true }
+  }, [hasSharedPhotos])
+
+  // Add picked or dropped photos after the ones already chosen
+  const addPhotoFiles = (files) => {
+    const problems = files.map(validatePhotoFile).filter(Boolean)
+    const valid = files.filter(file => !validatePhotoFile(file))
+    if (photoFiles.length + valid.length > MAX_PHOTOS_PER_ITEM) {
+      setError(`An item can have at most ${MAX_PHOTOS_PER_ITEM} photos`)
+      return
     }
+    setPhotoFiles(current => [
+      ...current,
+      ...valid.map(file => ({ file, preview: URL.createObjectURL(file) }))
+    ])
+    setError(problems.join(' '))
+  }
+
+  const handleImageChange = (e) => {
+    addPhotoFiles(Array.from(e.target.files || []))
+    e.target.value = ''
   }
 
   const handleDrop = (e) => {
     e.preventDefault()
     setIsDragging(false)
-    const file = e.dataTransfer.files[0]
-    if (file && file.type.startsWith('image/')) {
-      if (file.size > 5 * 1024 * 1024) {
-        setError('Image size must be less than 5MB')
-        return
-      }
-      setImageFile(file)
-      setImagePreview(URL.createObjectURL(file))
-      setError('')
+    const files = Array.from(e.dataTransfer.files || [])
+    if (files.length > 0) {
+      addPhotoFiles(files)
     } else {
-      setError('Please drop a valid image file')
+      setError('Please drop image files')
     }
   }
 
+  const movePhotoFile = (from, to) => {
+    setPhotoFiles(current => {
+      const reordered = [...current]
+      const [moved] = reordered.splice(from, 1)
+      reordered.splice(to, 0, moved)
+      return reordered
+    })
+  }
+
+  const removePhotoFile = (index) => {
+    setPhotoFiles(current => {
+      URL.revokeObjectURL(current[index].preview)
+      return current.filter((_, i) => i !== index)
+    })
+  }
+
+  const clearPhotoFiles = () => {
+    photoFiles.forEach(photo => URL.revokeObjectURL(photo.preview))
+    setPhotoFiles([])
+    setCoverFile(null)
+  }
+
+  // The chosen cover, else the first photo
+  const coverIndex = Math.max(0, photoFiles.findIndex(photo => photo.file === coverFile))
+
   const handleDragOver = (e) => {
     e.preventDefault()
     setIsDragging(true)
@@ -61,7 +123,7 @@ const AddItemPage = () => {
   const handleSubmit = async (e) => {
     e.preventDefault()
     
-    if (!itemName || !location) {
+    if (!itemName || (!location && !locationId)) {
       setError('Please fill in all required fields')
       return
     }
@@ -73,17 +135,20 @@ const AddItemPage = () => {
     const result = await addItem({
       item_name: itemName,
       location: location,
+      location_id: locationId,
       category: category || null,
-      image: imageFile
+      images: photoFiles.map(photo => photo.file),
+      coverIndex
     })
 
     if (result.success) {
       setSuccess(true)
+      setSavedOffline(Boolean(result.queued))
       setItemName('')
       setLocation('')
+      setLocationId(null)
       setCategory('')
-      setImageFile(null)
-      setImagePreview(null)
+      clearPhotoFiles()
       setTimeout(() => setSuccess(false), 2000)
     } else {
       setError(result.error || 'Failed to add item')
@@ -129,82 +194,111 @@ const AddItemPage = () => {
             >
               <label className="flex items-center gap-2 text-lg font-semibold mb-4">
                 <span className="text-2xl">📸</span>
-                <span>Item Photo</span>
+                <span>Item Photos</span>
                 <span className="text-gray-500 text-sm font-normal">(Optional)</span>
               </label>
-              
-              <AnimatePresence mode="wait">
-                {imagePreview ? (
-                  <motion.div
-                    key="preview"
-                    initial={{ scale: 0.95, opacity: 0 }}
-                    animate={{ scale: 1, opacity: 1 }}
-                    exit={{ scale: 0.95, opacity: 0 }}
-                    className="relative group"
-                  >
-                    <img 
-                      src={imagePreview} 
-                      alt="Preview" 
-                      className="w-full h-72 object-cover rounded-xl shadow-2xl"
-                    />
-                    <motion.button
-                      type="button"
-                      onClick={() => {
-                        setImageFile(null)
-                        setImagePreview(null)
-                      }}
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                      className="absolute top-4 right-4 bg-red-500/90 backdrop-blur-sm text-white p-3 rounded-full hover:bg-red-600 transition-all shadow-lg opacity-0 group-hover:opacity-100"
-                    >
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
-                    </motion.button>
-                    <div className="absolute bottom-4 left-4 right-4 bg-black/50 backdrop-blur-sm text-white px-4 py-2 rounded-lg text-sm opacity-0 group-hover:opacity-100 transition-opacity">
-                      ✓ Image ready to upload
-                    </div>
-                  </motion.div>
-                ) : (
+
+              <div
+                onDrop={handleDrop}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onClick={() => fileInputRef.current?.click()}
+                className={`border-2 border-dashed rounded-xl text-center cursor-pointer transition-all ${
+                  photoFiles.length > 0 ? 'p-6' : 'p-12'
+                } ${
+                  isDragging 
+                    ? 'border-primary-cyan bg-primary-cyan/5' 
+                    : 'border-gray-700 hover:border-primary-cyan/50'
+                }`}
+              >
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={handleImageChange}
+                  className="hidden"
+                />
+                <motion.div whileHover={{ scale: 1.05 }} className="space-y-4">
+                  <div className={photoFiles.length > 0 ? 'text-4xl' : 'text-6xl'}>📷</div>
+                  <div className="space-y-2">
+                    <p className="text-lg font-medium text-gray-300">
+                      {photoFiles.length > 0 ? 'Drop or click to add more photos' : 'Drop images here or click to upload'}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      Supports: JPG, PNG, WEBP · up to {MAX_PHOTOS_PER_ITEM} photos · large photos are resized automatically
+                    </p>
+                  </div>
+                </motion.div>
+              </div>
+
+              <AnimatePresence>
+                {photoFiles.length > 0 && (
                   <motion.div
-                    key="upload"
-                    initial={{ scale: 0.95, opacity: 0 }}
-                    animate={{ scale: 1, opacity: 1 }}
-                    exit={{ scale: 0.95, opacity: 0 }}
-                    onDrop={handleDrop}
-                    onDragOver={handleDragOver}
-                    onDragLeave={handleDragLeave}
-                    className={`border-2 border-dashed rounded-xl p-12 text-center cursor-pointer transition-all ${
-                      isDragging 
-                        ? 'border-primary-cyan bg-primary-cyan/5' 
-                        : 'border-gray-700 hover:border-primary-cyan/50'
-                    }`}
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -10 }}
+                    className="mt-4 grid grid-cols-2 sm:grid-cols-3 gap-3"
                   >
-                    <input
-                      ref={fileInputRef}
-                      type="file"
-                      accept="image/*"
-                      onChange={handleImageChange}
-                      className="hidden"
-                    />
-                    <motion.div
-                      whileHover={{ scale: 1.05 }}
-                      onClick={() => fileInputRef.current?.click()}
-                      className="space-y-4"
-                    >
-                      <div className="text-6xl">📷</div>
-                      <div className="space-y-2">
-                        <p className="text-lg font-medium text-gray-300">
-                          Drop an image here or click to upload
-                        </p>
-                        <p className="text-sm text-gray-500">
-                          Supports: JPG, PNG, WEBP (Max 5MB)
-                        </p>
+                    {photoFiles.map((photo, index) => (
+                      <div
+                        key={photo.preview}
+                        className={`relative group rounded-xl overflow-hidden border-2 ${
+                          index === coverIndex ? 'border-primary-cyan' : 'border-transparent'
+                        }`}
+                      >
+                        <img
+                          src={photo.preview}
+                          alt={`Photo ${index + 1}`}
+                          className="w-full h-32 object-cover"
+                        />
+                        {index === coverIndex ? (
+                          <span className="absolute top-2 left-2 px-2 py-0.5 bg-primary-cyan text-white text-xs font-semibold rounded-full">
+                            Cover
+                          </span>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => setCoverFile(photo.file)}
+                            className="absolute top-2 left-2 px-2 py-0.5 bg-black/60 text-white text-xs rounded-full opacity-0 group-hover:opacity-100 transition-opacity"
+                          >
+                            Set as cover
+                          </button>
+                        )}
+                        <div className="absolute bottom-0 inset-x-0 flex justify-between bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity">
+                          <button
+                            type="button"
+                            onClick={() => movePhotoFile(index, index - 1)}
+                            disabled={index === 0}
+                            className="w-8 h-8 text-white disabled:opacity-30"
+                            title="Move left"
+                          >
+                            ←
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => removePhotoFile(index)}
+                            className="w-8 h-8 text-red-300"
+                            title="Remove photo"
+                          >
+                            ×
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => movePhotoFile(index, index + 1)}
+                            disabled={index === photoFiles.length - 1}
+                            className="w-8 h-8 text-white disabled:opacity-30"
+                            title="Move right"
+                          >
+                            →
+                          </button>
+                        </div>
                       </div>
-                    </motion.div>
+                    ))}
                   </motion.div>
                 )}
               </AnimatePresence>
+              <PhotoPrivacyNote file={photoFiles[coverIndex]?.file || null} captureDateOption />
             </motion.div>
 
             {/* Item Name */}
@@ -236,10 +330,29 @@ const AddItemPage = () => {
               transition={{ delay: 0.3 }}
               className="glass rounded-2xl p-6 sm:p-8 border border-primary-cyan/10 hover:border-primary-cyan/30 transition-all"
             >
+              {locations.length > 0 && (
+                <>
+                  <label className="flex items-center gap-2 text-lg font-semibold mb-4">
+                    <span className="text-2xl">🏠</span>
+                    <span>Place</span>
+                    <span className="text-gray-500 text-sm font-normal">(Optional)</span>
+                  </label>
+                  <LocationSelect
+                    locations={locations}
+                    value={locationId}
+                    onChange={setLocationId}
+                    className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-6 py-4 text-lg focus:outline-none focus:ring-2 focus:ring-primary-cyan/50 focus:border-primary-cyan focus:bg-white/10 transition-all mb-6"
+                  />
+                </>
+              )}
               <label className="flex items-center gap-2 text-lg font-semibold mb-4">
                 <span className="text-2xl">📍</span>
                 <span>Location Description</span>
-                <span className="text-red-400">*</span>
+                {locationId ? (
+                  <span className="text-gray-500 text-sm font-normal">(Optional note)</span>
+                ) : (
+                  <span className="text-red-400">*</span>
+                )}
               </label>
               <textarea
                 value={location}
@@ -247,7 +360,7 @@ const AddItemPage = () => {
                 placeholder="e.g., Kitchen counter near the coffee maker, Top drawer in the bedroom dresser"
                 rows={4}
                 className="w-full bg-white/5 border border-primary-cyan/30 rounded-xl px-6 py-4 text-lg focus:outline-none focus:ring-2 focus:ring-primary-cyan/50 focus:border-primary-cyan focus:bg-white/10 transition-all resize-none placeholder:text-gray-600"
-                required
+                required={!locationId}
               />
               <div className="flex items-center gap-2 text-sm text-gray-500 mt-3">
                 <span>💡</span>
@@ -318,7 +431,11 @@ const AddItemPage = () => {
                     transition={{ delay: 0.4 }}
                   >
                     <div className="text-2xl font-bold text-green-400 mb-2">Success!</div>
-                    <div className="text-gray-400">Item saved successfully. You can now find it anytime using AI search.</div>
+                    <div className="text-gray-400">
+                      {savedOffline
+                        ? 'Saved on this device. It will upload, photos and all, when you\'re back online.'
+                        : 'Item saved successfully. You can now find it anytime using AI search.'}
+                    </div>
                   </motion.div>
                 </motion.div>
               )}
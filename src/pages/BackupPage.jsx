@@ -0,0 +1,381 @@
+import { useState, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  exportAccount,
+  readBackupArchive,
+  findRestoreConflicts,
+  getSavedRestore,
+  discardSavedRestore,
+  restoreBackup,
+  CONFLICT_RESOLUTIONS
+} from '../lib/backup'
+import StorageUsagePanel from '../components/StorageUsagePanel'
+
+const BackupPage = () => {
+  const [exporting, setExporting] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+
+  // Restore state
+  const [archive, setArchive] = useState(null)
+  const [conflicts, setConflicts] = useState([])
+  const [resolutions, setResolutions] = useState({})
+  const [savedRestore, setSavedRestore] = useState(null)
+  const [readingArchive, setReadingArchive] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [restoreProgress, setRestoreProgress] = useState(null)
+  const [restoreError, setRestoreError] = useState('')
+  const [restoreResult, setRestoreResult] = useState(null)
+  const archiveInputRef = useRef(null)
+
+  const handleExport = async () => {
+    setExporting(true)
+    setError('')
+    setResult(null)
+    setProgress(null)
+
+    const exportResult = await exportAccount({ onProgress: setProgress })
+
+    if (exportResult.success) {
+      const url = URL.createObjectURL(exportResult.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `findit-export-${new Date().toISOString().slice(0, 10)}.zip`
+      link.click()
+      URL.revokeObjectURL(url)
+
+      setResult({
+        size: exportResult.data.size,
+        missingImages: exportResult.missingImages
+      })
+    } else {
+      setError(exportResult.error || 'Export failed')
+    }
+
+    setExporting(false)
+  }
+
+  const handleArchiveChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setReadingArchive(true)
+    setRestoreError('')
+    setRestoreResult(null)
+    setArchive(null)
+
+    const readResult = await readBackupArchive(file)
+    if (!readResult.success) {
+      setRestoreError(readResult.error)
+      setReadingArchive(false)
+      return
+    }
+
+    const conflictResult = await findRestoreConflicts(readResult.data)
+    if (!conflictResult.success) {
+      setRestoreError(conflictResult.error)
+      setReadingArchive(false)
+      return
+    }
+
+    const saved = await getSavedRestore(readResult.data.manifest)
+    setArchive(readResult.data)
+    setConflicts(conflictResult.data)
+    setSavedRestore(saved)
+    setResolutions(saved?.resolutions || {})
+    setReadingArchive(false)
+  }
+
+  const handleStartOver = async () => {
+    await discardSavedRestore(archive.manifest)
+    setSavedRestore(null)
+    setResolutions({})
+  }
+
+  const setAllResolutions = (value) => {
+    setResolutions(Object.fromEntries(conflicts.map(conflict => [conflict.key, value])))
+  }
+
+  const handleRestore = async () => {
+    setRestoring(true)
+    setRestoreError('')
+    setRestoreProgress(null)
+
+    const restoreOutcome = await restoreBackup(archive, {
+      resolutions,
+      conflicts,
+      onProgress: setRestoreProgress
+    })
+
+    if (restoreOutcome.success) {
+      setRestoreResult(restoreOutcome.data)
+      setArchive(null)
+      setSavedRestore(null)
+    } else {
+      setRestoreError(restoreOutcome.error || 'Restore failed')
+    }
+
+    setRestoring(false)
+  }
+
+  const formatSize = (bytes) => {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  return (
+    <div className="min-h-screen pt-24 pb-12 px-4 sm:px-6">
+      <div className="max-w-3xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          {/* Header */}
+          <div className="text-center mb-12">
+            <motion.div
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              transition={{ type: "spring", stiffness: 200, delay: 0.2 }}
+              className="text-7xl mb-4"
+            >
+              💾
+            </motion.div>
+            <h1 className="text-4xl md:text-5xl lg:text-6xl font-bold mb-4">
+              Backup & <span className="gradient-text">Export</span>
+            </h1>
+            <p className="text-lg md:text-xl text-gray-400">
+              Take all of your data with you
+            </p>
+          </div>
+
+          {/* Export */}
+          <div className="glass rounded-2xl p-8 border border-primary-cyan/20">
+            <h2 className="text-2xl font-bold mb-2">Download everything</h2>
+            <p className="text-gray-400 mb-6">
+              A ZIP with your items, documents and places as JSON and CSV, plus every photo.
+              Open <span className="text-primary-cyan font-mono text-sm">index.html</span> inside it to browse your
+              data offline.
+            </p>
+
+            <AnimatePresence>
+              {exporting && progress && progress.total > 0 && (
+                <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="mb-6">
+                  <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                    <div
+                      className="h-full bg-gradient-to-r from-primary-cyan to-blue-500 transition-all"
+                      style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">Collecting photos: {progress.done} of {progress.total}</p>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-6 text-red-300">
+                {error}
+              </div>
+            )}
+
+            {result && (
+              <div className="bg-green-500/10 border border-green-500/30 rounded-xl p-4 mb-6">
+                <p className="text-green-300 font-semibold">✅ Export ready ({formatSize(result.size)})</p>
+                {result.missingImages.length > 0 && (
+                  <p className="text-amber-300 text-sm mt-2">
+                    {result.missingImages.length} {result.missingImages.length === 1 ? 'photo' : 'photos'} couldn't be
+                    downloaded; they're listed in manifest.json with their original links.
+                  </p>
+                )}
+              </div>
+            )}
+
+            <motion.button
+              onClick={handleExport}
+              disabled={exporting}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="w-full px-6 py-4 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold text-lg disabled:opacity-50"
+            >
+              {exporting ? 'Preparing your export...' : '⬇️ Export my data'}
+            </motion.button>
+          </div>
+
+          {/* Restore */}
+          <div className="glass rounded-2xl p-8 border border-primary-cyan/20 mt-8">
+            <h2 className="text-2xl font-bold mb-2">Restore from an export</h2>
+            <p className="text-gray-400 mb-6">
+              Recreate items, documents and places from a FindIt export ZIP under this account.
+              If the tab closes halfway, pick the same ZIP again to continue.
+            </p>
+
+            <input
+              ref={archiveInputRef}
+              type="file"
+              accept=".zip,application/zip"
+              onChange={handleArchiveChange}
+              className="hidden"
+            />
+
+            {restoreError && (
+              <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-6 text-red-300">
+                {restoreError}
+              </div>
+            )}
+
+            {restoreResult && (
+              <div className="bg-green-500/10 border border-green-500/30 rounded-xl p-4 mb-6">
+                <p className="text-green-300 font-semibold">
+                  ✅ Restore finished: {restoreResult.created} added, {restoreResult.updated} overwritten, {restoreResult.skipped} skipped
+                </p>
+                {restoreResult.failed.length > 0 && (
+                  <ul className="text-sm text-red-300/90 mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {restoreResult.failed.map((failure, index) => (
+                      <li key={index}>{failure.name}: {failure.error}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {archive ? (
+              <div className="space-y-5">
+                <div className="bg-white/5 rounded-xl p-4 text-sm text-gray-300">
+                  Export from {new Date(archive.manifest.exported_at).toLocaleString()}:{' '}
+                  <span className="text-primary-cyan font-semibold">{archive.items.length}</span> items,{' '}
+                  <span className="text-primary-cyan font-semibold">{archive.documents.length}</span> documents,{' '}
+                  <span className="text-primary-cyan font-semibold">{archive.locations.length}</span> places
+                </div>
+
+                {savedRestore && (
+                  <div className="bg-amber-500/10 border border-amber-500/30 rounded-xl p-4 text-sm text-amber-200 flex items-center justify-between gap-4 flex-wrap">
+                    <span>
+                      {savedRestore.done} records from this export were already restored. Restoring will continue from there.
+                    </span>
+                    <button
+                      onClick={handleStartOver}
+                      disabled={restoring}
+                      className="text-amber-400 underline underline-offset-4 hover:text-white disabled:opacity-50"
+                    >
+                      Start over
+                    </button>
+                  </div>
+                )}
+
+                {/* Conflicts */}
+                {conflicts.length > 0 && (
+                  <div>
+                    <div className="flex items-center justify-between gap-3 flex-wrap mb-3">
+                      <h3 className="font-semibold text-white">
+                        {conflicts.length} {conflicts.length === 1 ? 'record is' : 'records are'} already in your account
+                      </h3>
+                      <div className="flex items-center gap-2 text-xs">
+                        <span className="text-gray-500">All:</span>
+                        {CONFLICT_RESOLUTIONS.map(option => (
+                          <button
+                            key={option.value}
+                            onClick={() => setAllResolutions(option.value)}
+                            disabled={restoring}
+                            className="px-2 py-1 rounded-md text-gray-300 hover:bg-white/10 disabled:opacity-50"
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="space-y-2 max-h-80 overflow-y-auto">
+                      {conflicts.map(conflict => {
+                        const current = resolutions[conflict.key] || 'skip'
+                        return (
+                          <div
+                            key={conflict.key}
+                            className="flex items-center justify-between gap-3 bg-dark-200/50 rounded-xl border border-white/5 p-3 flex-wrap"
+                          >
+                            <div className="min-w-0">
+                              <div className="font-medium text-white truncate">
+                                {conflict.section === 'items' ? '📦' : '📋'} {conflict.name}
+                              </div>
+                              <div className="text-xs text-gray-400">
+                                {conflict.reason === 'id' ? 'Same record' : 'Same name and place'} as one you already have
+                              </div>
+                            </div>
+                            <div className="flex items-center gap-1 bg-white/5 rounded-lg p-1 border border-white/10">
+                              {CONFLICT_RESOLUTIONS.map(option => (
+                                <button
+                                  key={option.value}
+                                  onClick={() => setResolutions(prev => ({ ...prev, [conflict.key]: option.value }))}
+                                  disabled={restoring}
+                                  className={`px-3 py-1 rounded-md text-xs font-medium transition-all ${
+                                    current === option.value
+                                      ? 'bg-primary-cyan/20 text-primary-cyan border border-primary-cyan/30'
+                                      : 'text-gray-400 hover:text-white'
+                                  }`}
+                                >
+                                  {option.label}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        )
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                <AnimatePresence>
+                  {restoring && restoreProgress && (
+                    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                      <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                        <div
+                          className="h-full bg-gradient-to-r from-primary-cyan to-blue-500 transition-all"
+                          style={{ width: `${(restoreProgress.done / Math.max(restoreProgress.total, 1)) * 100}%` }}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-400 mt-2">Restored {restoreProgress.done} of {restoreProgress.total}...</p>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => setArchive(null)}
+                    disabled={restoring}
+                    className="flex-1 px-6 py-3 border-2 border-gray-600 text-gray-300 rounded-xl font-semibold hover:bg-white/5 disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                  <motion.button
+                    onClick={handleRestore}
+                    disabled={restoring}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    className="flex-1 px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold disabled:opacity-50"
+                  >
+                    {restoring ? 'Restoring...' : savedRestore ? 'Continue restore' : 'Restore'}
+                  </motion.button>
+                </div>
+              </div>
+            ) : (
+              <motion.button
+                onClick={() => archiveInputRef.current?.click()}
+                disabled={readingArchive}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="w-full px-6 py-4 border-2 border-dashed border-primary-cyan/30 hover:border-primary-cyan/60 text-gray-300 rounded-xl font-semibold disabled:opacity-50"
+              >
+                {readingArchive ? 'Reading archive...' : '📂 Choose an export ZIP'}
+              </motion.button>
+            )}
+          </div>
+
+          {/* Storage */}
+          <StorageUsagePanel />
+        </motion.div>
+      </div>
+    </div>
+  )
+}
+
+export default BackupPage
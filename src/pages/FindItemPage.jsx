@@ -1,13 +1,28 @@
 import { useState, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import { findItem, getItemSuggestions } from '../lib/items'
+import { parseQuery, describeFilters } from '../lib/queryParser'
+import LocationHistory from '../components/LocationHistory'
+import HighlightText from '../components/HighlightText'
+import PhotoGallery from '../components/PhotoGallery'
+import { itemPath } from '../lib/routes'
+
+// Highlight ranges for one field of a ranked search result
+const rangesFor = (item, field) => (item.matches || []).filter(match => match.field === field)
 
 const FindItemPage = () => {
-  const [query, setQuery] = useState('')
+  // The search being shown lives in ?q=, so it can be linked to and back/forward step through searches
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const urlQuery = searchParams.get('q') || ''
+  const [query, setQuery] = useState(urlQuery)
   const [loading, setLoading] = useState(false)
   const [result, setResult] = useState(null)
   const [multipleResults, setMultipleResults] = useState(null)
   const [error, setError] = useState('')
+  const [didYouMean, setDidYouMean] = useState(null)
+  const [activeFilters, setActiveFilters] = useState([])
   const [isListening, setIsListening] = useState(false)
   
   // Auto-suggestions state
@@ -19,16 +34,23 @@ const FindItemPage = () => {
 
   // Fetch suggestions as user types (debounced)
   useEffect(() => {
+    let cancelled = false
+
     const fetchSuggestions = async () => {
-      const searchTerm = extractItemName(query)
+      // Place questions and date-only queries have nothing to autocomplete
+      const parsed = parseQuery(query)
+      const searchTerm = parsed.intent === 'find' ? parsed.text : ''
       if (searchTerm.length < 2) {
         setSuggestions([])
         setShowSuggestions(false)
+        setLoadingSuggestions(false)
         return
       }
 
       setLoadingSuggestions(true)
       const result = await getItemSuggestions(searchTerm)
+      // Ignore responses for a query the user has already typed past
+      if (cancelled) return
       if (result.success && result.data.length > 0) {
         setSuggestions(result.data)
         setShowSuggestions(true)
@@ -39,8 +61,11 @@ const FindItemPage = () => {
       setLoadingSuggestions(false)
     }
 
-    const debounceTimer = setTimeout(fetchSuggestions, 150)
-    return () => clearTimeout(debounceTimer)
+    const debounceTimer = setTimeout(fetchSuggestions, 250)
+    return () => {
+      cancelled = true
+      clearTimeout(debounceTimer)
+    }
   }, [query])
 
   // Close suggestions on click outside
@@ -55,80 +80,90 @@ const FindItemPage = () => {
     return () => document.removeEventListener('mousedown', handleClickOutside)
   }, [])
 
+  // Picking a suggestion or one of several results opens the item's page
   const handleSelectSuggestion = (item) => {
-    setQuery(item.item_name)
     setShowSuggestions(false)
     setSuggestions([])
-    // Directly show the result
-    setResult(item)
-    setMultipleResults(null)
-    setError('')
+    navigate(itemPath(item.id))
   }
 
-  const extractItemName = (query) => {
-    // Simple NLP: Remove common question words and extract the item
-    const lowerQuery = query.toLowerCase()
-    const patterns = [
-      /where (?:is|are|did i put|can i find) (?:my |the )?(.+?)[\?\.!]?$/i,
-      /find (?:my |the )?(.+?)[\?\.!]?$/i,
-      /locate (?:my |the )?(.+?)[\?\.!]?$/i,
-      /(?:my |the )?(.+?)[\?\.!]?$/i
-    ]
-    
-    for (const pattern of patterns) {
-      const match = lowerQuery.match(pattern)
-      if (match && match[1]) {
-        return match[1].trim()
-      }
-    }
-    return query.trim()
-  }
-
-  const handleSearch = async (event) => {
-    if (event) {
-      event.preventDefault()
-    }
-    if (!query.trim()) {
-      setError('Please enter a search query')
-      return
-    }
-
+  const runSearch = async (searchText) => {
     // Hide suggestions when searching
     setShowSuggestions(false)
     setSuggestions([])
     
     setLoading(true)
     setError('')
+    setDidYouMean(null)
     setResult(null)
     setMultipleResults(null)
 
-    const itemName = extractItemName(query)
-    
-    const searchResult = await findItem(itemName)
+    const parsed = parseQuery(searchText)
+    setActiveFilters(describeFilters(parsed))
+    const itemName = parsed.text || parsed.place || searchText.trim()
+
+    const searchResult = await findItem(parsed)
 
     if (searchResult.success) {
+      // Results come back sorted by relevance
       const items = searchResult.data
       
-      // Check if multiple items found
-      if (Array.isArray(items) && items.length > 1) {
+      if (items.length > 1) {
         setMultipleResults(items)
-      } else if (Array.isArray(items) && items.length === 1) {
+      } else if (items.length === 1) {
         setResult(items[0])
-      } else if (!Array.isArray(items)) {
-        setResult(items)
       } else {
         setError(`I couldn't find "${itemName}". Try different keywords or add it first.`)
       }
     } else {
       setError(searchResult.error || `No items found matching "${itemName}". Try using different keywords or add this item first.`)
+      setDidYouMean(searchResult.didYouMean || null)
     }
 
     setLoading(false)
   }
 
+  useEffect(() => {
+    if (urlQuery) {
+      setQuery(urlQuery)
+      runSearch(urlQuery)
+    } else {
+      setResult(null)
+      setMultipleResults(null)
+      setError('')
+      setDidYouMean(null)
+    }
+  }, [urlQuery])
+
+  // Searching goes through the URL; the effect above runs it
+  const searchFor = async (searchText) => {
+    if (searchText.trim() === urlQuery) {
+      await runSearch(searchText)
+    } else {
+      setSearchParams({ q: searchText.trim() })
+    }
+  }
+
+  const handleSearch = async (event) => {
+    if (event) {
+      event.preventDefault()
+    }
+    if (!query.trim()) {
+      setError('Please enter a search query')
+      return
+    }
+
+    await searchFor(query)
+  }
+
+  const handleDidYouMean = async () => {
+    if (!didYouMean) return
+    setQuery(didYouMean)
+    await searchFor(didYouMean)
+  }
+
   const handleSelectItem = (item) => {
-    setMultipleResults(null)
-    setResult(item)
+    navigate(itemPath(item.id))
   }
 
   const handleVoiceInput = () => {
@@ -386,8 +421,23 @@ const FindItemPage = () => {
                   ❌
                 </motion.div>
                 <p className="text-red-400 text-lg mb-4">{error}</p>
+                {didYouMean && (
+                  <p className="text-gray-300 mb-6">
+                    Did you mean{' '}
+                    <button
+                      onClick={handleDidYouMean}
+                      className="font-bold text-primary-cyan underline decoration-dotted underline-offset-4 hover:text-white transition-colors"
+                    >
+                      {didYouMean}
+                    </button>
+                    ?
+                  </p>
+                )}
                 <motion.button
-                  onClick={() => setError('')}
+                  onClick={() => {
+                    setError('')
+                    setDidYouMean(null)
+                  }}
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                   className="px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold"
@@ -442,12 +492,11 @@ const FindItemPage = () => {
                       transition={{ delay: 0.4 }}
                       className="relative group"
                     >
-                      <img
-                        src={result.image_url}
-                        alt={result.item_name}
-                        className="w-full h-64 sm:h-80 object-cover rounded-xl shadow-2xl"
+                      <PhotoGallery
+                        item={result}
+                        className="rounded-xl shadow-2xl"
+                        imgClassName="w-full h-64 sm:h-80 object-cover rounded-xl"
                       />
-                      <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent rounded-xl opacity-0 group-hover:opacity-100 transition-opacity" />
                     </motion.div>
                   )}
 
@@ -463,7 +512,11 @@ const FindItemPage = () => {
                       <div className="flex-1">
                         <div className="text-sm text-gray-400 mb-2">Item Name</div>
                         <div className="text-2xl md:text-3xl font-bold text-primary-cyan">
-                          {result.item_name}
+                          <HighlightText
+                            text={result.item_name}
+                            ranges={rangesFor(result, 'item_name')}
+                            highlightClassName="bg-primary-cyan/25 rounded px-0.5"
+                          />
                         </div>
                       </div>
                     </motion.div>
@@ -478,11 +531,37 @@ const FindItemPage = () => {
                       <div className="flex-1">
                         <div className="text-sm text-gray-400 mb-2">Location</div>
                         <div className="text-lg md:text-xl text-gray-200 leading-relaxed">
-                          {result.location}
+                          <HighlightText text={result.location} ranges={rangesFor(result, 'location')} />
                         </div>
+                        {result.previous_location && (
+                          <div className="mt-3 text-sm text-amber-400/90">
+                            Recently moved out of "{result.previous_location}" on {new Date(result.moved_at).toLocaleDateString()}
+                          </div>
+                        )}
                       </div>
                     </motion.div>
 
+                    {/* Location history */}
+                    <motion.div
+                      initial={{ opacity: 0, x: -20 }}
+                      animate={{ opacity: 1, x: 0 }}
+                      transition={{ delay: 0.65 }}
+                      className="p-4 bg-white/5 rounded-xl border border-white/10"
+                    >
+                      <div className="flex items-center gap-2 text-sm text-gray-400 mb-3">
+                        <span>🕓</span>
+                        <span>Where was it before?</span>
+                      </div>
+                      <LocationHistory itemId={result.id} />
+                    </motion.div>
+
+                    <Link
+                      to={itemPath(result.id)}
+                      className="inline-flex items-center gap-2 text-sm font-semibold text-primary-cyan hover:underline"
+                    >
+                      Open item page →
+                    </Link>
+
                     {/* Metadata */}
                     <motion.div
                       initial={{ opacity: 0 }}
@@ -497,7 +576,7 @@ const FindItemPage = () => {
                       {result.category && (
                         <div className="flex items-center gap-2 px-3 py-2 bg-white/5 rounded-lg">
                           <span>🏷️</span>
-                          <span>{result.category}</span>
+                          <HighlightText text={result.category} ranges={rangesFor(result, 'category')} />
                         </div>
                       )}
                     </motion.div>
@@ -513,6 +592,8 @@ const FindItemPage = () => {
                     setQuery('')
                     setResult(null)
                     setError('')
+                    setDidYouMean(null)
+                    setSearchParams({})
                   }}
                   whileHover={{ scale: 1.02, y: -2 }}
                   whileTap={{ scale: 0.98 }}
@@ -545,6 +626,15 @@ const FindItemPage = () => {
                   </motion.div>
                   <h2 className="text-3xl font-bold gradient-text mb-2">Multiple Items Found</h2>
                   <p className="text-gray-400">Select the item you're looking for</p>
+                  {activeFilters.length > 0 && (
+                    <div className="flex justify-center flex-wrap gap-2 mt-3">
+                      {activeFilters.map(label => (
+                        <span key={label} className="px-3 py-1 text-xs rounded-full bg-primary-cyan/15 text-primary-cyan">
+                          {label}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 <div className="grid md:grid-cols-2 gap-4">
@@ -563,8 +653,33 @@ const FindItemPage = () => {
                           className="w-full h-40 object-cover rounded-lg mb-4"
                         />
                       )}
-                      <h3 className="text-xl font-bold text-primary-cyan mb-2">{item.item_name}</h3>
-                      <p className="text-gray-400 text-sm line-clamp-2">{item.location}</p>
+                      <div className="flex items-start justify-between gap-3 mb-2">
+                        <h3 className="text-xl font-bold text-primary-cyan">
+                          <HighlightText
+                            text={item.item_name}
+                            ranges={rangesFor(item, 'item_name')}
+                            highlightClassName="bg-primary-cyan/25 rounded px-0.5"
+                          />
+                        </h3>
+                        {typeof item.score === 'number' && (
+                          <span className="flex-shrink-0 px-2 py-0.5 text-xs rounded-full bg-white/5 border border-white/10 text-gray-400">
+                            {Math.round(item.score * 100)}% match
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-gray-400 text-sm line-clamp-2">
+                        <HighlightText text={item.location} ranges={rangesFor(item, 'location')} />
+                      </p>
+                      {item.category && (
+                        <p className="text-gray-500 text-xs mt-1">
+                          🏷️ <HighlightText text={item.category} ranges={rangesFor(item, 'category')} />
+                        </p>
+                      )}
+                      {item.previous_location && (
+                        <p className="text-amber-400/90 text-xs mt-2 line-clamp-1">
+                          Moved out of "{item.previous_location}"
+                        </p>
+                      )}
                     </motion.button>
                   ))}
                 </div>
@@ -1,16 +1,38 @@
 import { useRef, useState, useEffect, useMemo, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { addDocument, getAllDocuments, deleteDocument, updateDocument, DOCUMENT_TYPES, getDocumentSuggestions } from '../lib/documents'
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom'
+import { addDocument, getAllDocuments, deleteDocument, restoreDocument, updateDocument, DOCUMENT_TYPES, getDocumentSuggestions, matchesDocumentQuery, collectTags, documentFileName, getExpiryStatus, describeExpiry, getRenewalReminders, DEFAULT_RENEWAL_LEAD_DAYS, RENEWAL_LEAD_OPTIONS, prepareDocumentRow } from '../lib/documents'
+import { buildExpiryCalendar } from '../lib/calendar'
+import { parseQuery, describeFilters } from '../lib/queryParser'
+import { buildCombinedPdf, validatePageFile, isPdfPage, ACCEPTED_PAGE_TYPES, MAX_PAGES_PER_DOCUMENT } from '../lib/documentFiles'
 import LazyImage from '../components/LazyImage'
+import UndoToast from '../components/UndoToast'
+import TagEditor from '../components/TagEditor'
+import ExpiryBadge from '../components/ExpiryBadge'
+import PhotoPrivacyNote from '../components/PhotoPrivacyNote'
+import ShareLinkModal from '../components/ShareLinkModal'
+import DocumentViewer from '../components/DocumentViewer'
+import DocumentPagesEditor, { PageThumb } from '../components/DocumentPagesEditor'
+import SharedLinksPanel from '../components/SharedLinksPanel'
 import { useCachedData } from '../hooks/useDataCache'
+import { useQueryState, useQueryListState } from '../hooks/useQueryState'
+import { PATHS, documentPath } from '../lib/routes'
 
 const ImportantDocumentsPage = () => {
+  // /documents/:documentId opens that document in the viewer
+  const { documentId } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+
   // Form state
   const [documentName, setDocumentName] = useState('')
   const [documentType, setDocumentType] = useState('')
   const [notes, setNotes] = useState('')
-  const [imageFile, setImageFile] = useState(null)
-  const [imagePreview, setImagePreview] = useState(null)
+  const [tags, setTags] = useState([])
+  const [issueDate, setIssueDate] = useState('')
+  const [expiryDate, setExpiryDate] = useState('')
+  const [renewalLeadDays, setRenewalLeadDays] = useState(DEFAULT_RENEWAL_LEAD_DAYS)
+  const [pageFiles, setPageFiles] = useState([]) // [{ file, preview }] in page order; preview is null for PDFs
   const [isDragging, setIsDragging] = useState(false)
   const fileInputRef = useRef(null)
 
@@ -30,17 +52,23 @@ const ImportantDocumentsPage = () => {
   const [editingDoc, setEditingDoc] = useState(null)
 
   // View image modal
-  const [viewingImage, setViewingImage] = useState(null)
+  const [downloadingId, setDownloadingId] = useState(null)
+  const [sharing, setSharing] = useState(null) // { doc, mode: 'copy' | 'share' }
+  const [sharesVersion, setSharesVersion] = useState(0) // Bumped to reload Shared links
 
   // Card menu state
   const [activeMenu, setActiveMenu] = useState(null)
 
   // Filter state
-  const [filterType, setFilterType] = useState('all')
-  const [searchQuery, setSearchQuery] = useState('')
+  // Filters and view live in the query string (?type=receipt&q=...&tags=...)
+  const [filterType, setFilterType] = useQueryState('type', 'all')
+  const [searchQuery, setSearchQuery] = useQueryState('q')
+  const [selectedTags, setSelectedTags] = useQueryListState('tags')
+  const [trashedDoc, setTrashedDoc] = useState(null)
 
   // View mode state
-  const [viewMode, setViewMode] = useState('type') // 'type' or 'timeline'
+  const [viewMode, setViewMode] = useQueryState('view', 'type') // 'type' or 'timeline'
+  const [sortBy, setSortBy] = useQueryState('sort', 'added') // 'added' or 'expiry', for the type view
 
   // Auto-suggestions state
   const [suggestions, setSuggestions] = useState([])
@@ -53,8 +81,9 @@ const ImportantDocumentsPage = () => {
   const { 
     data: cachedDocs, 
     loading: cacheLoading, 
-    refresh: refreshDocs 
-  } = useCachedData(getAllDocuments, 30000)
+    refresh: refreshDocs,
+    mutate: mutateDocs
+  } = useCachedData(getAllDocuments, 30000, { liveTable: 'documents', prepareRow: prepareDocumentRow })
 
   // Load documents on mount or when cache updates
   useEffect(() => {
@@ -66,17 +95,24 @@ const ImportantDocumentsPage = () => {
     }
   }, [cachedDocs, cacheLoading])
 
+  // "receipts from 2024" -> type and date filters plus leftover search words
+  const parsedSearch = useMemo(() => parseQuery(searchQuery, { target: 'documents' }), [searchQuery])
+  const searchFilters = useMemo(() => describeFilters(parsedSearch), [parsedSearch])
+  const allTags = useMemo(() => collectTags(documents), [documents])
+  const renewalReminders = useMemo(() => getRenewalReminders(documents), [documents])
+  const hasExpiryDates = documents.some(doc => doc.expiry_date)
+
   // Fetch suggestions as user types in search (debounced)
   useEffect(() => {
     const fetchSuggestions = async () => {
-      if (searchQuery.length < 2) {
+      if (parsedSearch.text.length < 2) {
         setSuggestions([])
         setShowSuggestions(false)
         return
       }
 
       setLoadingSuggestions(true)
-      const result = await getDocumentSuggestions(searchQuery)
+      const result = await getDocumentSuggestions(parsedSearch.text)
       if (result.success && result.data.length > 0) {
         setSuggestions(result.data)
         setShowSuggestions(true)
@@ -89,7 +125,7 @@ const ImportantDocumentsPage = () => {
 
     const debounceTimer = setTimeout(fetchSuggestions, 150)
     return () => clearTimeout(debounceTimer)
-  }, [searchQuery])
+  }, [parsedSearch])
 
   // Close suggestions on click outside
   useEffect(() => {
@@ -107,6 +143,9 @@ const ImportantDocumentsPage = () => {
     return () => document.removeEventListener('mousedown', handleClickOutside)
   }, [activeMenu])
 
+  const viewingDoc = documentId ? documents.find(doc => doc.id === documentId) || null : null
+  const setViewingDoc = (doc) => navigate(`${doc ? documentPath(doc.id) : PATHS.documents}${location.search}`)
+
   const handleSelectSuggestion = (doc) => {
     setSearchQuery(doc.document_name)
     setShowSuggestions(false)
@@ -121,46 +160,63 @@ const ImportantDocumentsPage = () => {
     setLoadingDocs(false)
   }, [refreshDocs])
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      if (!file.type.startsWith('image/')) {
-        setError('Please upload a valid image file')
-        return
-      }
-      if (file.size > 10 * 1024 * 1024) {
-        setError('Image size must be less than 10MB')
-        return
-      }
-      setImageFile(file)
-      setImagePreview(URL.createObjectURL(file))
-      setError('')
+  // Add picked or dropped files as pages, after the ones already chosen
+  const addPageFiles = (files) => {
+    const problems = files.map(validatePageFile).filter(Boolean)
+    const valid = files.filter(file => !validatePageFile(file))
+    if (pageFiles.length + valid.length > MAX_PAGES_PER_DOCUMENT) {
+      setError(`A document can have at most ${MAX_PAGES_PER_DOCUMENT} pages`)
+      return
     }
+    setPageFiles(current => [
+      ...current,
+      ...valid.map(file => ({ file, preview: isPdfPage(file) ? null : URL.createObjectURL(file) }))
+    ])
+    setError(problems.join(' '))
+  }
+
+  const handleFilesChange = (e) => {
+    addPageFiles(Array.from(e.target.files || []))
+    e.target.value = ''
   }
 
   const handleDrop = (e) => {
     e.preventDefault()
     setIsDragging(false)
-    const file = e.dataTransfer.files[0]
-    if (file && file.type.startsWith('image/')) {
-      if (file.size > 10 * 1024 * 1024) {
-        setError('Image size must be less than 10MB')
-        return
-      }
-      setImageFile(file)
-      setImagePreview(URL.createObjectURL(file))
-      setError('')
+    const files = Array.from(e.dataTransfer.files || [])
+    if (files.length > 0) {
+      addPageFiles(files)
     } else {
-      setError('Please drop a valid image file')
+      setError('Please drop images or PDFs')
     }
   }
 
+  const movePageFile = (from, to) => {
+    setPageFiles(current => {
+      const reordered = [...current]
+      const [moved] = reordered.splice(from, 1)
+      reordered.splice(to, 0, moved)
+      return reordered
+    })
+  }
+
+  const removePageFile = (index) => {
+    setPageFiles(current => {
+      if (current[index].preview) URL.revokeObjectURL(current[index].preview)
+      return current.filter((_, i) => i !== index)
+    })
+  }
+
   const resetForm = () => {
     setDocumentName('')
     setDocumentType('')
     setNotes('')
-    setImageFile(null)
-    setImagePreview(null)
+    setTags([])
+    setIssueDate('')
+    setExpiryDate('')
+    setRenewalLeadDays(DEFAULT_RENEWAL_LEAD_DAYS)
+    pageFiles.forEach(page => page.preview && URL.revokeObjectURL(page.preview))
+    setPageFiles([])
     setEditingDoc(null)
     setError('')
   }
@@ -181,7 +237,11 @@ const ImportantDocumentsPage = () => {
       document_name: documentName,
       document_type: documentType,
       notes: notes,
-      image: imageFile
+      tags: tags,
+      issue_date: issueDate,
+      expiry_date: expiryDate,
+      renewal_lead_days: renewalLeadDays,
+      files: pageFiles.map(page => page.file)
     })
 
     if (result.success) {
@@ -207,11 +267,15 @@ const ImportantDocumentsPage = () => {
     const result = await updateDocument(editingDoc.id, {
       document_name: documentName,
       document_type: documentType,
-      notes: notes
+      notes: notes,
+      tags: tags,
+      issue_date: issueDate,
+      expiry_date: expiryDate,
+      renewal_lead_days: renewalLeadDays
     })
 
     if (result.success) {
-      setDocuments(docs => docs.map(d => d.id === editingDoc.id ? result.data : d))
+      mutateDocs(current => (current || documents).map(d => d.id === editingDoc.id ? result.data : d))
       setSuccessMessage('')
       setSuccess(true)
       resetForm()
@@ -229,7 +293,8 @@ const ImportantDocumentsPage = () => {
     
     const result = await deleteDocument(deleteId)
     if (result.success) {
-      setDocuments(docs => docs.filter(d => d.id !== deleteId))
+      mutateDocs(current => (current || documents).filter(d => d.id !== deleteId))
+      setTrashedDoc(result.data)
     } else {
       setError(result.error)
     }
@@ -238,122 +303,85 @@ const ImportantDocumentsPage = () => {
     setDeleteId(null)
   }
 
+  const handleUndoDelete = async () => {
+    const result = await restoreDocument(trashedDoc.id)
+    if (result.success) {
+      mutateDocs(current => [...(current || documents), result.data]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)))
+    } else {
+      setError(result.error)
+    }
+    setTrashedDoc(null)
+  }
+
+  const dismissUndo = useCallback(() => setTrashedDoc(null), [])
+
   const startEdit = (doc) => {
     setEditingDoc(doc)
     setDocumentName(doc.document_name)
     setDocumentType(doc.document_type)
     setNotes(doc.notes || '')
+    setTags(doc.tags || [])
+    setIssueDate(doc.issue_date || '')
+    setExpiryDate(doc.expiry_date || '')
+    setRenewalLeadDays(doc.renewal_lead_days ?? DEFAULT_RENEWAL_LEAD_DAYS)
     setActiveMenu(null)
     window.scrollTo({ top: 0, behavior: 'smooth' })
   }
 
-  // Download document image
+  // Download all pages as one PDF
   const handleDownload = async (doc) => {
     setActiveMenu(null)
-    if (!doc.image_url) {
-      setError('No image available to download')
-      setTimeout(() => setError(''), 3000)
-      return
-    }
-    
-    try {
-      // Show loading feedback
-      const response = await fetch(doc.image_url)
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch image: ${response.status}`)
-      }
-      
-      const blob = await response.blob()
-      
-      if (blob.size === 0) {
-        throw new Error('Downloaded file is empty')
-      }
-      
-      const url = window.URL.createObjectURL(blob)
-      const link = document.createElement('a')
-      link.href = url
-      // Generate filename from document name
-      const extension = doc.image_url.split('.').pop()?.split('?')[0] || 'jpg'
-      const sanitizedName = doc.document_name.replace(/[^a-z0-9]/gi, '_').substring(0, 50)
-      link.download = `${sanitizedName}.${extension}`
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      window.URL.revokeObjectURL(url)
-    } catch (err) {
-      console.error('Download error:', err)
-      setError('Failed to download document. Please check your connection and try again.')
+    setDownloadingId(doc.id)
+    const result = await buildCombinedPdf(doc.id)
+    setDownloadingId(null)
+    if (!result.success) {
+      setError(result.error || 'Failed to download document. Please try again.')
       setTimeout(() => setError(''), 4000)
-    }
-  }
-
-  // Copy public Supabase Storage URL to clipboard (only exposes file, not user data)
-  const handleCopyLink = async (doc) => {
-    setActiveMenu(null)
-    
-    if (!doc.image_url) {
-      setError('No document file available to share')
-      setTimeout(() => setError(''), 3000)
       return
     }
 
-    try {
-      // Only copy the public Supabase Storage URL - no user data exposed
-      await navigator.clipboard.writeText(doc.image_url)
-      setSuccessMessage('Link copied to clipboard!')
-      setSuccess(true)
-      setTimeout(() => setSuccess(false), 2500)
-    } catch (err) {
-      console.error('Copy link error:', err)
-      // Fallback for older browsers
-      try {
-        const textArea = document.createElement('textarea')
-        textArea.value = doc.image_url
-        textArea.style.position = 'fixed'
-        textArea.style.left = '-999999px'
-        document.body.appendChild(textArea)
-        textArea.select()
-        document.execCommand('copy')
-        document.body.removeChild(textArea)
-        setSuccessMessage('Link copied to clipboard!')
-        setSuccess(true)
-        setTimeout(() => setSuccess(false), 2500)
-      } catch (fallbackErr) {
-        setError('Failed to copy link. Please try again.')
-        setTimeout(() => setError(''), 3000)
-      }
-    }
+    const url = URL.createObjectURL(result.data)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = documentFileName(doc, 'pdf')
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
   }
 
-  // Share document via Web Share API (only shares the public URL, not user data)
-  const handleShare = async (doc) => {
+  // Copy or share an expiring link to the document (the bucket is private)
+  const openShareLink = (doc, mode) => {
     setActiveMenu(null)
-    
-    if (!doc.image_url) {
+    if (!hasPages(doc)) {
       setError('No document file available to share')
       setTimeout(() => setError(''), 3000)
       return
     }
+    setSharing({ doc, mode })
+  }
 
-    try {
-      if (navigator.share) {
-        // Only share the public file URL - no personal data
-        await navigator.share({
-          title: 'Shared Document',
-          url: doc.image_url
-        })
-      } else {
-        // Fallback to copy link
-        await handleCopyLink(doc)
-      }
-    } catch (err) {
-      if (err.name !== 'AbortError') {
-        console.error('Share error:', err)
-        // Fallback to copy link on share failure
-        await handleCopyLink(doc)
-      }
-    }
+  const handleCopyLink = (doc) => openShareLink(doc, 'copy')
+  const handleShare = (doc) => openShareLink(doc, 'share')
+
+  const handleShared = (message) => {
+    setSharesVersion(version => version + 1)
+    if (!message) return
+    setSuccessMessage(message)
+    setSuccess(true)
+    setTimeout(() => setSuccess(false), 2500)
+  }
+
+  // Download every expiry date as an iCalendar file
+  const handleExportCalendar = () => {
+    const calendar = buildExpiryCalendar(documents.filter(doc => doc.expiry_date))
+    const url = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'document-expiries.ics'
+    link.click()
+    URL.revokeObjectURL(url)
   }
 
   // Format date and time
@@ -383,6 +411,9 @@ const ImportantDocumentsPage = () => {
     return docType?.label || type
   }
 
+  // Documents without pages have nothing to view, download or share
+  const hasPages = (doc) => doc.page_count > 0
+
   // Helper function to get timeline group for a date
   const getTimelineGroup = (dateString) => {
     const date = new Date(dateString)
@@ -436,14 +467,26 @@ const ImportantDocumentsPage = () => {
   // Filter documents
   const filteredDocuments = documents.filter(doc => {
     const matchesType = filterType === 'all' || doc.document_type === filterType
-    const matchesSearch = !searchQuery || 
-      doc.document_name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      (doc.notes && doc.notes.toLowerCase().includes(searchQuery.toLowerCase()))
-    return matchesType && matchesSearch
+    const matchesTags = selectedTags.every(tag => (doc.tags || []).includes(tag))
+    return matchesType && matchesTags && matchesDocumentQuery(doc, parsedSearch)
   })
 
+  const toggleTag = (tag) => {
+    setSelectedTags(current => current.includes(tag)
+      ? current.filter(t => t !== tag)
+      : [...current, tag])
+  }
+
+  // Soonest expiry first, documents without an expiry date last
+  const sortedDocuments = sortBy === 'expiry'
+    ? [...filteredDocuments].sort((a, b) => {
+        if (!a.expiry_date || !b.expiry_date) return a.expiry_date ? -1 : b.expiry_date ? 1 : 0
+        return a.expiry_date.localeCompare(b.expiry_date)
+      })
+    : filteredDocuments
+
   // Group documents by type
-  const groupedDocuments = filteredDocuments.reduce((acc, doc) => {
+  const groupedDocuments = sortedDocuments.reduce((acc, doc) => {
     const type = doc.document_type || 'other'
     if (!acc[type]) acc[type] = []
     acc[type].push(doc)
@@ -606,11 +649,68 @@ const ImportantDocumentsPage = () => {
                 />
               </div>
 
-              {/* Image Upload - Only for new documents */}
-              {!editingDoc && (
+              {/* Tags */}
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  Tags <span className="text-gray-500 text-xs">(optional, press Enter or comma to add)</span>
+                </label>
+                <TagEditor
+                  value={tags}
+                  onChange={setTags}
+                  suggestions={allTags.map(({ tag }) => tag)}
+                  placeholder="e.g. warranty, tax-2024"
+                />
+              </div>
+
+              {/* Validity dates */}
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-300 mb-2">
+                    Issued <span className="text-gray-500 text-xs">(optional)</span>
+                  </label>
+                  <input
+                    type="date"
+                    value={issueDate}
+                    onChange={(e) => setIssueDate(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl bg-dark-100 border border-white/10 text-gray-100 font-medium focus:border-amber-500/50 focus:ring-2 focus:ring-amber-500/20 transition-all [color-scheme:dark]"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-300 mb-2">
+                    Expires <span className="text-gray-500 text-xs">(optional)</span>
+                  </label>
+                  <input
+                    type="date"
+                    value={expiryDate}
+                    min={issueDate || undefined}
+                    onChange={(e) => setExpiryDate(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl bg-dark-100 border border-white/10 text-gray-100 font-medium focus:border-amber-500/50 focus:ring-2 focus:ring-amber-500/20 transition-all [color-scheme:dark]"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-300 mb-2">
+                    Remind me
+                  </label>
+                  <select
+                    value={renewalLeadDays}
+                    onChange={(e) => setRenewalLeadDays(Number(e.target.value))}
+                    disabled={!expiryDate}
+                    className="w-full px-4 py-3 rounded-xl bg-dark-100 border border-white/10 text-gray-100 font-medium focus:border-amber-500/50 focus:ring-2 focus:ring-amber-500/20 transition-all disabled:opacity-50"
+                  >
+                    {[...new Set([...RENEWAL_LEAD_OPTIONS, renewalLeadDays])].sort((a, b) => a - b).map(days => (
+                      <option key={days} value={days}>{days} days before</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {/* Pages - picked before saving for new documents, managed live when editing */}
+              {editingDoc ? (
+                <DocumentPagesEditor doc={editingDoc} onChange={refreshDocs} />
+              ) : (
                 <div>
                   <label className="block text-sm font-semibold text-gray-300 mb-2">
-                    Document Image <span className="text-gray-500 text-xs">(for reference)</span>
+                    Pages <span className="text-gray-500 text-xs">(images or PDFs, for reference)</span>
                   </label>
                   <div
                     onDrop={handleDrop}
@@ -626,29 +726,58 @@ const ImportantDocumentsPage = () => {
                     <input
                       ref={fileInputRef}
                       type="file"
-                      accept="image/*"
-                      onChange={handleImageChange}
+                      accept={ACCEPTED_PAGE_TYPES}
+                      multiple
+                      onChange={handleFilesChange}
                       className="hidden"
                     />
-                    {imagePreview ? (
-                      <div className="relative inline-block">
-                        <img src={imagePreview} alt="Preview" className="max-h-40 rounded-lg mx-auto" />
-                        <button
-                          type="button"
-                          onClick={(e) => { e.stopPropagation(); setImageFile(null); setImagePreview(null) }}
-                          className="absolute -top-2 -right-2 w-7 h-7 bg-red-500 rounded-full flex items-center justify-center text-white text-sm hover:bg-red-600"
-                        >
-                          ×
-                        </button>
-                      </div>
-                    ) : (
-                      <>
-                        <span className="text-3xl mb-2 block">📷</span>
-                        <p className="text-gray-400 text-sm">Drag & drop or click to upload</p>
-                        <p className="text-gray-500 text-xs mt-1">Max 10MB • PNG, JPG, GIF</p>
-                      </>
-                    )}
+                    <span className="text-3xl mb-2 block">📷</span>
+                    <p className="text-gray-400 text-sm">
+                      {pageFiles.length > 0 ? 'Drop or click to add more pages' : 'Drag & drop or click to upload'}
+                    </p>
+                    <p className="text-gray-500 text-xs mt-1">PNG, JPG, GIF, PDF • several at once for multi-page documents</p>
                   </div>
+
+                  {pageFiles.length > 0 && (
+                    <div className="mt-3 space-y-2">
+                      {pageFiles.map((page, index) => (
+                        <div key={page.preview || `${page.file.name}-${index}`} className="flex items-center gap-3 p-2 rounded-xl bg-dark-100/50 border border-white/5">
+                          <PageThumb src={page.preview} pdf={isPdfPage(page.file)} />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm text-gray-300">Page {index + 1}</p>
+                            <p className="text-xs text-gray-500 truncate">{page.file.name}</p>
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => movePageFile(index, index - 1)}
+                            disabled={index === 0}
+                            className="w-8 h-8 rounded-lg text-gray-400 hover:text-white hover:bg-white/5 disabled:opacity-30"
+                            title="Move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => movePageFile(index, index + 1)}
+                            disabled={index === pageFiles.length - 1}
+                            className="w-8 h-8 rounded-lg text-gray-400 hover:text-white hover:bg-white/5 disabled:opacity-30"
+                            title="Move down"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => removePageFile(index)}
+                            className="w-8 h-8 rounded-lg text-red-400 hover:bg-red-500/10"
+                            title="Remove page"
+                          >
+                            ×
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <PhotoPrivacyNote file={pageFiles.find(page => page.preview)?.file || null} />
                 </div>
               )}
 
@@ -702,6 +831,64 @@ const ImportantDocumentsPage = () => {
           </div>
         </div>
 
+        {/* ══════════════════════════════════════════════════════════════ */}
+        {/* EXPIRING SOON - renewal reminders */}
+        {/* ══════════════════════════════════════════════════════════════ */}
+        {hasExpiryDates && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.15 }}
+            className="mb-16"
+          >
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-red-500 to-amber-500 flex items-center justify-center shadow-lg shadow-red-500/20">
+                  <span className="text-2xl">⏳</span>
+                </div>
+                <div>
+                  <h2 className="text-2xl font-bold text-white">Expiring soon</h2>
+                  <p className="text-gray-500 text-sm">
+                    {renewalReminders.length === 0
+                      ? 'Nothing is due for renewal'
+                      : `${renewalReminders.length} ${renewalReminders.length === 1 ? 'document needs' : 'documents need'} renewing`}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={handleExportCalendar}
+                className="px-4 py-2.5 text-sm font-semibold text-gray-300 border border-white/10 rounded-xl hover:text-white hover:border-amber-500/30 flex items-center gap-2 self-start md:self-auto"
+                title="Download an .ics file with every expiry date, for Google Calendar, Outlook or Apple Calendar"
+              >
+                <span>📅</span> Add expiries to calendar
+              </button>
+            </div>
+
+            {renewalReminders.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {renewalReminders.map(doc => (
+                  <div
+                    key={doc.id}
+                    className="flex items-center gap-3 bg-dark-200/50 rounded-xl border border-white/5 p-4"
+                  >
+                    <span className="text-2xl">{getDocTypeIcon(doc.document_type)}</span>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold text-gray-100 truncate">{doc.document_name}</p>
+                      <ExpiryBadge doc={doc} className="mt-1" />
+                    </div>
+                    <button
+                      onClick={() => startEdit(doc)}
+                      className="px-3 py-2 text-xs font-semibold text-amber-300 border border-amber-500/30 rounded-lg hover:bg-amber-500/10 flex-shrink-0"
+                    >
+                      Renewed? Update
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </motion.section>
+        )}
+
         {/* ══════════════════════════════════════════════════════════════ */}
         {/* SECTION 2: STORED IMPORTANT DOCUMENTS */}
         {/* ══════════════════════════════════════════════════════════════ */}
@@ -733,7 +920,7 @@ const ImportantDocumentsPage = () => {
                       value={searchQuery}
                       onChange={(e) => setSearchQuery(e.target.value)}
                       onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
-                      placeholder="Search documents..."
+                      placeholder="e.g. receipts from 2024"
                       className="w-48 md:w-64 pl-10 pr-4 py-2.5 rounded-xl bg-dark-200 border border-white/10 text-gray-100 font-medium text-sm placeholder-gray-500 focus:border-amber-500/50 caret-amber-400"
                       autoComplete="off"
                     />
@@ -812,6 +999,53 @@ const ImportantDocumentsPage = () => {
                   ))}
                 </select>
 
+                {/* Tag filter - documents must carry every selected tag */}
+                {allTags.length > 0 && (
+                  <div className="flex items-center gap-2 flex-wrap">
+                    {allTags.map(({ tag, count }) => (
+                      <button
+                        key={tag}
+                        onClick={() => toggleTag(tag)}
+                        className={`px-3 py-1 text-xs rounded-full border transition-colors ${
+                          selectedTags.includes(tag)
+                            ? 'bg-amber-500/20 text-amber-300 border-amber-500/50'
+                            : 'text-gray-400 border-white/10 hover:text-amber-400 hover:border-amber-500/30'
+                        }`}
+                      >
+                        #{tag} <span className="text-gray-500">{count}</span>
+                      </button>
+                    ))}
+                    {selectedTags.length > 0 && (
+                      <button onClick={() => setSelectedTags([])} className="text-xs text-gray-500 hover:text-white">
+                        Clear
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {/* Filters understood from the search text */}
+                {searchFilters.length > 0 && (
+                  <div className="flex items-center gap-2 flex-wrap">
+                    {searchFilters.map(label => (
+                      <span key={label} className="px-3 py-1 text-xs rounded-full bg-amber-500/15 text-amber-400 border border-amber-500/30">
+                        {label}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {/* Sort (type view; the timeline is always by date added) */}
+                {viewMode === 'type' && (
+                  <select
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value)}
+                    className="px-3 py-2.5 rounded-lg bg-dark-200 border border-white/10 text-xs font-medium text-gray-300 focus:border-amber-500/50"
+                  >
+                    <option value="added">Newest first</option>
+                    <option value="expiry">Expiry date</option>
+                  </select>
+                )}
+
                 {/* View Toggle */}
                 <div className="flex items-center gap-1 bg-dark-200 rounded-lg p-1 border border-white/10">
                   <button
@@ -840,6 +1074,14 @@ const ImportantDocumentsPage = () => {
           </div>
 
           {/* Documents Display */}
+          {/* Link to a document that's gone (deleted, or someone else's) */}
+          {documentId && !loadingDocs && !viewingDoc && (
+            <div className="mb-6 p-4 rounded-xl bg-amber-500/10 border border-amber-500/30 text-amber-300 text-sm flex items-center justify-between gap-4">
+              <span>That document couldn't be found. It may have been moved to Trash.</span>
+              <Link to={`${PATHS.documents}${location.search}`} className="font-semibold hover:underline flex-shrink-0">Show all documents</Link>
+            </div>
+          )}
+
           {loadingDocs ? (
             <div className="text-center py-20 bg-dark-200/30 rounded-2xl border border-white/5">
               <div className="w-12 h-12 border-4 border-amber-500/30 border-t-amber-500 rounded-full animate-spin mx-auto mb-4" />
@@ -904,13 +1146,19 @@ const ImportantDocumentsPage = () => {
                             {doc.image_url ? (
                               <div 
                                 className="w-20 h-20 rounded-lg overflow-hidden flex-shrink-0 bg-white/5 cursor-pointer"
-                                onClick={() => setViewingImage(doc.image_url)}
+                                onClick={() => setViewingDoc(doc)}
                               >
-                                <img src={doc.image_url} alt={doc.document_name} className="w-full h-full object-cover" />
+                                <LazyImage src={doc.image_url} alt={doc.document_name} thumbnail={doc.thumbnail_url || false} className="w-full h-full" placeholderClassName="bg-white/5" />
                               </div>
                             ) : (
-                              <div className="w-20 h-20 rounded-lg bg-amber-500/10 flex items-center justify-center flex-shrink-0 text-2xl">
+                              <div
+                                className={`w-20 h-20 rounded-lg bg-amber-500/10 flex flex-col items-center justify-center flex-shrink-0 text-2xl ${hasPages(doc) ? 'cursor-pointer' : ''}`}
+                                onClick={() => hasPages(doc) && setViewingDoc(doc)}
+                              >
                                 {getDocTypeIcon(doc.document_type)}
+                                {doc.image_unavailable && (
+                                  <span className="mt-1 px-1 text-[10px] leading-tight text-gray-400 text-center">Not available offline</span>
+                                )}
                               </div>
                             )}
                             {/* NEW badge for recently added documents */}
@@ -940,6 +1188,14 @@ const ImportantDocumentsPage = () => {
                             {doc.notes && (
                               <p className="text-xs text-gray-500 mt-1 line-clamp-1">{doc.notes}</p>
                             )}
+                            <ExpiryBadge doc={doc} className="mt-2" />
+                            {doc.tags?.length > 0 && (
+                              <div className="flex flex-wrap gap-1 mt-2">
+                                {doc.tags.map(tag => (
+                                  <span key={tag} className="px-1.5 py-0.5 rounded bg-amber-500/10 text-amber-400/80 text-[10px]">#{tag}</span>
+                                ))}
+                              </div>
+                            )}
                           </div>
                         </div>
 
@@ -947,9 +1203,9 @@ const ImportantDocumentsPage = () => {
                         <div className="flex gap-2 mt-3 pt-3 border-t border-white/5">
                           <button
                             onClick={() => handleDownload(doc)}
-                            disabled={!doc.image_url}
+                            disabled={!hasPages(doc) || downloadingId === doc.id}
                             className={`flex-1 px-3 py-1.5 text-xs font-medium rounded-lg flex items-center justify-center gap-1.5 transition-colors ${
-                              doc.image_url
+                              hasPages(doc)
                                 ? 'bg-amber-500/10 border border-amber-500/20 text-amber-400 hover:bg-amber-500/20'
                                 : 'bg-gray-500/10 border border-gray-500/20 text-gray-500 cursor-not-allowed'
                             }`}
@@ -957,11 +1213,11 @@ const ImportantDocumentsPage = () => {
                             <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                             </svg>
-                            Download
+                            {downloadingId === doc.id ? 'Preparing...' : 'Download'}
                           </button>
                           <button
                             onClick={() => handleCopyLink(doc)}
-                            disabled={!doc.image_url}
+                            disabled={!hasPages(doc)}
                             className="flex-1 px-3 py-1.5 text-xs font-medium bg-white/5 border border-white/10 text-gray-300 hover:bg-white/10 rounded-lg flex items-center justify-center gap-1.5"
                           >
                             <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1024,20 +1280,25 @@ const ImportantDocumentsPage = () => {
                               {/* Image Preview */}
                               <div 
                                 className="h-36 bg-dark-200 relative cursor-pointer"
-                                onClick={() => doc.image_url && setViewingImage(doc.image_url)}
+                                onClick={() => hasPages(doc) && setViewingDoc(doc)}
                               >
                                 {doc.image_url ? (
                                   <>
-                                    <img
+                                    <LazyImage
                                       src={doc.image_url}
                                       alt={doc.document_name}
-                                      className="w-full h-full object-cover"
+                                      thumbnail={doc.thumbnail_url || false}
+                                      className="w-full h-full"
+                                      placeholderClassName="bg-white/5"
                                     />
                                     <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent" />
                                   </>
                                 ) : (
-                                  <div className="w-full h-full bg-gradient-to-br from-amber-500/5 to-orange-500/5 flex items-center justify-center">
+                                  <div className="w-full h-full bg-gradient-to-br from-amber-500/5 to-orange-500/5 flex flex-col items-center justify-center">
                                     <span className="text-4xl opacity-30">{getDocTypeIcon(type)}</span>
+                                    {doc.image_unavailable && (
+                                      <span className="mt-2 text-xs text-gray-400">Image not available offline</span>
+                                    )}
                                   </div>
                                 )}
                                 
@@ -1049,6 +1310,13 @@ const ImportantDocumentsPage = () => {
                                   </span>
                                 </div>
 
+                                {/* Page count */}
+                                {doc.page_count > 1 && (
+                                  <div className="absolute bottom-3 right-3 px-2 py-1 rounded-md bg-black/50 backdrop-blur-sm text-xs text-white/80 border border-white/10">
+                                    {doc.page_count} pages
+                                  </div>
+                                )}
+
                                 {/* NEW badge for recently added documents */}
                                 {isRecentlyAdded(doc.created_at) && (
                                   <motion.div
@@ -1111,6 +1379,22 @@ const ImportantDocumentsPage = () => {
                                 <h4 className="font-semibold text-white text-sm mb-2 truncate">
                                   {doc.document_name}
                                 </h4>
+
+                                <ExpiryBadge doc={doc} className="mb-2" />
+
+                                {doc.tags?.length > 0 && (
+                                  <div className="flex flex-wrap gap-1 mb-2">
+                                    {doc.tags.map(tag => (
+                                      <button
+                                        key={tag}
+                                        onClick={() => toggleTag(tag)}
+                                        className="px-1.5 py-0.5 rounded bg-amber-500/10 text-amber-400/80 text-[10px] hover:bg-amber-500/20"
+                                      >
+                                        #{tag}
+                                      </button>
+                                    ))}
+                                  </div>
+                                )}
                                 
                                 {/* Date & Time */}
                                 <div className="flex items-center gap-2 text-xs text-gray-500 mb-3">
@@ -1134,31 +1418,31 @@ const ImportantDocumentsPage = () => {
                                   {/* Download Button - Full Width */}
                                   <button
                                     onClick={() => handleDownload(doc)}
-                                    disabled={!doc.image_url}
+                                    disabled={!hasPages(doc) || downloadingId === doc.id}
                                     className={`w-full py-2 px-3 text-xs font-medium rounded-lg flex items-center justify-center gap-2 transition-colors ${
-                                      doc.image_url
+                                      hasPages(doc)
                                         ? 'bg-amber-500/10 border border-amber-500/20 text-amber-400 hover:bg-amber-500/20'
                                         : 'bg-gray-500/10 border border-gray-500/20 text-gray-500 cursor-not-allowed'
                                     }`}
-                                    title={doc.image_url ? 'Download document' : 'No file to download'}
+                                    title={hasPages(doc) ? 'Download all pages as one PDF' : 'No file to download'}
                                   >
                                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                                     </svg>
-                                    Download
+                                    {downloadingId === doc.id ? 'Preparing PDF...' : 'Download'}
                                   </button>
                                   
                                   {/* Copy Link & Share - Side by Side */}
                                   <div className="flex gap-2">
                                     <button
                                       onClick={() => handleCopyLink(doc)}
-                                      disabled={!doc.image_url}
+                                      disabled={!hasPages(doc)}
                                       className={`flex-1 py-2 px-2 text-xs font-medium rounded-lg flex items-center justify-center gap-1.5 transition-colors ${
-                                        doc.image_url
+                                        hasPages(doc)
                                           ? 'bg-white/5 border border-white/10 text-gray-300 hover:bg-white/10 hover:text-white'
                                           : 'bg-gray-500/5 border border-gray-500/10 text-gray-600 cursor-not-allowed'
                                       }`}
-                                      title={doc.image_url ? 'Copy public link' : 'No file to share'}
+                                      title={hasPages(doc) ? 'Copy an expiring link' : 'No file to share'}
                                     >
                                       <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3" />
@@ -1167,13 +1451,13 @@ const ImportantDocumentsPage = () => {
                                     </button>
                                     <button
                                       onClick={() => handleShare(doc)}
-                                      disabled={!doc.image_url}
+                                      disabled={!hasPages(doc)}
                                       className={`flex-1 py-2 px-2 text-xs font-medium rounded-lg flex items-center justify-center gap-1.5 transition-colors ${
-                                        doc.image_url
+                                        hasPages(doc)
                                           ? 'bg-white/5 border border-white/10 text-gray-300 hover:bg-white/10 hover:text-white'
                                           : 'bg-gray-500/5 border border-gray-500/10 text-gray-600 cursor-not-allowed'
                                       }`}
-                                      title={doc.image_url ? 'Share document' : 'No file to share'}
+                                      title={hasPages(doc) ? 'Share document' : 'No file to share'}
                                     >
                                       <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
@@ -1194,6 +1478,9 @@ const ImportantDocumentsPage = () => {
             </div>
           )}
         </motion.section>
+
+        {/* Shared links */}
+        <SharedLinksPanel refreshKey={sharesVersion} />
       </div>
 
       {/* Delete Confirmation Modal */}
@@ -1218,7 +1505,7 @@ const ImportantDocumentsPage = () => {
                   <span className="text-4xl">🗑️</span>
                 </div>
                 <h3 className="text-2xl font-bold text-white mb-2">Delete Document?</h3>
-                <p className="text-gray-400 mb-6">This action cannot be undone. The document will be permanently removed.</p>
+                <p className="text-gray-400 mb-6">The document will be moved to the Trash. You can restore it from there for 30 days.</p>
                 <div className="flex gap-4">
                   <button
                     onClick={() => setDeleteId(null)}
@@ -1237,7 +1524,7 @@ const ImportantDocumentsPage = () => {
                         <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
                         Deleting...
                       </>
-                    ) : 'Delete'}
+                    ) : 'Move to Trash'}
                   </button>
                 </div>
               </div>
@@ -1246,35 +1533,38 @@ const ImportantDocumentsPage = () => {
         )}
       </AnimatePresence>
 
-      {/* Image Viewer Modal */}
+      {/* Page-by-page viewer */}
       <AnimatePresence>
-        {viewingImage && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 bg-black/95 flex items-center justify-center z-50 px-4"
-            onClick={() => setViewingImage(null)}
-          >
-            <motion.div
-              initial={{ scale: 0.9 }}
-              animate={{ scale: 1 }}
-              exit={{ scale: 0.9 }}
-              className="relative max-w-5xl max-h-[90vh]"
-            >
-              <img
-                src={viewingImage}
-                alt="Document"
-                className="max-w-full max-h-[90vh] rounded-lg object-contain"
-              />
-              <button
-                onClick={() => setViewingImage(null)}
-                className="absolute -top-4 -right-4 w-10 h-10 bg-white/10 backdrop-blur rounded-full flex items-center justify-center text-white hover:bg-white/20"
-              >
-                ✕
-              </button>
-            </motion.div>
-          </motion.div>
+        {viewingDoc && (
+          <DocumentViewer
+            doc={viewingDoc}
+            onClose={() => setViewingDoc(null)}
+            onDownload={handleDownload}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Create a share link */}
+      <AnimatePresence>
+        {sharing && (
+          <ShareLinkModal
+            doc={sharing.doc}
+            mode={sharing.mode}
+            onClose={() => setSharing(null)}
+            onShared={handleShared}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Undo delete */}
+      <AnimatePresence>
+        {trashedDoc && (
+          <UndoToast
+            key={trashedDoc.id}
+            message={`"${trashedDoc.document_name}" moved to Trash`}
+            onUndo={handleUndoDelete}
+            onDismiss={dismissUndo}
+          />
         )}
       </AnimatePresence>
     </div>
@@ -0,0 +1,475 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { getItem, getRelatedItems, deleteItem } from '../lib/items'
+import { getLocations, getLocationPath, LOCATION_KINDS } from '../lib/locations'
+import { getAllDocuments, DOCUMENT_TYPES } from '../lib/documents'
+import { getItemDocuments, linkDocumentToItem, unlinkDocumentFromItem } from '../lib/itemDocuments'
+import { PATHS, itemPath, documentPath } from '../lib/routes'
+import { useCachedData } from '../hooks/useDataCache'
+import PhotoGallery from '../components/PhotoGallery'
+import LazyImage from '../components/LazyImage'
+import LocationHistory from '../components/LocationHistory'
+import ItemEditModal from '../components/ItemEditModal'
+import NotFoundPage from './NotFoundPage'
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+/**
+ * RelatedItems - a short list of other items, each linking to its page
+ */
+const RelatedItems = ({ title, icon, items }) => (
+  <div>
+    <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-400 mb-3">
+      <span>{icon}</span>
+      <span>{title}</span>
+    </h3>
+    <div className="grid sm:grid-cols-2 gap-3">
+      {items.map(item => (
+        <Link
+          key={item.id}
+          to={itemPath(item.id)}
+          className="flex items-center gap-3 bg-dark-200/50 rounded-xl border border-white/5 p-3 hover:border-primary-cyan/30 transition-colors"
+        >
+          {item.image_url ? (
+            <div className="w-12 h-12 rounded-lg overflow-hidden flex-shrink-0 bg-white/5">
+              <LazyImage src={item.image_url} alt={item.item_name} thumbnail className="w-full h-full" placeholderClassName="bg-white/5" />
+            </div>
+          ) : (
+            <div className="w-12 h-12 rounded-lg bg-primary-cyan/10 flex items-center justify-center flex-shrink-0 text-xl">
+              📦
+            </div>
+          )}
+          <div className="min-w-0">
+            <div className="font-medium text-white truncate">{item.item_name}</div>
+            <div className="text-xs text-gray-400 truncate">📍 {item.location}</div>
+          </div>
+        </Link>
+      ))}
+    </div>
+  </div>
+)
+
+/**
+ * ItemDetailPage - everything about one item (/items/:itemId)
+ * Photos, place, category and dates, where it was before, other items kept
+ * with it or in its category, and the documents linked to it.
+ */
+const ItemDetailPage = () => {
+  const { itemId } = useParams()
+  const navigate = useNavigate()
+  const [item, setItem] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [related, setRelated] = useState({ sameLocation: [], sameCategory: [] })
+  const [linkedDocs, setLinkedDocs] = useState([])
+  const [allDocs, setAllDocs] = useState(null)
+  const [pickingDoc, setPickingDoc] = useState(false)
+  const [docsError, setDocsError] = useState('')
+  const [editing, setEditing] = useState(false)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+  const [deleting, setDeleting] = useState(false)
+
+  const { data: cachedLocations } = useCachedData(getLocations, 30000)
+  const locations = cachedLocations || []
+
+  const loadItem = useCallback(async () => {
+    const result = await getItem(itemId)
+    if (result.success) {
+      setItem(result.data)
+      setError('')
+    } else {
+      setItem(null)
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [itemId])
+
+  useEffect(() => {
+    setLoading(true)
+    setPickingDoc(false)
+    window.scrollTo({ top: 0 })
+    loadItem()
+  }, [loadItem])
+
+  // Related items follow the item's place and category
+  useEffect(() => {
+    if (!item) return
+    let cancelled = false
+    getRelatedItems(item).then(result => {
+      if (!cancelled && result.success) setRelated(result.data)
+    })
+    return () => { cancelled = true }
+  }, [item?.id, item?.location_id, item?.location, item?.category])
+
+  useEffect(() => {
+    let cancelled = false
+    setLinkedDocs([])
+    getItemDocuments(itemId).then(result => {
+      if (cancelled) return
+      if (result.success) {
+        setLinkedDocs(result.data)
+      } else {
+        setDocsError(result.error)
+      }
+    })
+    return () => { cancelled = true }
+  }, [itemId])
+
+  const openDocPicker = async () => {
+    setPickingDoc(true)
+    if (allDocs) return
+    const result = await getAllDocuments()
+    if (result.success) {
+      setAllDocs(result.data)
+    } else {
+      setDocsError(result.error)
+    }
+  }
+
+  const handleLinkDoc = async (documentId) => {
+    if (!documentId) return
+    setDocsError('')
+    const result = await linkDocumentToItem(item.id, documentId)
+    if (result.success) {
+      const doc = allDocs.find(d => d.id === documentId)
+      setLinkedDocs(current => [doc, ...current.filter(d => d.id !== documentId)])
+      setPickingDoc(false)
+    } else {
+      setDocsError(result.error)
+    }
+  }
+
+  const handleUnlinkDoc = async (doc) => {
+    setDocsError('')
+    const result = await unlinkDocumentFromItem(item.id, doc.id)
+    if (result.success) {
+      setLinkedDocs(current => current.filter(d => d.id !== doc.id))
+    } else {
+      setDocsError(result.error)
+    }
+  }
+
+  const handleDelete = async () => {
+    setDeleting(true)
+    const result = await deleteItem(item.id)
+    if (result.success) {
+      // Stored Items offers the undo
+      navigate(PATHS.items, { state: { trashedItem: result.data } })
+    } else {
+      setError(result.error || 'Failed to delete item')
+      setDeleting(false)
+      setConfirmDelete(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen pt-24 flex flex-col items-center justify-center">
+        <motion.div
+          animate={{ rotate: 360 }}
+          transition={{ duration: 1.5, repeat: Infinity, ease: "linear" }}
+          className="w-16 h-16 border-4 border-primary-cyan/20 border-t-primary-cyan rounded-full mb-6"
+        />
+        <p className="text-gray-400 text-lg">Loading item...</p>
+      </div>
+    )
+  }
+
+  if (!item) {
+    return <NotFoundPage message={error || "This item doesn't exist."} />
+  }
+
+  const placePath = item.location_id ? getLocationPath(locations, item.location_id) : []
+  const linkableDocs = (allDocs || []).filter(doc => !linkedDocs.some(linked => linked.id === doc.id))
+  const wasUpdated = item.updated_at && new Date(item.updated_at) - new Date(item.created_at) > 60 * 1000
+
+  return (
+    <div className="min-h-screen pt-24 pb-12 px-4 sm:px-6">
+      <div className="max-w-5xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="space-y-6"
+        >
+          <Link to={PATHS.items} className="inline-flex items-center gap-2 text-sm text-gray-400 hover:text-primary-cyan transition-colors">
+            ← All items
+          </Link>
+
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/40 rounded-lg p-3 text-sm text-red-300">
+              {error}
+            </div>
+          )}
+
+          <div className="glass rounded-2xl overflow-hidden border border-primary-cyan/20">
+            {/* Photos */}
+            {item.image_url ? (
+              <PhotoGallery
+                item={item}
+                keyboard
+                className="bg-black/40"
+                imgClassName="w-full h-72 sm:h-[28rem] object-contain"
+              />
+            ) : (
+              <div className="h-48 bg-gradient-to-br from-primary-cyan/10 via-blue-500/10 to-purple-500/10 flex items-center justify-center text-7xl">
+                📦
+              </div>
+            )}
+
+            <div className="p-6 sm:p-8 space-y-6">
+              <div className="flex items-start justify-between gap-4 flex-wrap">
+                <div className="min-w-0">
+                  <h1 className="text-3xl md:text-4xl font-bold gradient-text break-words">{item.item_name}</h1>
+                  {item.category && (
+                    <span className="inline-block mt-3 px-3 py-1 text-sm rounded-full bg-primary-cyan/10 text-primary-cyan border border-primary-cyan/20">
+                      🏷️ {item.category}
+                    </span>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <motion.button
+                    onClick={() => setEditing(true)}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    className="px-4 py-2 bg-primary-cyan/10 text-primary-cyan border border-primary-cyan/30 rounded-lg font-medium hover:bg-primary-cyan/20 transition-all"
+                  >
+                    ✏️ Edit
+                  </motion.button>
+                  <motion.button
+                    onClick={() => setConfirmDelete(true)}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    className="px-4 py-2 bg-red-500/10 text-red-400 border border-red-500/20 rounded-lg font-medium hover:bg-red-500/20 transition-all"
+                  >
+                    🗑️ Delete
+                  </motion.button>
+                </div>
+              </div>
+
+              {/* Location */}
+              <div className="flex items-start gap-4 p-4 bg-blue-500/5 rounded-xl border border-blue-500/20">
+                <div className="text-3xl">📍</div>
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm text-gray-400 mb-1">Location</div>
+                  {placePath.length > 0 && (
+                    <div className="flex items-center flex-wrap gap-1 text-sm text-primary-cyan mb-2">
+                      {placePath.map((node, index) => (
+                        <span key={node.id} className="flex items-center gap-1">
+                          {index > 0 && <span className="text-gray-600">›</span>}
+                          <span>{LOCATION_KINDS.find(k => k.value === node.kind)?.icon || '📍'} {node.name}</span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="text-lg text-gray-200 leading-relaxed break-words">{item.location}</div>
+                </div>
+              </div>
+
+              {/* Dates */}
+              <div className="flex flex-wrap gap-3 text-sm text-gray-500">
+                <div className="flex items-center gap-2 px-3 py-2 bg-white/5 rounded-lg">
+                  <span>📅</span>
+                  <span>Added {formatDateTime(item.created_at)}</span>
+                </div>
+                {wasUpdated && (
+                  <div className="flex items-center gap-2 px-3 py-2 bg-white/5 rounded-lg">
+                    <span>✏️</span>
+                    <span>Updated {formatDateTime(item.updated_at)}</span>
+                  </div>
+                )}
+                {item.photo_count > 1 && (
+                  <div className="flex items-center gap-2 px-3 py-2 bg-white/5 rounded-lg">
+                    <span>📷</span>
+                    <span>{item.photo_count} photos</span>
+                  </div>
+                )}
+              </div>
+
+              {/* Location history */}
+              <div className="p-4 bg-white/5 rounded-xl border border-white/10">
+                <div className="flex items-center gap-2 text-sm text-gray-400 mb-3">
+                  <span>🕓</span>
+                  <span>Where was it before?</span>
+                </div>
+                <LocationHistory itemId={item.id} />
+              </div>
+            </div>
+          </div>
+
+          {/* Linked documents */}
+          <div className="glass rounded-2xl p-6 sm:p-8 border border-amber-500/20">
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <h2 className="flex items-center gap-2 text-xl font-bold">
+                <span>📋</span>
+                <span>Documents</span>
+              </h2>
+              {!pickingDoc && (
+                <button
+                  onClick={openDocPicker}
+                  className="px-3 py-1.5 text-sm font-semibold text-amber-400 border border-amber-500/30 rounded-lg hover:bg-amber-500/10"
+                >
+                  + Link a document
+                </button>
+              )}
+            </div>
+
+            {pickingDoc && (
+              <div className="flex gap-2 mb-4">
+                <select
+                  defaultValue=""
+                  onChange={(e) => handleLinkDoc(e.target.value)}
+                  disabled={!allDocs}
+                  className="flex-1 bg-white/5 border border-amber-500/30 rounded-xl px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-amber-500/50"
+                >
+                  <option value="" disabled>
+                    {!allDocs ? 'Loading documents...' : linkableDocs.length === 0 ? 'No other documents to link' : 'Choose a document...'}
+                  </option>
+                  {linkableDocs.map(doc => (
+                    <option key={doc.id} value={doc.id}>{doc.document_name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setPickingDoc(false)}
+                  className="px-3 py-2 text-sm text-gray-400 hover:text-white"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {linkedDocs.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No documents linked yet. Link a receipt, warranty or manual to keep it with the item.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {linkedDocs.map(doc => (
+                  <div key={doc.id} className="flex items-center gap-3 p-2 rounded-xl bg-white/5 border border-white/5">
+                    <Link to={documentPath(doc.id)} className="flex items-center gap-3 flex-1 min-w-0 group">
+                      {doc.thumbnail_url ? (
+                        <img src={doc.thumbnail_url} alt="" className="w-10 h-10 rounded-lg object-cover flex-shrink-0" />
+                      ) : (
+                        <div className="w-10 h-10 rounded-lg bg-amber-500/10 flex items-center justify-center flex-shrink-0 text-xl">
+                          {DOCUMENT_TYPES.find(t => t.value === doc.document_type)?.icon || '📄'}
+                        </div>
+                      )}
+                      <div className="min-w-0">
+                        <div className="font-medium text-white truncate group-hover:text-amber-400 transition-colors">{doc.document_name}</div>
+                        <div className="text-xs text-gray-500">{DOCUMENT_TYPES.find(t => t.value === doc.document_type)?.label || 'Document'}</div>
+                      </div>
+                    </Link>
+                    <button
+                      onClick={() => handleUnlinkDoc(doc)}
+                      className="w-8 h-8 rounded-lg text-gray-500 hover:text-red-400 hover:bg-red-500/10"
+                      title="Unlink document"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {docsError && (
+              <p className="mt-3 text-sm text-red-300">{docsError}</p>
+            )}
+          </div>
+
+          {/* Related items */}
+          {(related.sameLocation.length > 0 || related.sameCategory.length > 0) && (
+            <div className="glass rounded-2xl p-6 sm:p-8 border border-primary-cyan/10 space-y-6">
+              <h2 className="flex items-center gap-2 text-xl font-bold">
+                <span>🔗</span>
+                <span>Related items</span>
+              </h2>
+              {related.sameLocation.length > 0 && (
+                <RelatedItems title="Kept in the same place" icon="📍" items={related.sameLocation} />
+              )}
+              {related.sameCategory.length > 0 && (
+                <RelatedItems title={`Also in ${item.category}`} icon="🏷️" items={related.sameCategory} />
+              )}
+            </div>
+          )}
+        </motion.div>
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      <AnimatePresence>
+        {confirmDelete && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 px-4"
+            onClick={() => !deleting && setConfirmDelete(false)}
+          >
+            <motion.div
+              initial={{ scale: 0.8, opacity: 0, y: 20 }}
+              animate={{ scale: 1, opacity: 1, y: 0 }}
+              exit={{ scale: 0.8, opacity: 0, y: 20 }}
+              transition={{ type: "spring", stiffness: 300, damping: 25 }}
+              onClick={(e) => e.stopPropagation()}
+              className="glass rounded-2xl p-8 max-w-md w-full border border-red-500/30 shadow-2xl"
+            >
+              <div className="text-6xl mb-6 text-center">⚠️</div>
+              <h3 className="text-2xl md:text-3xl font-bold mb-4 text-center">
+                Delete <span className="text-red-400">Item?</span>
+              </h3>
+              <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 mb-6">
+                <p className="text-gray-300 text-center text-sm leading-relaxed">
+                  The item will be moved to the <span className="font-bold text-red-400">Trash</span>. You can restore it from there for 30 days.
+                </p>
+              </div>
+              <div className="flex gap-3">
+                <motion.button
+                  onClick={() => setConfirmDelete(false)}
+                  disabled={deleting}
+                  whileHover={{ scale: deleting ? 1 : 1.02 }}
+                  whileTap={{ scale: deleting ? 1 : 0.98 }}
+                  className="flex-1 px-6 py-3 border-2 border-gray-600 text-gray-300 rounded-xl hover:bg-white/5 transition-all font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </motion.button>
+                <motion.button
+                  onClick={handleDelete}
+                  disabled={deleting}
+                  whileHover={{ scale: deleting ? 1 : 1.02 }}
+                  whileTap={{ scale: deleting ? 1 : 0.98 }}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-red-500 to-red-600 text-white rounded-xl hover:from-red-600 hover:to-red-700 transition-all font-bold shadow-lg shadow-red-500/50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {deleting ? 'Deleting...' : '🗑️ Move to Trash'}
+                </motion.button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Edit Modal */}
+      <AnimatePresence>
+        {editing && (
+          <ItemEditModal
+            item={item}
+            locations={locations}
+            onSaved={(updated) => {
+              setItem(updated)
+              setEditing(false)
+            }}
+            onPhotosChanged={loadItem}
+            onClose={() => setEditing(false)}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default ItemDetailPage
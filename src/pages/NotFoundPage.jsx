@@ -0,0 +1,45 @@
+import { motion } from 'framer-motion'
+import { Link, useLocation } from 'react-router-dom'
+import { PATHS } from '../lib/routes'
+
+/**
+ * NotFoundPage - shown for any URL the app has no page for
+ * @param {string} message - What couldn't be found (defaults to the page)
+ */
+const NotFoundPage = ({ message }) => {
+  const location = useLocation()
+
+  return (
+    <div className="min-h-screen pt-24 pb-12 px-4 sm:px-6 flex items-center justify-center">
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="glass rounded-2xl p-8 sm:p-12 max-w-md w-full text-center border border-primary-cyan/20"
+      >
+        <div className="text-7xl mb-4">🧭</div>
+        <h1 className="text-4xl font-bold mb-2">
+          <span className="gradient-text">404</span>
+        </h1>
+        <p className="text-gray-400 mb-2">{message || "This page doesn't exist."}</p>
+        <p className="text-xs text-gray-500 mb-8 break-all">{location.pathname}</p>
+        <div className="flex flex-col sm:flex-row gap-3 justify-center">
+          <Link
+            to={PATHS.home}
+            className="px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold"
+          >
+            Go Home
+          </Link>
+          <Link
+            to={PATHS.find}
+            className="px-6 py-3 bg-white/5 border border-white/10 text-gray-300 rounded-xl font-semibold hover:bg-white/10"
+          >
+            Find an Item
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
+
+export default NotFoundPage
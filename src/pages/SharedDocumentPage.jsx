@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef } from 'react'
+import { motion } from 'framer-motion'
+import { useParams } from 'react-router-dom'
+import { openDocumentShare, SHARE_STATUS_MESSAGES } from '../lib/documentShares'
+import { DOCUMENT_TYPES } from '../lib/documents'
+import { DocumentPage } from '../components/DocumentViewer'
+import { isPdfPage } from '../lib/documentFiles'
+
+/**
+ * SharedDocumentPage - public, read-only view of one shared document
+ * Shown for /share/<token> whether or not anyone is signed in. Only the
+ * document's name, type and pages are shown; every open counts as a view.
+ */
+const SharedDocumentPage = () => {
+  const { token } = useParams()
+  const [status, setStatus] = useState('loading') // 'loading' | 'passcode' | 'opened' | 'error'
+  const [shared, setShared] = useState(null)
+  const [passcode, setPasscode] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const openedRef = useRef(false)
+
+  const open = async (code = '') => {
+    const result = await openDocumentShare(token, code)
+    if (result.success) {
+      setShared(result.data)
+      setStatus('opened')
+      setError('')
+    } else if (result.status === 'passcode_required') {
+      setStatus('passcode')
+    } else if (result.status === 'wrong_passcode') {
+      setStatus('passcode')
+      setError(result.error)
+    } else {
+      setStatus('error')
+      setError(result.error || SHARE_STATUS_MESSAGES.not_found)
+    }
+  }
+
+  // Opening counts a view, so only do it once (StrictMode runs effects twice)
+  useEffect(() => {
+    if (openedRef.current) return
+    openedRef.current = true
+    open()
+  }, [token])
+
+  // Free the downloaded pages
+  useEffect(() => {
+    return () => {
+      shared?.pages.forEach(page => URL.revokeObjectURL(page.url))
+    }
+  }, [shared])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!passcode.trim()) return
+    setSubmitting(true)
+    setError('')
+    await open(passcode)
+    setSubmitting(false)
+  }
+
+  const type = shared && DOCUMENT_TYPES.find(t => t.value === shared.document_type)
+
+  return (
+    <div className="min-h-screen pt-12 pb-12 px-4 sm:px-6 bg-gradient-to-b from-dark-100 via-dark-100 to-dark-200">
+      <div className="max-w-4xl mx-auto">
+        <div className="text-center mb-8">
+          <span className="text-lg font-bold gradient-text">FindIt AI</span>
+          <p className="text-gray-500 text-sm">Shared document</p>
+        </div>
+
+        {status === 'loading' && (
+          <div className="text-center py-20">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+            <p className="mt-3 text-gray-500 text-sm">Opening link...</p>
+          </div>
+        )}
+
+        {status === 'passcode' && (
+          <motion.form
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            onSubmit={handleSubmit}
+            className="glass rounded-2xl p-8 max-w-md mx-auto border border-amber-500/30"
+          >
+            <div className="text-5xl mb-4 text-center">🔒</div>
+            <h1 className="text-2xl font-bold mb-2 text-center text-white">Enter the passcode</h1>
+            <p className="text-gray-400 text-sm text-center mb-6">
+              The person who shared this document protected it with a passcode.
+            </p>
+            <input
+              type="password"
+              value={passcode}
+              onChange={(e) => setPasscode(e.target.value)}
+              autoFocus
+              autoComplete="off"
+              className="w-full px-4 py-3 mb-4 rounded-xl bg-dark-100 border border-white/10 text-gray-100 placeholder-gray-500 focus:border-amber-500/50 focus:outline-none caret-amber-400"
+              placeholder="Passcode"
+            />
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3 mb-4 text-red-300 text-sm">
+                {error}
+              </div>
+            )}
+            <button
+              type="submit"
+              disabled={submitting || !passcode.trim()}
+              className="w-full px-6 py-3 bg-gradient-to-r from-amber-500 to-orange-500 text-white rounded-xl font-bold disabled:opacity-50"
+            >
+              {submitting ? 'Checking...' : 'Open document'}
+            </button>
+          </motion.form>
+        )}
+
+        {status === 'error' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="glass rounded-2xl p-8 max-w-md mx-auto text-center border border-white/10"
+          >
+            <div className="text-5xl mb-4">⛔</div>
+            <h1 className="text-2xl font-bold mb-2 text-white">Can't open this link</h1>
+            <p className="text-gray-400">{error}</p>
+          </motion.div>
+        )}
+
+        {status === 'opened' && shared && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <div className="flex items-center gap-3 mb-4">
+              <span className="text-3xl">{type?.icon || '📄'}</span>
+              <div className="min-w-0">
+                <h1 className="text-2xl font-bold text-white truncate">{shared.document_name}</h1>
+                <p className="text-sm text-amber-400">{type?.label || 'Document'}</p>
+              </div>
+            </div>
+            <div className="space-y-6">
+              {shared.pages.map((page, index) => (
+                <div key={page.url}>
+                  {shared.pages.length > 1 && (
+                    <p className="text-xs text-gray-500 mb-2">Page {index + 1} of {shared.pages.length}</p>
+                  )}
+                  <DocumentPage
+                    page={page}
+                    title={`${shared.document_name}, page ${index + 1}`}
+                    className={`block mx-auto bg-black/40 border border-white/10 ${isPdfPage(page) ? 'h-[80vh]' : 'w-full max-h-[80vh]'}`}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 text-center mt-4">
+              This link works until {new Date(shared.expires_at).toLocaleString()}, unless the owner revokes it sooner.
+            </p>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SharedDocumentPage
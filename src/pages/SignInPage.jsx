@@ -1,8 +1,14 @@
 import { useState } from 'react'
 import { motion } from 'framer-motion'
+import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
+import { PATHS } from '../lib/routes'
 
-const SignInPage = ({ onNavigate }) => {
+const SignInPage = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  // Keep the page the user was headed for when switching between sign in and sign up
+  const goTo = (path) => navigate(path, { state: location.state })
   const { signIn } = useAuth()
   const [formData, setFormData] = useState({
     email: '',
@@ -36,7 +42,7 @@ const SignInPage = ({ onNavigate }) => {
       setError(result.error || 'Invalid email or password')
       setLoading(false)
     }
-    // If success, user state will update and App.jsx will handle navigation
+    // If success, user state will update and App.jsx sends the user on to the page they asked for
   }
 
   return (
@@ -117,7 +123,7 @@ const SignInPage = ({ onNavigate }) => {
             <p className="text-gray-600">
               Don't have an account?{' '}
               <button
-                onClick={() => onNavigate('signup')}
+                onClick={() => goTo(PATHS.signUp)}
                 className="text-primary-cyan font-semibold hover:underline"
               >
                 Sign Up
@@ -1,8 +1,14 @@
 import { useState } from 'react'
 import { motion } from 'framer-motion'
+import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
+import { PATHS } from '../lib/routes'
 
-const SignUpPage = ({ onNavigate }) => {
+const SignUpPage = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  // Keep the page the user was headed for when switching between sign in and sign up
+  const goTo = (path) => navigate(path, { state: location.state })
   const { signUp } = useAuth()
   const [formData, setFormData] = useState({
     name: '',
@@ -42,7 +48,7 @@ const SignUpPage = ({ onNavigate }) => {
     if (result.success) {
       setSuccess(true)
       setTimeout(() => {
-        onNavigate('signin')
+        goTo(PATHS.signIn)
       }, 2000)
     } else {
       setError(result.error || 'Failed to sign up. Please try again.')
@@ -158,7 +164,7 @@ const SignUpPage = ({ onNavigate }) => {
               <p className="text-gray-600">
                 Already have an account?{' '}
                 <button
-                  onClick={() => onNavigate('signin')}
+                  onClick={() => goTo(PATHS.signIn)}
                   className="text-primary-cyan font-semibold hover:underline"
                 >
                   Sign In
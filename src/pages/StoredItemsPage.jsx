@@ -1,27 +1,41 @@
 import { useState, useEffect, useMemo, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { getAllItems, deleteItem } from '../lib/items'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import { getAllItems, deleteItem, restoreItem } from '../lib/items'
 import LazyImage from '../components/LazyImage'
+import LocationHistory from '../components/LocationHistory'
+import LocationBrowser from '../components/LocationBrowser'
+import ImportItemsModal from '../components/ImportItemsModal'
+import UndoToast from '../components/UndoToast'
+import ItemEditModal from '../components/ItemEditModal'
+import PhotoGallery from '../components/PhotoGallery'
+import { getLocations } from '../lib/locations'
 import { useCachedData } from '../hooks/useDataCache'
+import { useQueryState } from '../hooks/useQueryState'
+import { itemPath } from '../lib/routes'
 
 /**
  * StoredItemsPage - Displays all user's stored items
- * Supports two view modes: Category (grouped by category) and Timeline (grouped by date)
+ * Supports three view modes: Category (grouped by category), Timeline (grouped by date)
+ * and Places (browse the location tree from rooms down to drawers)
  * Features: Edit, Delete with confirmation, Recently added highlighting
+ * ?view= picks the view mode; each item links to its own page (/items/:itemId)
  */
 const StoredItemsPage = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
   const [items, setItems] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [deleteId, setDeleteId] = useState(null)
   const [editingId, setEditingId] = useState(null)
-  const [editForm, setEditForm] = useState({
-    item_name: '',
-    location: '',
-    category: ''
-  })
   const [deleting, setDeleting] = useState(false)
-  const [viewMode, setViewMode] = useState('category') // 'category' or 'timeline'
+  const [historyItem, setHistoryItem] = useState(null)
+  const [showImport, setShowImport] = useState(false)
+  // An item deleted on its own page comes back here with an undo offer
+  const [trashedItem, setTrashedItem] = useState(location.state?.trashedItem || null)
+  const [viewingImage, setViewingImage] = useState(null)
+  const [viewMode, setViewMode] = useQueryState('view', 'category') // 'category', 'timeline' or 'places'
 
   /**
    * Check if an item was recently added (within last 5 minutes)
@@ -125,8 +139,15 @@ const StoredItemsPage = () => {
     data: cachedItems, 
     loading: cacheLoading, 
     refresh: refreshItems,
-    invalidateCache 
-  } = useCachedData(getAllItems, 30000) // Cache for 30 seconds
+    invalidateCache,
+    mutate: mutateItems
+  } = useCachedData(getAllItems, 30000, { liveTable: 'items' }) // Cache for 30 seconds
+
+  const {
+    data: cachedLocations,
+    mutate: mutateLocations
+  } = useCachedData(getLocations, 30000)
+  const locations = cachedLocations || []
 
   useEffect(() => {
     if (cachedItems) {
@@ -137,28 +158,30 @@ const StoredItemsPage = () => {
     }
   }, [cachedItems, cacheLoading])
 
+  // Don't offer the same undo again on refresh or back
+  useEffect(() => {
+    if (location.state?.trashedItem) {
+      navigate(`${location.pathname}${location.search}`, { replace: true, state: null })
+    }
+  }, [])
+
   const fetchItems = useCallback(async () => {
     setLoading(true)
     await refreshItems()
     setLoading(false)
   }, [refreshItems])
 
-  const handleEditClick = (item) => {
-    setEditingId(item.id)
-    setEditForm({
-      item_name: item.item_name,
-      location: item.location,
-      category: item.category || ''
-    })
-  }
+  const handleEditClick = (item) => setEditingId(item.id)
+  const editingItem = editingId ? items.find(item => item.id === editingId) : null
 
   const handleDelete = async (id) => {
     setDeleting(true)
     const result = await deleteItem(id)
     
     if (result.success) {
-      setItems(items.filter(item => item.id !== id))
+      mutateItems(current => (current || items).filter(item => item.id !== id))
       setDeleteId(null)
+      setTrashedItem(result.data)
     } else {
       setError(result.error || 'Failed to delete item')
     }
@@ -166,6 +189,20 @@ const StoredItemsPage = () => {
     setDeleting(false)
   }
 
+  const handleUndoDelete = async () => {
+    const result = await restoreItem(trashedItem.id)
+
+    if (result.success) {
+      mutateItems(current => [...(current || items), result.data]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)))
+    } else {
+      setError(result.error || 'Failed to restore item')
+    }
+    setTrashedItem(null)
+  }
+
+  const dismissUndo = useCallback(() => setTrashedItem(null), [])
+
   return (
     <div className="min-h-screen pt-24 pb-12 px-4 sm:px-6">
       <div className="max-w-7xl mx-auto">
@@ -190,6 +227,12 @@ const StoredItemsPage = () => {
             <p className="text-lg md:text-xl text-gray-400">
               All your saved items in one place
             </p>
+            <button
+              onClick={() => setShowImport(true)}
+              className="mt-4 px-4 py-2 text-sm text-primary-cyan border border-primary-cyan/30 rounded-xl hover:bg-primary-cyan/10 transition-colors"
+            >
+              📥 Import from CSV / JSON
+            </button>
           </div>
 
           {/* Error Message */}
@@ -238,6 +281,14 @@ const StoredItemsPage = () => {
               <p className="text-gray-400 mb-8 max-w-md mx-auto">
                 Start adding items to never forget where they are. Your AI-powered memory awaits!
               </p>
+              <motion.button
+                onClick={() => setShowImport(true)}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                className="px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold"
+              >
+                📥 Import a spreadsheet
+              </motion.button>
             </motion.div>
           ) : (
             <>
@@ -284,11 +335,28 @@ const StoredItemsPage = () => {
                   >
                     <span>📅</span> Timeline
                   </button>
+                  <button
+                    onClick={() => setViewMode('places')}
+                    className={`px-4 py-2 rounded-md text-sm font-medium flex items-center gap-2 transition-all ${
+                      viewMode === 'places'
+                        ? 'bg-primary-cyan/20 text-primary-cyan border border-primary-cyan/30'
+                        : 'text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    <span>🏠</span> Places
+                  </button>
                 </div>
               </motion.div>
 
-              {/* Timeline View */}
-              {viewMode === 'timeline' ? (
+              {/* Places View */}
+              {viewMode === 'places' ? (
+                <LocationBrowser
+                  locations={locations}
+                  items={items}
+                  onLocationAdded={(location) => mutateLocations(current => [...(current || []), location])}
+                  onEditItem={handleEditClick}
+                />
+              ) : viewMode === 'timeline' ? (
                 <div className="space-y-8">
                   {timelineGroups.map(({ groupName, items: groupItems }) => (
                     <section key={groupName}>
@@ -324,9 +392,13 @@ const StoredItemsPage = () => {
                             <div className="flex items-start gap-4">
                               {/* Image Thumbnail */}
                               {item.image_url ? (
-                                <div className="w-16 h-16 rounded-lg overflow-hidden flex-shrink-0 bg-white/5">
-                                  <img src={item.image_url} alt={item.item_name} className="w-full h-full object-cover" />
-                                </div>
+                                <button
+                                  type="button"
+                                  onClick={() => setViewingImage(item)}
+                                  className="w-16 h-16 rounded-lg overflow-hidden flex-shrink-0 bg-white/5"
+                                >
+                                  <LazyImage src={item.image_url} alt={item.item_name} thumbnail className="w-full h-full" placeholderClassName="bg-white/5" />
+                                </button>
                               ) : (
                                 <div className="w-16 h-16 rounded-lg bg-primary-cyan/10 flex items-center justify-center flex-shrink-0 text-2xl">
                                   📦
@@ -337,7 +409,9 @@ const StoredItemsPage = () => {
                               <div className="flex-1 min-w-0">
                                 <div className="flex items-start justify-between gap-4">
                                   <div>
-                                    <h3 className="font-semibold text-white truncate">{item.item_name}</h3>
+                                    <h3 className="font-semibold text-white truncate">
+                                      <Link to={itemPath(item.id)} className="hover:text-primary-cyan transition-colors">{item.item_name}</Link>
+                                    </h3>
                                     <p className="text-sm text-gray-400 truncate">📍 {item.location}</p>
                                   </div>
                                   <div className="text-right flex-shrink-0">
@@ -361,6 +435,13 @@ const StoredItemsPage = () => {
                               >
                                 Edit
                               </button>
+                              <button
+                                onClick={() => setHistoryItem(item)}
+                                className="px-3 py-1.5 text-xs font-medium bg-white/5 border border-white/10 text-gray-300 rounded-lg hover:bg-white/10 transition-all"
+                                title="Location history"
+                              >
+                                🕓
+                              </button>
                               <button
                                 onClick={() => setDeleteId(item.id)}
                                 className="flex-1 px-3 py-1.5 text-xs font-medium bg-red-500/10 border border-red-500/20 text-red-400 rounded-lg hover:bg-red-500/20 transition-all"
@@ -419,13 +500,24 @@ const StoredItemsPage = () => {
                             )}
                             {/* Image */}
                             {item.image_url ? (
-                              <div className="h-48 overflow-hidden bg-white/5 relative">
-                                <img
+                              <div
+                                className="h-48 overflow-hidden bg-white/5 relative cursor-zoom-in"
+                                onClick={() => setViewingImage(item)}
+                              >
+                                <LazyImage
                                   src={item.image_url}
                                   alt={item.item_name}
-                                  className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-700"
+                                  thumbnail
+                                  className="w-full h-full"
+                                  imgClassName="group-hover:scale-110 transition-transform duration-700"
+                                  placeholderClassName="bg-white/5"
                                 />
                                 <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity" />
+                                {item.photo_count > 1 && (
+                                  <span className="absolute bottom-3 right-3 px-2 py-0.5 bg-black/60 backdrop-blur-sm text-white text-xs rounded-full">
+                                    📷 {item.photo_count}
+                                  </span>
+                                )}
                               </div>
                             ) : (
                               <div className="h-48 bg-gradient-to-br from-primary-cyan/10 via-blue-500/10 to-purple-500/10 flex items-center justify-center relative overflow-hidden">
@@ -443,7 +535,7 @@ const StoredItemsPage = () => {
                             {/* Content */}
                             <div className="p-6 space-y-4">
                               <h3 className="text-xl font-bold text-white group-hover:text-primary-cyan transition-colors line-clamp-1">
-                                {item.item_name}
+                                <Link to={itemPath(item.id)}>{item.item_name}</Link>
                               </h3>
                               
                               <div className="space-y-2 text-sm">
@@ -465,6 +557,13 @@ const StoredItemsPage = () => {
                                 >
                                   Edit
                                 </button>
+                                <button
+                                  onClick={() => setHistoryItem(item)}
+                                  className="px-3 py-2 bg-white/5 border border-white/10 text-gray-300 rounded-lg hover:bg-white/10 transition-all text-sm"
+                                  title="Location history"
+                                >
+                                  🕓
+                                </button>
                                 <button
                                   onClick={() => setDeleteId(item.id)}
                                   className="flex-1 px-4 py-2 bg-red-500/10 border border-red-500/30 text-red-400 rounded-lg hover:bg-red-500/20 transition-all text-sm font-semibold"
@@ -519,7 +618,7 @@ const StoredItemsPage = () => {
               
               <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 mb-6">
                 <p className="text-gray-300 text-center text-sm leading-relaxed">
-                  This action <span className="font-bold text-red-400">cannot be undone</span>. The item and its image will be permanently removed from your storage.
+                  The item will be moved to the <span className="font-bold text-red-400">Trash</span>. You can restore it from there for 30 days.
                 </p>
               </div>
               
@@ -553,7 +652,7 @@ const StoredItemsPage = () => {
                   ) : (
                     <>
                       <span>🗑️</span>
-                      <span>Delete Forever</span>
+                      <span>Move to Trash</span>
                     </>
                   )}
                 </motion.button>
@@ -563,15 +662,71 @@ const StoredItemsPage = () => {
         )}
       </AnimatePresence>
 
-      {/* Edit Modal (Placeholder for future implementation) */}
+      {/* Undo delete */}
       <AnimatePresence>
-        {editingId && (
+        {trashedItem && (
+          <UndoToast
+            key={trashedItem.id}
+            message={`"${trashedItem.item_name}" moved to Trash`}
+            onUndo={handleUndoDelete}
+            onDismiss={dismissUndo}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Photo Viewer - the only place full-size photos are loaded */}
+      <AnimatePresence>
+        {viewingImage && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/95 flex items-center justify-center z-50 px-4"
+            onClick={() => setViewingImage(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.9 }}
+              animate={{ scale: 1 }}
+              exit={{ scale: 0.9 }}
+              className="relative max-w-5xl max-h-[90vh]"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <PhotoGallery
+                item={viewingImage}
+                keyboard
+                className="rounded-lg"
+                imgClassName="max-w-full max-h-[90vh] rounded-lg object-contain"
+              />
+              <button
+                onClick={() => setViewingImage(null)}
+                className="absolute -top-4 -right-4 w-10 h-10 bg-white/10 backdrop-blur rounded-full flex items-center justify-center text-white hover:bg-white/20"
+              >
+                ✕
+              </button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Import Modal */}
+      <AnimatePresence>
+        {showImport && (
+          <ImportItemsModal
+            onClose={() => setShowImport(false)}
+            onImported={(imported) => mutateItems(current => [...imported, ...(current || items)])}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Location History Modal */}
+      <AnimatePresence>
+        {historyItem && (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
             className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 px-4"
-            onClick={() => setEditingId(null)}
+            onClick={() => setHistoryItem(null)}
           >
             <motion.div
               initial={{ scale: 0.8, opacity: 0, y: 20 }}
@@ -579,27 +734,42 @@ const StoredItemsPage = () => {
               exit={{ scale: 0.8, opacity: 0, y: 20 }}
               transition={{ type: "spring", stiffness: 300, damping: 25 }}
               onClick={(e) => e.stopPropagation()}
-              className="glass rounded-2xl p-8 max-w-md w-full border border-primary-cyan/30"
+              className="glass rounded-2xl p-8 max-w-md w-full border border-primary-cyan/30 max-h-[90vh] overflow-y-auto"
             >
-              <div className="text-5xl mb-4 text-center">✏️</div>
-              <h3 className="text-2xl font-bold mb-4 text-center">
-                Edit <span className="gradient-text">Item</span>
+              <div className="text-5xl mb-4 text-center">🕓</div>
+              <h3 className="text-2xl font-bold mb-1 text-center">
+                Where was <span className="gradient-text">{historyItem.item_name}</span>?
               </h3>
-              <p className="text-gray-400 text-center mb-6">
-                Edit functionality coming soon! For now, you can delete and re-add items.
-              </p>
+              <p className="text-gray-400 text-center text-sm mb-6">📍 Now: {historyItem.location}</p>
+              <LocationHistory itemId={historyItem.id} className="mb-6" />
               <motion.button
-                onClick={() => setEditingId(null)}
+                onClick={() => setHistoryItem(null)}
                 whileHover={{ scale: 1.02 }}
                 whileTap={{ scale: 0.98 }}
                 className="w-full px-6 py-3 bg-gradient-to-r from-primary-cyan to-blue-500 text-white rounded-xl font-bold"
               >
-                Got it
+                Close
               </motion.button>
             </motion.div>
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Edit Modal */}
+      <AnimatePresence>
+        {editingItem && (
+          <ItemEditModal
+            item={editingItem}
+            locations={locations}
+            onSaved={(updated) => {
+              mutateItems(current => (current || items).map(item => item.id === updated.id ? updated : item))
+              setEditingId(null)
+            }}
+            onPhotosChanged={refreshItems}
+            onClose={() => setEditingId(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   )
 }
@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { getTrash, emptyTrash, daysUntilPurge, TRASH_RETENTION_DAYS } from '../lib/trash'
+import { restoreItem, permanentlyDeleteItem } from '../lib/items'
+import { restoreDocument, permanentlyDeleteDocument } from '../lib/documents'
+
+// Per-kind actions, so the list can treat items and documents the same way
+const KINDS = {
+  items: {
+    icon: '📦',
+    nameOf: (row) => row.item_name,
+    detailOf: (row) => `📍 ${row.location}`,
+    restore: restoreItem,
+    remove: permanentlyDeleteItem
+  },
+  documents: {
+    icon: '📋',
+    nameOf: (row) => row.document_name,
+    detailOf: (row) => row.document_type,
+    restore: restoreDocument,
+    remove: permanentlyDeleteDocument
+  }
+}
+
+const TrashPage = () => {
+  const [trash, setTrash] = useState({ items: [], documents: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [busyId, setBusyId] = useState(null)
+  const [confirmEmpty, setConfirmEmpty] = useState(false)
+  const [emptying, setEmptying] = useState(false)
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true)
+    const result = await getTrash()
+    if (result.success) {
+      setTrash(result.data)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    loadTrash()
+  }, [loadTrash])
+
+  const removeFromList = (kind, id) => {
+    setTrash(current => ({ ...current, [kind]: current[kind].filter(row => row.id !== id) }))
+  }
+
+  const handleRestore = async (kind, row) => {
+    setBusyId(row.id)
+    setError('')
+    const result = await KINDS[kind].restore(row.id)
+    if (result.success) {
+      removeFromList(kind, row.id)
+    } else {
+      setError(result.error || 'Failed to restore')
+    }
+    setBusyId(null)
+  }
+
+  const handlePermanentDelete = async (kind, row) => {
+    setBusyId(row.id)
+    setError('')
+    const result = await KINDS[kind].remove(row.id)
+    if (result.success) {
+      removeFromList(kind, row.id)
+    } else {
+      setError(result.error || 'Failed to delete')
+    }
+    setBusyId(null)
+  }
+
+  const handleEmptyTrash = async () => {
+    setEmptying(true)
+    setError('')
+    const result = await emptyTrash()
+    if (result.success) {
+      setTrash({ items: [], documents: [] })
+    } else {
+      setError(result.error || 'Failed to empty the Trash')
+    }
+    setEmptying(false)
+    setConfirmEmpty(false)
+  }
+
+  const total = trash.items.length + trash.documents.length
+
+  const renderSection = (kind, title) => {
+    const rows = trash[kind]
+    if (rows.length === 0) return null
+
+    return (
+      <section className="mb-10">
+        <h2 className="text-xl font-semibold text-white mb-4">
+          {title} <span className="text-gray-500 text-base">({rows.length})</span>
+        </h2>
+        <div className="space-y-3">
+          {rows.map(row => {
+            const daysLeft = daysUntilPurge(row.deleted_at)
+            return (
+              <motion.div
+                key={row.id}
+                layout
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="flex items-center gap-4 glass rounded-xl border border-white/5 p-4 flex-wrap"
+              >
+                {row.image_url ? (
+                  <img src={row.image_url} alt={KINDS[kind].nameOf(row)} className="w-14 h-14 rounded-lg object-cover flex-shrink-0 opacity-70" />
+                ) : (
+                  <div className="w-14 h-14 rounded-lg bg-white/5 flex items-center justify-center flex-shrink-0 text-2xl">
+                    {KINDS[kind].icon}
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-white truncate">{KINDS[kind].nameOf(row)}</div>
+                  <div className="text-xs text-gray-400 truncate">{KINDS[kind].detailOf(row)}</div>
+                  <div className={`text-xs mt-1 ${daysLeft <= 3 ? 'text-red-400' : 'text-gray-500'}`}>
+                    Deleted {new Date(row.deleted_at).toLocaleDateString()} · removed for good in {daysLeft} {daysLeft === 1 ? 'day' : 'days'}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleRestore(kind, row)}
+                    disabled={busyId === row.id}
+                    className="px-3 py-2 text-sm text-primary-cyan border border-primary-cyan/30 rounded-lg hover:bg-primary-cyan/10 disabled:opacity-50"
+                  >
+                    ↩️ Restore
+                  </button>
+                  <button
+                    onClick={() => handlePermanentDelete(kind, row)}
+                    disabled={busyId === row.id}
+                    className="px-3 py-2 text-sm text-red-400 border border-red-500/30 rounded-lg hover:bg-red-500/10 disabled:opacity-50"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </motion.div>
+            )
+          })}
+        </div>
+      </section>
+    )
+  }
+
+  return (
+    <div className="min-h-screen pt-24 pb-12 px-4 sm:px-6">
+      <div className="max-w-4xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          {/* Header */}
+          <div className="text-center mb-12">
+            <motion.div
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              transition={{ type: "spring", stiffness: 200, delay: 0.2 }}
+              className="text-7xl mb-4"
+            >
+              🗑️
+            </motion.div>
+            <h1 className="text-4xl md:text-5xl lg:text-6xl font-bold mb-4">
+              <span className="gradient-text">Trash</span>
+            </h1>
+            <p className="text-lg md:text-xl text-gray-400">
+              Deleted items and documents are kept for {TRASH_RETENTION_DAYS} days
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-8 text-red-300">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex flex-col items-center justify-center py-20">
+              <motion.div
+                animate={{ rotate: 360 }}
+                transition={{ duration: 1.5, repeat: Infinity, ease: "linear" }}
+                className="w-16 h-16 border-4 border-primary-cyan/20 border-t-primary-cyan rounded-full mb-6"
+              />
+              <p className="text-gray-400 text-lg">Loading the Trash...</p>
+            </div>
+          ) : total === 0 ? (
+            <div className="glass rounded-2xl p-12 text-center border border-primary-cyan/20">
+              <div className="text-7xl mb-4">✨</div>
+              <h3 className="text-2xl font-bold mb-2">The Trash is empty</h3>
+              <p className="text-gray-400">Anything you delete shows up here first.</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex justify-end mb-6">
+                <button
+                  onClick={() => setConfirmEmpty(true)}
+                  className="px-4 py-2 text-sm text-red-400 border border-red-500/30 rounded-xl hover:bg-red-500/10"
+                >
+                  Empty Trash ({total})
+                </button>
+              </div>
+              {renderSection('items', 'Items')}
+              {renderSection('documents', 'Documents')}
+            </>
+          )}
+        </motion.div>
+      </div>
+
+      {/* Empty Trash confirmation */}
+      <AnimatePresence>
+        {confirmEmpty && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 px-4"
+            onClick={() => !emptying && setConfirmEmpty(false)}
+          >
+            <motion.div
+              initial={{ scale: 0.8, opacity: 0, y: 20 }}
+              animate={{ scale: 1, opacity: 1, y: 0 }}
+              exit={{ scale: 0.8, opacity: 0, y: 20 }}
+              transition={{ type: "spring", stiffness: 300, damping: 25 }}
+              onClick={(e) => e.stopPropagation()}
+              className="glass rounded-2xl p-8 max-w-md w-full border border-red-500/30 shadow-2xl text-center"
+            >
+              <div className="text-6xl mb-4">⚠️</div>
+              <h3 className="text-2xl font-bold mb-4">
+                Empty <span className="text-red-400">Trash?</span>
+              </h3>
+              <p className="text-gray-300 text-sm mb-6">
+                {total} {total === 1 ? 'entry' : 'entries'} and their images will be permanently removed.
+                This action <span className="font-bold text-red-400">cannot be undone</span>.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setConfirmEmpty(false)}
+                  disabled={emptying}
+                  className="flex-1 px-6 py-3 border-2 border-gray-600 text-gray-300 rounded-xl hover:bg-white/5 font-bold disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleEmptyTrash}
+                  disabled={emptying}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-red-500 to-red-600 text-white rounded-xl font-bold disabled:opacity-50"
+                >
+                  {emptying ? 'Deleting...' : 'Delete Forever'}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default TrashPage
@@ -0,0 +1,58 @@
+/**
+ * Service worker (built by vite-plugin-pwa, see vite.config.js)
+ * - Precaches the app shell and every page chunk, so the app opens offline
+ *   and lazily loaded pages still load without a connection
+ * - Answers every in-app URL with the app shell; offline.html is the last resort
+ * - Keeps item thumbnails from Supabase Storage on the device
+ * - Receives photos shared from other apps (Web Share Target)
+ */
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL, matchPrecache } from 'workbox-precaching'
+import { registerRoute, NavigationRoute, setCatchHandler } from 'workbox-routing'
+import { CacheFirst } from 'workbox-strategies'
+import { ExpirationPlugin } from 'workbox-expiration'
+import { CacheableResponsePlugin } from 'workbox-cacheable-response'
+import { clientsClaim } from 'workbox-core'
+import { SHARE_TARGET_PATH, SHARED_PARAM, storeSharedPhotos } from './lib/shareTarget'
+import { PATHS, withQuery } from './lib/routes'
+
+// New versions take over straight away (registerType: 'autoUpdate')
+self.skipWaiting()
+clientsClaim()
+
+precacheAndRoute(self.__WB_MANIFEST)
+cleanupOutdatedCaches()
+
+// The router in App.jsx handles every path, so any navigation gets the app shell
+registerRoute(new NavigationRoute(createHandlerBoundToURL('/index.html')))
+
+// Item thumbnails (public item-images bucket, *.thumb.jpg - see thumbnailPathFor in
+// storage.js). Their paths never change, so a stored copy is always good.
+const THUMBNAIL_MAX_AGE = 60 * 60 * 24 * 60
+registerRoute(
+  ({ url }) => url.pathname.includes('/storage/v1/object/public/item-images/') && url.pathname.endsWith('.thumb.jpg'),
+  new CacheFirst({
+    cacheName: 'item-thumbnails',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: THUMBNAIL_MAX_AGE, purgeOnQuotaError: true })
+    ]
+  })
+)
+
+// Photos shared to the app: keep them and open the Add Item page to use them
+registerRoute(
+  ({ url }) => url.pathname === SHARE_TARGET_PATH,
+  async ({ request }) => {
+    await storeSharedPhotos(await request.formData())
+    return Response.redirect(withQuery(PATHS.add, { [SHARED_PARAM]: '1' }), 303)
+  },
+  'POST'
+)
+
+// A page that couldn't be served at all (e.g. the shell is missing from the cache)
+setCatchHandler(async ({ request }) => {
+  if (request.destination === 'document') {
+    return (await matchPrecache('/offline.html')) || Response.error()
+  }
+  return Response.error()
+})
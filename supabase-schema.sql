@@ -9,10 +9,18 @@ CREATE TABLE IF NOT EXISTS items (
     item_name TEXT NOT NULL,
     location TEXT NOT NULL,
     category TEXT,
-    image_url TEXT,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    image_url TEXT, -- Cover photo (see ITEM PHOTOS)
+    photo_count INT NOT NULL DEFAULT 0, -- Maintained from item_photos
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Migration for existing projects (items created before edit support)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Soft delete: set when an item is moved to the Trash (see TRASH below)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
 -- Create index for faster queries
 CREATE INDEX IF NOT EXISTS items_user_id_idx ON items(user_id);
 CREATE INDEX IF NOT EXISTS items_created_at_idx ON items(created_at DESC);
@@ -50,6 +58,271 @@ CREATE POLICY "Users can delete their own items"
     FOR DELETE
     USING (auth.uid() = user_id);
 
+-- =====================================================
+-- Locations (house -> room -> furniture -> container)
+-- =====================================================
+-- A tree of places. Items point at a node through items.location_id;
+-- items.location keeps the free-text note.
+
+CREATE TABLE IF NOT EXISTS locations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES locations(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    kind TEXT, -- 'house', 'room', 'furniture', 'container'
+    image_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT locations_not_own_parent CHECK (parent_id IS NULL OR parent_id <> id)
+);
+
+CREATE INDEX IF NOT EXISTS locations_user_id_idx ON locations(user_id);
+CREATE INDEX IF NOT EXISTS locations_parent_id_idx ON locations(parent_id);
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS items_location_id_idx ON items(location_id);
+
+ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own locations
+CREATE POLICY "Users can view their own locations"
+    ON locations
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can insert their own locations
+CREATE POLICY "Users can insert their own locations"
+    ON locations
+    FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own locations
+CREATE POLICY "Users can update their own locations"
+    ON locations
+    FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can delete their own locations
+CREATE POLICY "Users can delete their own locations"
+    ON locations
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- =====================================================
+-- Item Location History
+-- =====================================================
+-- One row per location change, so moving an item never loses
+-- where it used to be. from_location is NULL for the first entry.
+
+CREATE TABLE IF NOT EXISTS item_location_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    from_location TEXT,
+    to_location TEXT NOT NULL,
+    moved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS item_location_history_item_id_idx ON item_location_history(item_id, moved_at DESC);
+CREATE INDEX IF NOT EXISTS item_location_history_user_id_idx ON item_location_history(user_id, moved_at DESC);
+
+ALTER TABLE item_location_history ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own location history
+CREATE POLICY "Users can view their own location history"
+    ON item_location_history
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can insert their own location history
+CREATE POLICY "Users can insert their own location history"
+    ON item_location_history
+    FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+-- Backfill: seed history with the current location of existing items
+INSERT INTO item_location_history (item_id, user_id, from_location, to_location, moved_at)
+SELECT i.id, i.user_id, NULL, i.location, i.created_at
+FROM items i
+WHERE NOT EXISTS (
+    SELECT 1 FROM item_location_history h WHERE h.item_id = i.id
+);
+
+-- =====================================================
+-- ITEM PHOTOS (gallery)
+-- =====================================================
+-- An item can have several photos in the item-images bucket, in order, one
+-- of them marked as the cover. items.image_url mirrors the cover (or the
+-- first photo when none is marked) and items.photo_count the number of
+-- photos; a trigger keeps both up to date, so only this table is written.
+
+CREATE TABLE IF NOT EXISTS item_photos (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    image_url TEXT NOT NULL, -- Public URL in the item-images bucket
+    position INT NOT NULL DEFAULT 0, -- Order in the gallery, from 0
+    is_cover BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS photo_count INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS item_photos_item_id_idx ON item_photos(item_id, position);
+CREATE INDEX IF NOT EXISTS item_photos_user_id_idx ON item_photos(user_id);
+-- At most one cover per item
+CREATE UNIQUE INDEX IF NOT EXISTS item_photos_one_cover_idx ON item_photos(item_id) WHERE is_cover;
+
+ALTER TABLE item_photos ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view photos of their own items
+CREATE POLICY "Users can view their own item photos"
+    ON item_photos
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can add photos to their own items
+CREATE POLICY "Users can insert their own item photos"
+    ON item_photos
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM items i WHERE i.id = item_id AND i.user_id = auth.uid())
+    );
+
+-- Policy: Users can reorder photos and change the cover
+-- (a photo can't be moved onto someone else's item)
+DROP POLICY IF EXISTS "Users can update their own item photos" ON item_photos;
+CREATE POLICY "Users can update their own item photos"
+    ON item_photos
+    FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM items i WHERE i.id = item_id AND i.user_id = auth.uid())
+    );
+
+-- Policy: Users can remove photos from their own items
+CREATE POLICY "Users can delete their own item photos"
+    ON item_photos
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Keep items.image_url / photo_count in step with the gallery
+CREATE OR REPLACE FUNCTION sync_item_photos()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    target UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.item_id ELSE NEW.item_id END;
+BEGIN
+    UPDATE items
+    SET image_url = (
+            SELECT p.image_url FROM item_photos p
+            WHERE p.item_id = target
+            ORDER BY p.is_cover DESC, p.position, p.created_at
+            LIMIT 1
+        ),
+        photo_count = (SELECT COUNT(*) FROM item_photos p WHERE p.item_id = target)
+    WHERE id = target;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS item_photos_sync_cover ON item_photos;
+CREATE TRIGGER item_photos_sync_cover
+    AFTER INSERT OR UPDATE OR DELETE ON item_photos
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_item_photos();
+
+-- Migration for existing projects: every item photo becomes its cover
+INSERT INTO item_photos (item_id, user_id, image_url, position, is_cover, created_at)
+SELECT i.id, i.user_id, i.image_url, 0, TRUE, i.created_at
+FROM items i
+WHERE i.image_url IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM item_photos p WHERE p.item_id = i.id);
+
+-- =====================================================
+-- Item Search (full-text + trigram, ranked server-side)
+-- =====================================================
+-- findItem and getItemSuggestions call search_items instead of
+-- downloading every row. It runs as the caller, so RLS applies.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted search document: name > category > location
+CREATE OR REPLACE FUNCTION items_search_document(item_name TEXT, category TEXT, location TEXT)
+RETURNS tsvector
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT setweight(to_tsvector('simple', coalesce(item_name, '')), 'A') ||
+           setweight(to_tsvector('simple', coalesce(category, '')), 'B') ||
+           setweight(to_tsvector('simple', coalesce(location, '')), 'C')
+$$;
+
+CREATE INDEX IF NOT EXISTS items_search_document_idx
+    ON items USING GIN (items_search_document(item_name, category, location));
+CREATE INDEX IF NOT EXISTS items_item_name_trgm_idx ON items USING GIN (item_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS items_location_trgm_idx ON items USING GIN (location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS items_category_trgm_idx ON items USING GIN (category gin_trgm_ops);
+
+-- Turn free text into an OR-of-prefixes query: "car keys" -> 'car':* | 'keys':*
+CREATE OR REPLACE FUNCTION items_search_query(search_query TEXT)
+RETURNS tsquery
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT to_tsquery('simple', string_agg(quote_literal(word) || ':*', ' | '))
+    FROM regexp_split_to_table(lower(coalesce(search_query, '')), '[^[:alnum:]]+') AS word
+    WHERE word <> ''
+$$;
+
+-- Ranked item search for the signed-in user
+-- Suggestions use the same function with a small result_limit.
+-- created_from/created_to (from inclusive, to exclusive) limit it to items
+-- added in that range before the limit applies, so "keys added last week"
+-- isn't cut down to the best matches from any time.
+-- The earlier two-argument version is dropped so calls aren't ambiguous.
+DROP FUNCTION IF EXISTS search_items(TEXT, INT);
+CREATE OR REPLACE FUNCTION search_items(
+    search_query TEXT,
+    result_limit INT DEFAULT 50,
+    created_from TIMESTAMPTZ DEFAULT NULL,
+    created_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS SETOF items
+LANGUAGE sql
+STABLE
+AS $$
+    WITH q AS (
+        SELECT items_search_query(search_query) AS ts,
+               lower(trim(search_query)) AS term
+    )
+    SELECT i.*
+    FROM items i, q
+    WHERE i.user_id = auth.uid()
+      AND i.deleted_at IS NULL
+      AND q.term <> ''
+      AND (created_from IS NULL OR i.created_at >= created_from)
+      AND (created_to IS NULL OR i.created_at < created_to)
+      AND (
+          items_search_document(i.item_name, i.category, i.location) @@ q.ts
+          OR q.term <% i.item_name
+          OR q.term <% i.location
+          OR q.term <% coalesce(i.category, '')
+          OR i.item_name ILIKE '%' || q.term || '%'
+          OR i.location ILIKE '%' || q.term || '%'
+          OR i.category ILIKE '%' || q.term || '%'
+      )
+    ORDER BY
+        coalesce(ts_rank(items_search_document(i.item_name, i.category, i.location), q.ts), 0) * 2
+            + word_similarity(q.term, i.item_name)
+            + CASE WHEN lower(i.item_name) LIKE q.term || '%' THEN 1 ELSE 0 END DESC,
+        i.created_at DESC
+    LIMIT greatest(result_limit, 1)
+$$;
+
 -- =====================================================
 -- Storage Bucket Setup (Run in Supabase Storage UI or via API)
 -- =====================================================
@@ -105,18 +378,91 @@ CREATE TABLE IF NOT EXISTS documents (
     user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
     document_name TEXT NOT NULL,
     document_type TEXT NOT NULL, -- 'id', 'certificate', 'receipt', 'contract', 'medical', 'financial', 'warranty', 'insurance', 'other'
-    description TEXT,
-    tags TEXT, -- Comma-separated tags for text-based search
-    image_url TEXT, -- Stored for reference only, no OCR
+    notes TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}', -- Lowercase tags, see normalizeTags in documents.js
+    image_path TEXT, -- Cover: first image page in the private document-images bucket (see DOCUMENT FILES); no OCR
+    page_count INT NOT NULL DEFAULT 0, -- Maintained from document_files
+    issue_date DATE,
+    expiry_date DATE,
+    renewal_lead_days INT NOT NULL DEFAULT 30 CHECK (renewal_lead_days >= 0), -- Remind this many days before expiry
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Soft delete: set when a document is moved to the Trash (see TRASH below)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Migration for existing projects: documents used to store the public URL
+-- of their image. The bucket is private now, so only the path is kept and
+-- the app signs short-lived URLs when it needs one.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS image_path TEXT;
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'documents' AND column_name = 'image_url'
+    ) THEN
+        UPDATE documents
+        SET image_path = substring(image_url FROM '/document-images/([^?]+)')
+        WHERE image_path IS NULL AND image_url IS NOT NULL;
+        ALTER TABLE documents DROP COLUMN image_url;
+    END IF;
+END $$;
+
+-- Migration for existing projects: expiry tracking
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS issue_date DATE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS expiry_date DATE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS renewal_lead_days INT NOT NULL DEFAULT 30 CHECK (renewal_lead_days >= 0);
+
+-- Migration for existing projects: the app reads and writes `notes` and a
+-- tag array, while older schemas had `description` and comma-separated `tags`
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- "Tax, 2024 ,, tax" -> {tax,2024}
+CREATE OR REPLACE FUNCTION split_document_tags(raw TEXT)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT coalesce(array_agg(DISTINCT tag ORDER BY tag), '{}')
+    FROM (
+        SELECT lower(btrim(part)) AS tag
+        FROM unnest(string_to_array(coalesce(raw, ''), ',')) AS part
+    ) parts
+    WHERE tag <> ''
+$$;
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'documents' AND column_name = 'description'
+    ) THEN
+        UPDATE documents SET notes = description WHERE notes IS NULL AND description IS NOT NULL;
+        ALTER TABLE documents DROP COLUMN description;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'documents' AND column_name = 'tags' AND data_type = 'text'
+    ) THEN
+        ALTER TABLE documents ALTER COLUMN tags TYPE TEXT[] USING split_document_tags(tags);
+    END IF;
+END $$;
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+UPDATE documents SET tags = '{}' WHERE tags IS NULL;
+ALTER TABLE documents ALTER COLUMN tags SET DEFAULT '{}';
+ALTER TABLE documents ALTER COLUMN tags SET NOT NULL;
+
 -- Create indexes for faster queries
 CREATE INDEX IF NOT EXISTS documents_user_id_idx ON documents(user_id);
 CREATE INDEX IF NOT EXISTS documents_created_at_idx ON documents(created_at DESC);
 CREATE INDEX IF NOT EXISTS documents_document_name_idx ON documents(document_name);
 CREATE INDEX IF NOT EXISTS documents_document_type_idx ON documents(document_type);
+CREATE INDEX IF NOT EXISTS documents_tags_idx ON documents USING GIN (tags);
+CREATE INDEX IF NOT EXISTS documents_expiry_date_idx ON documents(user_id, expiry_date) WHERE expiry_date IS NOT NULL AND deleted_at IS NULL;
 
 -- Enable RLS
 ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
@@ -146,18 +492,170 @@ CREATE POLICY "Users can delete their own documents"
     FOR DELETE
     USING (auth.uid() = user_id);
 
+-- =====================================================
+-- DOCUMENT FILES (pages)
+-- =====================================================
+-- A document is one or more ordered pages, each an image or a PDF in the
+-- document-images bucket. documents.image_path mirrors the first image page
+-- (the cover used for thumbnails) and documents.page_count the number of
+-- pages; a trigger keeps both up to date, so only this table is written.
+
+CREATE TABLE IF NOT EXISTS document_files (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL, -- Path in the document-images bucket
+    mime_type TEXT NOT NULL, -- image/* or application/pdf
+    page_index INT NOT NULL DEFAULT 0, -- Order within the document, from 0
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS page_count INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS document_files_document_id_idx ON document_files(document_id, page_index);
+CREATE INDEX IF NOT EXISTS document_files_user_id_idx ON document_files(user_id);
+
+ALTER TABLE document_files ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view pages of their own documents
+CREATE POLICY "Users can view their own document files"
+    ON document_files
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can add pages to their own documents
+CREATE POLICY "Users can insert their own document files"
+    ON document_files
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM documents d WHERE d.id = document_id AND d.user_id = auth.uid())
+    );
+
+-- Policy: Users can reorder pages of their own documents
+-- (a page can't be moved onto someone else's document)
+DROP POLICY IF EXISTS "Users can update their own document files" ON document_files;
+CREATE POLICY "Users can update their own document files"
+    ON document_files
+    FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM documents d WHERE d.id = document_id AND d.user_id = auth.uid())
+    );
+
+-- Policy: Users can remove pages from their own documents
+CREATE POLICY "Users can delete their own document files"
+    ON document_files
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Keep documents.image_path / page_count in step with the pages
+CREATE OR REPLACE FUNCTION sync_document_pages()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    target UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.document_id ELSE NEW.document_id END;
+BEGIN
+    UPDATE documents
+    SET image_path = (
+            SELECT f.file_path FROM document_files f
+            WHERE f.document_id = target AND f.mime_type LIKE 'image/%'
+            ORDER BY f.page_index, f.created_at
+            LIMIT 1
+        ),
+        page_count = (SELECT COUNT(*) FROM document_files f WHERE f.document_id = target)
+    WHERE id = target;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS document_files_sync_pages ON document_files;
+CREATE TRIGGER document_files_sync_pages
+    AFTER INSERT OR UPDATE OR DELETE ON document_files
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_document_pages();
+
+-- Migration for existing projects: every document image becomes page 1
+INSERT INTO document_files (document_id, user_id, file_path, mime_type, page_index, created_at)
+SELECT d.id, d.user_id, d.image_path,
+       CASE lower(substring(d.image_path FROM '\.([^.]+)$'))
+           WHEN 'png' THEN 'image/png'
+           WHEN 'gif' THEN 'image/gif'
+           WHEN 'webp' THEN 'image/webp'
+           ELSE 'image/jpeg'
+       END,
+       0, d.created_at
+FROM documents d
+WHERE d.image_path IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM document_files f WHERE f.document_id = d.id);
+
+-- =====================================================
+-- ITEM DOCUMENT LINKS
+-- =====================================================
+-- Ties documents to the items they're about: the receipt and warranty for
+-- the drill, the manual for the boiler. Either side can have any number of
+-- links; deleting the item or the document removes them.
+
+CREATE TABLE IF NOT EXISTS item_documents (
+    item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (item_id, document_id)
+);
+
+CREATE INDEX IF NOT EXISTS item_documents_document_id_idx ON item_documents(document_id);
+CREATE INDEX IF NOT EXISTS item_documents_user_id_idx ON item_documents(user_id);
+
+ALTER TABLE item_documents ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view links between their own items and documents
+CREATE POLICY "Users can view their own item document links"
+    ON item_documents
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can link their own items to their own documents
+CREATE POLICY "Users can insert their own item document links"
+    ON item_documents
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM items i WHERE i.id = item_id AND i.user_id = auth.uid()) AND
+        EXISTS (SELECT 1 FROM documents d WHERE d.id = document_id AND d.user_id = auth.uid())
+    );
+
+-- Policy: Users can unlink their own items and documents
+CREATE POLICY "Users can delete their own item document links"
+    ON item_documents
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
 -- =====================================================
 -- Storage Bucket for Document Images
 -- =====================================================
 
 -- Bucket: document-images
 -- Settings:
---   - Public: true (allows public read access)
---   - File size limit: 10MB
---   - Allowed MIME types: image/jpeg, image/png, image/gif, image/webp
+--   - Public: false (IDs and passports live here; the app hands out
+--     short-lived signed URLs instead)
+--   - File size limit: 20MB
+--   - Allowed MIME types: image/jpeg, image/png, image/gif, image/webp, application/pdf
 
 -- Note: Create the bucket in Supabase Dashboard:
--- Storage -> New Bucket -> Name: "document-images" -> Public: Yes
+-- Storage -> New Bucket -> Name: "document-images" -> Public: No
+
+-- Existing projects created it as public; make it private:
+UPDATE storage.buckets SET public = false WHERE id = 'document-images';
+
+-- ...and it didn't take PDFs or multi-page scans:
+UPDATE storage.buckets
+SET file_size_limit = 20 * 1024 * 1024,
+    allowed_mime_types = ARRAY['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf']
+WHERE id = 'document-images';
+DROP POLICY IF EXISTS "Public can view document images" ON storage.objects;
 
 -- Then apply these policies:
 
@@ -170,11 +668,14 @@ CREATE POLICY "Users can delete their own documents"
 --         auth.uid()::text = (storage.foldername(name))[1]
 --     );
 
--- Policy: Anyone can view document images (public bucket)
--- CREATE POLICY "Public can view document images"
+-- Policy: Users can read their own document images (needed to sign URLs)
+-- CREATE POLICY "Users can view their own document images"
 --     ON storage.objects
 --     FOR SELECT
---     USING (bucket_id = 'document-images');
+--     USING (
+--         bucket_id = 'document-images' AND
+--         auth.uid()::text = (storage.foldername(name))[1]
+--     );
 
 -- Policy: Users can delete their own document images
 -- CREATE POLICY "Users can delete their own document images"
@@ -184,3 +685,361 @@ CREATE POLICY "Users can delete their own documents"
 --         bucket_id = 'document-images' AND
 --         auth.uid()::text = (storage.foldername(name))[1]
 --     );
+
+-- =====================================================
+-- DOCUMENT SHARES
+-- =====================================================
+-- A share is a revocable link to one document's pages (/share/<token>).
+-- It expires, can stop working after a number of views and can require a
+-- passcode. Viewers aren't signed in and never read these tables:
+-- open_document_share() checks the link, logs the attempt, counts the view
+-- and returns a signed URL for each page that works for a few minutes. The
+-- files themselves stay private; a view never unlocks more than its own URLs.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS document_shares (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE DEFAULT translate(encode(extensions.gen_random_bytes(18), 'base64'), '+/', '-_'),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_views INT CHECK (max_views IS NULL OR max_views > 0), -- NULL = no limit
+    view_count INT NOT NULL DEFAULT 0,
+    passcode_hash TEXT, -- bcrypt, see create_document_share
+    has_passcode BOOLEAN GENERATED ALWAYS AS (passcode_hash IS NOT NULL) STORED,
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per attempt to open a share
+-- outcome: 'opened', 'wrong_passcode', 'locked', 'expired', 'revoked' or 'view_limit'
+CREATE TABLE IF NOT EXISTS document_share_access (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    share_id UUID NOT NULL REFERENCES document_shares(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE, -- The share's owner
+    outcome TEXT NOT NULL,
+    accessed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS document_shares_user_id_idx ON document_shares(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS document_shares_document_id_idx ON document_shares(document_id);
+CREATE INDEX IF NOT EXISTS document_share_access_share_id_idx ON document_share_access(share_id, accessed_at DESC);
+
+ALTER TABLE document_shares ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_share_access ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own shares
+CREATE POLICY "Users can view their own document shares"
+    ON document_shares
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can share only their own documents
+CREATE POLICY "Users can share their own documents"
+    ON document_shares
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM documents d WHERE d.id = document_id AND d.user_id = auth.uid())
+    );
+
+-- Policy: Users can update (revoke) their own shares
+CREATE POLICY "Users can update their own document shares"
+    ON document_shares
+    FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can delete their own shares
+CREATE POLICY "Users can delete their own document shares"
+    ON document_shares
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can view the access log of their own shares
+CREATE POLICY "Users can view access to their own document shares"
+    ON document_share_access
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Create a share; the passcode is hashed here so it never reaches the table
+-- in plain text. Runs as the caller, so the policies above still apply.
+CREATE OR REPLACE FUNCTION create_document_share(
+    p_document_id UUID,
+    p_expires_in INT,
+    p_max_views INT DEFAULT NULL,
+    p_passcode TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID, document_id UUID, token TEXT, expires_at TIMESTAMPTZ, max_views INT,
+    view_count INT, has_passcode BOOLEAN, last_accessed_at TIMESTAMPTZ, created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+SET search_path = public, extensions
+AS $$
+    INSERT INTO document_shares AS s (user_id, document_id, expires_at, max_views, passcode_hash)
+    VALUES (
+        auth.uid(),
+        p_document_id,
+        NOW() + make_interval(secs => p_expires_in),
+        p_max_views,
+        CASE WHEN coalesce(p_passcode, '') = '' THEN NULL ELSE crypt(p_passcode, gen_salt('bf')) END
+    )
+    RETURNING s.id, s.document_id, s.token, s.expires_at, s.max_views,
+              s.view_count, s.has_passcode, s.last_accessed_at, s.created_at;
+$$;
+
+-- Base64url without padding, as used in JWTs
+CREATE OR REPLACE FUNCTION base64url_encode(data BYTEA)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT rtrim(translate(encode(data, 'base64'), E'+/\n', '-_'), '=');
+$$;
+
+-- A signed URL (path and query, relative to the project URL) for one stored
+-- file, the same kind storage.createSignedUrl() hands out: a JWT naming the
+-- object, signed with the project's JWT secret. Store the secret in Vault
+-- once (Project Settings > API > JWT Secret):
+--   SELECT vault.create_secret('<jwt secret>', 'storage_jwt_secret');
+CREATE OR REPLACE FUNCTION sign_storage_object(p_bucket TEXT, p_path TEXT, p_expires_in INT)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    secret TEXT;
+    issued_at BIGINT := extract(epoch FROM NOW())::BIGINT;
+    unsigned TEXT;
+BEGIN
+    SELECT decrypted_secret INTO secret FROM vault.decrypted_secrets WHERE name = 'storage_jwt_secret';
+    IF secret IS NULL THEN
+        RAISE EXCEPTION 'storage_jwt_secret is missing from Vault';
+    END IF;
+
+    unsigned := base64url_encode(convert_to('{"alg":"HS256","typ":"JWT"}', 'UTF8')) || '.' ||
+        base64url_encode(convert_to(jsonb_build_object(
+            'url', p_bucket || '/' || p_path,
+            'iat', issued_at,
+            'exp', issued_at + p_expires_in
+        )::TEXT, 'UTF8'));
+
+    RETURN '/storage/v1/object/sign/' || p_bucket || '/' || p_path ||
+        '?token=' || unsigned || '.' || base64url_encode(hmac(unsigned, secret, 'sha256'));
+END;
+$$;
+
+-- Open a share by its token. Returns {status} plus, when status = 'opened',
+-- the document's name, type and pages ([{url, mime_type}], url signed for
+-- 5 minutes, see sign_storage_object). Other statuses:
+-- 'not_found', 'passcode_required', 'wrong_passcode', 'locked' (too many
+-- wrong passcodes in 15 minutes), 'expired', 'revoked' (also when the
+-- document was trashed) and 'view_limit'.
+CREATE OR REPLACE FUNCTION open_document_share(p_token TEXT, p_passcode TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    share document_shares%ROWTYPE;
+    doc documents%ROWTYPE;
+    outcome TEXT;
+BEGIN
+    SELECT * INTO share FROM document_shares WHERE token = p_token FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'not_found');
+    END IF;
+
+    SELECT * INTO doc FROM documents WHERE id = share.document_id;
+
+    outcome := CASE
+        WHEN share.revoked_at IS NOT NULL OR doc.deleted_at IS NOT NULL OR doc.page_count = 0 THEN 'revoked'
+        WHEN share.expires_at <= NOW() THEN 'expired'
+        WHEN share.max_views IS NOT NULL AND share.view_count >= share.max_views THEN 'view_limit'
+        WHEN share.passcode_hash IS NULL THEN 'opened'
+        WHEN coalesce(p_passcode, '') = '' THEN 'passcode_required'
+        WHEN (
+            SELECT COUNT(*) FROM document_share_access a
+            WHERE a.share_id = share.id
+              AND a.outcome = 'wrong_passcode'
+              AND a.accessed_at > NOW() - INTERVAL '15 minutes'
+        ) >= 5 THEN 'locked'
+        WHEN crypt(p_passcode, share.passcode_hash) = share.passcode_hash THEN 'opened'
+        ELSE 'wrong_passcode'
+    END;
+
+    -- Being asked for the passcode isn't an attempt to open the share
+    IF outcome <> 'passcode_required' THEN
+        INSERT INTO document_share_access (share_id, user_id, outcome)
+        VALUES (share.id, share.user_id, outcome);
+    END IF;
+
+    IF outcome <> 'opened' THEN
+        RETURN jsonb_build_object('status', outcome);
+    END IF;
+
+    UPDATE document_shares
+    SET view_count = view_count + 1, last_accessed_at = NOW()
+    WHERE id = share.id;
+
+    RETURN jsonb_build_object(
+        'status', 'opened',
+        'document_name', doc.document_name,
+        'document_type', doc.document_type,
+        'pages', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object(
+                       'url', sign_storage_object('document-images', f.file_path, 300),
+                       'mime_type', f.mime_type
+                   ) ORDER BY f.page_index, f.created_at), '[]'::jsonb)
+            FROM document_files f
+            WHERE f.document_id = doc.id
+        ),
+        'expires_at', share.expires_at
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_document_share(UUID, INT, INT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION create_document_share(UUID, INT, INT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION open_document_share(TEXT, TEXT) TO anon, authenticated;
+-- Signing is only done by open_document_share, after all of its checks
+REVOKE EXECUTE ON FUNCTION sign_storage_object(TEXT, TEXT, INT) FROM PUBLIC, anon, authenticated;
+
+-- Shared pages used to be readable through a storage policy for 10 minutes
+-- after any view; signed URLs replace it
+DROP POLICY IF EXISTS "Shared document images are viewable" ON storage.objects;
+DROP FUNCTION IF EXISTS is_shared_document_image(TEXT);
+
+-- =====================================================
+-- TRASH (soft delete)
+-- =====================================================
+-- deleteItem / deleteDocument set deleted_at instead of removing the row
+-- (columns are added with each table above). Trashed rows can be restored
+-- for 30 days, then they are purged.
+
+-- Most queries only want live rows; the Trash view wants the rest
+CREATE INDEX IF NOT EXISTS items_live_user_id_idx ON items(user_id, created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS items_trash_idx ON items(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS documents_live_user_id_idx ON documents(user_id, created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS documents_trash_idx ON documents(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Purge rows that have been in the Trash for more than 30 days.
+-- The app also purges when the Trash is opened (and removes the images);
+-- this catches accounts that never open it. Their images are left for the
+-- storage sweeper.
+CREATE OR REPLACE FUNCTION purge_expired_trash()
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    DELETE FROM items WHERE deleted_at < NOW() - INTERVAL '30 days';
+    DELETE FROM documents WHERE deleted_at < NOW() - INTERVAL '30 days';
+$$;
+
+REVOKE EXECUTE ON FUNCTION purge_expired_trash() FROM PUBLIC, anon, authenticated;
+
+-- Schedule it nightly with pg_cron (Database -> Extensions -> pg_cron):
+-- SELECT cron.schedule('purge-expired-trash', '0 3 * * *', 'SELECT purge_expired_trash()');
+
+-- =====================================================
+-- REALTIME
+-- =====================================================
+-- The app listens for changes to the signed-in user's items and documents
+-- (src/lib/realtime.js) so lists stay current across devices. Supabase only
+-- sends changes for tables in the supabase_realtime publication, and applies
+-- the RLS policies above, so users only hear about their own rows.
+-- Moving a row to the Trash is an UPDATE (deleted_at), which the app treats
+-- as a removal; permanent deletes come from the Trash, which lists don't show.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'items'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE items;
+    END IF;
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'documents'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE documents;
+    END IF;
+END $$;
+
+-- =====================================================
+-- STORAGE MAINTENANCE
+-- =====================================================
+-- Files are uploaded before their row is saved, and failed image deletes
+-- are only logged, so storage can hold files nothing points at. The app's
+-- Backup page sweeps the signed-in user's folders; these functions give a
+-- scheduled job (running with the service role) the same view for everyone.
+
+-- Per-user storage usage across both image buckets
+CREATE OR REPLACE FUNCTION storage_usage_by_user()
+RETURNS TABLE (user_id TEXT, bucket_id TEXT, file_count BIGINT, total_bytes BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, storage
+AS $$
+    SELECT
+        (storage.foldername(o.name))[1] AS user_id,
+        o.bucket_id,
+        COUNT(*) AS file_count,
+        COALESCE(SUM((o.metadata->>'size')::BIGINT), 0) AS total_bytes
+    FROM storage.objects o
+    WHERE o.bucket_id IN ('item-images', 'document-images')
+    GROUP BY 1, 2
+    ORDER BY total_bytes DESC;
+$$;
+
+-- Files no item, document page or place references (trashed rows still count),
+-- older than min_age so uploads that are still being saved are left alone.
+-- A thumbnail (<name>.thumb.jpg) is kept while any image named <name>.* is.
+CREATE OR REPLACE FUNCTION orphaned_storage_objects(min_age INTERVAL DEFAULT INTERVAL '1 hour')
+RETURNS TABLE (bucket_id TEXT, name TEXT, user_id TEXT, size BIGINT, created_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, storage
+AS $$
+    WITH referenced AS (
+        SELECT image_url FROM items WHERE image_url IS NOT NULL
+        UNION ALL
+        SELECT image_url FROM item_photos
+        UNION ALL
+        SELECT '/document-images/' || file_path FROM document_files
+        UNION ALL
+        SELECT image_url FROM locations WHERE image_url IS NOT NULL
+    )
+    SELECT
+        o.bucket_id,
+        o.name,
+        (storage.foldername(o.name))[1] AS user_id,
+        COALESCE((o.metadata->>'size')::BIGINT, 0) AS size,
+        o.created_at
+    FROM storage.objects o
+    WHERE o.bucket_id IN ('item-images', 'document-images')
+      AND o.created_at < NOW() - min_age
+      AND NOT EXISTS (
+          SELECT 1 FROM referenced r
+          WHERE r.image_url LIKE '%/' || o.bucket_id || '/' || o.name
+             OR (o.name LIKE '%.thumb.jpg'
+                 AND r.image_url LIKE '%/' || o.bucket_id || '/' || left(o.name, -length('.thumb.jpg')) || '.%')
+      );
+$$;
+
+REVOKE EXECUTE ON FUNCTION storage_usage_by_user() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION orphaned_storage_objects(INTERVAL) FROM PUBLIC, anon, authenticated;
+
+-- A nightly job (e.g. a scheduled Edge Function using the service role key)
+-- can call orphaned_storage_objects() and pass each bucket's names to
+-- supabase.storage.from(bucket).remove(names). Don't DELETE from
+-- storage.objects directly: that leaves the underlying files behind.
@@ -1,8 +1,53 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+import { SHARE_TARGET_PATH, SHARED_FILES_FIELD } from './src/lib/shareTarget.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable app: manifest, icons and the service worker in src/sw.js
+    VitePWA({
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      registerType: 'autoUpdate',
+      // Icons are drawn from public/logo.svg at build time (pwa-assets.config.js)
+      pwaAssets: {
+        config: true,
+        overrideManifestIcons: true,
+        // index.html links the favicon and touch icon itself
+        includeHtmlHeadLinks: false
+      },
+      includeAssets: ['favicon.svg', 'logo.svg', 'offline.html'],
+      manifest: {
+        name: 'FindIt AI',
+        short_name: 'FindIt',
+        description: 'Never forget where you put things',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        theme_color: '#0A1929',
+        background_color: '#0A1929',
+        // "Share → FindIt" from the camera roll opens Add Item with the photos
+        share_target: {
+          action: SHARE_TARGET_PATH,
+          method: 'POST',
+          enctype: 'multipart/form-data',
+          params: {
+            title: 'title',
+            text: 'text',
+            files: [{ name: SHARED_FILES_FIELD, accept: ['image/*'] }]
+          }
+        }
+      },
+      injectManifest: {
+        // Every page chunk is precached, not just the entry, so pages open offline
+        globPatterns: ['**/*.{js,css,html,svg,png,ico}'],
+        maximumFileSizeToCacheInBytes: 3 * 1024 * 1024
+      }
+    })
+  ],
   server: {
     port: 3000,
     proxy: {